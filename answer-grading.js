@@ -0,0 +1,269 @@
+// Pure answer grading: a question and a submission in, a verdict out.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const FREE_RESPONSE_FORMATS = ['numeric', 'text'];
+const MAX_TEXT_ANSWER_LENGTH = 200;
+
+// Ordering answers read left to right: "O(1) → O(log n) → O(n)".
+const ORDER_SEPARATOR = ' → ';
+
+// Floating-point slack for tolerance checks, so 0.1 + 0.2 still lands
+// inside "0.3 ±0".
+const NUMERIC_EPSILON = 1e-9;
+
+function isMultiSelect(question) {
+  return question?.format === 'multiple';
+}
+
+// Numeric and text questions have no options; the participant types.
+function isFreeResponse(question) {
+  return FREE_RESPONSE_FORMATS.includes(question?.format);
+}
+
+// An ordering question's options are stored in the correct order and its
+// answer is every option index, in the order the participant placed them.
+function isOrdering(question) {
+  return question?.format === 'order';
+}
+
+// Case and whitespace never decide a text answer: " Define  it" matches
+// "define it".
+function normalizeText(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Accepts a finite number or a plain decimal string. Number('') is 0 and
+// Number('0x10') is 16, so strings are checked against a pattern first.
+function parseNumber(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  if (typeof raw !== 'string') return null;
+  const trimmed = raw.trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return null;
+  const parsed = Number(trimmed);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Returns the canonical form of a submission — an option index for a
+// single-select question, a sorted array of distinct indices for a
+// multi-select one, a permutation of every index for an ordering one, a
+// number or a tidied string for free response — or null when it is not a
+// valid answer to this question.
+function normalizeSubmission(question, raw) {
+  if (question?.format === 'numeric') return parseNumber(raw);
+
+  if (question?.format === 'text') {
+    if (typeof raw !== 'string') return null;
+    const tidied = raw.trim().replace(/\s+/g, ' ');
+    if (tidied.length === 0 || tidied.length > MAX_TEXT_ANSWER_LENGTH) return null;
+    return tidied;
+  }
+
+  const optionCount = Array.isArray(question?.options) ? question.options.length : 0;
+  const isOption = value => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+  if (isOrdering(question)) {
+    if (!Array.isArray(raw) || raw.length !== optionCount || !raw.every(isOption)) return null;
+    return new Set(raw).size === raw.length ? raw.slice() : null;
+  }
+
+  if (isMultiSelect(question)) {
+    if (!Array.isArray(raw) || raw.length === 0 || !raw.every(isOption)) return null;
+    const unique = [...new Set(raw)].sort((a, b) => a - b);
+    return unique.length === raw.length ? unique : null;
+  }
+
+  return isOption(raw) ? raw : null;
+}
+
+function matchesNumericAnswer(question, answer) {
+  const key = question.numericAnswer;
+  if (!key || typeof answer !== 'number') return false;
+  return Math.abs(answer - key.value) <= (key.tolerance || 0) + NUMERIC_EPSILON;
+}
+
+function matchesAcceptedText(question, answer) {
+  if (typeof answer !== 'string') return false;
+  const submitted = normalizeText(answer);
+  return (question.acceptedAnswers || []).some(accepted => normalizeText(accepted) === submitted);
+}
+
+// A single-select answer is right when it is any option marked [x].
+// A multi-select answer is right only when it is exactly the marked set;
+// with ::credit=partial it earns (hits − wrong picks) / marked, floored at 0,
+// so ticking every box is never worth more than ticking none.
+// A numeric answer is right within the ::answer tolerance; a text answer is
+// right when it matches any ::accept alternative.
+// An ordering answer is right only in exactly the listed order; with
+// ::credit=partial it earns the share of positions it got right.
+function gradeAnswer(question, answer) {
+  if (answer === undefined || answer === null) {
+    return { isCorrect: false, credit: 0 };
+  }
+
+  if (isOrdering(question)) {
+    const total = (question.options || []).length;
+    const placed = Array.isArray(answer) ? answer : [];
+    const hits = placed.filter((optionIndex, position) => optionIndex === position).length;
+    const isCorrect = total > 0 && placed.length === total && hits === total;
+    if (isCorrect) return { isCorrect, credit: 1 };
+    if (question.credit !== 'partial' || total === 0) return { isCorrect, credit: 0 };
+    return { isCorrect, credit: hits / total };
+  }
+
+  if (question.format === 'numeric' || question.format === 'text') {
+    const isCorrect = question.format === 'numeric'
+      ? matchesNumericAnswer(question, answer)
+      : matchesAcceptedText(question, answer);
+    return { isCorrect, credit: isCorrect ? 1 : 0 };
+  }
+
+  const correctIndices = question.correctIndices || [];
+
+  if (!isMultiSelect(question)) {
+    const isCorrect = correctIndices.includes(answer);
+    return { isCorrect, credit: isCorrect ? 1 : 0 };
+  }
+
+  const selected = Array.isArray(answer) ? answer : [answer];
+  const hits = selected.filter(index => correctIndices.includes(index)).length;
+  const wrongPicks = selected.length - hits;
+  const isCorrect = correctIndices.length > 0 && hits === correctIndices.length && wrongPicks === 0;
+
+  if (isCorrect) return { isCorrect, credit: 1 };
+  if (question.credit !== 'partial' || correctIndices.length === 0) {
+    return { isCorrect, credit: 0 };
+  }
+  return { isCorrect, credit: Math.max(0, (hits - wrongPicks) / correctIndices.length) };
+}
+
+// For each position of an ordering question, how many answers put the right
+// option there. Answers are in canonical indices, so position i is right
+// when it holds option i.
+function positionHits(question, answers) {
+  const hits = (question?.options || []).map(() => 0);
+  for (const answer of answers) {
+    if (!Array.isArray(answer)) continue;
+    answer.forEach((optionIndex, position) => {
+      if (optionIndex === position && position < hits.length) hits[position]++;
+    });
+  }
+  return hits;
+}
+
+// Participants must not see an ordering question's options in the correct
+// order, so each session shows them scrambled — never in the answer order
+// when there is more than one. The result maps display slot to option index.
+function scrambledOrder(count, random = Math.random) {
+  const order = Array.from({ length: count }, (_, index) => index);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  if (count > 1 && order.every((optionIndex, slot) => optionIndex === slot)) {
+    order.push(order.shift());
+  }
+  return order;
+}
+
+// A participant submits display slots; grading and storage use option indices.
+function fromDisplayOrder(slots, displayOrder) {
+  if (!Array.isArray(slots) || !Array.isArray(displayOrder)) return null;
+  const mapped = slots.map(slot => (Number.isInteger(slot) ? displayOrder[slot] : undefined));
+  return mapped.every(optionIndex => optionIndex !== undefined) ? mapped : null;
+}
+
+// Every option index a submission picked, for per-option tallies.
+function selectedOptions(answer) {
+  if (answer === undefined || answer === null) return [];
+  return Array.isArray(answer) ? answer : [answer];
+}
+
+// Two submissions share a key when they are the same answer: "Def" and
+// "def " group together, as do 0.5 and ".5".
+function responseKey(question, answer) {
+  if (question?.format === 'text') return normalizeText(answer);
+  if (question?.format === 'numeric') return String(answer);
+  return JSON.stringify(answer);
+}
+
+// Human-readable answer text for recaps and exports.
+function describeAnswer(question, answer, separator = '; ') {
+  if (isFreeResponse(question)) {
+    return answer === undefined || answer === null ? '' : String(answer);
+  }
+  const options = question?.options || [];
+  return selectedOptions(answer)
+    .map(index => options[index] ?? String(index))
+    .join(isOrdering(question) ? ORDER_SEPARATOR : separator);
+}
+
+function describeCorrectAnswer(question, separator = '; ') {
+  if (question?.format === 'numeric') {
+    const key = question.numericAnswer;
+    if (!key) return '';
+    return key.tolerance ? `${key.value} ± ${key.tolerance}` : String(key.value);
+  }
+  if (question?.format === 'text') {
+    return (question.acceptedAnswers || []).join(separator);
+  }
+  if (isOrdering(question)) {
+    return (question.options || []).join(ORDER_SEPARATOR);
+  }
+  return (question?.correctIndices || [])
+    .map(index => question.options[index])
+    .filter(Boolean)
+    .join(separator);
+}
+
+// Identical answers counted together, most common first. The first spelling
+// seen stands for the group.
+function groupResponses(question, answers) {
+  const groups = new Map();
+  for (const answer of answers) {
+    if (answer === undefined || answer === null) continue;
+    const key = responseKey(question, answer);
+    const group = groups.get(key) || {
+      value: describeAnswer(question, answer),
+      count: 0,
+      isCorrect: gradeAnswer(question, answer).isCorrect
+    };
+    group.count++;
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Answer rows keep single-select picks in answer_index and anything richer
+// in answer_value. These convert between that and the in-memory answer.
+function toStoredColumns(question, answer) {
+  if (!isMultiSelect(question) && !isFreeResponse(question) && !isOrdering(question)) {
+    return { answerIndex: answer, answerValue: null };
+  }
+  return { answerIndex: null, answerValue: answer };
+}
+
+function storedAnswer(row) {
+  if (row.answer_value !== undefined && row.answer_value !== null) return row.answer_value;
+  return row.answer_index;
+}
+
+module.exports = {
+  MAX_TEXT_ANSWER_LENGTH,
+  describeAnswer,
+  describeCorrectAnswer,
+  fromDisplayOrder,
+  gradeAnswer,
+  groupResponses,
+  isFreeResponse,
+  isMultiSelect,
+  isOrdering,
+  normalizeSubmission,
+  normalizeText,
+  positionHits,
+  responseKey,
+  scrambledOrder,
+  selectedOptions,
+  storedAnswer,
+  toStoredColumns
+};
@@ -0,0 +1,72 @@
+// Pure API token rules: the token format, the scopes an account can grant,
+// and which instructor routes each scope opens. A token is shown once and
+// stored only as its SHA-256 digest, like an invitation link.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { createOpaqueToken } = require('./security-utils');
+
+const API_TOKEN_PREFIX = 'mm_';
+const MAX_API_TOKENS_PER_ACCOUNT = 20;
+const MAX_API_TOKEN_NAME_LENGTH = 80;
+
+const API_TOKEN_SCOPES = Object.freeze({
+  'sessions:read': 'List sessions and read their participants and results',
+  'sessions:write': 'Open, end, recover, and delete sessions',
+  'analytics:read': 'Read analytics and download exports'
+});
+
+// Paths are relative to /api/admin. Anything not listed here (settings,
+// tokens, billing, hosted accounts, My Mashes, rosters) stays web-only.
+const API_TOKEN_ROUTES = [
+  ['GET', /^\/sessions$/, 'sessions:read'],
+  ['GET', /^\/session\/[^/]+(?:\/(?:qr|assignment|participants|results|replay))?$/, 'sessions:read'],
+  ['POST', /^\/session$/, 'sessions:write'],
+  ['POST', /^\/session\/[^/]+\/(?:end|metadata|recover|asset\/[^/]+)$/, 'sessions:write'],
+  ['DELETE', /^\/session\/[^/]+$/, 'sessions:write'],
+  ['GET', /^\/analytics\/.+$/, 'analytics:read'],
+  ['GET', /^\/courses\/[^/]+\/report(?:\/export)?$/, 'analytics:read']
+];
+
+function createApiToken() {
+  return `${API_TOKEN_PREFIX}${createOpaqueToken(32)}`;
+}
+
+// Tells an API token apart from a login JWT in the Authorization header.
+function isApiToken(token) {
+  return /^mm_[A-Za-z0-9_-]{43}$/.test(String(token || ''));
+}
+
+// Returns { name, scopes } or { error }.
+function normalizeApiTokenRequest({ name, scopes } = {}) {
+  const label = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!label) return { error: 'Give the token a name' };
+  if (label.length > MAX_API_TOKEN_NAME_LENGTH) {
+    return { error: `Token names are at most ${MAX_API_TOKEN_NAME_LENGTH} characters` };
+  }
+
+  const chosen = [...new Set((Array.isArray(scopes) ? scopes : []).map(String))];
+  if (chosen.length === 0) return { error: 'Choose at least one scope' };
+  const unknown = chosen.find(scope => !Object.hasOwn(API_TOKEN_SCOPES, scope));
+  if (unknown) return { error: `Unknown scope: ${unknown}` };
+
+  return {
+    name: label,
+    scopes: Object.keys(API_TOKEN_SCOPES).filter(scope => chosen.includes(scope))
+  };
+}
+
+// The scope a request needs, or null when API tokens cannot use the route.
+function requiredApiTokenScope(method, path) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const route = API_TOKEN_ROUTES.find(([routeMethod, pattern]) => routeMethod === verb && pattern.test(path));
+  return route ? route[2] : null;
+}
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  MAX_API_TOKENS_PER_ACCOUNT,
+  createApiToken,
+  isApiToken,
+  normalizeApiTokenRequest,
+  requiredApiTokenScope
+};
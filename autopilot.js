@@ -1,6 +1,9 @@
 // Pure decision logic for hands-free quiz flow.
 // No timers, no sockets, no database — server.js owns all of that.
 
+const { isQuestionPaused } = require('./question-timer');
+const { hasAnsweredThisRun } = require('./question-rerun');
+
 const DEFAULT_PAUSE_SECONDS = 8;
 const MIN_PAUSE_SECONDS = 3;
 const MAX_PAUSE_SECONDS = 30;
@@ -24,7 +27,7 @@ function normalizePauseSeconds(value) {
 function everyoneAnswered(session, questionId) {
   const participants = Object.values(session?.participants || {});
   if (participants.length === 0) return false;
-  return participants.every(p => p?.answers?.[questionId] !== undefined);
+  return participants.every(p => hasAnsweredThisRun(session.quizState, p, questionId));
 }
 
 function isEngaged(session) {
@@ -46,6 +49,9 @@ function pauseMs(session) {
 function nextAutopilotStep(session, questionId, options = {}) {
   if (!isEngaged(session)) return null;
 
+  // A paused question holds everything until the host resumes it.
+  if (isQuestionPaused(session.quizState)) return null;
+
   // A section step has no answers and no results, so it only ever advances.
   if (options.onSection) {
     return { action: 'advance', delayMs: SECTION_HOLD_MS };
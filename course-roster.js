@@ -0,0 +1,280 @@
+// Pure course roster rules: a CSV class list in, roster rows out, and one
+// report per student across every completed session of a Mash group.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { gradeAnswer, storedAnswer } = require('./answer-grading');
+const { isScored, weightOf } = require('./quiz-structure');
+const { scorePercent, weightedCredit } = require('./scoring');
+
+const MAX_ROSTER_STUDENTS = 1000;
+const MAX_REPORT_SESSIONS = 100;
+const WEAKEST_SECTION_COUNT = 3;
+const MAX_COURSE_NAME_LENGTH = 200;
+const MAX_STUDENT_KEY_LENGTH = 100;
+// Roster names become participant names, so they share the join form's limit.
+const MAX_STUDENT_NAME_LENGTH = 80;
+
+const KEY_HEADERS = new Set(['id', 'student id', 'studentid', 'student number', 'student no', 'sis id', 'email']);
+const NAME_HEADERS = new Set(['name', 'student', 'student name', 'display name', 'full name']);
+
+function collapseSpaces(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Mash groups are free text on the session; a roster is filed under the same
+// trimmed text so the two line up.
+function normalizeCourseName(value) {
+  const name = String(value ?? '').trim();
+  return name ? name.slice(0, MAX_COURSE_NAME_LENGTH) : null;
+}
+
+// RFC 4180 as spreadsheets write it: quoted fields may hold commas, quotes,
+// and line breaks. Blank lines are dropped.
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function headerColumns(cells) {
+  const labels = cells.map(cell => collapseSpaces(cell).toLowerCase().replace(/[_-]/g, ' '));
+  const key = labels.findIndex(label => KEY_HEADERS.has(label));
+  const name = labels.findIndex(label => NAME_HEADERS.has(label));
+  return key === -1 && name === -1 ? null : { key, name };
+}
+
+// Accepts a header row naming an id and/or name column, or no header: one
+// column is a name, two or more are id then name. A student without an id is
+// keyed by name. Returns { students, duplicates } or { error }.
+function parseRoster(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { error: 'The roster is empty' };
+
+  let columns = headerColumns(rows[0]);
+  const body = columns ? rows.slice(1) : rows;
+  if (!columns) columns = rows[0].length > 1 ? { key: 0, name: 1 } : { key: -1, name: 0 };
+
+  const students = [];
+  const seen = new Set();
+  let duplicates = 0;
+  for (const cells of body) {
+    const displayName = collapseSpaces(columns.name === -1 ? '' : cells[columns.name]);
+    const studentKey = collapseSpaces(columns.key === -1 ? '' : cells[columns.key]) || displayName;
+    if (!studentKey) continue;
+    if (studentKey.length > MAX_STUDENT_KEY_LENGTH) {
+      return { error: `Student IDs must be ${MAX_STUDENT_KEY_LENGTH} characters or fewer` };
+    }
+    if (displayName.length > MAX_STUDENT_NAME_LENGTH) {
+      return { error: `Student names must be ${MAX_STUDENT_NAME_LENGTH} characters or fewer` };
+    }
+    const dedupeKey = studentKey.toLowerCase();
+    if (seen.has(dedupeKey)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(dedupeKey);
+    students.push({ studentKey, displayName: displayName || studentKey });
+  }
+
+  if (students.length === 0) return { error: 'The roster has no students' };
+  if (students.length > MAX_ROSTER_STUDENTS) {
+    return { error: `A roster holds at most ${MAX_ROSTER_STUDENTS} students` };
+  }
+  return { students, duplicates };
+}
+
+function toRosterStudent(row) {
+  return {
+    id: row.id,
+    studentKey: row.student_key,
+    displayName: row.display_name,
+    createdAt: row.created_at
+  };
+}
+
+// What a joining participant sees: names only, never the student IDs.
+function toJoinRoster(rows) {
+  return rows
+    .map(row => ({ id: row.id, name: row.display_name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function roundPercent(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function sectionLabel(question, quiz) {
+  return collapseSpaces(question.sectionTitle) || collapseSpaces(quiz.title) || 'Untitled';
+}
+
+// One session: each roster student's best participant (a student who joined
+// twice keeps the stronger attempt) and that participant's per-section credit.
+function scoreSession({ quiz, participants, answers }) {
+  const studentByParticipant = new Map();
+  for (const participant of participants) {
+    if (participant.roster_student_id != null) {
+      studentByParticipant.set(participant.id, participant.roster_student_id);
+    }
+  }
+
+  const attempts = new Map();
+  for (const [participantId] of studentByParticipant) {
+    attempts.set(participantId, { credit: 0, sections: new Map() });
+  }
+  for (const row of answers) {
+    const attempt = attempts.get(row.participant_id);
+    const question = quiz.questions[row.question_index];
+    if (!attempt || !question || !isScored(question)) continue;
+    const credit = weightedCredit(question, gradeAnswer(question, storedAnswer(row)));
+    attempt.credit += credit;
+    const label = sectionLabel(question, quiz);
+    attempt.sections.set(label, (attempt.sections.get(label) || 0) + credit);
+  }
+
+  const possible = new Map();
+  for (const question of quiz.questions) {
+    if (!isScored(question)) continue;
+    const label = sectionLabel(question, quiz);
+    possible.set(label, (possible.get(label) || 0) + weightOf(question));
+  }
+
+  const byStudent = new Map();
+  for (const [participantId, studentId] of studentByParticipant) {
+    const attempt = attempts.get(participantId);
+    const best = byStudent.get(studentId);
+    if (!best || attempt.credit > best.credit) byStudent.set(studentId, attempt);
+  }
+
+  const results = new Map();
+  for (const [studentId, attempt] of byStudent) {
+    results.set(studentId, {
+      percent: scorePercent(quiz, attempt.credit),
+      sections: [...possible].map(([title, weight]) => ({
+        title,
+        earned: attempt.sections.get(title) || 0,
+        possible: weight
+      }))
+    });
+  }
+  return {
+    results,
+    unlinked: participants.length - studentByParticipant.size
+  };
+}
+
+// Sessions are reported oldest first. Attendance counts the sessions a
+// student joined; trend is the newest attended score minus the oldest, in
+// percentage points, and needs two attended sessions. Weakest sections pool
+// credit across sessions by section title (the quiz title when a Mash has
+// no sections), so the same unit taught twice is judged as one.
+function buildCourseReport({ courseName, students, sessions }) {
+  const ordered = [...sessions].sort(
+    (a, b) => new Date(a.session.created_at).getTime() - new Date(b.session.created_at).getTime()
+  );
+  const scored = ordered.map(entry => scoreSession(entry));
+
+  const report = students.map(student => {
+    const scores = scored.map(({ results }) => {
+      const result = results.get(student.id);
+      return result ? result.percent : null;
+    });
+    const attendedScores = scores.filter(score => score !== null);
+
+    const sections = new Map();
+    for (const { results } of scored) {
+      const result = results.get(student.id);
+      if (!result) continue;
+      for (const section of result.sections) {
+        const key = section.title.toLowerCase();
+        const total = sections.get(key) || { title: section.title, earned: 0, possible: 0 };
+        total.earned += section.earned;
+        total.possible += section.possible;
+        sections.set(key, total);
+      }
+    }
+    const weakestSections = [...sections.values()]
+      .filter(section => section.possible > 0)
+      .map(section => ({
+        title: section.title,
+        percent: roundPercent((Math.max(0, section.earned) * 100) / section.possible)
+      }))
+      .sort((a, b) => a.percent - b.percent || a.title.localeCompare(b.title))
+      .slice(0, WEAKEST_SECTION_COUNT);
+
+    return {
+      id: student.id,
+      studentKey: student.student_key,
+      displayName: student.display_name,
+      attended: attendedScores.length,
+      attendancePercent: ordered.length
+        ? roundPercent((attendedScores.length * 100) / ordered.length)
+        : null,
+      scores,
+      averagePercent: attendedScores.length
+        ? roundPercent(attendedScores.reduce((sum, score) => sum + score, 0) / attendedScores.length)
+        : null,
+      trend: attendedScores.length >= 2
+        ? attendedScores[attendedScores.length - 1] - attendedScores[0]
+        : null,
+      weakestSections
+    };
+  });
+
+  return {
+    courseName,
+    sessions: ordered.map(({ session }) => ({
+      code: session.code,
+      title: session.quiz_title,
+      createdAt: session.created_at,
+      endedAt: session.ended_at || null
+    })),
+    students: report.sort((a, b) => a.displayName.localeCompare(b.displayName)),
+    unlinkedParticipants: scored.reduce((sum, { unlinked }) => sum + unlinked, 0)
+  };
+}
+
+module.exports = {
+  MAX_REPORT_SESSIONS,
+  MAX_ROSTER_STUDENTS,
+  MAX_STUDENT_NAME_LENGTH,
+  WEAKEST_SECTION_COUNT,
+  buildCourseReport,
+  normalizeCourseName,
+  parseCsv,
+  parseRoster,
+  toJoinRoster,
+  toRosterStudent
+};
@@ -121,11 +121,122 @@ async function initializeDatabase(retries = 5, delay = 3000) {
         participant_id TEXT REFERENCES participants(id) ON DELETE CASCADE,
         question_index INTEGER NOT NULL,
         answer_index INTEGER,
+        answer_value JSONB,
         is_correct INTEGER DEFAULT 0,
+        points DOUBLE PRECISION,
         response_time_ms INTEGER,
         answered_at TIMESTAMP DEFAULT NOW()
       );
 
+      -- Images uploaded alongside a session's Markdown
+      CREATE TABLE IF NOT EXISTS session_assets (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        data BYTEA NOT NULL,
+        byte_size INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (session_id, name)
+      );
+
+      -- Saved quiz library: one row per Mash, one version row per save
+      CREATE TABLE IF NOT EXISTS quizzes (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        session_type TEXT NOT NULL DEFAULT 'quiz',
+        latest_version INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS quiz_versions (
+        id SERIAL PRIMARY KEY,
+        quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        markdown TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (quiz_id, version)
+      );
+
+      -- Course rosters: the class list for one Mash group, so a student can
+      -- be followed across that group's sessions
+      CREATE TABLE IF NOT EXISTS roster_students (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        course_name TEXT NOT NULL,
+        student_key TEXT NOT NULL,
+        display_name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (owner_id, course_name, student_key)
+      );
+
+      -- Outbound webhooks: each host's subscriptions, and a log of every
+      -- delivery that doubles as the retry queue
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        secret TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'succeeded', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Per-account API tokens for scripts; only the digest is stored
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        owner_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        token_hash BYTEA NOT NULL UNIQUE CHECK (OCTET_LENGTH(token_hash) = 32),
+        token_hint TEXT NOT NULL,
+        scopes TEXT[] NOT NULL,
+        last_used_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Live rooms shared between server instances: who holds each room's
+      -- lease, and NOTIFY payloads too large to send inline
+      CREATE TABLE IF NOT EXISTS live_leases (
+        key TEXT PRIMARY KEY,
+        holder TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS live_messages (
+        id BIGSERIAL PRIMARY KEY,
+        payload TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Timestamped log of what happened in each room, for the replay view
+      CREATE TABLE IF NOT EXISTS session_events (
+        id BIGSERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
       -- Admin activity log for audit trail
       CREATE TABLE IF NOT EXISTS admin_activity_log (
         id SERIAL PRIMARY KEY,
@@ -181,18 +292,36 @@ async function initializeDatabase(retries = 5, delay = 3000) {
       ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
       ALTER TABLE billing_events ENABLE ROW LEVEL SECURITY;
       ALTER TABLE account_invitations ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE session_assets ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE quizzes ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE quiz_versions ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE roster_students ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE webhook_subscriptions ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE live_leases ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE live_messages ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE session_events ENABLE ROW LEVEL SECURITY;
 
       -- Indexes
       CREATE INDEX IF NOT EXISTS idx_sessions_code ON sessions(code);
       CREATE INDEX IF NOT EXISTS idx_participants_session ON participants(session_id);
       CREATE INDEX IF NOT EXISTS idx_answers_session ON answers(session_id);
       CREATE INDEX IF NOT EXISTS idx_admin_activity_admin ON admin_activity_log(admin_id);
+      CREATE INDEX IF NOT EXISTS idx_quizzes_owner ON quizzes(owner_id, updated_at DESC);
       CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status, current_period_end);
       CREATE INDEX IF NOT EXISTS idx_billing_events_received_at ON billing_events(received_at DESC);
       CREATE INDEX IF NOT EXISTS idx_account_invitations_pending_account
         ON account_invitations(account_id, created_at DESC) WHERE used_at IS NULL;
       CREATE INDEX IF NOT EXISTS idx_account_invitations_pending_expiry
         ON account_invitations(expires_at) WHERE used_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_owner ON webhook_subscriptions(owner_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+        ON webhook_deliveries(subscription_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+        ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_owner ON api_tokens(owner_id) WHERE revoked_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, occurred_at, id);
     `);
 
     // Add new columns to existing tables (migrations)
@@ -272,6 +401,74 @@ async function runMigrations(client) {
     {
       check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'session_type'",
       migrate: "ALTER TABLE sessions ADD COLUMN session_type TEXT NOT NULL DEFAULT 'quiz'"
+    },
+    // Multi-select answers keep their picks in answer_value
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'answers' AND column_name = 'answer_value'",
+      migrate: "ALTER TABLE answers ADD COLUMN answer_value JSONB"
+    },
+    // Points each answer earned, so speed scoring survives recovery and export
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'answers' AND column_name = 'points'",
+      migrate: "ALTER TABLE answers ADD COLUMN points DOUBLE PRECISION"
+    },
+    // Sessions launched from the saved quiz library remember which Mash and version
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'quiz_id'",
+      migrate: "ALTER TABLE sessions ADD COLUMN quiz_id INTEGER REFERENCES quizzes(id) ON DELETE SET NULL"
+    },
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'quiz_version'",
+      migrate: "ALTER TABLE sessions ADD COLUMN quiz_version INTEGER"
+    },
+    // Participants who picked their name from a course roster
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'participants' AND column_name = 'roster_student_id'",
+      migrate: "ALTER TABLE participants ADD COLUMN roster_student_id INTEGER REFERENCES roster_students(id) ON DELETE SET NULL"
+    },
+    // Team picked or assigned on join in team-mode Mashes
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'participants' AND column_name = 'team'",
+      migrate: "ALTER TABLE participants ADD COLUMN team TEXT"
+    },
+    // Self-paced sessions: participants work through the quiz on their own
+    // clock between opens_at and closes_at
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'delivery'",
+      migrate: "ALTER TABLE sessions ADD COLUMN delivery TEXT DEFAULT 'live'"
+    },
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'opens_at'",
+      migrate: "ALTER TABLE sessions ADD COLUMN opens_at TIMESTAMP"
+    },
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'closes_at'",
+      migrate: "ALTER TABLE sessions ADD COLUMN closes_at TIMESTAMP"
+    },
+    // Post-session answer review: how long it stays open, and the digest of
+    // each participant's access token so the review outlives the live room
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'review_days'",
+      migrate: "ALTER TABLE sessions ADD COLUMN review_days INTEGER DEFAULT 0"
+    },
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'participants' AND column_name = 'access_token_digest'",
+      migrate: "ALTER TABLE participants ADD COLUMN access_token_digest TEXT"
+    },
+    // LTI launches: who the participant is in the LMS and where their score goes
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'participants' AND column_name = 'lti_user_id'",
+      migrate: "ALTER TABLE participants ADD COLUMN lti_issuer TEXT, ADD COLUMN lti_client_id TEXT, ADD COLUMN lti_user_id TEXT, ADD COLUMN lti_lineitem TEXT"
+    },
+    // Live rooms resume after a restart: the room's position and each
+    // self-paced participant's progress, saved as they change
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'live_state'",
+      migrate: "ALTER TABLE sessions ADD COLUMN live_state JSONB"
+    },
+    {
+      check: "SELECT column_name FROM information_schema.columns WHERE table_name = 'participants' AND column_name = 'progress'",
+      migrate: "ALTER TABLE participants ADD COLUMN progress JSONB"
     }
   ];
 
@@ -291,6 +488,8 @@ async function runMigrations(client) {
   // Create index for owner_id if it doesn't exist
   try {
     await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_owner ON sessions(owner_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_quiz ON sessions(quiz_id) WHERE quiz_id IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_participants_roster ON participants(roster_student_id) WHERE roster_student_id IS NOT NULL');
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_sessions_open_owner
       ON sessions(owner_id, created_at DESC)
@@ -317,9 +516,11 @@ async function runMigrations(client) {
 }
 
 // Initialize on startup. Guest-only local QA can opt out without changing production.
-if (!skipDatabaseInit) {
-  initializeDatabase();
-} else {
+// Resolves true once the tables are ready, false when there is no database.
+const databaseReady = skipDatabaseInit
+  ? Promise.resolve(false)
+  : initializeDatabase().then(() => true);
+if (skipDatabaseInit) {
   console.log('Database initialization skipped; persistent instructor features are unavailable.');
 }
 
@@ -339,10 +540,18 @@ function generateParticipantId() {
 
 // Database API
 const dbApi = {
+  ready() {
+    return databaseReady;
+  },
+
   // Session operations
   async createSession(quizData, courseName = null, ownerId = null, options = {}) {
     const enforceSingleOpenRoom = options.enforceSingleOpenRoom === true;
     const sessionType = options.sessionType === 'survey' ? 'survey' : 'quiz';
+    const quizId = options.quizId || null;
+    const quizVersion = quizId ? options.quizVersion || null : null;
+    const assignmentWindow = options.assignmentWindow || null;
+    const reviewDays = sessionType === 'survey' ? 0 : options.reviewDays || 0;
     const client = enforceSingleOpenRoom ? await pool.connect() : null;
     const database = client || pool;
     let code;
@@ -372,8 +581,8 @@ const dbApi = {
       const passingPercent = sessionType === 'survey' ? 0 : (quizData.passingPercent || 70);
 
       const result = await database.query(
-        `INSERT INTO sessions (code, quiz_title, quiz_data, total_questions, passing_percent, total_score, course_name, is_test, owner_id, session_type)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8, $9)
+        `INSERT INTO sessions (code, quiz_title, quiz_data, total_questions, passing_percent, total_score, course_name, is_test, owner_id, session_type, quiz_id, quiz_version, delivery, opens_at, closes_at, review_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8, $9, $10, $11, $12, $13, $14, $15)
          RETURNING id`,
         [
           code,
@@ -384,7 +593,13 @@ const dbApi = {
           totalScore,
           courseName,
           ownerId,
-          sessionType
+          sessionType,
+          quizId,
+          quizVersion,
+          assignmentWindow ? 'self-paced' : 'live',
+          assignmentWindow ? new Date(assignmentWindow.opensAt) : null,
+          assignmentWindow ? new Date(assignmentWindow.closesAt) : null,
+          reviewDays
         ]
       );
 
@@ -419,6 +634,33 @@ const dbApi = {
     };
   },
 
+  // Open sessions for the server to resume, oldest first. Sessions another
+  // instance is running (it holds their room lease) are left out, and so
+  // are ones created in the last minAgeSeconds, which may still be opening.
+  // A room that was opened and never started counts for a day, or until its
+  // self-paced window closes; after that it is not worth rebuilding.
+  async listUnclaimedOpenSessions(minAgeSeconds = 0) {
+    const result = await pool.query(
+      `SELECT s.* FROM sessions s
+       WHERE (
+           s.status = 'active'
+           OR (s.status = 'created' AND s.created_at > NOW() - INTERVAL '1 day')
+           OR (s.status = 'created' AND s.delivery = 'self-paced' AND s.closes_at > NOW())
+         )
+         AND s.created_at <= NOW() - $1 * INTERVAL '1 second'
+         AND NOT EXISTS (
+           SELECT 1 FROM live_leases l WHERE l.key = 'room:' || s.code AND l.expires_at > NOW()
+         )
+       ORDER BY s.created_at`,
+      [minAgeSeconds]
+    );
+    return result.rows.map(row => ({ ...row, quiz_data: JSON.parse(row.quiz_data) }));
+  },
+
+  async saveSessionLiveState(sessionId, liveState) {
+    await pool.query('UPDATE sessions SET live_state = $2 WHERE id = $1', [sessionId, JSON.stringify(liveState)]);
+  },
+
   async getSessionById(id) {
     const result = await pool.query('SELECT * FROM sessions WHERE id = $1', [id]);
     if (result.rows.length === 0) return null;
@@ -444,6 +686,7 @@ const dbApi = {
   async listSessions(limit = 50, ownerId = null) {
     const result = await pool.query(
       `SELECT s.id, s.code, s.quiz_title, s.status, s.created_at, s.started_at, s.ended_at, s.total_questions, s.course_name, s.is_test,
+              s.delivery, s.opens_at, s.closes_at,
               (SELECT COUNT(*) FROM participants WHERE session_id = s.id) as participant_count
        FROM sessions s
        WHERE ($1::integer IS NULL OR s.owner_id = $1)
@@ -458,6 +701,15 @@ const dbApi = {
     return pool.query('DELETE FROM sessions WHERE code = $1', [code]);
   },
 
+  // An LMS launch names the course only where the host left it blank.
+  async fillSessionCourseName(sessionId, courseName) {
+    await pool.query(
+      `UPDATE sessions SET course_name = $1
+       WHERE id = $2 AND (course_name IS NULL OR TRIM(course_name) = '')`,
+      [courseName, sessionId]
+    );
+  },
+
   async updateSessionMetadata(code, courseName, isTest) {
     return pool.query(
       'UPDATE sessions SET course_name = $1, is_test = $2 WHERE code = $3 RETURNING *',
@@ -465,14 +717,282 @@ const dbApi = {
     );
   },
 
+  // Session image operations. Uploading a name twice replaces the image.
+  async saveSessionAsset(sessionId, name, contentType, data) {
+    await pool.query(
+      `INSERT INTO session_assets (session_id, name, content_type, data, byte_size)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (session_id, name)
+       DO UPDATE SET content_type = EXCLUDED.content_type, data = EXCLUDED.data,
+         byte_size = EXCLUDED.byte_size, created_at = NOW()`,
+      [sessionId, name, contentType, data, data.length]
+    );
+  },
+
+  async listSessionAssets(sessionId) {
+    const result = await pool.query(
+      'SELECT name, content_type, byte_size FROM session_assets WHERE session_id = $1 ORDER BY name',
+      [sessionId]
+    );
+    return result.rows;
+  },
+
+  async getSessionAssetByCode(code, name) {
+    const result = await pool.query(
+      `SELECT a.name, a.content_type, a.data
+       FROM session_assets a
+       JOIN sessions s ON s.id = a.session_id
+       WHERE s.code = $1 AND a.name = $2`,
+      [code, name]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Saved quiz library. Every query is scoped by owner_id in SQL, so a
+  // mismatched owner reads as "not found" rather than someone else's Mash.
+  async createQuiz(ownerId, { title, sessionType, markdown }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO quizzes (owner_id, title, session_type, latest_version)
+         VALUES ($1, $2, $3, 1)
+         RETURNING *`,
+        [ownerId, title, sessionType]
+      );
+      const quiz = result.rows[0];
+      await client.query(
+        'INSERT INTO quiz_versions (quiz_id, version, title, markdown) VALUES ($1, 1, $2, $3)',
+        [quiz.id, title, markdown]
+      );
+      await client.query('COMMIT');
+      return quiz;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (_) {
+        /* ignore */
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Appends a version and moves latest_version to it. The row lock keeps two
+  // concurrent saves from claiming the same version number.
+  async addQuizVersion(quizId, ownerId, { title, markdown }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE quizzes
+         SET latest_version = latest_version + 1, title = $3, updated_at = NOW()
+         WHERE id = $1 AND owner_id = $2
+         RETURNING *`,
+        [quizId, ownerId, title]
+      );
+      const quiz = result.rows[0];
+      if (!quiz) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      await client.query(
+        'INSERT INTO quiz_versions (quiz_id, version, title, markdown) VALUES ($1, $2, $3, $4)',
+        [quiz.id, quiz.latest_version, title, markdown]
+      );
+      await client.query('COMMIT');
+      return quiz;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (_) {
+        /* ignore */
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  async listQuizzes(ownerId) {
+    const result = await pool.query(
+      `SELECT q.id, q.title, q.session_type, q.latest_version, q.created_at, q.updated_at,
+              COUNT(s.id)::integer AS run_count,
+              MAX(s.created_at) AS last_run_at
+       FROM quizzes q
+       LEFT JOIN sessions s ON s.quiz_id = q.id
+       WHERE q.owner_id = $1
+       GROUP BY q.id
+       ORDER BY q.updated_at DESC`,
+      [ownerId]
+    );
+    return result.rows;
+  },
+
+  // One version of a Mash with its Markdown; the latest when version is null.
+  async getQuizVersion(quizId, ownerId, version = null) {
+    const result = await pool.query(
+      `SELECT q.id, q.title AS quiz_title, q.session_type, q.latest_version,
+              v.version, v.title, v.markdown, v.created_at
+       FROM quizzes q
+       JOIN quiz_versions v ON v.quiz_id = q.id AND v.version = COALESCE($3::integer, q.latest_version)
+       WHERE q.id = $1 AND q.owner_id = $2`,
+      [quizId, ownerId, version]
+    );
+    return result.rows[0] || null;
+  },
+
+  async listQuizVersions(quizId, ownerId) {
+    const result = await pool.query(
+      `SELECT v.version, v.title, v.created_at
+       FROM quiz_versions v
+       JOIN quizzes q ON q.id = v.quiz_id
+       WHERE v.quiz_id = $1 AND q.owner_id = $2
+       ORDER BY v.version DESC`,
+      [quizId, ownerId]
+    );
+    return result.rows;
+  },
+
+  // Every session launched from one Mash, newest first, across all versions.
+  async listQuizRuns(quizId, ownerId) {
+    const result = await pool.query(
+      `SELECT s.code, s.quiz_version, s.status, s.course_name, s.is_test,
+              s.created_at, s.started_at, s.ended_at, s.total_questions,
+              COUNT(p.id)::integer AS participant_count,
+              CASE
+                WHEN COALESCE(s.session_type, 'quiz') = 'survey' THEN NULL
+                ELSE ROUND(AVG(p.correct_count * 100.0 / NULLIF(s.total_questions, 0))::numeric, 1)
+              END AS avg_score_percent
+       FROM sessions s
+       LEFT JOIN participants p ON p.session_id = s.id
+       WHERE s.quiz_id = $1 AND s.owner_id = $2
+       GROUP BY s.id
+       ORDER BY s.created_at DESC`,
+      [quizId, ownerId]
+    );
+    return result.rows;
+  },
+
+  // Sessions keep their own quiz_data, so deleting a Mash only unlinks them.
+  async deleteQuiz(quizId, ownerId) {
+    const result = await pool.query(
+      'DELETE FROM quizzes WHERE id = $1 AND owner_id = $2',
+      [quizId, ownerId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Course rosters, scoped by owner and Mash group in SQL like the library.
+  async listRosterStudents(ownerId, courseName) {
+    const result = await pool.query(
+      `SELECT id, student_key, display_name, created_at
+       FROM roster_students
+       WHERE owner_id = $1 AND course_name = $2
+       ORDER BY display_name, student_key`,
+      [ownerId, courseName]
+    );
+    return result.rows;
+  },
+
+  // Imports add new students and rename existing ones by student_key. Nobody
+  // is removed, so earlier sessions keep their links.
+  async importRosterStudents(ownerId, courseName, students) {
+    const result = await pool.query(
+      `INSERT INTO roster_students (owner_id, course_name, student_key, display_name)
+       SELECT $1, $2, s.student_key, s.display_name
+       FROM UNNEST($3::text[], $4::text[]) AS s(student_key, display_name)
+       ON CONFLICT (owner_id, course_name, student_key)
+       DO UPDATE SET display_name = EXCLUDED.display_name
+       RETURNING (xmax = 0) AS inserted`,
+      [
+        ownerId,
+        courseName,
+        students.map(student => student.studentKey),
+        students.map(student => student.displayName)
+      ]
+    );
+    const added = result.rows.filter(row => row.inserted).length;
+    return { added, updated: result.rows.length - added };
+  },
+
+  async deleteRosterStudent(studentId, ownerId, courseName) {
+    const result = await pool.query(
+      'DELETE FROM roster_students WHERE id = $1 AND owner_id = $2 AND course_name = $3',
+      [studentId, ownerId, courseName]
+    );
+    return result.rowCount > 0;
+  },
+
+  // The roster of a session's current Mash group, so renaming the group on
+  // the session changes which class list its join page offers.
+  async listRosterForSession(sessionId) {
+    const result = await pool.query(
+      `SELECT r.id, r.display_name
+       FROM sessions s
+       JOIN roster_students r
+         ON r.owner_id = s.owner_id AND r.course_name = TRIM(s.course_name)
+       WHERE s.id = $1`,
+      [sessionId]
+    );
+    return result.rows;
+  },
+
+  // The roster students a session's participants picked when they joined,
+  // with their student IDs, for the gradebook export.
+  async listSessionRosterStudents(sessionId) {
+    const result = await pool.query(
+      `SELECT r.id, r.student_key, r.display_name
+       FROM roster_students r
+       WHERE r.id IN (
+         SELECT roster_student_id FROM participants
+         WHERE session_id = $1 AND roster_student_id IS NOT NULL
+       )`,
+      [sessionId]
+    );
+    return result.rows;
+  },
+
+  // Completed, non-test quiz sessions of one Mash group, newest first.
+  async listCourseReportSessions(ownerId, courseName, limit) {
+    const result = await pool.query(
+      `SELECT id, code, quiz_title, quiz_data, session_type, created_at, ended_at
+       FROM sessions
+       WHERE owner_id = $1
+         AND TRIM(course_name) = $2
+         AND status = 'ended'
+         AND is_test = false
+         AND COALESCE(session_type, 'quiz') = 'quiz'
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [ownerId, courseName, limit]
+    );
+    return result.rows;
+  },
+
   // Participant operations
-  async createParticipant(sessionId, name, socketId = null, avatarId = null) {
+  async createParticipant(
+    sessionId,
+    name,
+    socketId = null,
+    avatarId = null,
+    { rosterStudentId = null, team = null, accessTokenDigest = null, lti = null } = {}
+  ) {
     const id = generateParticipantId();
     await pool.query(
-      'INSERT INTO participants (id, session_id, name, socket_id, avatar_id) VALUES ($1, $2, $3, $4, $5)',
-      [id, sessionId, name, socketId, avatarId]
+      `INSERT INTO participants (id, session_id, name, socket_id, avatar_id, roster_student_id, team, access_token_digest,
+         lti_issuer, lti_client_id, lti_user_id, lti_lineitem)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        id, sessionId, name, socketId, avatarId, rosterStudentId, team, accessTokenDigest,
+        lti ? lti.issuer : null,
+        lti ? lti.clientId : null,
+        lti ? lti.userId : null,
+        lti ? lti.lineItem : null
+      ]
     );
-    return { id, sessionId, name, avatarId };
+    return { id, sessionId, name, avatarId, rosterStudentId, team };
   },
 
   async getParticipant(id) {
@@ -500,6 +1020,10 @@ const dbApi = {
     );
   },
 
+  async saveParticipantProgress(id, progress) {
+    await pool.query('UPDATE participants SET progress = $2 WHERE id = $1', [id, JSON.stringify(progress)]);
+  },
+
   async updateParticipantSocket(id, socketId) {
     return pool.query('UPDATE participants SET socket_id = $1 WHERE id = $2', [socketId, id]);
   },
@@ -508,12 +1032,32 @@ const dbApi = {
     return pool.query('UPDATE participants SET avatar_id = $1 WHERE id = $2', [avatarId, id]);
   },
 
+  async updateParticipantAccessToken(id, accessTokenDigest) {
+    return pool.query('UPDATE participants SET access_token_digest = $1 WHERE id = $2', [accessTokenDigest, id]);
+  },
+
   // Answer operations
-  async recordAnswer(sessionId, participantId, questionIndex, answerIndex, isCorrect, responseTimeMs = null) {
+  // answer_value holds anything an option index cannot: multi-select picks,
+  // numbers, and free text. answer_index is null for those rows. points is
+  // what the answer earned when it was submitted. A participant has one row
+  // per question: answering a re-run question replaces the earlier row.
+  async recordAnswer(sessionId, participantId, questionIndex, answerIndex, isCorrect, responseTimeMs = null, answerValue = null, points = null) {
     return pool.query(
-      `INSERT INTO answers (session_id, participant_id, question_index, answer_index, is_correct, response_time_ms)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [sessionId, participantId, questionIndex, answerIndex, isCorrect ? 1 : 0, responseTimeMs]
+      `WITH replaced AS (
+         DELETE FROM answers WHERE session_id = $1 AND participant_id = $2 AND question_index = $3
+       )
+       INSERT INTO answers (session_id, participant_id, question_index, answer_index, answer_value, is_correct, response_time_ms, points)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        sessionId,
+        participantId,
+        questionIndex,
+        answerIndex,
+        answerValue === null ? null : JSON.stringify(answerValue),
+        isCorrect ? 1 : 0,
+        responseTimeMs,
+        points
+      ]
     );
   },
 
@@ -545,11 +1089,35 @@ const dbApi = {
     }
   },
 
+  // Every answer to one question, named or anonymous, for a question the
+  // host runs again from scratch or steps back over.
+  async deleteQuestionAnswers(sessionId, questionIndex) {
+    return pool.query(
+      'DELETE FROM answers WHERE session_id = $1 AND question_index = $2',
+      [sessionId, questionIndex]
+    );
+  },
+
   async getAnswersBySession(sessionId) {
     const result = await pool.query('SELECT * FROM answers WHERE session_id = $1', [sessionId]);
     return result.rows;
   },
 
+  async recordSessionEvent(sessionId, type, details, occurredAt = new Date()) {
+    await pool.query(
+      'INSERT INTO session_events (session_id, type, details, occurred_at) VALUES ($1, $2, $3, $4)',
+      [sessionId, type, JSON.stringify(details || {}), occurredAt]
+    );
+  },
+
+  async listSessionEvents(sessionId) {
+    const result = await pool.query(
+      'SELECT type, details, occurred_at FROM session_events WHERE session_id = $1 ORDER BY occurred_at, id',
+      [sessionId]
+    );
+    return result.rows;
+  },
+
   async getAnswersByParticipant(participantId) {
     const result = await pool.query('SELECT * FROM answers WHERE participant_id = $1', [participantId]);
     return result.rows;
@@ -572,6 +1140,8 @@ const dbApi = {
         s.id, s.code, s.quiz_title, s.status, s.created_at, s.started_at, s.ended_at,
         s.total_questions, s.total_score, s.course_name, s.is_test,
         COALESCE(s.session_type, 'quiz') as session_type,
+        s.quiz_id, s.quiz_version,
+        (SELECT title FROM quizzes WHERE id = s.quiz_id) as library_title,
         COUNT(DISTINCT p.id) as participant_count,
         COALESCE(MAX(a.response_count), 0) as response_count,
         CASE
@@ -617,12 +1187,22 @@ const dbApi = {
     const result = await pool.query(
       `SELECT
         a.question_index,
-        a.answer_index,
+        picked.answer_index,
         COUNT(*) as count
       FROM answers a
+      -- A multi-select row counts once for every option it picked
+      CROSS JOIN LATERAL (
+        SELECT a.answer_index
+        WHERE jsonb_typeof(a.answer_value) IS DISTINCT FROM 'array'
+        UNION ALL
+        SELECT choice::integer
+        FROM jsonb_array_elements_text(
+          CASE WHEN jsonb_typeof(a.answer_value) = 'array' THEN a.answer_value ELSE '[]'::jsonb END
+        ) AS choice
+      ) picked(answer_index)
       WHERE a.session_id = $1
-      GROUP BY a.question_index, a.answer_index
-      ORDER BY a.question_index, a.answer_index`,
+      GROUP BY a.question_index, picked.answer_index
+      ORDER BY a.question_index, picked.answer_index`,
       [sessionId]
     );
     return result.rows;
@@ -631,7 +1211,7 @@ const dbApi = {
   async getParticipantPerformance(sessionId) {
     const result = await pool.query(
       `SELECT
-        p.id, p.name, p.score, p.correct_count,
+        p.id, p.name, p.team, p.score, p.correct_count,
         ROUND(AVG(a.response_time_ms)::numeric, 0) as avg_response_time_ms,
         COUNT(a.id) as questions_answered
       FROM participants p
@@ -693,7 +1273,7 @@ const dbApi = {
 
   async getParticipantAnswers(sessionId) {
     const result = await pool.query(
-      `SELECT participant_id, question_index, is_correct
+      `SELECT participant_id, question_index, answer_index, answer_value, is_correct, points
        FROM answers
        WHERE session_id = $1
        ORDER BY participant_id, question_index`,
@@ -706,9 +1286,12 @@ const dbApi = {
     const result = await pool.query(
       `SELECT
         p.name as participant_name,
+        p.team as participant_team,
         a.question_index,
         a.answer_index,
+        a.answer_value,
         a.is_correct,
+        a.points,
         a.response_time_ms,
         a.answered_at
       FROM answers a
@@ -1343,6 +1926,266 @@ const dbApi = {
     return result.rows;
   },
 
+  // ============================================
+  // WEBHOOKS
+  // ============================================
+
+  async listWebhookSubscriptions(ownerId) {
+    const result = await pool.query(
+      `SELECT w.id, w.url, w.events, w.secret, w.active, w.created_at,
+         (SELECT d.status FROM webhook_deliveries d
+           WHERE d.subscription_id = w.id ORDER BY d.created_at DESC, d.id DESC LIMIT 1) AS last_status
+       FROM webhook_subscriptions w
+       WHERE w.owner_id = $1
+       ORDER BY w.created_at, w.id`,
+      [ownerId]
+    );
+    return result.rows;
+  },
+
+  async getWebhookSubscription(id, ownerId) {
+    const result = await pool.query(
+      'SELECT id, url, events, secret, active, created_at FROM webhook_subscriptions WHERE id = $1 AND owner_id = $2',
+      [id, ownerId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // The per-account cap is checked in the same statement as the insert, so
+  // two quick submissions cannot both slip under it. Null means the cap was hit.
+  async createWebhookSubscription(ownerId, { url, events, secret }, limit) {
+    const result = await pool.query(
+      `INSERT INTO webhook_subscriptions (owner_id, url, events, secret)
+       SELECT $1, $2, $3, $4
+       WHERE (SELECT COUNT(*) FROM webhook_subscriptions WHERE owner_id = $1) < $5
+       RETURNING id, url, events, secret, active, created_at`,
+      [ownerId, url, events, secret, limit]
+    );
+    return result.rows[0] || null;
+  },
+
+  async setWebhookSubscriptionActive(id, ownerId, active) {
+    const result = await pool.query(
+      `UPDATE webhook_subscriptions SET active = $3
+       WHERE id = $1 AND owner_id = $2
+       RETURNING id, url, events, secret, active, created_at`,
+      [id, ownerId, active]
+    );
+    return result.rows[0] || null;
+  },
+
+  async deleteWebhookSubscription(id, ownerId) {
+    const result = await pool.query(
+      'DELETE FROM webhook_subscriptions WHERE id = $1 AND owner_id = $2',
+      [id, ownerId]
+    );
+    return result.rowCount > 0;
+  },
+
+  async listActiveWebhookSubscriptions(ownerId, eventType) {
+    const result = await pool.query(
+      `SELECT id, url, secret FROM webhook_subscriptions
+       WHERE owner_id = $1 AND active AND $2 = ANY(events)`,
+      [ownerId, eventType]
+    );
+    return result.rows;
+  },
+
+  // A new delivery starts leased until leaseUntil, while its first attempt runs.
+  async createWebhookDelivery(subscriptionId, event, leaseUntil) {
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, next_attempt_at)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, subscription_id, event_type, attempts`,
+      [subscriptionId, event.id, event.type, JSON.stringify(event), leaseUntil]
+    );
+    return result.rows[0];
+  },
+
+  async recordWebhookAttempt(deliveryId, { status, attempts, responseStatus, error, nextAttemptAt }) {
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+         next_attempt_at = $6, updated_at = NOW()
+       WHERE id = $1`,
+      [deliveryId, status, attempts, responseStatus, error, nextAttemptAt]
+    );
+  },
+
+  // Pending deliveries whose retry time has come, leased to this caller.
+  // SKIP LOCKED keeps two sweeps from claiming the same row.
+  async claimDueWebhookDeliveries(limit, leaseUntil) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = $2, updated_at = NOW()
+       FROM webhook_subscriptions w
+       WHERE d.id IN (
+           SELECT id FROM webhook_deliveries
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         AND w.id = d.subscription_id
+       RETURNING d.id, d.subscription_id, d.payload, d.attempts, w.url, w.secret`,
+      [limit, leaseUntil]
+    );
+    return result.rows;
+  },
+
+  async listWebhookDeliveries(subscriptionId, ownerId, limit = 25) {
+    const result = await pool.query(
+      `SELECT d.id, d.event_id, d.event_type, d.status, d.attempts, d.response_status,
+         d.last_error, d.next_attempt_at, d.created_at, d.updated_at
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions w ON w.id = d.subscription_id
+       WHERE d.subscription_id = $1 AND w.owner_id = $2
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $3`,
+      [subscriptionId, ownerId, limit]
+    );
+    return result.rows;
+  },
+
+  // The delivery log keeps a month of history.
+  async pruneWebhookDeliveries(days = 30) {
+    await pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status <> 'pending' AND created_at < NOW() - ($1 * INTERVAL '1 day')`,
+      [days]
+    );
+  },
+
+  // ============================================
+  // API TOKENS
+  // ============================================
+
+  async listApiTokens(ownerId) {
+    const result = await pool.query(
+      `SELECT id, name, token_hint, scopes, last_used_at, created_at
+       FROM api_tokens
+       WHERE owner_id = $1 AND revoked_at IS NULL
+       ORDER BY created_at, id`,
+      [ownerId]
+    );
+    return result.rows;
+  },
+
+  // Same single-statement cap as webhooks. Null means the cap was hit.
+  async createApiToken(ownerId, { name, scopes, tokenHash, tokenHint }, limit) {
+    const result = await pool.query(
+      `INSERT INTO api_tokens (owner_id, name, scopes, token_hash, token_hint)
+       SELECT $1, $2, $3, $4, $5
+       WHERE (SELECT COUNT(*) FROM api_tokens WHERE owner_id = $1 AND revoked_at IS NULL) < $6
+       RETURNING id, name, token_hint, scopes, last_used_at, created_at`,
+      [ownerId, name, scopes, tokenHash, tokenHint, limit]
+    );
+    return result.rows[0] || null;
+  },
+
+  async getApiTokenByHash(tokenHash) {
+    const result = await pool.query(
+      `SELECT id, owner_id, scopes, last_used_at
+       FROM api_tokens
+       WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Written at most once a minute per token, so a busy script does not turn
+  // every read into a write.
+  async touchApiToken(id) {
+    await pool.query(
+      `UPDATE api_tokens SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [id]
+    );
+  },
+
+  async revokeApiToken(id, ownerId) {
+    const result = await pool.query(
+      `UPDATE api_tokens SET revoked_at = NOW()
+       WHERE id = $1 AND owner_id = $2 AND revoked_at IS NULL`,
+      [id, ownerId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // ============================================
+  // LIVE STATE
+  // ============================================
+
+  // Takes the lease when it is free, expired, or already this holder's, so
+  // the same call both claims and renews. False means someone else holds it.
+  async acquireLiveLease(key, holder, ttlMs) {
+    const result = await pool.query(
+      `INSERT INTO live_leases (key, holder, expires_at)
+       VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE
+         SET holder = EXCLUDED.holder, expires_at = EXCLUDED.expires_at
+         WHERE live_leases.holder = EXCLUDED.holder OR live_leases.expires_at <= NOW()`,
+      [key, holder, ttlMs]
+    );
+    return result.rowCount > 0;
+  },
+
+  async releaseLiveLease(key, holder) {
+    await pool.query('DELETE FROM live_leases WHERE key = $1 AND holder = $2', [key, holder]);
+  },
+
+  async getLiveLeaseHolder(key) {
+    const result = await pool.query(
+      'SELECT holder FROM live_leases WHERE key = $1 AND expires_at > NOW()',
+      [key]
+    );
+    // An instance's registration holds its address, which may be ''.
+    return result.rows.length > 0 ? result.rows[0].holder : null;
+  },
+
+  // NOTIFY payloads are capped at 8000 bytes; anything near that goes into
+  // live_messages and only its id is sent.
+  async publishLiveMessage(channel, payload) {
+    if (Buffer.byteLength(payload) < 7000) {
+      await pool.query('SELECT pg_notify($1, $2)', [channel, payload]);
+      return;
+    }
+    await pool.query(
+      `WITH stored AS (INSERT INTO live_messages (payload) VALUES ($2) RETURNING id)
+       SELECT pg_notify($1, json_build_object('ref', id)::text) FROM stored`,
+      [channel, payload]
+    );
+  },
+
+  async getLiveMessage(id) {
+    const result = await pool.query('SELECT payload FROM live_messages WHERE id = $1', [id]);
+    return result.rows[0]?.payload || null;
+  },
+
+  async pruneLiveState() {
+    await pool.query("DELETE FROM live_messages WHERE created_at < NOW() - INTERVAL '5 minutes'");
+    await pool.query('DELETE FROM live_leases WHERE expires_at < NOW()');
+  },
+
+  // LISTEN needs a connection of its own for as long as the server runs.
+  // onError hears about a lost connection; the caller decides when to
+  // listen again.
+  async listenLiveMessages(channel, onPayload, onError) {
+    const client = await pool.connect();
+    client.on('notification', notification => {
+      if (notification.channel === channel) onPayload(notification.payload);
+    });
+    client.on('error', error => {
+      client.release(error);
+      onError(error);
+    });
+    await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+    return async () => {
+      await client.query(`UNLISTEN ${client.escapeIdentifier(channel)}`).catch(() => {});
+      client.release();
+    };
+  },
+
   // ============================================
   // ACTIVITY LOG
   // ============================================
@@ -0,0 +1,159 @@
+// Pure gradebook export: one row per student with their score for a quiz
+// session, laid out for a Canvas or Blackboard grade import or as a plain CSV
+// with the columns the host picks. No sockets, no timers, no database —
+// server.js owns all of that.
+
+const { gradeAnswer, storedAnswer } = require('./answer-grading');
+const { isScored } = require('./quiz-structure');
+const { scorePercent, storedPoints, weightedCredit } = require('./scoring');
+const { escapeCSV } = require('./security-utils');
+
+const GRADEBOOK_FORMATS = ['generic', 'canvas', 'blackboard'];
+const GRADEBOOK_COLUMNS = {
+  name: 'Student',
+  studentId: 'Student ID',
+  team: 'Team',
+  score: 'Score',
+  possible: 'Points Possible',
+  percent: 'Percent',
+  correct: 'Correct Answers',
+  answered: 'Questions Answered',
+  passed: 'Passed'
+};
+const DEFAULT_GRADEBOOK_COLUMNS = ['name', 'studentId', 'score', 'possible', 'percent', 'passed'];
+
+// format defaults to generic; columns is a comma-separated list of
+// GRADEBOOK_COLUMNS keys (generic only); grade is what the LMS column holds,
+// points or percent. Returns { format, columns, grade } or { error }.
+function normalizeGradebookOptions({ format, columns, grade } = {}) {
+  const chosenFormat = format === undefined || format === '' ? 'generic' : String(format).toLowerCase();
+  if (!GRADEBOOK_FORMATS.includes(chosenFormat)) {
+    return { error: `Gradebook format must be one of ${GRADEBOOK_FORMATS.join(', ')}` };
+  }
+  const chosenGrade = grade === undefined || grade === '' ? 'points' : String(grade).toLowerCase();
+  if (chosenGrade !== 'points' && chosenGrade !== 'percent') {
+    return { error: 'Gradebook grade must be points or percent' };
+  }
+
+  let chosenColumns = DEFAULT_GRADEBOOK_COLUMNS;
+  if (columns !== undefined && columns !== '') {
+    chosenColumns = [...new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean))];
+    const unknown = chosenColumns.find(column => !GRADEBOOK_COLUMNS[column]);
+    if (unknown) return { error: `Unknown gradebook column: ${unknown}` };
+    if (chosenColumns.length === 0) return { error: 'Choose at least one gradebook column' };
+  }
+  return { format: chosenFormat, columns: chosenColumns, grade: chosenGrade };
+}
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Participants linked to a roster student are one row per student, keeping
+// the stronger attempt as the course report does; anyone who joined under a
+// typed name is a row of their own with no student ID.
+function buildGradebookRows({ quiz, participants, answers, students = [] }) {
+  const studentById = new Map(students.map(student => [student.id, student]));
+  const totals = new Map(participants.map(participant => [participant.id, {
+    points: 0,
+    credit: 0,
+    correct: 0,
+    answered: 0
+  }]));
+
+  for (const row of answers) {
+    const total = totals.get(row.participant_id);
+    const question = quiz.questions[row.question_index];
+    if (!total || !question || !isScored(question)) continue;
+    const verdict = gradeAnswer(question, storedAnswer(row));
+    total.points += storedPoints(quiz, question, row, verdict.credit);
+    total.credit += weightedCredit(question, verdict);
+    total.answered += 1;
+    if (verdict.isCorrect) total.correct += 1;
+  }
+
+  const rows = [];
+  const bestByStudent = new Map();
+  for (const participant of participants) {
+    const total = totals.get(participant.id);
+    const student = studentById.get(participant.roster_student_id) || null;
+    const percent = scorePercent(quiz, total.credit);
+    const row = {
+      name: student ? student.display_name : participant.name,
+      studentId: student ? student.student_key : '',
+      team: participant.team || '',
+      score: roundPoints(total.points),
+      possible: quiz.totalScore,
+      percent,
+      correct: total.correct,
+      answered: total.answered,
+      passed: percent >= quiz.passingPercent,
+      credit: total.credit
+    };
+    if (!student) {
+      rows.push(row);
+      continue;
+    }
+    const best = bestByStudent.get(student.id);
+    if (!best || row.credit > best.credit) bestByStudent.set(student.id, row);
+  }
+
+  return [...bestByStudent.values(), ...rows]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ credit, ...row }) => row);
+}
+
+function gradeValue(row, grade) {
+  return grade === 'percent' ? row.percent : row.score;
+}
+
+function cellValue(row, column) {
+  if (column === 'passed') return row.passed ? 'Yes' : 'No';
+  if (typeof row[column] === 'number') return row[column];
+  return escapeCSV(row[column]);
+}
+
+// "Ada Lovelace" → last "Lovelace", first "Ada"; one-word names are a last name.
+function splitName(name) {
+  const parts = String(name).trim().split(/\s+/);
+  const last = parts.pop() || '';
+  return { first: parts.join(' '), last };
+}
+
+// Canvas matches students on SIS User ID and reads the row under the header
+// as points possible; Blackboard matches on Username and creates the column
+// from "<name> [Total Pts: N Score]". The roster's student ID fills both.
+function toGradebookCsv(rows, { format, columns, grade, assignmentTitle, totalScore }) {
+  const possible = grade === 'percent' ? 100 : totalScore;
+  const lines = [];
+
+  if (format === 'canvas') {
+    lines.push(['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', escapeCSV(assignmentTitle)].join(','));
+    lines.push(['Points Possible', '', '', '', '', possible].join(','));
+    for (const row of rows) {
+      lines.push([escapeCSV(row.name), '', escapeCSV(row.studentId), '', '', gradeValue(row, grade)].join(','));
+    }
+  } else if (format === 'blackboard') {
+    lines.push(['Last Name', 'First Name', 'Username', escapeCSV(`${assignmentTitle} [Total Pts: ${possible} Score]`)].join(','));
+    for (const row of rows) {
+      const { first, last } = splitName(row.name);
+      lines.push([escapeCSV(last), escapeCSV(first), escapeCSV(row.studentId), gradeValue(row, grade)].join(','));
+    }
+  } else {
+    lines.push(columns.map(column => GRADEBOOK_COLUMNS[column]).join(','));
+    for (const row of rows) {
+      lines.push(columns.map(column => cellValue(row, column)).join(','));
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_GRADEBOOK_COLUMNS,
+  GRADEBOOK_COLUMNS,
+  GRADEBOOK_FORMATS,
+  buildGradebookRows,
+  normalizeGradebookOptions,
+  toGradebookCsv
+};
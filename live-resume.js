@@ -0,0 +1,113 @@
+// Pure rules for bringing a live room back after a restart: the room state
+// saved at each transition, the participants rebuilt from their stored rows
+// and answers, and which of their questions were already banked.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { gradeAnswer, storedAnswer } = require('./answer-grading');
+const { questionForStep } = require('./quiz-structure');
+const { storedPoints } = require('./scoring');
+const { createProgress } = require('./self-paced');
+const { questionOrderFor } = require('./shuffle');
+
+const LIVE_STATE_VERSION = 1;
+
+function toDictionary(value) {
+  return Object.assign(Object.create(null), value || {});
+}
+
+// Everything about the room's position that is not in the participant and
+// answer tables. Timers are saved as the times they were due.
+function toLiveState(session) {
+  return {
+    version: LIVE_STATE_VERSION,
+    quizState: { ...session.quizState },
+    questionStartTime: session.questionStartTime,
+    sidekicksEnabled: session.sidekicksEnabled !== false,
+    rankSnapshot: session.rankSnapshot,
+    teamRankSnapshot: session.teamRankSnapshot,
+    lastQuestionPresentation: session.lastQuestionPresentation,
+    optionOrders: session.optionOrders,
+    surveyCounts: session.surveyCounts
+  };
+}
+
+// Puts saved state back onto a fresh session state. A missing or older
+// save leaves the room where a new one starts.
+function restoreLiveState(session, state) {
+  if (!state || state.version !== LIVE_STATE_VERSION) return session;
+  Object.assign(session.quizState, state.quizState);
+  session.questionStartTime = state.questionStartTime ?? null;
+  session.sidekicksEnabled = state.sidekicksEnabled !== false;
+  session.rankSnapshot = state.rankSnapshot || {};
+  session.teamRankSnapshot = state.teamRankSnapshot || {};
+  session.lastQuestionPresentation = state.lastQuestionPresentation || null;
+  session.optionOrders = toDictionary(state.optionOrders);
+  session.surveyCounts = toDictionary(state.surveyCounts);
+  return session;
+}
+
+// A participant as they joined, with every answer they have stored. Totals
+// start at zero; the caller banks the closed questions on top.
+function restoreParticipant(row, answerRows, quiz, { selfPaced = false } = {}) {
+  const participant = {
+    id: row.id,
+    name: row.name,
+    team: row.team || null,
+    score: 0,
+    correctCount: 0,
+    earnedCredit: 0,
+    points: 0,
+    questionPoints: {},
+    currentStreak: 0,
+    bestStreak: 0,
+    answers: {},
+    responseTimes: {},
+    surveyAnsweredQuestions: Object.create(null),
+    progress: selfPaced ? row.progress || createProgress(questionOrderFor(quiz, row.id)) : null,
+    socketId: null,
+    avatarId: row.avatar_id || null,
+    avatarShuffled: false,
+    accessTokenDigest: row.access_token_digest || null,
+    lti: row.lti_user_id
+      ? {
+          issuer: row.lti_issuer,
+          clientId: row.lti_client_id,
+          userId: row.lti_user_id,
+          lineItem: row.lti_lineitem
+        }
+      : null
+  };
+
+  for (const answer of answerRows) {
+    const question = quiz.questions[answer.question_index];
+    if (!question || participant.answers[question.id] !== undefined) continue;
+    const value = storedAnswer(answer);
+    participant.answers[question.id] = value;
+    participant.questionPoints[question.id] = storedPoints(quiz, question, answer, gradeAnswer(question, value).credit);
+    participant.responseTimes[question.id] = answer.response_time_ms ?? null;
+  }
+  return participant;
+}
+
+// The questions already closed at a position, in the order they were
+// played. stepIndex is the current position; resultShown says whether the
+// question there has closed too. stepOrder maps positions to quiz steps for
+// a self-paced participant with shuffled questions.
+function bankedQuestions(quiz, { stepIndex, stepOrder = null, resultShown = false }) {
+  const questions = [];
+  const positions = stepOrder ? stepOrder.length : quiz.steps.length;
+  for (let position = 0; position <= stepIndex && position < positions; position++) {
+    if (position === stepIndex && !resultShown) break;
+    const question = questionForStep(quiz, stepOrder ? stepOrder[position] : position);
+    if (question) questions.push(question);
+  }
+  return questions;
+}
+
+module.exports = {
+  LIVE_STATE_VERSION,
+  bankedQuestions,
+  restoreLiveState,
+  restoreParticipant,
+  toLiveState
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Marks a request one instance passed to another, so it is never passed on
+// a second time.
+const FORWARDED_HEADER = 'x-markdown-mash-forwarded';
+
+// Keeps each live room on exactly one server instance. The instance that
+// opens a room holds its lease, and with it the room's state and timers, so
+// question expiry and autopilot fire once. Other instances pass that room's
+// socket events and HTTP requests through to the holder. server.js renews
+// the leases on an interval.
+function createLiveRooms({
+  store,
+  instanceId = crypto.randomUUID(),
+  address = null,
+  leaseMs = 30 * 1000
+}) {
+  const roomKey = code => `room:${code}`;
+  const instanceKey = id => `instance:${id}`;
+
+  // Another live instance holding the room, as { instanceId, address }, or
+  // null when the room is this instance's or nobody's.
+  async function remoteOwnerOf(code) {
+    const holder = await store.leaseHolder(roomKey(code));
+    if (!holder || holder === instanceId) return null;
+    const ownerAddress = await store.leaseHolder(instanceKey(holder));
+    if (ownerAddress === null) return null;
+    return { instanceId: holder, address: ownerAddress || null };
+  }
+
+  // Renews this instance's registration and every room it runs. Returns the
+  // codes whose lease was lost, which the caller must stop running.
+  async function renew(codes) {
+    await store.acquireLease(instanceKey(instanceId), address || '', leaseMs);
+    const lost = [];
+    for (const code of codes) {
+      if (!await store.acquireLease(roomKey(code), instanceId, leaseMs)) lost.push(code);
+    }
+    return lost;
+  }
+
+  async function isInstanceAlive(id) {
+    return (await store.leaseHolder(instanceKey(id))) !== null;
+  }
+
+  function send(targetInstanceId, message) {
+    return store.publish(instanceKey(targetInstanceId), { ...message, from: instanceId });
+  }
+
+  function onMessage(handler) {
+    return store.subscribe(instanceKey(instanceId), handler);
+  }
+
+  return {
+    instanceId,
+    leaseMs,
+    claim: code => store.acquireLease(roomKey(code), instanceId, leaseMs),
+    release: code => store.releaseLease(roomKey(code), instanceId),
+    remoteOwnerOf,
+    renew,
+    isInstanceAlive,
+    send,
+    onMessage
+  };
+}
+
+// Stands in for a socket connected to another instance while this one runs
+// its room. Handlers attached to it behave as they would on a local socket:
+// emits, joins and disconnects reach the real socket through the adapter.
+function createRemoteSocket(io, { id, data, auth, origin }) {
+  const handlers = new Map();
+  return {
+    id,
+    data,
+    origin,
+    handshake: { auth: auth || {} },
+    on(event, handler) {
+      handlers.set(event, handler);
+      return this;
+    },
+    emit(event, ...args) {
+      io.to(id).emit(event, ...args);
+      return true;
+    },
+    join(room) {
+      io.in(id).socketsJoin(room);
+    },
+    leave(room) {
+      io.in(id).socketsLeave(room);
+    },
+    disconnect(close = false) {
+      io.in(id).disconnectSockets(close);
+      return this;
+    },
+    dispatch(event, args) {
+      return handlers.get(event)?.(...args);
+    }
+  };
+}
+
+// Passes an untouched request (body not yet read) to the instance at
+// address and streams its answer back.
+function forwardRequest(req, res, { address, instanceId }) {
+  const target = new URL(req.originalUrl, address);
+  const transport = target.protocol === 'https:' ? https : http;
+  const upstream = transport.request(target, {
+    method: req.method,
+    headers: { ...req.headers, [FORWARDED_HEADER]: instanceId }
+  }, response => {
+    res.writeHead(response.statusCode, response.headers);
+    response.pipe(res);
+  });
+  upstream.on('error', error => {
+    console.error(`Forwarding ${req.method} ${req.originalUrl} failed:`, error.message);
+    if (!res.headersSent) {
+      res.status(502).json({ success: false, error: 'The server running this room is unavailable' });
+    } else {
+      res.destroy(error);
+    }
+  });
+  req.pipe(upstream);
+}
+
+module.exports = {
+  FORWARDED_HEADER,
+  createLiveRooms,
+  createRemoteSocket,
+  forwardRequest
+};
@@ -0,0 +1,40 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// A Socket.IO adapter that carries broadcasts, room joins and fetchSockets
+// between server instances over a live state store, so io.to(room).emit
+// reaches sockets connected to any instance.
+class LiveStateAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, options) {
+    super(nsp, options);
+    this.store = store;
+    this.channel = `socket.io#${nsp.name}`;
+    this.unsubscribers = [
+      store.subscribe(this.channel, message => this.onMessage(message)),
+      store.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response))
+    ];
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, message);
+    // Offsets are only used for connection state recovery, which is off.
+    return '';
+  }
+
+  doPublishResponse(requesterUid, response) {
+    return this.store.publish(`${this.channel}#${requesterUid}`, response);
+  }
+
+  close() {
+    super.close();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// Socket.IO calls this with new, so it cannot be an arrow function.
+function createLiveStateAdapter(store, options = {}) {
+  return function (nsp) {
+    return new LiveStateAdapter(nsp, store, options);
+  };
+}
+
+module.exports = { createLiveStateAdapter };
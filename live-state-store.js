@@ -0,0 +1,154 @@
+// Where server instances agree on which of them runs each live room, and how
+// they pass messages to one another. The memory store serves a single process
+// (and the tests, which share one between several servers); the Postgres
+// store lets separate processes share rooms through the live_leases table and
+// LISTEN/NOTIFY. Messages go through JSON either way, so nothing that works
+// in tests depends on sharing objects.
+
+function subscriptionSet() {
+  const handlers = new Map();
+  return {
+    add(channel, handler) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(handler);
+      return () => {
+        handlers.get(channel)?.delete(handler);
+        if (handlers.get(channel)?.size === 0) handlers.delete(channel);
+      };
+    },
+    deliver(channel, message) {
+      for (const handler of handlers.get(channel) || []) {
+        try {
+          handler(message);
+        } catch (error) {
+          console.error(`Live state handler error on ${channel}:`, error);
+        }
+      }
+    }
+  };
+}
+
+function createMemoryLiveStateStore({ now = () => Date.now() } = {}) {
+  const leases = new Map();
+  const subscriptions = subscriptionSet();
+
+  function currentHolder(key) {
+    const lease = leases.get(key);
+    if (!lease || lease.expiresAt <= now()) return null;
+    return lease.holder;
+  }
+
+  return {
+    async start() {},
+
+    async acquireLease(key, holder, ttlMs) {
+      const current = currentHolder(key);
+      if (current && current !== holder) return false;
+      leases.set(key, { holder, expiresAt: now() + ttlMs });
+      return true;
+    },
+
+    async releaseLease(key, holder) {
+      if (leases.get(key)?.holder === holder) leases.delete(key);
+    },
+
+    async leaseHolder(key) {
+      return currentHolder(key);
+    },
+
+    // Delivered on a later turn, in order, like a NOTIFY.
+    async publish(channel, message) {
+      const payload = JSON.stringify(message);
+      await Promise.resolve();
+      subscriptions.deliver(channel, JSON.parse(payload));
+    },
+
+    subscribe(channel, handler) {
+      return subscriptions.add(channel, handler);
+    },
+
+    async close() {}
+  };
+}
+
+function createPostgresLiveStateStore(db, { channel = 'markdown_mash_live', retryMs = 1000 } = {}) {
+  const subscriptions = subscriptionSet();
+  let stopListening = null;
+  let closed = false;
+  // Both directions are chained so messages keep their order: a publish is
+  // committed before the next starts, and a large message fetched from
+  // live_messages is delivered before the small one behind it.
+  let publishing = Promise.resolve();
+  let receiving = Promise.resolve();
+
+  async function receive(payload) {
+    try {
+      let text = payload;
+      const reference = JSON.parse(payload).ref;
+      if (reference) {
+        text = await db.getLiveMessage(reference);
+        if (!text) return;
+      }
+      const envelope = JSON.parse(text);
+      subscriptions.deliver(envelope.channel, envelope.message);
+    } catch (error) {
+      console.error('Live state message error:', error.message);
+    }
+  }
+
+  async function listen() {
+    stopListening = await db.listenLiveMessages(
+      channel,
+      payload => {
+        receiving = receiving.then(() => receive(payload));
+      },
+      error => {
+        console.error('Live state connection lost:', error.message);
+        stopListening = null;
+        if (!closed) setTimeout(reconnect, retryMs).unref();
+      }
+    );
+  }
+
+  function reconnect() {
+    listen().catch(error => {
+      console.error('Live state reconnect failed:', error.message);
+      if (!closed) setTimeout(reconnect, retryMs).unref();
+    });
+  }
+
+  return {
+    start: listen,
+
+    acquireLease(key, holder, ttlMs) {
+      return db.acquireLiveLease(key, holder, ttlMs);
+    },
+
+    releaseLease(key, holder) {
+      return db.releaseLiveLease(key, holder);
+    },
+
+    leaseHolder(key) {
+      return db.getLiveLeaseHolder(key);
+    },
+
+    publish(channelName, message) {
+      const payload = JSON.stringify({ channel: channelName, message });
+      const sent = publishing.then(() => db.publishLiveMessage(channel, payload));
+      publishing = sent.catch(() => {});
+      return sent;
+    },
+
+    subscribe(channelName, handler) {
+      return subscriptions.add(channelName, handler);
+    },
+
+    async close() {
+      closed = true;
+      if (stopListening) await stopListening();
+      stopListening = null;
+    }
+  };
+}
+
+module.exports = { createMemoryLiveStateStore, createPostgresLiveStateStore };
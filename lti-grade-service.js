@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const {
+  AGS_SCORE_SCOPE,
+  SCORE_CONTENT_TYPE,
+  buildClientAssertion,
+  buildScorePayload,
+  findPlatform,
+  scoreUrlFor
+} = require('./lti');
+
+// Posts finished scores back to the LMS gradebook through LTI Assignment and
+// Grade Services. Access tokens are reused per platform until shortly before
+// they expire.
+function createLtiGradeService({
+  platforms,
+  privateKey,
+  keyId,
+  fetchImpl = fetch,
+  now = () => Date.now()
+}) {
+  const configured = Boolean(privateKey && keyId && platforms.length > 0);
+  const tokens = new Map();
+
+  async function accessTokenFor(platform) {
+    const cacheKey = `${platform.issuer} ${platform.clientId}`;
+    const cached = tokens.get(cacheKey);
+    if (cached && cached.expiresAt > now()) return cached.token;
+
+    const response = await fetchImpl(platform.authTokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+        client_assertion: buildClientAssertion(platform, {
+          privateKey,
+          keyId,
+          jti: crypto.randomUUID()
+        }),
+        scope: AGS_SCORE_SCOPE
+      }).toString()
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload.access_token) {
+      const error = new Error('Unable to get an LMS access token');
+      error.status = response.status;
+      throw error;
+    }
+    const lifetimeMs = (Number(payload.expires_in) || 3600) * 1000;
+    tokens.set(cacheKey, {
+      token: payload.access_token,
+      expiresAt: now() + Math.max(lifetimeMs - 60 * 1000, 0)
+    });
+    return payload.access_token;
+  }
+
+  async function postScore({ lti, scoreGiven, scoreMaximum }) {
+    if (!configured) throw new Error('LTI grade passback is not configured');
+    const platform = findPlatform(platforms, lti.issuer, lti.clientId);
+    if (!platform) throw new Error('That LMS is no longer registered');
+
+    const token = await accessTokenFor(platform);
+    const response = await fetchImpl(scoreUrlFor(lti.lineItem), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': SCORE_CONTENT_TYPE
+      },
+      body: JSON.stringify(buildScorePayload({
+        userId: lti.userId,
+        scoreGiven,
+        scoreMaximum,
+        timestamp: now()
+      }))
+    });
+    if (!response.ok) {
+      const error = new Error('Unable to post the score to the LMS');
+      error.status = response.status;
+      throw error;
+    }
+  }
+
+  return { configured, postScore };
+}
+
+module.exports = { createLtiGradeService };
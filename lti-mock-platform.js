@@ -0,0 +1,266 @@
+/**
+ * A stand-in LMS for trying LTI 1.3 launches and grade passback locally.
+ * Usage: node lti-mock-platform.js <session-code> [tool-url] [port]
+ * Example: node lti-mock-platform.js ABC123 http://localhost:3000 4100
+ *
+ * The keys are kept in .cache/lti-mock-platform.json so the printed .env
+ * lines stay valid between runs. test-lti.js drives the same platform
+ * in-process.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { AGS_SCORE_SCOPE, LTI_VERSION, SCORE_CONTENT_TYPE } = require('./lti');
+
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const LEARNER_ROLE = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner';
+const INSTRUCTOR_ROLE = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor';
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+}
+
+function createMockPlatform({
+  issuer = 'http://localhost:4100',
+  clientId = 'markdown-mash-tool',
+  deploymentId = 'deployment-1',
+  keys = generateKeyPair()
+} = {}) {
+  const scores = [];
+  const accessTokens = new Set();
+
+  // The entry the tool's LTI_PLATFORMS needs for this platform.
+  function registration() {
+    return {
+      issuer,
+      clientId,
+      deploymentIds: [deploymentId],
+      authLoginUrl: `${issuer}/auth`,
+      authTokenUrl: `${issuer}/token`,
+      publicKey: keys.publicKey
+    };
+  }
+
+  function signIdToken({
+    nonce,
+    sub = 'lms-user-1',
+    name = 'Ada Lovelace',
+    roles = [LEARNER_ROLE],
+    courseTitle = 'Physics 101',
+    session = null,
+    targetLinkUri = 'http://localhost:3000/play.html',
+    lineItem = `${issuer}/lineitems/1`,
+    expiresIn = 300,
+    claims = {}
+  }) {
+    return jwt.sign(
+      {
+        nonce,
+        sub,
+        name,
+        [`${CLAIM}message_type`]: 'LtiResourceLinkRequest',
+        [`${CLAIM}version`]: LTI_VERSION,
+        [`${CLAIM}deployment_id`]: deploymentId,
+        [`${CLAIM}target_link_uri`]: targetLinkUri,
+        [`${CLAIM}resource_link`]: { id: 'resource-link-1' },
+        [`${CLAIM}roles`]: roles,
+        [`${CLAIM}context`]: { id: 'course-1', label: 'PHYS101', title: courseTitle },
+        [`${CLAIM}custom`]: session ? { session } : {},
+        'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint': lineItem
+          ? { scope: [AGS_SCORE_SCOPE], lineitem: lineItem }
+          : undefined,
+        ...claims
+      },
+      keys.privateKey,
+      { algorithm: 'RS256', issuer, audience: clientId, expiresIn, keyid: 'mock-platform' }
+    );
+  }
+
+  // Answers the OIDC authorization request the tool's /lti/login redirects
+  // to: { redirectUri, state, idToken } or { error }.
+  function authorize(query, launch = {}) {
+    if (query.client_id !== clientId) return { error: 'unknown client_id' };
+    if (query.response_type !== 'id_token' || query.scope !== 'openid') return { error: 'not an LTI login' };
+    if (query.response_mode !== 'form_post' || !query.redirect_uri) return { error: 'missing form_post redirect' };
+    if (!query.nonce || !query.state) return { error: 'missing state or nonce' };
+    return {
+      redirectUri: query.redirect_uri,
+      state: query.state,
+      idToken: signIdToken({ ...launch, nonce: query.nonce })
+    };
+  }
+
+  // client_credentials with a JWT assertion signed by the tool's key.
+  function issueToken(form, toolPublicKey) {
+    if (form.grant_type !== 'client_credentials' || form.scope !== AGS_SCORE_SCOPE) {
+      return { status: 400, body: { error: 'invalid_request' } };
+    }
+    try {
+      jwt.verify(form.client_assertion, toolPublicKey, {
+        algorithms: ['RS256'],
+        issuer: clientId,
+        subject: clientId,
+        audience: `${issuer}/token`
+      });
+    } catch (error) {
+      return { status: 401, body: { error: 'invalid_client' } };
+    }
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.add(accessToken);
+    return { status: 200, body: { access_token: accessToken, token_type: 'Bearer', expires_in: 3600 } };
+  }
+
+  function recordScore(lineItem, headers, score) {
+    const token = String(headers.authorization || '').replace(/^Bearer /, '');
+    if (!accessTokens.has(token)) return { status: 401 };
+    if (headers['content-type'] !== SCORE_CONTENT_TYPE) return { status: 415 };
+    scores.push({ lineItem, ...score });
+    return { status: 200 };
+  }
+
+  return {
+    issuer,
+    clientId,
+    deploymentId,
+    keys,
+    scores,
+    authorize,
+    issueToken,
+    recordScore,
+    registration,
+    signIdToken
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function escapeAttribute(value) {
+  return String(value).replaceAll('&', '&amp;').replaceAll('"', '&quot;').replaceAll('<', '&lt;');
+}
+
+function loadKeys(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    const keys = { platform: generateKeyPair(), tool: generateKeyPair() };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(keys, null, 2));
+    return keys;
+  }
+}
+
+function startMockPlatform({ sessionCode, toolUrl, port }) {
+  const keys = loadKeys(path.join(__dirname, '.cache', 'lti-mock-platform.json'));
+  const platform = createMockPlatform({ issuer: `http://localhost:${port}`, keys: keys.platform });
+  let role = LEARNER_ROLE;
+  let learner = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, platform.issuer);
+    try {
+      if (req.method === 'GET' && url.pathname === '/') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(`<h1>Mock LMS</h1><p>Room ${sessionCode}</p>
+          <p><a href="/launch?role=learner">Launch as a new student</a></p>
+          <p><a href="/launch?role=instructor">Launch as the instructor</a></p>
+          <h2>Scores received</h2><pre>${escapeAttribute(JSON.stringify(platform.scores, null, 2))}</pre>`);
+        return;
+      }
+      if (req.method === 'GET' && url.pathname === '/launch') {
+        role = url.searchParams.get('role') === 'instructor' ? INSTRUCTOR_ROLE : LEARNER_ROLE;
+        const login = new URL('/lti/login', toolUrl);
+        login.searchParams.set('iss', platform.issuer);
+        login.searchParams.set('client_id', platform.clientId);
+        login.searchParams.set('login_hint', 'mock-user');
+        login.searchParams.set('target_link_uri', `${toolUrl}/play.html`);
+        res.writeHead(302, { Location: login.toString() });
+        res.end();
+        return;
+      }
+      if (req.method === 'GET' && url.pathname === '/auth') {
+        const number = learner++;
+        const result = platform.authorize(Object.fromEntries(url.searchParams), {
+          sub: `mock-student-${number}`,
+          name: role === INSTRUCTOR_ROLE ? 'Mock Instructor' : `Mock Student ${number}`,
+          roles: [role],
+          session: sessionCode
+        });
+        if (result.error) {
+          res.writeHead(400);
+          res.end(result.error);
+          return;
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(`<form method="post" action="${escapeAttribute(result.redirectUri)}">
+          <input type="hidden" name="id_token" value="${escapeAttribute(result.idToken)}">
+          <input type="hidden" name="state" value="${escapeAttribute(result.state)}">
+          <button>Continue to Markdown Mash</button></form>
+          <script>document.forms[0].submit()</script>`);
+        return;
+      }
+      if (req.method === 'POST' && url.pathname === '/token') {
+        const form = Object.fromEntries(new URLSearchParams(await readBody(req)));
+        const jwks = await (await fetch(`${toolUrl}/lti/jwks`)).json();
+        const toolKey = crypto.createPublicKey({ key: jwks.keys[0], format: 'jwk' });
+        const result = platform.issueToken(form, toolKey);
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.body));
+        return;
+      }
+      const scoreMatch = url.pathname.match(/^\/lineitems\/([^/]+)\/scores$/);
+      if (req.method === 'POST' && scoreMatch) {
+        const score = JSON.parse(await readBody(req));
+        const result = platform.recordScore(`${platform.issuer}/lineitems/${scoreMatch[1]}`, req.headers, score);
+        if (result.status === 200) console.log(`✓ Score for ${score.userId}: ${score.scoreGiven}/${score.scoreMaximum}`);
+        res.writeHead(result.status);
+        res.end();
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    } catch (error) {
+      console.error(error);
+      res.writeHead(500);
+      res.end();
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`\nMock LMS on ${platform.issuer} for room ${sessionCode}\n`);
+    console.log('Add these to .env and restart Markdown Mash:\n');
+    console.log(`LTI_PLATFORMS=${JSON.stringify([platform.registration()])}`);
+    console.log(`LTI_PRIVATE_KEY="${keys.tool.privateKey.replace(/\n/g, '\\n')}"\n`);
+    console.log(`Then open ${platform.issuer}/ and launch.\n`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const sessionCode = String(process.argv[2] || '').toUpperCase();
+  if (!/^[A-Z0-9]{6}$/.test(sessionCode)) {
+    console.log('\nUsage: node lti-mock-platform.js <session-code> [tool-url] [port]');
+    console.log('Example: node lti-mock-platform.js ABC123 http://localhost:3000 4100\n');
+    process.exit(1);
+  }
+  startMockPlatform({
+    sessionCode,
+    toolUrl: (process.argv[3] || 'http://localhost:3000').replace(/\/$/, ''),
+    port: parseInt(process.argv[4], 10) || 4100
+  });
+}
+
+module.exports = { INSTRUCTOR_ROLE, LEARNER_ROLE, createMockPlatform };
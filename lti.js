@@ -0,0 +1,273 @@
+// Pure LTI 1.3 tool logic: the platforms this deployment trusts, the OIDC
+// login redirect, id_token checks against each platform's configured key, the
+// parts of a launch a room needs, and the Assignment and Grade Services score
+// message. Keys come in as PEM strings. No sockets, no timers, no database —
+// server.js owns all of that.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const LTI_VERSION = '1.3.0';
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/';
+const AGS_CLAIM = 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint';
+const AGS_SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+const SCORE_CONTENT_TYPE = 'application/vnd.ims.lis.v1.score+json';
+const INSTRUCTOR_ROLES = [
+  'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+  'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator'
+];
+const MAX_NAME_LENGTH = 80;
+const LTI_STATE_COOKIE = 'mm_lti_state';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// LTI_PLATFORMS is a JSON array, one entry per LMS registration:
+// { issuer, clientId, deploymentIds, authLoginUrl, authTokenUrl, publicKey }.
+// Returns { platforms } or { error }; unset means LTI is off.
+function parseLtiPlatforms(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return { platforms: [] };
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    return { error: 'LTI_PLATFORMS must be a JSON array' };
+  }
+  if (!Array.isArray(entries)) return { error: 'LTI_PLATFORMS must be a JSON array' };
+
+  const platforms = [];
+  for (const [index, entry] of entries.entries()) {
+    const label = `LTI platform ${index + 1}`;
+    if (!entry || typeof entry !== 'object') return { error: `${label} must be an object` };
+    for (const field of ['issuer', 'clientId', 'authLoginUrl', 'authTokenUrl', 'publicKey']) {
+      if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+        return { error: `${label} needs ${field}` };
+      }
+    }
+    if (!isHttpUrl(entry.authLoginUrl) || !isHttpUrl(entry.authTokenUrl)) {
+      return { error: `${label} needs http(s) authLoginUrl and authTokenUrl` };
+    }
+    const deploymentIds = Array.isArray(entry.deploymentIds) ? entry.deploymentIds.map(String) : [];
+    if (deploymentIds.length === 0) return { error: `${label} needs at least one deploymentId` };
+    try {
+      crypto.createPublicKey(entry.publicKey);
+    } catch (error) {
+      return { error: `${label} publicKey is not a PEM public key` };
+    }
+    if (findPlatform(platforms, entry.issuer, entry.clientId)) {
+      return { error: `${label} repeats ${entry.issuer} with client ${entry.clientId}` };
+    }
+    platforms.push({
+      issuer: entry.issuer.trim(),
+      clientId: entry.clientId.trim(),
+      deploymentIds,
+      authLoginUrl: entry.authLoginUrl.trim(),
+      authTokenUrl: entry.authTokenUrl.trim(),
+      publicKey: entry.publicKey
+    });
+  }
+  return { platforms };
+}
+
+// A login request may leave out client_id when the issuer has only one
+// registration here.
+function findPlatform(platforms, issuer, clientId) {
+  const matches = platforms.filter(platform => platform.issuer === issuer);
+  if (clientId) return matches.find(platform => platform.clientId === clientId) || null;
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// The third-party initiated login: send the browser back to the platform's
+// authorization endpoint, which posts the id_token to redirectUri.
+function buildLoginRedirect(platform, { loginHint, ltiMessageHint, redirectUri, state, nonce }) {
+  const url = new URL(platform.authLoginUrl);
+  const params = {
+    scope: 'openid',
+    response_type: 'id_token',
+    response_mode: 'form_post',
+    prompt: 'none',
+    client_id: platform.clientId,
+    redirect_uri: redirectUri,
+    login_hint: loginHint,
+    state,
+    nonce
+  };
+  if (ltiMessageHint) params.lti_message_hint = ltiMessageHint;
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+// Checks signature, issuer, audience, expiry and nonce, then the LTI claims a
+// resource link launch must carry. Returns { platform, claims } or { error }.
+function verifyLaunchToken(idToken, platforms, { nonce }) {
+  const decoded = jwt.decode(String(idToken || ''));
+  if (!decoded || typeof decoded !== 'object') return { error: 'The launch is missing its id_token' };
+
+  const audiences = [].concat(decoded.aud || []);
+  const clientId = audiences.length > 1 ? decoded.azp : audiences[0];
+  const platform = findPlatform(platforms, decoded.iss, clientId);
+  if (!platform) return { error: 'This LMS is not registered with Markdown Mash' };
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, platform.publicKey, {
+      algorithms: ['RS256'],
+      issuer: platform.issuer,
+      audience: platform.clientId
+    });
+  } catch (error) {
+    return { error: 'The launch token could not be verified' };
+  }
+  if (audiences.length > 1 && claims.azp !== platform.clientId) {
+    return { error: 'The launch token names another client' };
+  }
+  if (!nonce || claims.nonce !== nonce) return { error: 'The launch has expired; open it from the LMS again' };
+  if (!platform.deploymentIds.includes(String(claims[`${CLAIM}deployment_id`]))) {
+    return { error: 'This LMS deployment is not registered with Markdown Mash' };
+  }
+  if (claims[`${CLAIM}version`] !== LTI_VERSION) return { error: 'Only LTI 1.3 launches are supported' };
+  if (claims[`${CLAIM}message_type`] !== 'LtiResourceLinkRequest') {
+    return { error: 'Only resource link launches are supported' };
+  }
+  if (!claims.sub) return { error: 'Anonymous launches cannot join a room' };
+  return { platform, claims };
+}
+
+function roomCodeFrom(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z0-9]{6}$/.test(code) ? code : null;
+}
+
+// The room comes from a custom parameter (session=ABC123) or from the link's
+// own ?session= query, so either way of setting up the link works.
+function launchRoomCode(claims) {
+  const custom = claims[`${CLAIM}custom`] || {};
+  const fromCustom = roomCodeFrom(custom.session);
+  if (fromCustom) return fromCustom;
+  try {
+    return roomCodeFrom(new URL(claims[`${CLAIM}target_link_uri`]).searchParams.get('session'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function launchName(claims) {
+  const name = String(claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ')).trim();
+  return (name || 'LMS student').slice(0, MAX_NAME_LENGTH);
+}
+
+// What a room needs from a verified launch. lineItem is set only when the
+// platform lets this tool post scores to it.
+function launchIdentity(platform, claims) {
+  const context = claims[`${CLAIM}context`] || {};
+  const roles = claims[`${CLAIM}roles`] || [];
+  const ags = claims[AGS_CLAIM] || {};
+  const canPostScores = Boolean(ags.lineitem) && [].concat(ags.scope || []).includes(AGS_SCORE_SCOPE);
+  return {
+    name: launchName(claims),
+    courseName: String(context.title || context.label || '').trim() || null,
+    isInstructor: roles.some(role => INSTRUCTOR_ROLES.includes(role)),
+    sessionCode: launchRoomCode(claims),
+    lti: {
+      issuer: platform.issuer,
+      clientId: platform.clientId,
+      userId: String(claims.sub),
+      lineItem: canPostScores ? ags.lineitem : null
+    }
+  };
+}
+
+// The login leaves a cookie in the browser that started it, and the launch
+// accepts a state only from a browser holding that cookie. Each login gets
+// its own cookie, so two launches in one browser cannot overwrite each other.
+function stateCookieFor(nonce) {
+  return {
+    name: `${LTI_STATE_COOKIE}_${nonce.slice(0, 16)}`,
+    value: crypto.createHash('sha256').update(nonce).digest('hex')
+  };
+}
+
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) return part.slice(separator + 1).trim();
+  }
+  return null;
+}
+
+function hasStateCookie(cookieHeader, nonce) {
+  const { name, value } = stateCookieFor(nonce);
+  const held = readCookie(cookieHeader, name);
+  return held !== null
+    && held.length === value.length
+    && crypto.timingSafeEqual(Buffer.from(held), Buffer.from(value));
+}
+
+// One LMS user is the same person however many times they launch: same
+// platform registration, same subject.
+function isSameLtiUser(a, b) {
+  return Boolean(
+    a && b
+    && a.issuer === b.issuer
+    && a.clientId === b.clientId
+    && a.userId === b.userId
+  );
+}
+
+// Scores go to the line item URL with /scores added to its path, keeping any
+// query string the platform put on it.
+function scoreUrlFor(lineItem) {
+  const url = new URL(lineItem);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+  return url.toString();
+}
+
+function buildScorePayload({ userId, scoreGiven, scoreMaximum, timestamp }) {
+  return {
+    userId,
+    scoreGiven,
+    scoreMaximum,
+    activityProgress: 'Completed',
+    gradingProgress: 'FullyGraded',
+    timestamp: new Date(timestamp).toISOString()
+  };
+}
+
+// The signed JWT this tool trades for an access token at the platform's
+// token endpoint (client_credentials with a JWT bearer assertion).
+function buildClientAssertion(platform, { privateKey, keyId, jti }) {
+  return jwt.sign(
+    { iss: platform.clientId, sub: platform.clientId, aud: platform.authTokenUrl, jti },
+    privateKey,
+    { algorithm: 'RS256', keyid: keyId, expiresIn: 300 }
+  );
+}
+
+// The tool's public key set, published so platforms can check its assertions.
+function publicKeySet(privateKey, keyId) {
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  return { keys: [{ ...jwk, kid: keyId, alg: 'RS256', use: 'sig' }] };
+}
+
+module.exports = {
+  AGS_SCORE_SCOPE,
+  LTI_VERSION,
+  SCORE_CONTENT_TYPE,
+  buildClientAssertion,
+  buildLoginRedirect,
+  buildScorePayload,
+  findPlatform,
+  hasStateCookie,
+  isSameLtiUser,
+  launchIdentity,
+  parseLtiPlatforms,
+  publicKeySet,
+  scoreUrlFor,
+  stateCookieFor,
+  verifyLaunchToken
+};
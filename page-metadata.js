@@ -64,6 +64,14 @@ const PAGES = [
     description:
       'Upload a quiz, open a room, and run it live from the Markdown Mash host dashboard.'
   },
+  {
+    route: '/review.html',
+    file: 'review.html',
+    index: false,
+    title: 'Your answers - Markdown Mash',
+    description:
+      'Look back over every question of a finished Markdown Mash quiz with your answer, the correct answer, and why.'
+  },
   {
     route: '/terms.html',
     file: 'terms.html',
@@ -13,7 +13,16 @@ function canReuseParticipant(existingParticipant, submittedName) {
   return Boolean(existingName && incomingName && existingName === incomingName);
 }
 
+// Gives a participant a fresh access token. Their old one stays in place
+// until the new digest is stored, so a failed write leaves them as they were.
+async function reissueParticipantToken(repository, participant, credential) {
+  await repository.updateParticipantAccessToken(participant.id, credential.digest);
+  participant.accessTokenDigest = credential.digest;
+  return credential.token;
+}
+
 module.exports = {
   canReuseParticipant,
-  normalizeParticipantName
+  normalizeParticipantName,
+  reissueParticipantToken
 };
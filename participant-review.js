@@ -0,0 +1,117 @@
+// Pure post-session review rules: whether a finished quiz still offers a
+// participant their answer review, and the question-by-question review itself.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const {
+  describeAnswer,
+  describeCorrectAnswer,
+  gradeAnswer,
+  isFreeResponse,
+  isOrdering,
+  storedAnswer
+} = require('./answer-grading');
+const { isScored, questionPoints } = require('./quiz-structure');
+const { scorePercent, storedPoints, weightedCredit } = require('./scoring');
+
+const DEFAULT_REVIEW_DAYS = 7;
+const MAX_REVIEW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A blank value means the default and 0 turns the review off. Returns
+// { days } or { error }.
+function normalizeReviewDays(value) {
+  if (value === undefined || value === null || value === '') return { days: DEFAULT_REVIEW_DAYS };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_REVIEW_DAYS) {
+    return { error: `Answer review can stay open for 0 to ${MAX_REVIEW_DAYS} days` };
+  }
+  return { days };
+}
+
+// Surveys are anonymous, so they never have a review, not even a closed one.
+// Returns { available: true, expiresAt } or { available: false, reason }.
+function reviewAvailability({ sessionType, status, endedAt, reviewDays }, now = Date.now()) {
+  if (sessionType === 'survey') return { available: false, reason: 'survey' };
+  if (!(reviewDays > 0)) return { available: false, reason: 'disabled' };
+  const ended = endedAt ? new Date(endedAt).getTime() : NaN;
+  if (status !== 'ended' || !Number.isFinite(ended)) return { available: false, reason: 'not-ended' };
+  const expiresAt = ended + reviewDays * DAY_MS;
+  if (now >= expiresAt) return { available: false, reason: 'expired' };
+  return { available: true, expiresAt };
+}
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Every question in quiz order with what the participant answered beside
+// the key. Choice options carry both marks so the page can show a picked
+// wrong option next to the right one; ordering and typed questions are
+// described as text. Scores come from the stored answer rows, exactly as
+// the results export counts them.
+function buildParticipantReview({ quiz, participant, answers }) {
+  const rowsByIndex = new Map((answers || []).map(row => [row.question_index, row]));
+  let points = 0;
+  let earnedCredit = 0;
+  let correctCount = 0;
+
+  const questions = quiz.questions.map(question => {
+    const row = rowsByIndex.get(question.index);
+    const answer = row ? storedAnswer(row) : undefined;
+    const scored = isScored(question);
+    const verdict = row ? gradeAnswer(question, answer) : null;
+    const earned = row && scored ? storedPoints(quiz, question, row, verdict.credit) : 0;
+    if (row && scored) {
+      points += earned;
+      earnedCredit += weightedCredit(question, verdict);
+      if (verdict.isCorrect) correctCount += 1;
+    }
+
+    const picked = new Set(Array.isArray(answer) ? answer : [answer]);
+    const choice = !isOrdering(question) && !isFreeResponse(question);
+    return {
+      index: question.index,
+      gradedNumber: scored ? question.gradedNumber : null,
+      sectionTitle: question.sectionTitle || null,
+      text: question.text,
+      format: question.format || 'choice',
+      scored,
+      options: choice
+        ? (question.options || []).map((text, optionIndex) => ({
+          text,
+          correct: scored && (question.correctIndices || []).includes(optionIndex),
+          picked: Boolean(row) && picked.has(optionIndex)
+        }))
+        : [],
+      answered: Boolean(row),
+      yourAnswer: row ? describeAnswer(question, answer) : null,
+      correctAnswer: scored ? describeCorrectAnswer(question) : null,
+      isCorrect: Boolean(scored && verdict?.isCorrect),
+      credit: scored && verdict ? verdict.credit : 0,
+      points: roundPoints(earned),
+      worth: scored ? roundPoints(questionPoints(quiz, question)) : 0,
+      explanation: question.explanation || null
+    };
+  });
+
+  const percent = scorePercent(quiz, earnedCredit);
+  return {
+    title: quiz.title,
+    participant: { id: participant.id, name: participant.name, team: participant.team || null },
+    score: Math.round(points),
+    totalScore: quiz.totalScore,
+    percent,
+    passed: percent >= quiz.passingPercent,
+    correctCount,
+    gradedCount: questions.filter(question => question.scored).length,
+    questions
+  };
+}
+
+module.exports = {
+  DEFAULT_REVIEW_DAYS,
+  MAX_REVIEW_DAYS,
+  buildParticipantReview,
+  normalizeReviewDays,
+  reviewAvailability
+};
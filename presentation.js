@@ -1,4 +1,6 @@
 const { isScored, pointsPerQuestion } = require('./quiz-structure');
+const { describeAnswer, gradeAnswer, responseKey } = require('./answer-grading');
+const { buildTeamHighlights, createTeamRankSnapshot, rankTeams } = require('./teams');
 
 function getAverageResponseTime(participant) {
   const times = Object.values(participant.responseTimes || {})
@@ -12,16 +14,33 @@ function rankParticipants(session) {
   const pointsPer = pointsPerQuestion(session.quiz);
 
   const ranked = Object.values(session.participants)
-    .map(participant => ({
-      id: participant.id,
-      name: participant.name,
-      avatarId: participant.avatarId || null,
-      correctCount: participant.correctCount || 0,
-      currentStreak: participant.currentStreak || 0,
-      bestStreak: participant.bestStreak || 0,
-      avgResponseTimeMs: getAverageResponseTime(participant)
-    }))
+    .map(participant => {
+      // Partial credit makes correctCount too coarse to rank or score on.
+      // Participants built before earnedCredit existed only ever earned
+      // whole answers, so correctCount is the same figure for them.
+      const earnedCredit = participant.earnedCredit ?? participant.correctCount ?? 0;
+      return {
+        id: participant.id,
+        name: participant.name,
+        avatarId: participant.avatarId || null,
+        team: participant.team || null,
+        correctCount: participant.correctCount || 0,
+        earnedCredit,
+        // Points are summed answer by answer as they are awarded; speed
+        // scoring makes them uneven. Without them the flat share applies.
+        points: participant.points ?? earnedCredit * pointsPer,
+        currentStreak: participant.currentStreak || 0,
+        bestStreak: participant.bestStreak || 0,
+        avgResponseTimeMs: getAverageResponseTime(participant)
+      };
+    })
     .sort((a, b) => {
+      if (b.points !== a.points) {
+        return b.points - a.points;
+      }
+      if (b.earnedCredit !== a.earnedCredit) {
+        return b.earnedCredit - a.earnedCredit;
+      }
       if (b.correctCount !== a.correctCount) {
         return b.correctCount - a.correctCount;
       }
@@ -40,7 +59,7 @@ function rankParticipants(session) {
       rank,
       previousRank,
       movement: previousRank ? previousRank - rank : 0,
-      score: Math.round(participant.correctCount * pointsPer),
+      score: Math.round(participant.points),
       avgResponseTimeMs: Number.isFinite(participant.avgResponseTimeMs)
         ? Math.round(participant.avgResponseTimeMs)
         : null
@@ -171,7 +190,7 @@ function buildQuestionPresentation(session, question) {
   }
 
   const correctParticipants = Object.values(session.participants)
-    .filter(participant => question.correctIndices.includes(participant.answers[question.id]))
+    .filter(participant => gradeAnswer(question, participant.answers[question.id]).isCorrect)
     .map(participant => ({
       id: participant.id,
       name: participant.name,
@@ -185,12 +204,21 @@ function buildQuestionPresentation(session, question) {
     });
 
   const leaderboard = rankParticipants(session);
+  // Team lines lead; the individual ones fill the remaining slots.
+  const teamLeaderboard = rankTeams(session.quiz.teams, leaderboard, session.teamRankSnapshot);
+  const teamHighlights = buildTeamHighlights(teamLeaderboard)
+    .map(highlight => ({ ...highlight, questionId: question.id }));
 
   return {
     correctParticipants,
     leaderboard,
-    highlights: buildHighlights(leaderboard, correctParticipants, question.id),
-    rankSnapshot: createRankSnapshot(leaderboard)
+    teamLeaderboard,
+    highlights: [
+      ...teamHighlights,
+      ...buildHighlights(leaderboard, correctParticipants, question.id)
+    ].slice(0, 3),
+    rankSnapshot: createRankSnapshot(leaderboard),
+    teamRankSnapshot: createTeamRankSnapshot(teamLeaderboard)
   };
 }
 
@@ -212,15 +240,20 @@ function buildHardestQuestions(session) {
         if (answer === undefined || answer === null) continue;
 
         answeredCount++;
-        if (question.correctIndices.includes(answer)) {
+        if (gradeAnswer(question, answer).isCorrect) {
           correctCount++;
         } else {
-          wrongOptionCounts.set(answer, (wrongOptionCounts.get(answer) || 0) + 1);
+          // Keyed by the whole answer so a multi-select recap names the
+          // combination people picked and a typed recap groups "Def" with "def".
+          const key = responseKey(question, answer);
+          const entry = wrongOptionCounts.get(key) || { answer, count: 0 };
+          entry.count++;
+          wrongOptionCounts.set(key, entry);
         }
       }
 
-      const commonWrongEntry = [...wrongOptionCounts.entries()]
-        .sort((a, b) => b[1] - a[1])[0];
+      const commonWrongEntry = [...wrongOptionCounts.values()]
+        .sort((a, b) => b.count - a.count)[0];
       const correctPercent = participantCount > 0
         ? Math.round((correctCount / participantCount) * 100)
         : 0;
@@ -234,9 +267,9 @@ function buildHardestQuestions(session) {
         missedCount: Math.max(0, participantCount - correctCount),
         skippedCount: Math.max(0, participantCount - answeredCount),
         commonWrongAnswer: commonWrongEntry
-          ? question.options[commonWrongEntry[0]]
+          ? describeAnswer(question, commonWrongEntry.answer)
           : null,
-        commonWrongCount: commonWrongEntry?.[1] || 0
+        commonWrongCount: commonWrongEntry?.count || 0
       };
     })
     .sort((a, b) => (
@@ -248,11 +281,15 @@ function buildHardestQuestions(session) {
 }
 
 function buildFinaleSummary(session) {
+  const leaderboard = rankParticipants(session);
+  const teams = session.quiz.teams || null;
   return {
     quizTitle: session.quiz.title,
     totalScore: session.quiz.totalScore,
     participantCount: Object.keys(session.participants).length,
-    leaderboard: rankParticipants(session),
+    leaderboard,
+    teamLeaderboard: teams ? rankTeams(teams, leaderboard, session.teamRankSnapshot) : null,
+    teamScoring: teams ? teams.scoring : null,
     hardestQuestions: buildHardestQuestions(session)
   };
 }
@@ -53,13 +53,19 @@ const settingsPanels = {
   billing: document.getElementById('settings-billing'),
   instructors: document.getElementById('settings-instructors'),
   security: document.getElementById('settings-security'),
-  email: document.getElementById('settings-email')
+  email: document.getElementById('settings-email'),
+  webhooks: document.getElementById('settings-webhooks'),
+  'api-tokens': document.getElementById('settings-api-tokens')
 };
 const instructorList = document.getElementById('instructor-list');
+const webhookList = document.getElementById('webhook-list');
+const apiTokenList = document.getElementById('api-token-list');
 const changePasswordForm = document.getElementById('change-password-form');
 const securityQuestionsForm = document.getElementById('security-questions-form');
 const emailForm = document.getElementById('email-form');
 const createInvitationForm = document.getElementById('create-invitation-form');
+const webhookForm = document.getElementById('webhook-form');
+const apiTokenForm = document.getElementById('api-token-form');
 
 // Recovery elements
 const recoveryModal = document.getElementById('recovery-modal');
@@ -91,6 +97,21 @@ const uploadBtnLabel = document.getElementById('upload-btn-label');
 const previewBtn = document.getElementById('preview-btn');
 const courseNameInput = document.getElementById('course-name-input');
 const uploadStatus = document.getElementById('upload-status');
+const addImagesBtn = document.getElementById('add-images-btn');
+const quizImagesInput = document.getElementById('quiz-images-input');
+const quizImagesPanel = document.getElementById('quiz-images');
+const quizImagesList = document.getElementById('quiz-images-list');
+const importQuizBtn = document.getElementById('import-quiz-btn');
+const importQuizInput = document.getElementById('import-quiz-input');
+const importReport = document.getElementById('import-report');
+const importReportSummary = document.getElementById('import-report-summary');
+const importReportList = document.getElementById('import-report-list');
+const deliveryOptions = document.getElementById('delivery-options');
+const deliverySelect = document.getElementById('delivery-select');
+const reviewDaysInput = document.getElementById('review-days-input');
+const assignmentOpensInput = document.getElementById('assignment-opens-input');
+const assignmentClosesInput = document.getElementById('assignment-closes-input');
+const assignmentWindowHint = document.getElementById('assignment-window-hint');
 
 // Edit Metadata Elements
 const editMetadataModal = document.getElementById('edit-metadata-modal');
@@ -112,10 +133,20 @@ const previewSectionCard = document.getElementById('preview-section-card');
 const previewSectionEyebrow = document.getElementById('preview-section-eyebrow');
 const previewSectionTitle = document.getElementById('preview-section-title');
 const previewSectionSubtitle = document.getElementById('preview-section-subtitle');
+const previewSectionPool = document.getElementById('preview-section-pool');
+const previewExplanation = document.getElementById('preview-explanation');
 const openTemplateBtn = document.getElementById('open-template-btn');
 const templateModal = document.getElementById('template-modal');
 const closeTemplateBtn = document.getElementById('close-template-btn');
 const templateCards = document.querySelectorAll('.template-card[data-template]');
+const openLibraryBtn = document.getElementById('open-library-btn');
+const saveLibraryBtn = document.getElementById('save-library-btn');
+const saveLibraryLabel = document.getElementById('save-library-label');
+const libraryQuizLabel = document.getElementById('library-quiz-label');
+const libraryModal = document.getElementById('library-modal');
+const closeLibraryBtn = document.getElementById('close-library-btn');
+const libraryList = document.getElementById('library-list');
+const libraryEmpty = document.getElementById('library-empty');
 
 // Starter cards load Markdown from /templates/*.md — the same files that live
 // in the public GitHub repo — so the studio and the repository never drift.
@@ -158,10 +189,27 @@ const startBtn = document.getElementById('start-btn');
 const nextBtn = document.getElementById('next-btn');
 const nextBtnLabel = document.getElementById('next-btn-label');
 const endQuestionBtn = document.getElementById('end-question-btn');
+const pauseQuestionBtn = document.getElementById('pause-question-btn');
+const extendQuestionBtn = document.getElementById('extend-question-btn');
+const stepBackBtn = document.getElementById('step-back-btn');
+const rerunQuestionBtn = document.getElementById('rerun-question-btn');
+const rerunModal = document.getElementById('rerun-modal');
+const rerunForm = document.getElementById('rerun-form');
+const rerunKeepHint = document.getElementById('rerun-keep-hint');
 const showResultsBtn = document.getElementById('show-results-btn');
 const endSessionBtn = document.getElementById('end-session-btn');
 autopilotPause.disabled = true;
 
+const assignmentSection = document.getElementById('assignment-section');
+const assignmentWindowLabel = document.getElementById('assignment-window-label');
+const assignmentJoined = document.getElementById('assignment-joined');
+const assignmentInProgress = document.getElementById('assignment-in-progress');
+const assignmentSubmitted = document.getElementById('assignment-submitted');
+const assignmentAverage = document.getElementById('assignment-average');
+const assignmentBody = document.getElementById('assignment-body');
+// 'live' | 'self-paced' — the delivery of the open room.
+let sessionDelivery = 'live';
+
 const questionSection = document.getElementById('question-section');
 const currentQNum = document.getElementById('current-q-num');
 const totalQNum = document.getElementById('total-q-num');
@@ -220,12 +268,50 @@ const sessionDetailSection = document.getElementById('session-detail-section');
 const backToAnalyticsBtn = document.getElementById('back-to-analytics-btn');
 const detailQuizTitle = document.getElementById('detail-quiz-title');
 const exportCsvBtn = document.getElementById('export-csv-btn');
+const exportLmsBtn = document.getElementById('export-lms-btn');
+const lmsExportModal = document.getElementById('lms-export-modal');
+const lmsExportForm = document.getElementById('lms-export-form');
+const lmsExportKind = document.getElementById('lms-export-kind');
+const gradebookExportOptions = document.getElementById('gradebook-export-options');
+const gradebookFormat = document.getElementById('gradebook-format');
+const gradebookGradeGroup = document.getElementById('gradebook-grade-group');
+const gradebookGrade = document.getElementById('gradebook-grade');
+const gradebookColumns = document.getElementById('gradebook-columns');
 const detailParticipants = document.getElementById('detail-participants');
 const detailAvgScore = document.getElementById('detail-avg-score');
 const detailQuestions = document.getElementById('detail-questions');
 const detailParticipantsLabel = document.getElementById('detail-participants-label');
 const detailPrimaryLabel = document.getElementById('detail-primary-label');
 const detailSecondaryLabel = document.getElementById('detail-secondary-label');
+
+// Session replay elements
+const replaySessionBtn = document.getElementById('replay-session-btn');
+const liveReplayBtn = document.getElementById('live-replay-btn');
+const replayModal = document.getElementById('replay-modal');
+const replayModalTitle = document.getElementById('replay-modal-title');
+const replayEmpty = document.getElementById('replay-empty');
+const replayPlayer = document.getElementById('replay-player');
+const replayElapsed = document.getElementById('replay-elapsed');
+const replayParticipants = document.getElementById('replay-participants');
+const replayAnswers = document.getElementById('replay-answers');
+const replayQuestionAnswers = document.getElementById('replay-question-answers');
+const replayQuestionLabel = document.getElementById('replay-question-label');
+const replayMoment = document.getElementById('replay-moment');
+const replayScrubber = document.getElementById('replay-scrubber');
+const replayPrevBtn = document.getElementById('replay-prev-btn');
+const replayNextBtn = document.getElementById('replay-next-btn');
+const replayTimeline = document.getElementById('replay-timeline');
+
+// Run comparison elements
+const comparisonSection = document.getElementById('comparison-section');
+const backFromComparisonBtn = document.getElementById('back-from-comparison-btn');
+const compareSessionsBtn = document.getElementById('compare-sessions-btn');
+const compareSessionsLabel = document.getElementById('compare-sessions-label');
+
+// Mash group report elements
+const courseReportSection = document.getElementById('course-report-section');
+const courseReportBtn = document.getElementById('course-report-btn');
+const rosterFileInput = document.getElementById('roster-file-input');
 const detailCompletionRate = document.getElementById('detail-completion-rate');
 const detailDropoffNote = document.getElementById('detail-dropoff-note');
 const questionBreakdownBody = document.getElementById('question-breakdown-body');
@@ -241,6 +327,7 @@ let currentQuestion = null;
 let timerInterval = null;
 let sessionCode = null;
 let viewingSessionCode = null; // For analytics detail view
+let viewingCourseName = null; // For the Mash group report
 let currentSessionsFilter = 'all'; // For sessions list filtering ('all', 'ended', 'incomplete')
 let trialExpiresAt = null;
 let trialCountdownInterval = null;
@@ -249,6 +336,10 @@ let autopilotCountdownInterval = null;
 // Chart instances (for cleanup on re-render)
 let scoreDistributionChart = null;
 let questionDifficultyChart = null;
+let comparisonDifficultyChart = null;
+
+// Session codes ticked for comparison; kept across list re-renders.
+const compareSelection = new Set();
 
 // Keep-alive: prevents Render free-tier from sleeping the dyno mid-quiz.
 // HTTP requests every 10 minutes while a session is active.
@@ -306,6 +397,12 @@ function setLobbyPanel(mode = 'ready') {
         title: 'The presenter is revealing the final leaderboard.',
         copy: 'Use “Show final results” for the host table, or keep the shared screen on the podium and hardest-question recap.'
       }
+    : mode === 'assignment'
+      ? {
+          eyebrow: 'Self-paced session',
+          title: 'Share the join link; participants work through the quiz on their own.',
+          copy: 'Everyone gets each question\'s full time limit. Submissions fill in below as they arrive.'
+        }
     : isTrialMode()
       ? {
           eyebrow: 'Practice room ready',
@@ -384,6 +481,8 @@ function showInstructorHome() {
   liveWorkspace.classList.add('hidden');
   analyticsSection.classList.add('hidden');
   sessionDetailSection.classList.add('hidden');
+  comparisonSection.classList.add('hidden');
+  courseReportSection.classList.add('hidden');
   instructorHomeSection.classList.remove('hidden');
   studioTitleLabel.textContent = 'Host home';
   updateInstructorHome();
@@ -434,11 +533,21 @@ function showInstructorStudio(mode) {
     studioMode = mode;
   }
   if (isTrialMode()) studioMode = 'quiz';
+  if (libraryQuiz && libraryQuiz.sessionType !== studioMode) setLibraryQuiz(null);
   applyStudioModeCopy();
+  // Surveys close each question for the whole room at once, and practice
+  // rooms are short-lived, so both are always live.
+  deliveryOptions.classList.toggle('hidden', isTrialMode() || studioMode === 'survey');
+  // Imported banks are graded quizzes; surveys and practice rooms never take one.
+  importQuizBtn.classList.toggle('hidden', isTrialMode() || studioMode === 'survey');
+  if (isTrialMode() || studioMode === 'survey') deliverySelect.value = 'live';
+  syncDeliveryFields();
 
   instructorHomeSection.classList.add('hidden');
   analyticsSection.classList.add('hidden');
   sessionDetailSection.classList.add('hidden');
+  comparisonSection.classList.add('hidden');
+  courseReportSection.classList.add('hidden');
   if (sessionCode) {
     uploadSection.classList.add('hidden');
     liveWorkspace.classList.remove('hidden');
@@ -494,9 +603,12 @@ function configureInstructorWorkspace() {
   builderCardDescription.textContent = 'Questions, options, timers and scoring stay in one readable file.';
   uploadBtnLabel.textContent = 'Load quiz';
   openTemplateBtn.classList.remove('hidden');
+  addImagesBtn.classList.remove('hidden');
+  openLibraryBtn.classList.remove('hidden');
+  saveLibraryBtn.classList.remove('hidden');
 
   window.MarkdownMashSettings.resetForAccount(
-    { settingsModal, settingsTabs, settingsPanels, instructorList },
+    { settingsModal, settingsTabs, settingsPanels, instructorList, webhookList, apiTokenList },
     { hostedAuthMode, billingEnabled, admin: currentAdmin }
   );
 }
@@ -519,6 +631,13 @@ function configureTrialWorkspace(data) {
   builderCardDescription.textContent = `${data.template.questionCount} quick questions · Nothing is saved`;
   uploadBtnLabel.textContent = 'Launch practice room';
   openTemplateBtn.classList.add('hidden');
+  // Practice rooms run the fixed sample, so there is nothing to attach or save.
+  addImagesBtn.classList.add('hidden');
+  openLibraryBtn.classList.add('hidden');
+  saveLibraryBtn.classList.add('hidden');
+  quizImages.clear();
+  renderQuizImages();
+  setLibraryQuiz(null);
   showAuthenticatedWorkspace();
   startTrialCountdown();
 }
@@ -634,6 +753,8 @@ templateCards.forEach(card => {
         throw new Error('Template file was empty');
       }
       quizMarkdown.value = markdown;
+      setLibraryQuiz(null);
+      renderImportReport(null);
       closeTemplateModal();
       showStatus('upload-status', 'Starter template loaded. Edit anything you like, then preview your questions.', true);
       quizMarkdown.focus({ preventScroll: true });
@@ -654,6 +775,220 @@ document.addEventListener('keydown', event => {
   if (event.key === 'Escape' && !templateModal?.classList.contains('hidden')) {
     closeTemplateModal();
   }
+  if (event.key === 'Escape' && !libraryModal?.classList.contains('hidden')) {
+    closeLibraryModal();
+  }
+  if (event.key === 'Escape' && !lmsExportModal?.classList.contains('hidden')) {
+    lmsExportModal.classList.add('hidden');
+  }
+  if (event.key === 'Escape' && !replayModal?.classList.contains('hidden')) {
+    replayModal.classList.add('hidden');
+  }
+});
+
+// My Mashes: the saved quiz library. libraryQuiz is the saved Mash the editor
+// was opened from, so saving adds a version and opening a room links the run
+// to it. It is cleared whenever the editor is replaced by something else.
+let libraryQuiz = null; // { id, title, sessionType, version, markdown }
+
+function setLibraryQuiz(quiz) {
+  libraryQuiz = quiz;
+  renderLibraryQuizLabel();
+}
+
+function renderLibraryQuizLabel() {
+  if (!libraryQuizLabel) return;
+  saveLibraryLabel.textContent = libraryQuiz ? 'Save new version' : 'Save to My Mashes';
+  libraryQuizLabel.classList.toggle('hidden', !libraryQuiz);
+  if (!libraryQuiz) return;
+  const edited = quizMarkdown.value.trim() !== libraryQuiz.markdown.trim();
+  libraryQuizLabel.textContent = `Saved Mash · ${libraryQuiz.title} · version ${libraryQuiz.version}${edited ? ' · unsaved edits' : ''}`;
+}
+
+quizMarkdown.addEventListener('input', renderLibraryQuizLabel);
+
+function closeLibraryModal() {
+  libraryModal.classList.add('hidden');
+}
+
+function describeLibraryQuiz(quiz) {
+  const runs = quiz.runCount === 1 ? 'Run once' : (quiz.runCount ? `Run ${quiz.runCount} times` : 'Not run yet');
+  const updated = quiz.updatedAt ? new Date(quiz.updatedAt).toLocaleDateString() : '';
+  return [`Version ${quiz.latestVersion}`, runs, updated && `Saved ${updated}`].filter(Boolean).join(' · ');
+}
+
+async function openLibraryQuiz(quiz, version) {
+  if (quizMarkdown.value.trim() && (!libraryQuiz || quizMarkdown.value.trim() !== libraryQuiz.markdown.trim())) {
+    const confirmed = await showConfirmModal({
+      title: 'Replace Markdown',
+      message: `Replace the Markdown currently in the editor with “${quiz.title}”?`,
+      confirmText: 'Replace'
+    });
+    if (!confirmed) return;
+  }
+
+  try {
+    const res = await authFetch(`/api/admin/quizzes/${quiz.id}?version=${version}`);
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || 'Unable to open that Mash');
+    quizMarkdown.value = data.quiz.markdown;
+    renderImportReport(null);
+    setLibraryQuiz({
+      id: data.quiz.id,
+      title: data.quiz.title,
+      sessionType: data.quiz.sessionType,
+      version: data.quiz.version,
+      markdown: data.quiz.markdown
+    });
+    closeLibraryModal();
+    showStatus(
+      'upload-status',
+      data.quiz.version === data.quiz.latestVersion
+        ? `Opened “${data.quiz.title}”. Saving adds a new version.`
+        : `Opened version ${data.quiz.version} of “${data.quiz.title}”. Saving makes it the latest version.`,
+      true
+    );
+    quizMarkdown.focus({ preventScroll: true });
+  } catch (error) {
+    showNoticeModal(error.message || 'Unable to open that Mash', 'My Mashes');
+  }
+}
+
+async function deleteLibraryQuiz(quiz) {
+  const confirmed = await showConfirmModal({
+    title: 'Delete Saved Mash',
+    message: `Delete “${quiz.title}” and all of its versions? Sessions already run from it keep their results.`,
+    confirmText: 'Delete',
+    danger: true
+  });
+  if (!confirmed) return;
+
+  try {
+    const res = await authFetch(`/api/admin/quizzes/${quiz.id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || 'Unable to delete that Mash');
+    if (libraryQuiz && libraryQuiz.id === quiz.id) setLibraryQuiz(null);
+    await renderLibraryList();
+  } catch (error) {
+    showNoticeModal(error.message || 'Unable to delete that Mash', 'My Mashes');
+  }
+}
+
+async function renderLibraryList() {
+  const res = await authFetch('/api/admin/quizzes');
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || 'Unable to load My Mashes');
+
+  const quizzes = data.quizzes.filter(quiz => quiz.sessionType === studioMode);
+  libraryList.replaceChildren();
+  libraryEmpty.classList.toggle('hidden', quizzes.length > 0);
+
+  quizzes.forEach(quiz => {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const copy = document.createElement('div');
+    copy.className = 'library-item-copy';
+    const title = document.createElement('strong');
+    title.textContent = quiz.title;
+    const meta = document.createElement('small');
+    meta.textContent = describeLibraryQuiz(quiz);
+    copy.append(title, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-item-actions';
+    const versionSelect = document.createElement('select');
+    versionSelect.setAttribute('aria-label', `Version of ${quiz.title}`);
+    for (let version = quiz.latestVersion; version >= 1; version--) {
+      const option = document.createElement('option');
+      option.value = version;
+      option.textContent = version === quiz.latestVersion ? `v${version} (latest)` : `v${version}`;
+      versionSelect.appendChild(option);
+    }
+    versionSelect.classList.toggle('hidden', quiz.latestVersion < 2);
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'btn btn-small btn-primary';
+    openBtn.textContent = 'Open';
+    openBtn.addEventListener('click', () => openLibraryQuiz(quiz, Number(versionSelect.value)));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn btn-small btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => deleteLibraryQuiz(quiz));
+
+    actions.append(versionSelect, openBtn, deleteBtn);
+    item.append(copy, actions);
+    libraryList.appendChild(item);
+  });
+}
+
+openLibraryBtn?.addEventListener('click', async () => {
+  openLibraryBtn.disabled = true;
+  try {
+    await renderLibraryList();
+    document.getElementById('library-modal-title').textContent =
+      studioMode === 'survey' ? 'My surveys' : 'My Mashes';
+    libraryModal.classList.remove('hidden');
+    closeLibraryBtn.focus({ preventScroll: true });
+  } catch (error) {
+    showStatus('upload-status', error.message || 'Unable to load My Mashes', false);
+  } finally {
+    openLibraryBtn.disabled = false;
+  }
+});
+
+closeLibraryBtn?.addEventListener('click', closeLibraryModal);
+
+libraryModal?.addEventListener('click', event => {
+  if (event.target === libraryModal) closeLibraryModal();
+});
+
+saveLibraryBtn?.addEventListener('click', async () => {
+  const markdown = quizMarkdown.value.trim();
+  if (!markdown) {
+    showNoticeModal('Please enter some Markdown to save.', 'Nothing to Save');
+    return;
+  }
+
+  saveLibraryBtn.disabled = true;
+  try {
+    const body = JSON.stringify({ markdownBase64: encodeMarkdownBase64(markdown), sessionType: studioMode });
+    const res = await authFetch(libraryQuiz ? `/api/admin/quizzes/${libraryQuiz.id}` : '/api/admin/quizzes', {
+      method: libraryQuiz ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    });
+    const data = await res.json().catch(() => null);
+    if (!data || !data.success) {
+      if (res.status === 404 && libraryQuiz) setLibraryQuiz(null);
+      throw new Error(data?.error || `Server error (${res.status}). Please try again.`);
+    }
+
+    if (libraryQuiz) {
+      setLibraryQuiz({ ...libraryQuiz, version: data.version, markdown });
+      showStatus(
+        'upload-status',
+        data.created ? `Saved as version ${data.version}.` : 'No changes since the last save.',
+        true
+      );
+    } else {
+      setLibraryQuiz({
+        id: data.quiz.id,
+        title: data.quiz.title,
+        sessionType: data.quiz.sessionType,
+        version: data.version,
+        markdown
+      });
+      showStatus('upload-status', `Saved “${data.quiz.title}” to My Mashes.`, true);
+    }
+  } catch (error) {
+    showStatus('upload-status', error.message || 'Unable to save this Mash', false);
+  } finally {
+    saveLibraryBtn.disabled = false;
+  }
 });
 
 async function loadAuthConfig() {
@@ -1149,7 +1484,7 @@ function initSocket(code) {
     participantCount.textContent = data.count;
     totalParticipants.textContent = data.count;
     if (data.name) {
-      addParticipantChip(data.name, data.id, data.avatarId);
+      addParticipantChip(data.name, data.id, data.avatarId, data.team);
     }
     updateResponseProgress(Number(answersReceived.textContent || 0), data.count);
   });
@@ -1157,7 +1492,7 @@ function initSocket(code) {
   socket.on('participant_roster', (data) => {
     participantList.innerHTML = '';
     (data.participants || []).forEach(participant => {
-      addParticipantChip(participant.name, participant.id, participant.avatarId);
+      addParticipantChip(participant.name, participant.id, participant.avatarId, participant.team);
     });
     participantCount.textContent = data.count || 0;
     totalParticipants.textContent = data.count || 0;
@@ -1207,6 +1542,8 @@ function initSocket(code) {
 
     nextBtn.classList.remove('hidden');
     endQuestionBtn.classList.add('hidden');
+    setQuestionPaused(null);
+    setStepControls('section');
 
     if (data.autopilotNextInMs) startAutopilotCountdown(data.autopilotNextInMs);
   });
@@ -1215,12 +1552,18 @@ function initSocket(code) {
     stopAutopilotCountdown();
     currentQuestion = data.question;
     showQuestion(data);
-    startTimer(data.timeRemaining);
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else {
+      startTimer(data.timeRemaining);
+    }
     answersReceived.textContent = '0';
     updateResponseProgress(0, Number(totalParticipants.textContent || 0));
 
     nextBtn.classList.add('hidden');
     endQuestionBtn.classList.remove('hidden');
+    setQuestionPaused(data.paused === true);
+    setStepControls('open');
     questionSection.classList.remove('hidden');
     liveLobbyPanel.classList.add('hidden');
     liveSectionPanel.classList.add('hidden');
@@ -1231,9 +1574,43 @@ function initSocket(code) {
     updateResponseProgress(data.answeredCount, data.totalParticipants);
   });
 
+  socket.on('question_paused', (data) => {
+    stopAutopilotCountdown();
+    showPausedTimer(Math.ceil(data.remainingMs / 1000));
+    setQuestionPaused(true);
+  });
+
+  socket.on('question_resumed', (data) => {
+    startTimer(data.timeRemaining);
+    setQuestionPaused(false);
+    if (data.autopilotNextInMs) startAutopilotCountdown(data.autopilotNextInMs);
+  });
+
+  socket.on('question_extended', (data) => {
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else {
+      startTimer(data.timeRemaining);
+    }
+  });
+
   socket.on('question_ended', (data) => {
     clearInterval(timerInterval);
     endQuestionBtn.classList.add('hidden');
+    setQuestionPaused(null);
+    setStepControls('results', data.mode);
+
+    // Stepping back lands on the results of an earlier question.
+    if (data.question && currentQuestion?.id !== data.question.id) {
+      currentQuestion = data.question;
+      showQuestion(data);
+      timerDisplay.textContent = '0';
+      answersReceived.textContent = data.stats?.totalAnswered ?? 0;
+      updateResponseProgress(data.stats?.totalAnswered ?? 0, data.stats?.totalParticipants ?? 0);
+      questionSection.classList.remove('hidden');
+      liveLobbyPanel.classList.add('hidden');
+      liveSectionPanel.classList.add('hidden');
+    }
     nextBtn.classList.remove('hidden');
 
     if (data.mode === 'survey') {
@@ -1269,11 +1646,17 @@ function initSocket(code) {
     liveLobbyPanel.classList.remove('hidden');
     nextBtn.classList.add('hidden');
     endQuestionBtn.classList.add('hidden');
+    setQuestionPaused(null);
+    setStepControls(null);
     showResultsBtn.classList.remove('hidden');
     showResultsBtn.textContent = data?.mode === 'survey' ? 'View survey summary' : 'Show final results';
     endSessionBtn.classList.remove('hidden');
   });
 
+  socket.on('assignment_progress', (data) => {
+    if (sessionDelivery === 'self-paced') renderAssignmentDashboard(data);
+  });
+
   socket.on('session_ended', (data) => {
     // Only show alert and reset if it's an intentional end (has a code field)
     // or if we're not mid-quiz (avoids false positives on reconnections)
@@ -1357,6 +1740,241 @@ function showSessionLostBanner(code) {
   });
 }
 
+// Quiz images. Files stay in the browser until the room opens, then upload to
+// that session; the preview shows them from data: URLs in the meantime.
+// These limits mirror quiz-assets.js so most mistakes surface before upload.
+const QUIZ_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const QUIZ_IMAGE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}\.(png|jpe?g|gif|webp)$/i;
+const QUIZ_IMAGE_MAX_BYTES = 700 * 1024;
+const QUIZ_IMAGE_MAX_COUNT = 20;
+const QUIZ_IMAGE_REFERENCE_PATTERN = /(!\[[^\]]*\]\()(?:\.\/)?([^)\s]+)(\s+"[^"]*")?\)/g;
+const quizImages = new Map();
+
+function referencedQuizImages(text) {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(QUIZ_IMAGE_REFERENCE_PATTERN)) {
+    if (QUIZ_IMAGE_NAME_PATTERN.test(match[2])) names.add(match[2]);
+  }
+  return names;
+}
+
+function resolvePreviewImages(text) {
+  return String(text || '').replace(QUIZ_IMAGE_REFERENCE_PATTERN, (match, opening, name, title = '') => {
+    const image = quizImages.get(name);
+    return image ? `${opening}${image.dataUrl}${title})` : match;
+  });
+}
+
+function formatImageSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+function quizImageProblem(file) {
+  if (!QUIZ_IMAGE_NAME_PATTERN.test(file.name)) {
+    return 'rename it using letters, numbers, dots, dashes and underscores';
+  }
+  if (!QUIZ_IMAGE_TYPES.includes(file.type)) return 'only PNG, JPEG, GIF and WebP images are supported';
+  if (file.size > QUIZ_IMAGE_MAX_BYTES) return `images must be ${QUIZ_IMAGE_MAX_BYTES / 1024} KB or smaller`;
+  if (!quizImages.has(file.name) && quizImages.size >= QUIZ_IMAGE_MAX_COUNT) {
+    return `a quiz can hold at most ${QUIZ_IMAGE_MAX_COUNT} images`;
+  }
+  return null;
+}
+
+function readImageAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function renderQuizImages() {
+  const referenced = referencedQuizImages(quizMarkdown.value);
+  const missing = [...referenced].filter(name => !quizImages.has(name));
+  quizImagesList.replaceChildren();
+
+  quizImages.forEach(({ file }, name) => {
+    const item = document.createElement('li');
+    item.className = 'quiz-images-item';
+    const label = document.createElement('span');
+    label.className = 'quiz-images-name';
+    label.textContent = `${name} · ${formatImageSize(file.size)}`;
+    item.appendChild(label);
+    if (!referenced.has(name)) {
+      const note = document.createElement('span');
+      note.className = 'quiz-images-note';
+      note.textContent = 'Not used in the Markdown yet';
+      item.appendChild(note);
+    }
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary btn-small';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Remove ${name}`);
+    remove.addEventListener('click', () => {
+      quizImages.delete(name);
+      renderQuizImages();
+    });
+    item.appendChild(remove);
+    quizImagesList.appendChild(item);
+  });
+
+  missing.forEach(name => {
+    const item = document.createElement('li');
+    item.className = 'quiz-images-item quiz-images-missing';
+    item.textContent = `${name} · referenced but not attached`;
+    quizImagesList.appendChild(item);
+  });
+
+  quizImagesPanel.classList.toggle('hidden', quizImages.size === 0 && missing.length === 0);
+}
+
+addImagesBtn?.addEventListener('click', () => quizImagesInput.click());
+
+quizImagesInput?.addEventListener('change', async () => {
+  const rejected = [];
+  for (const file of quizImagesInput.files) {
+    const problem = quizImageProblem(file);
+    if (problem) {
+      rejected.push(`${file.name}: ${problem}`);
+      continue;
+    }
+    try {
+      quizImages.set(file.name, { file, dataUrl: await readImageAsDataUrl(file) });
+    } catch (err) {
+      rejected.push(`${file.name}: the file could not be read`);
+    }
+  }
+  quizImagesInput.value = '';
+  renderQuizImages();
+  if (rejected.length) {
+    showNoticeModal(rejected.join('\n'), 'Some Images Were Skipped');
+  }
+});
+
+// Quiz import: GIFT, Moodle XML and Kahoot CSV files are converted on the
+// server and dropped into the editor, with a list of what did not come across.
+const MAX_IMPORT_FILE_BYTES = 700 * 1024;
+
+function renderImportReport(data) {
+  const unsupported = data?.unsupported || [];
+  importReportList.innerHTML = '';
+  importReport.classList.toggle('hidden', !data);
+  if (!data) return;
+
+  const imported = data.questionCount === undefined
+    ? 'Nothing was imported.'
+    : `Imported ${data.questionCount} question${data.questionCount === 1 ? '' : 's'}.`;
+  importReportSummary.textContent = unsupported.length
+    ? `${imported} ${unsupported.length} item${unsupported.length === 1 ? '' : 's'} need${unsupported.length === 1 ? 's' : ''} a look:`
+    : `${imported} Everything came across.`;
+  unsupported.forEach(({ item, reason }) => {
+    const entry = document.createElement('li');
+    entry.className = 'import-report-item';
+    if (item) {
+      const name = document.createElement('strong');
+      name.textContent = item;
+      entry.appendChild(name);
+    }
+    const note = document.createElement('span');
+    note.textContent = reason;
+    entry.appendChild(note);
+    importReportList.appendChild(entry);
+  });
+}
+
+importQuizBtn?.addEventListener('click', () => importQuizInput.click());
+
+document.getElementById('dismiss-import-report-btn')?.addEventListener('click', () => renderImportReport(null));
+
+importQuizInput?.addEventListener('change', async () => {
+  const file = importQuizInput.files[0];
+  importQuizInput.value = '';
+  if (!file) return;
+  if (file.size > MAX_IMPORT_FILE_BYTES) {
+    showStatus('upload-status', 'That file is too large to import. Export the questions without embedded images and try again.', false);
+    return;
+  }
+  if (quizMarkdown.value.trim()) {
+    const confirmed = await showConfirmModal({
+      title: 'Replace Markdown',
+      message: `Replace the Markdown currently in the editor with the questions from ${file.name}?`,
+      confirmText: 'Replace'
+    });
+    if (!confirmed) return;
+  }
+
+  importQuizBtn.disabled = true;
+  try {
+    const res = await authFetch('/api/admin/quiz-import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileName: file.name, markdownBase64: encodeMarkdownBase64(await file.text()) })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      renderImportReport(data.unsupported?.length ? data : null);
+      showStatus('upload-status', data.error || 'Unable to import that file.', false);
+      return;
+    }
+    quizMarkdown.value = data.markdown;
+    setLibraryQuiz(null);
+    renderQuizImages();
+    renderImportReport(data);
+    showStatus('upload-status', 'Quiz imported. Check the converted Markdown, then preview your questions.', true);
+    quizMarkdown.focus({ preventScroll: true });
+  } catch (error) {
+    showStatus('upload-status', 'Network error while importing the quiz.', false);
+  } finally {
+    importQuizBtn.disabled = false;
+  }
+});
+
+quizMarkdown.addEventListener('input', () => {
+  if (quizImages.size) renderQuizImages();
+});
+
+// Uploads every attached image to the new session. Returns the names that
+// failed, each with the server's reason.
+async function uploadQuizImages(code) {
+  const failures = [];
+  for (const [name, { file }] of quizImages) {
+    try {
+      const res = await authFetch(`/api/admin/session/${code}/asset/${encodeURIComponent(name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type },
+        body: file
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data?.success) {
+        failures.push(`${name} (${data?.error || `error ${res.status}`})`);
+      }
+    } catch (err) {
+      failures.push(`${name} (connection error)`);
+    }
+  }
+  return failures;
+}
+
+function syncDeliveryFields() {
+  const selfPaced = deliverySelect.value === 'self-paced';
+  document.querySelectorAll('.assignment-window-field').forEach(field => {
+    field.classList.toggle('hidden', !selfPaced);
+  });
+  assignmentWindowHint.classList.toggle('hidden', !selfPaced);
+}
+
+deliverySelect.addEventListener('change', syncDeliveryFields);
+
+// datetime-local values are wall-clock times in the host's timezone.
+function localInputToIso(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
 // Upload Quiz - Now creates a session
 uploadBtn.addEventListener('click', async () => {
   const markdown = quizMarkdown.value.trim();
@@ -1374,7 +1992,12 @@ uploadBtn.addEventListener('click', async () => {
       : {
           markdownBase64: encodeMarkdownBase64(markdown),
           courseName,
-          sessionType: studioMode
+          sessionType: studioMode,
+          quizId: libraryQuiz ? libraryQuiz.id : undefined,
+          delivery: deliverySelect.value,
+          opensAt: deliverySelect.value === 'self-paced' ? localInputToIso(assignmentOpensInput.value) : undefined,
+          closesAt: deliverySelect.value === 'self-paced' ? localInputToIso(assignmentClosesInput.value) : undefined,
+          reviewDays: studioMode === 'survey' ? undefined : reviewDaysInput.value
         };
 
     const res = await authFetch(
@@ -1408,6 +2031,10 @@ uploadBtn.addEventListener('click', async () => {
     if (data.success) {
       sessionCode = data.session.code;
       currentQuiz = data.session.quiz;
+      if (libraryQuiz && data.session.libraryQuiz) {
+        // Opening the room saved any edits as a new version.
+        setLibraryQuiz({ ...libraryQuiz, version: data.session.libraryQuiz.version, markdown });
+      }
 
       // Show session info
       showSessionInfo(data.session);
@@ -1418,13 +2045,27 @@ uploadBtn.addEventListener('click', async () => {
       // Start keep-alive pings to prevent Render free-tier from sleeping mid-quiz
       startKeepAlive();
 
+      let imageFailures = [];
+      if (!isTrialMode() && quizImages.size) {
+        uploadStatus.textContent = `Uploading ${quizImages.size} image${quizImages.size === 1 ? '' : 's'}...`;
+        imageFailures = await uploadQuizImages(sessionCode);
+      }
+
       uploadStatus.innerHTML = '';
       const statusBadge = document.createElement('span');
       statusBadge.className = 'badge badge-success';
       statusBadge.textContent = isTrialMode()
         ? 'Practice room ready!'
-        : (data.session.sessionType === 'survey' ? 'Survey room ready!' : 'Session created!');
+        : (data.session.sessionType === 'survey'
+          ? 'Survey room ready!'
+          : (data.session.delivery === 'self-paced' ? 'Self-paced session created!' : 'Session created!'));
       uploadStatus.appendChild(statusBadge);
+      if (imageFailures.length) {
+        const imageWarning = document.createElement('p');
+        imageWarning.className = 'text-muted';
+        imageWarning.textContent = `These images did not upload: ${imageFailures.join(', ')}`;
+        uploadStatus.appendChild(imageWarning);
+      }
       uploadStatus.style.color = '';
       uploadStatus.classList.remove('hidden');
     } else {
@@ -1524,6 +2165,7 @@ function renderPreviewSectionCard(step) {
   previewPlayerHeader.classList.add('hidden');
   previewQuestionText.classList.add('hidden');
   previewOptionsContainer.classList.add('hidden');
+  previewExplanation.classList.add('hidden');
   previewSectionCard.classList.remove('hidden');
 
   const sections = previewQuizData.steps.filter(s => s.kind === 'section');
@@ -1534,6 +2176,26 @@ function renderPreviewSectionCard(step) {
   previewSectionTitle.textContent = step.title;
   previewSectionSubtitle.textContent = step.subtitle || '';
   previewSectionSubtitle.classList.toggle('hidden', !step.subtitle);
+
+  const pool = previewPoolFor(previewCurrentQuestionIndex);
+  previewSectionPool.textContent = pool ? `Question pool · ${describePreviewPool(pool)}` : '';
+  previewSectionPool.classList.toggle('hidden', !pool);
+}
+
+// The pool a preview step sits in, with the size of its bank, or null. The
+// preview walks the whole bank; each session asks only `pick` of it.
+function previewPoolFor(stepIndex) {
+  const steps = previewQuizData.steps;
+  let start = stepIndex;
+  while (start >= 0 && steps[start].kind !== 'section') start--;
+  if (start < 0 || !steps[start].pick) return null;
+  let size = 0;
+  for (let i = start + 1; i < steps.length && steps[i].kind !== 'section'; i++) size++;
+  return { title: steps[start].title, pick: Math.min(steps[start].pick, size), size };
+}
+
+function describePreviewPool(pool) {
+  return `${pool.pick} of ${pool.size} drawn at random for each session`;
 }
 
 function renderPreviewQuestionCard(q) {
@@ -1558,7 +2220,40 @@ function renderPreviewQuestionCard(q) {
       previewQuizData.questions.filter(qq => qq.type === 'graded').length;
   }
 
-  previewQuestionText.innerHTML = markdown.block(q.text);
+  previewQuestionText.innerHTML = markdown.block(resolvePreviewImages(q.text));
+  const typedAnswer = describeTypedAnswer(q);
+  if (q.format === 'multiple' || q.format === 'order' || typedAnswer) {
+    const hint = document.createElement('p');
+    hint.className = 'preview-select-hint';
+    if (typedAnswer) {
+      hint.textContent = `Typed answer · accepts ${typedAnswer}`;
+    } else if (q.format === 'order') {
+      hint.textContent = q.credit === 'partial'
+        ? 'Ordering · players see these scrambled · partial credit'
+        : 'Ordering · players see these scrambled';
+    } else {
+      hint.textContent = q.credit === 'partial'
+        ? 'Select all that apply · partial credit'
+        : 'Select all that apply';
+    }
+    previewQuestionText.appendChild(hint);
+  }
+  const pool = previewPoolFor(previewCurrentQuestionIndex);
+  if (pool) {
+    const poolHint = document.createElement('p');
+    poolHint.className = 'preview-select-hint';
+    poolHint.textContent = `From the ${pool.title} pool · ${describePreviewPool(pool)}`;
+    previewQuestionText.appendChild(poolHint);
+  }
+  if (q.type === 'graded' && (q.weight !== 1 || q.penalty > 0)) {
+    // Weights are relative to the other questions; # Score scales them.
+    const weightHint = document.createElement('p');
+    weightHint.className = 'preview-select-hint';
+    weightHint.textContent = q.penalty > 0
+      ? `Weight ${q.weight} · wrong answers lose ${q.penalty}`
+      : `Weight ${q.weight}`;
+    previewQuestionText.appendChild(weightHint);
+  }
 
   previewOptionsContainer.innerHTML = '';
   q.options.forEach((opt, idx) => {
@@ -1566,12 +2261,17 @@ function renderPreviewQuestionCard(q) {
     const isCorrect = !isSurveyPreview && q.correctIndices.includes(idx);
     div.className = `preview-option${isCorrect ? ' preview-option-correct' : ''}`;
     div.innerHTML = `
-      <span class="preview-option-letter">${String.fromCharCode(65 + idx)}</span>
-      <span>${markdown.inline(opt)}</span>
+      <span class="preview-option-letter">${q.format === 'order' ? idx + 1 : String.fromCharCode(65 + idx)}</span>
+      <span>${markdown.inline(resolvePreviewImages(opt))}</span>
       ${isCorrect ? '<svg aria-label="Correct answer"><use href="/assets/icons.svg#check-circle"></use></svg>' : ''}
     `;
     previewOptionsContainer.appendChild(div);
   });
+
+  previewExplanation.innerHTML = q.explanation
+    ? `<p class="section-eyebrow">Shown after the question closes</p>${markdown.block(resolvePreviewImages(q.explanation))}`
+    : '';
+  previewExplanation.classList.toggle('hidden', !q.explanation);
 }
 
 // parseQuizMarkdownLocal now lives in public/js/quiz-preview-parser.js
@@ -1622,6 +2322,8 @@ function showSessionInfo(session) {
 
   nextBtn.classList.add('hidden');
   endQuestionBtn.classList.add('hidden');
+  setQuestionPaused(null);
+  setStepControls(null);
   showResultsBtn.classList.add('hidden');
   endSessionBtn.classList.add('hidden');
   questionSection.classList.add('hidden');
@@ -1635,6 +2337,58 @@ function showSessionInfo(session) {
 
   quizStatus.textContent = isSurvey ? 'Survey Not Started' : 'Not Started';
   quizStatus.className = 'badge badge-warning';
+
+  // A self-paced session opens and closes on its own schedule; the host
+  // watches submissions and can close it early.
+  sessionDelivery = session.delivery === 'self-paced' ? 'self-paced' : 'live';
+  const selfPaced = sessionDelivery === 'self-paced';
+  assignmentSection.classList.toggle('hidden', !selfPaced);
+  autopilotToggle.closest('label').classList.toggle('hidden', selfPaced);
+  autopilotPause.closest('label').classList.toggle('hidden', selfPaced);
+  endSessionBtn.textContent = selfPaced ? 'Close now' : 'End session';
+  if (selfPaced) {
+    setLobbyPanel('assignment');
+    startBtn.classList.add('hidden');
+    if (cancelSessionBtn) cancelSessionBtn.classList.add('hidden');
+    endSessionBtn.classList.remove('hidden');
+    renderAssignmentDashboard({
+      status: new Date(session.opensAt) > new Date() ? 'scheduled' : 'open',
+      opensAt: session.opensAt,
+      closesAt: session.closesAt,
+      counts: { joined: 0, notStarted: 0, inProgress: 0, submitted: 0 },
+      averagePercent: null,
+      participants: []
+    });
+  }
+}
+
+const ASSIGNMENT_STATUS_LABELS = {
+  'not-started': 'Not started',
+  'in-progress': 'In progress',
+  submitted: 'Submitted'
+};
+
+function renderAssignmentDashboard(data) {
+  const closes = new Date(data.closesAt).toLocaleString();
+  assignmentWindowLabel.textContent = data.status === 'scheduled'
+    ? `Opens ${new Date(data.opensAt).toLocaleString()} · closes ${closes}`
+    : `Open until ${closes}`;
+  quizStatus.textContent = data.status === 'scheduled' ? 'Scheduled' : 'Open';
+  quizStatus.className = data.status === 'scheduled' ? 'badge badge-warning' : 'badge badge-success';
+
+  assignmentJoined.textContent = data.counts.joined;
+  assignmentInProgress.textContent = data.counts.inProgress;
+  assignmentSubmitted.textContent = data.counts.submitted;
+  assignmentAverage.textContent = data.averagePercent === null ? '–' : `${data.averagePercent}%`;
+
+  assignmentBody.innerHTML = data.participants.map(row => `
+    <tr>
+      <td>${escapeHtml(row.name)}</td>
+      <td><span class="assignment-status assignment-status-${row.status}">${ASSIGNMENT_STATUS_LABELS[row.status]}</span></td>
+      <td>${row.questionsDone} / ${row.totalQuestions}</td>
+      <td>${row.score} <span class="text-muted">(${row.percent}%)</span></td>
+    </tr>
+  `).join('') || '<tr><td colspan="4" class="text-muted">Nobody has joined yet.</td></tr>';
 }
 
 // Reset to upload state
@@ -1651,6 +2405,13 @@ function resetToUploadState() {
 
   stopKeepAlive(); // Stop pinging — session is over
 
+  sessionDelivery = 'live';
+  assignmentSection.classList.add('hidden');
+  assignmentBody.replaceChildren();
+  autopilotToggle.closest('label').classList.remove('hidden');
+  autopilotPause.closest('label').classList.remove('hidden');
+  endSessionBtn.textContent = 'End session';
+
   sessionInfoSection.classList.add('hidden');
   participantsSection.classList.add('hidden');
   controlsSection.classList.add('hidden');
@@ -1745,6 +2506,47 @@ nextBtn.addEventListener('click', () => {
   stopAutopilotCountdown();
 });
 
+// Pause or resume the open question's timer
+pauseQuestionBtn.addEventListener('click', () => {
+  if (socket && sessionCode) {
+    const paused = pauseQuestionBtn.getAttribute('aria-pressed') === 'true';
+    socket.emit(paused ? 'resume_question' : 'pause_question', sessionCode);
+  }
+});
+
+// Add time to the open question
+extendQuestionBtn.addEventListener('click', () => {
+  if (socket && sessionCode) {
+    socket.emit('extend_question', { sessionCode, seconds: 15 });
+  }
+});
+
+// Go back one step. An open question loses its answers; a closed one keeps
+// them.
+stepBackBtn.addEventListener('click', async () => {
+  if (!socket || !sessionCode) return;
+  if (stepBackBtn.dataset.step === 'open') {
+    const confirmed = await showConfirmModal({
+      title: 'Go back a step',
+      message: 'Answers to the open question are discarded, and it opens fresh when you move on again.',
+      confirmText: 'Go back',
+      danger: true
+    });
+    if (!confirmed) return;
+  }
+  stopAutopilotCountdown();
+  socket.emit('previous_step', sessionCode);
+});
+
+// Run the question on screen again
+rerunQuestionBtn.addEventListener('click', async () => {
+  if (!socket || !sessionCode) return;
+  const choice = await chooseRerunAnswers(rerunQuestionBtn.dataset.mode === 'survey');
+  if (choice === null) return;
+  stopAutopilotCountdown();
+  socket.emit('rerun_question', { sessionCode, keepAnswers: choice === 'keep' });
+});
+
 // End question early
 endQuestionBtn.addEventListener('click', () => {
   if (socket && sessionCode) {
@@ -1756,13 +2558,21 @@ endQuestionBtn.addEventListener('click', () => {
 endSessionBtn.addEventListener('click', async () => {
   if (!sessionCode) return;
 
-  const confirmed = await showConfirmModal({
-    title: 'End Session',
-    message: 'Are you sure you want to end this session? All participants will be disconnected.',
-    confirmText: 'End Session',
-    cancelText: 'Keep Session',
-    danger: true
-  });
+  const confirmed = await showConfirmModal(sessionDelivery === 'self-paced'
+    ? {
+        title: 'Close Self-Paced Session',
+        message: 'Close this session before its closing time? Questions still open are marked as they stand and nobody else can start.',
+        confirmText: 'Close Now',
+        cancelText: 'Keep Open',
+        danger: true
+      }
+    : {
+        title: 'End Session',
+        message: 'Are you sure you want to end this session? All participants will be disconnected.',
+        confirmText: 'End Session',
+        cancelText: 'Keep Session',
+        danger: true
+      });
   if (!confirmed) {
     return;
   }
@@ -1899,10 +2709,17 @@ function showQuestion(data) {
   currentQuestionText.innerHTML = markdown.block(data.question.text);
   answersReceived.textContent = '0';
   optionsDisplay.innerHTML = ''; // Clear previous options
+  const typedAnswer = describeTypedAnswer(data.question);
+  if (typedAnswer) {
+    const answer = document.createElement('div');
+    answer.className = 'option-btn correct';
+    answer.textContent = `Typed answer: ${typedAnswer}`;
+    optionsDisplay.appendChild(answer);
+  }
   data.question.options.forEach((opt, i) => {
     const btn = document.createElement('div');
     btn.className = 'option-btn';
-    btn.innerHTML = `${String.fromCharCode(65 + i)}. ${markdown.inline(opt)}`;
+    btn.innerHTML = `${data.question.format === 'order' ? i + 1 : String.fromCharCode(65 + i)}. ${markdown.inline(opt)}`;
     
     if (data.question.correctIndices && data.question.correctIndices.includes(i)) {
       btn.classList.add('correct');
@@ -1911,6 +2728,19 @@ function showQuestion(data) {
   });
 }
 
+// Host-side answer key for a numeric or text question, or null for an
+// option question.
+function describeTypedAnswer(question) {
+  if (question.format === 'numeric' && question.numericAnswer) {
+    const { value, tolerance } = question.numericAnswer;
+    return tolerance ? `${value} ± ${tolerance}` : String(value);
+  }
+  if (question.format === 'text' && question.acceptedAnswers) {
+    return question.acceptedAnswers.join(' / ');
+  }
+  return null;
+}
+
 // Timer
 function startTimer(seconds) {
   clearInterval(timerInterval);
@@ -1932,30 +2762,106 @@ function startTimer(seconds) {
   }, 1000);
 }
 
-// Add participant chip (with kick button if we have participant ID)
-function addParticipantChip(name, id = null, avatarId = null) {
-  if (id) {
-    addParticipantChipWithKick(id, name, avatarId);
-  } else {
-    const chip = document.createElement('span');
-    chip.className = 'participant-chip';
-    chip.textContent = name;
-    participantList.appendChild(chip);
-  }
+function showPausedTimer(seconds) {
+  clearInterval(timerInterval);
+  timerDisplay.textContent = seconds;
+  timerDisplay.classList.remove('urgent');
 }
 
-// Utility functions
-function showError(el, message) {
-  el.textContent = message;
-  el.classList.remove('hidden');
-  setTimeout(() => el.classList.add('hidden'), 3000);
+// 'section', 'open', or 'results' shows the controls for that step; null
+// hides them. mode is the results' session type.
+function setStepControls(step, mode = 'quiz') {
+  stepBackBtn.classList.toggle('hidden', step === null);
+  stepBackBtn.dataset.step = step || '';
+  extendQuestionBtn.classList.toggle('hidden', step !== 'open');
+  rerunQuestionBtn.classList.toggle('hidden', step !== 'results');
+  rerunQuestionBtn.dataset.mode = mode || 'quiz';
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
+// Resolves 'clear' or 'keep', or null if the host backs out.
+function chooseRerunAnswers(survey) {
+  return new Promise((resolve) => {
+    const closeBtn = document.getElementById('rerun-modal-close');
+    const cancelBtn = document.getElementById('rerun-modal-cancel');
+    const previousFocus = document.activeElement;
+    rerunKeepHint.textContent = survey
+      ? 'Responses already in still count; only people who have not responded can answer.'
+      : 'Each answer stands unless its participant answers again.';
+    rerunForm.elements['rerun-answers'].value = 'clear';
+    rerunModal.classList.remove('hidden');
+    rerunForm.querySelector('input:checked').focus();
+
+    function finish(choice) {
+      rerunModal.classList.add('hidden');
+      rerunForm.removeEventListener('submit', onSubmit);
+      closeBtn.removeEventListener('click', onCancel);
+      cancelBtn.removeEventListener('click', onCancel);
+      rerunModal.removeEventListener('click', onBackdrop);
+      document.removeEventListener('keydown', onKeydown);
+      if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+      resolve(choice);
+    }
+
+    function onSubmit(event) {
+      event.preventDefault();
+      finish(rerunForm.elements['rerun-answers'].value);
+    }
+
+    function onCancel() {
+      finish(null);
+    }
+
+    function onBackdrop(event) {
+      if (event.target === rerunModal) onCancel();
+    }
+
+    function onKeydown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onCancel();
+      }
+    }
+
+    rerunForm.addEventListener('submit', onSubmit);
+    closeBtn.addEventListener('click', onCancel);
+    cancelBtn.addEventListener('click', onCancel);
+    rerunModal.addEventListener('click', onBackdrop);
+    document.addEventListener('keydown', onKeydown);
+  });
+}
+
+// true or false shows the button in that state; null hides it.
+function setQuestionPaused(paused) {
+  pauseQuestionBtn.classList.toggle('hidden', paused === null);
+  pauseQuestionBtn.setAttribute('aria-pressed', String(paused === true));
+  pauseQuestionBtn.textContent = paused ? 'Resume timer' : 'Pause timer';
+  questionSection.classList.toggle('is-paused', paused === true);
+}
+
+// Add participant chip (with kick button if we have participant ID)
+function addParticipantChip(name, id = null, avatarId = null, team = null) {
+  if (id) {
+    addParticipantChipWithKick(id, name, avatarId, team);
+  } else {
+    const chip = document.createElement('span');
+    chip.className = 'participant-chip';
+    chip.textContent = name;
+    participantList.appendChild(chip);
+  }
+}
+
+// Utility functions
+function showError(el, message) {
+  el.textContent = message;
+  el.classList.remove('hidden');
+  setTimeout(() => el.classList.add('hidden'), 3000);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
 
 function sidekickAsset(id, size = 128) {
   return `/assets/sidekicks/webp/${size}/${encodeURIComponent(id)}.webp`;
@@ -2025,6 +2931,261 @@ analyticsTabs.forEach(tab => {
   });
 });
 
+// Run comparison. Ticked sessions are compared directly; with none ticked
+// and a saved Mash chosen in the filter, its completed runs are compared.
+function updateCompareButton() {
+  const savedMash = document.getElementById('library-filter-select')?.value || 'all';
+  if (compareSelection.size > 0 || savedMash === 'all') {
+    compareSessionsLabel.textContent = compareSelection.size ? `Compare (${compareSelection.size})` : 'Compare';
+    compareSessionsBtn.disabled = compareSelection.size < 2;
+  } else {
+    compareSessionsLabel.textContent = 'Compare all runs';
+    compareSessionsBtn.disabled = false;
+  }
+}
+
+function formatDrift(drift) {
+  if (drift === null) return '—';
+  if (drift === 0) return '±0';
+  return drift > 0 ? `▲ ${drift}` : `▼ ${Math.abs(drift)}`;
+}
+
+function renderComparison(data) {
+  const runs = data.sessions;
+  const runLabel = run => run.courseName ? `${run.code} · ${run.courseName}` : run.code;
+  const titles = new Set(runs.map(run => run.title || 'Untitled Quiz'));
+  document.getElementById('comparison-title').textContent = titles.size === 1
+    ? [...titles][0]
+    : `${titles.size} quiz titles`;
+
+  const participants = runs.reduce((sum, run) => sum + run.participantCount, 0);
+  const weightedAverage = participants > 0
+    ? runs.reduce((sum, run) => sum + (run.averagePercent || 0) * run.participantCount, 0) / participants
+    : 0;
+  document.getElementById('comparison-run-count').textContent = runs.length;
+  document.getElementById('comparison-avg-score').textContent = `${Math.round(weightedAverage)}%`;
+  document.getElementById('comparison-participants').textContent = participants;
+  document.getElementById('comparison-matched').textContent =
+    data.questions.filter(q => q.sessionsMatched === runs.length).length;
+
+  const scoresHead = document.getElementById('comparison-scores-head');
+  const scoresBody = document.getElementById('comparison-scores-body');
+  scoresHead.innerHTML = `<tr><th>Session</th><th>Average</th>${data.scoreBuckets.map(label => `<th>${escapeHtml(label)}</th>`).join('')}</tr>`;
+  scoresBody.innerHTML = '';
+  runs.forEach(run => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td><code>${escapeHtml(run.code)}</code>${run.courseName ? ` <span class="text-muted">${escapeHtml(run.courseName)}</span>` : ''}</td>
+      <td>${run.averagePercent === null ? '—' : `${Math.round(run.averagePercent)}%`}</td>
+      ${run.scoreBuckets.map(count => `<td>${run.participantCount ? Math.round((count * 100) / run.participantCount) : 0}%</td>`).join('')}
+    `;
+    scoresBody.appendChild(tr);
+  });
+
+  comparisonDifficultyChart = renderQuestionDifficultyChart(
+    data.questions
+      .map((q, position) => ({ index: position, correctPercent: q.averagePercent, difficulty: q.difficulty }))
+      .filter(q => q.correctPercent !== null),
+    'comparison-difficulty-chart'
+  );
+
+  const questionsHead = document.getElementById('comparison-questions-head');
+  const questionsBody = document.getElementById('comparison-questions-body');
+  questionsHead.innerHTML = `<tr><th>Question</th><th>Prompt</th>${runs.map(run => `<th title="${escapeHtml(runLabel(run))}">${escapeHtml(run.code)}</th>`).join('')}<th>Drift</th></tr>`;
+  questionsBody.innerHTML = '';
+  data.questions.forEach((q, position) => {
+    const tr = document.createElement('tr');
+    const driftClass = q.drift === null || q.drift === 0 ? '' : (q.drift > 0 ? 'drift-up' : 'drift-down');
+    tr.innerHTML = `
+      <td>Q${position + 1}</td>
+      <td class="question-text-cell" title="${escapeHtml(q.text)}">${escapeHtml(truncateText(q.text, 50))}</td>
+      ${q.runs.map(entry => `<td>${!entry ? '<span class="text-muted">not asked</span>' : (entry.correctPercent === null ? '—' : `${Math.round(entry.correctPercent)}%`)}</td>`).join('')}
+      <td class="${driftClass}">${formatDrift(q.drift)}</td>
+    `;
+    questionsBody.appendChild(tr);
+  });
+}
+
+compareSessionsBtn?.addEventListener('click', async () => {
+  const savedMash = document.getElementById('library-filter-select')?.value || 'all';
+  const query = compareSelection.size > 0
+    ? `codes=${[...compareSelection].map(encodeURIComponent).join(',')}`
+    : `quizId=${encodeURIComponent(savedMash)}`;
+
+  compareSessionsBtn.disabled = true;
+  try {
+    const res = await authFetch(`/api/admin/analytics/compare?${query}`);
+    const data = await res.json();
+    if (!data.success) {
+      showNoticeModal(data.error || 'Unable to compare these sessions.', 'Comparison Unavailable');
+      return;
+    }
+
+    destroyCharts();
+    analyticsSection.classList.add('hidden');
+    comparisonSection.classList.remove('hidden');
+    renderComparison(data);
+  } catch (err) {
+    showNoticeModal('Network error while comparing sessions.', 'Comparison Unavailable');
+  } finally {
+    updateCompareButton();
+  }
+});
+
+backFromComparisonBtn?.addEventListener('click', () => {
+  destroyCharts();
+  comparisonSection.classList.add('hidden');
+  analyticsSection.classList.remove('hidden');
+});
+
+// Mash group report: the group's roster and each student's attendance,
+// score trend, and weakest sections across its completed quizzes.
+function updateCourseReportButton() {
+  const course = document.getElementById('course-filter-select')?.value || 'all';
+  courseReportBtn.disabled = course === 'all';
+  courseReportBtn.title = course === 'all' ? 'Choose a Mash group first' : `Report for ${course}`;
+}
+
+function courseApiPath(courseName) {
+  return `/api/admin/courses/${encodeURIComponent(courseName)}`;
+}
+
+function renderCourseReport(data) {
+  document.getElementById('course-report-title').textContent = data.courseName;
+  document.getElementById('course-report-students').textContent = data.students.length;
+  document.getElementById('course-report-sessions').textContent = data.sessions.length;
+  const attendance = data.students
+    .map(student => student.attendancePercent)
+    .filter(percent => percent !== null);
+  document.getElementById('course-report-attendance').textContent = attendance.length
+    ? `${Math.round(attendance.reduce((sum, percent) => sum + percent, 0) / attendance.length)}%`
+    : '—';
+  document.getElementById('course-report-unlinked').textContent = data.unlinkedParticipants;
+
+  const head = document.getElementById('course-report-head');
+  const body = document.getElementById('course-report-body');
+  head.innerHTML = `<tr><th>Student</th><th>Attended</th><th>Average</th><th>Trend</th><th>Weakest sections</th>${data.sessions.map(session => `<th title="${escapeHtml(session.title || '')}">${escapeHtml(session.code)}</th>`).join('')}<th><span class="sr-only">Actions</span></th></tr>`;
+  body.innerHTML = '';
+  document.getElementById('no-roster-msg').classList.toggle('hidden', data.students.length > 0);
+
+  data.students.forEach(student => {
+    const tr = document.createElement('tr');
+    const trendClass = student.trend === null || student.trend === 0 ? '' : (student.trend > 0 ? 'drift-up' : 'drift-down');
+    const weakest = student.weakestSections.map(section => `${section.title} (${Math.round(section.percent)}%)`).join(', ');
+    tr.innerHTML = `
+      <td><strong>${escapeHtml(student.displayName)}</strong>${student.studentKey !== student.displayName ? ` <span class="text-muted">${escapeHtml(student.studentKey)}</span>` : ''}</td>
+      <td>${student.attended}/${data.sessions.length}</td>
+      <td>${student.averagePercent === null ? '—' : `${Math.round(student.averagePercent)}%`}</td>
+      <td class="${trendClass}">${formatDrift(student.trend)}</td>
+      <td class="question-text-cell" title="${escapeHtml(weakest)}">${weakest ? escapeHtml(truncateText(weakest, 60)) : '—'}</td>
+      ${student.scores.map(score => `<td>${score === null ? '<span class="text-muted">absent</span>' : `${score}%`}</td>`).join('')}
+      <td><button type="button" class="btn btn-secondary btn-small">Remove</button></td>
+    `;
+    tr.querySelector('button').addEventListener('click', () => removeRosterStudent(student));
+    body.appendChild(tr);
+  });
+}
+
+async function loadCourseReport() {
+  const res = await authFetch(`${courseApiPath(viewingCourseName)}/report`);
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || 'Unable to load this Mash group.');
+  renderCourseReport(data);
+}
+
+async function removeRosterStudent(student) {
+  const confirmed = await showConfirmModal({
+    title: 'Remove Student',
+    message: `Remove “${student.displayName}” from the ${viewingCourseName} roster? Their past answers stay in each session's results.`,
+    confirmText: 'Remove',
+    danger: true
+  });
+  if (!confirmed) return;
+
+  try {
+    const res = await authFetch(`${courseApiPath(viewingCourseName)}/roster/${student.id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || 'Unable to remove that student');
+    await loadCourseReport();
+  } catch (error) {
+    showNoticeModal(error.message || 'Unable to remove that student', 'Roster');
+  }
+}
+
+courseReportBtn?.addEventListener('click', async () => {
+  const course = document.getElementById('course-filter-select')?.value || 'all';
+  if (course === 'all') return;
+
+  viewingCourseName = course;
+  courseReportBtn.disabled = true;
+  try {
+    await loadCourseReport();
+    destroyCharts();
+    hideStatus('roster-status');
+    analyticsSection.classList.add('hidden');
+    courseReportSection.classList.remove('hidden');
+  } catch (error) {
+    showNoticeModal(error.message || 'Network error while loading this Mash group.', 'Report Unavailable');
+  } finally {
+    updateCourseReportButton();
+  }
+});
+
+document.getElementById('import-roster-btn')?.addEventListener('click', () => {
+  rosterFileInput.click();
+});
+
+rosterFileInput?.addEventListener('change', async () => {
+  const file = rosterFileInput.files[0];
+  rosterFileInput.value = '';
+  if (!file || !viewingCourseName) return;
+
+  try {
+    const res = await authFetch(`${courseApiPath(viewingCourseName)}/roster`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ csv: await file.text() })
+    });
+    const data = await res.json();
+    if (!data.success) {
+      showStatus('roster-status', data.error || 'Unable to import that roster.', false);
+      return;
+    }
+    const skipped = data.duplicates ? `, ${data.duplicates} duplicate row${data.duplicates === 1 ? '' : 's'} skipped` : '';
+    showStatus('roster-status', `Roster imported: ${data.added} added, ${data.updated} updated${skipped}.`, true);
+    await loadCourseReport();
+  } catch (error) {
+    showStatus('roster-status', 'Network error while importing the roster.', false);
+  }
+});
+
+document.getElementById('export-course-report-btn')?.addEventListener('click', async () => {
+  if (!viewingCourseName) return;
+
+  try {
+    const res = await authFetch(`${courseApiPath(viewingCourseName)}/report/export`);
+    if (!res.ok) throw new Error('Export failed');
+    const blob = await res.blob();
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const downloadUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = disposition.match(/filename="([^"]+)"/)?.[1] || 'course-report.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(downloadUrl);
+  } catch (error) {
+    showNoticeModal('Unable to export this Mash group.', 'Export Failed');
+  }
+});
+
+document.getElementById('back-from-course-report-btn')?.addEventListener('click', () => {
+  courseReportSection.classList.add('hidden');
+  analyticsSection.classList.remove('hidden');
+  viewingCourseName = null;
+});
+
 // Back to analytics from session detail
 backToAnalyticsBtn.addEventListener('click', () => {
   destroyCharts();
@@ -2054,6 +3215,244 @@ exportCsvBtn.addEventListener('click', async () => {
   }
 });
 
+// Export for LMS: the quiz as QTI 2.1 or Moodle XML, or the grades as a
+// Canvas, Blackboard or custom-column gradebook CSV.
+function syncLmsExportFields() {
+  const gradebook = lmsExportKind.value === 'gradebook';
+  const custom = gradebookFormat.value === 'generic';
+  gradebookExportOptions.classList.toggle('hidden', !gradebook);
+  gradebookGradeGroup.classList.toggle('hidden', custom);
+  gradebookColumns.classList.toggle('hidden', !custom);
+}
+
+function lmsExportQuery() {
+  if (lmsExportKind.value !== 'gradebook') return '';
+  const params = new URLSearchParams({ format: gradebookFormat.value });
+  if (gradebookFormat.value === 'generic') {
+    const columns = [...gradebookColumns.querySelectorAll('input:checked')].map(input => input.value);
+    params.set('columns', columns.join(','));
+  } else {
+    params.set('grade', gradebookGrade.value);
+  }
+  return `?${params}`;
+}
+
+exportLmsBtn.addEventListener('click', () => {
+  if (!viewingSessionCode) return;
+  syncLmsExportFields();
+  lmsExportModal.classList.remove('hidden');
+  lmsExportKind.focus({ preventScroll: true });
+});
+
+document.getElementById('close-lms-export-btn').addEventListener('click', () => {
+  lmsExportModal.classList.add('hidden');
+});
+
+lmsExportModal.addEventListener('click', event => {
+  if (event.target === lmsExportModal) lmsExportModal.classList.add('hidden');
+});
+
+lmsExportKind.addEventListener('change', syncLmsExportFields);
+gradebookFormat.addEventListener('change', syncLmsExportFields);
+
+lmsExportForm.addEventListener('submit', async event => {
+  event.preventDefault();
+  if (!viewingSessionCode) return;
+  if (lmsExportKind.value === 'gradebook' && gradebookFormat.value === 'generic'
+    && !gradebookColumns.querySelector('input:checked')) {
+    showNoticeModal('Choose at least one column for the gradebook.', 'Nothing to Export');
+    return;
+  }
+
+  try {
+    const res = await authFetch(
+      `/api/admin/analytics/session/${viewingSessionCode}/export/${lmsExportKind.value}${lmsExportQuery()}`
+    );
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+    const blob = await res.blob();
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const downloadUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = disposition.match(/filename="([^"]+)"/)?.[1] || `${viewingSessionCode}-export`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(downloadUrl);
+    lmsExportModal.classList.add('hidden');
+  } catch (error) {
+    showNoticeModal(error.message === 'Export failed' ? 'Unable to export this session.' : error.message, 'Export Failed');
+  }
+});
+
+// Session replay: steps through a room's event log with the answer counts
+// as they stood at each moment. Works for open rooms, practice rooms, and
+// sessions long since ended.
+let replay = null;
+let replayIndex = 0;
+
+function formatReplayOffset(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+function describeReplayFrame(frame, sessionType) {
+  const details = frame.details || {};
+  switch (frame.type) {
+    case 'room_opened':
+      return details.delivery === 'self-paced' ? 'Assignment created' : 'Room opened';
+    case 'room_resumed':
+      return 'Room resumed after a server restart';
+    case 'participant_joined':
+      return details.team ? `${details.name} joined team ${details.team}` : `${details.name} joined`;
+    case 'participant_rejoined':
+      return `${details.name} reconnected`;
+    case 'participant_left':
+      return `${details.name} lost connection`;
+    case 'participant_kicked':
+      return `${details.name} was removed`;
+    case 'quiz_started':
+      return sessionType === 'survey' ? 'Survey started' : 'Quiz started';
+    case 'section_started':
+      return `Section: ${details.title}`;
+    case 'question_started':
+      return details.questionNumber
+        ? `Question ${details.questionNumber} opened: ${details.text}`
+        : `Ungraded question opened: ${details.text}`;
+    case 'question_paused':
+      return `Timer paused with ${Math.ceil(details.remainingMs / 1000)}s left`;
+    case 'question_resumed':
+      return 'Timer resumed';
+    case 'question_extended':
+      return `${details.addedSeconds}s added to the timer`;
+    case 'question_rerun':
+      return details.keepAnswers ? 'Question run again, earlier answers kept' : 'Question run again from scratch';
+    case 'stepped_back':
+      return 'Host stepped back a step';
+    case 'question_ended': {
+      const answered = `${details.answered} answered`;
+      return details.correct === undefined
+        ? `Question closed, ${answered}`
+        : `Question closed, ${answered}, ${details.correct} correct`;
+    }
+    case 'autopilot_changed':
+      return details.enabled ? `Autopilot on, ${details.pauseSeconds}s between steps` : 'Autopilot off';
+    case 'assignment_opened':
+      return 'Assignment opened';
+    case 'assignment_closed':
+      return 'Assignment closed';
+    case 'quiz_ended':
+      return sessionType === 'survey' ? 'Survey finished' : 'Quiz finished';
+    case 'session_ended':
+      return 'Host ended the session';
+    default:
+      return frame.type;
+  }
+}
+
+function showReplayFrame(index) {
+  if (!replay || replay.frames.length === 0) return;
+  replayIndex = Math.min(Math.max(index, 0), replay.frames.length - 1);
+  const frame = replay.frames[replayIndex];
+
+  replayElapsed.textContent = formatReplayOffset(frame.offsetMs);
+  replayParticipants.textContent = frame.participants;
+  replayAnswers.textContent = frame.answers;
+  if (frame.question) {
+    replayQuestionLabel.textContent = frame.question.open ? 'Answers to the open question' : 'Answers to the last question';
+    replayQuestionAnswers.textContent = frame.question.answers;
+  } else {
+    replayQuestionLabel.textContent = 'This question';
+    replayQuestionAnswers.textContent = '–';
+  }
+  replayMoment.textContent = describeReplayFrame(frame, replay.sessionType);
+  replayScrubber.value = String(replayIndex);
+  replayPrevBtn.disabled = replayIndex === 0;
+  replayNextBtn.disabled = replayIndex === replay.frames.length - 1;
+
+  replayTimeline.querySelectorAll('button').forEach((button, position) => {
+    if (position === replayIndex) {
+      button.setAttribute('aria-current', 'step');
+      button.scrollIntoView({ block: 'nearest' });
+    } else {
+      button.removeAttribute('aria-current');
+    }
+  });
+}
+
+function renderReplay(data) {
+  replay = data;
+  replayModalTitle.textContent = data.quizTitle ? `Replay · ${data.quizTitle}` : `Replay · ${data.code}`;
+  const empty = data.frames.length === 0;
+  replayEmpty.classList.toggle('hidden', !empty);
+  replayPlayer.classList.toggle('hidden', empty);
+
+  replayTimeline.innerHTML = '';
+  data.frames.forEach((frame, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    const time = document.createElement('time');
+    time.dateTime = frame.at;
+    time.textContent = formatReplayOffset(frame.offsetMs);
+    const label = document.createElement('span');
+    label.textContent = describeReplayFrame(frame, data.sessionType);
+    button.append(time, label);
+    button.addEventListener('click', () => showReplayFrame(index));
+    item.appendChild(button);
+    replayTimeline.appendChild(item);
+  });
+
+  replayScrubber.max = String(Math.max(data.frames.length - 1, 0));
+  showReplayFrame(0);
+}
+
+async function openReplay(path, trigger) {
+  trigger.disabled = true;
+  try {
+    const res = await authFetch(path);
+    const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.error || 'Unable to load the replay.');
+    renderReplay(data.replay);
+    replayModal.classList.remove('hidden');
+    document.getElementById('close-replay-btn').focus({ preventScroll: true });
+  } catch (error) {
+    showNoticeModal(error.message || 'Unable to load the replay.', 'Replay Unavailable');
+  } finally {
+    trigger.disabled = false;
+  }
+}
+
+replaySessionBtn.addEventListener('click', () => {
+  if (!viewingSessionCode) return;
+  openReplay(`/api/admin/session/${viewingSessionCode}/replay`, replaySessionBtn);
+});
+
+liveReplayBtn.addEventListener('click', () => {
+  if (!sessionCode) return;
+  openReplay(sessionApiPath(`/${sessionCode}/replay`), liveReplayBtn);
+});
+
+replayPrevBtn.addEventListener('click', () => showReplayFrame(replayIndex - 1));
+replayNextBtn.addEventListener('click', () => showReplayFrame(replayIndex + 1));
+replayScrubber.addEventListener('input', () => showReplayFrame(Number(replayScrubber.value)));
+
+document.getElementById('close-replay-btn').addEventListener('click', () => {
+  replayModal.classList.add('hidden');
+});
+
+replayModal.addEventListener('click', event => {
+  if (event.target === replayModal) replayModal.classList.add('hidden');
+});
+
 // Show analytics view
 async function showAnalytics() {
   // Hide the instructor launcher and active workspace without disturbing
@@ -2065,6 +3464,8 @@ async function showAnalytics() {
   // Show analytics
   analyticsSection.classList.remove('hidden');
   sessionDetailSection.classList.add('hidden');
+  comparisonSection.classList.add('hidden');
+  courseReportSection.classList.add('hidden');
   studioTitleLabel.textContent = 'Analytics';
 
   // Reset to overview tab
@@ -2203,15 +3604,32 @@ async function loadSessionsList() {
       });
     }
 
+    // Every run of a saved Mash shares its quizId, whatever the room's title.
+    const libraryFilterSelect = document.getElementById('library-filter-select');
+    if (libraryFilterSelect && libraryFilterSelect.options.length <= 1 && data.success) {
+      const savedMashes = new Map();
+      data.sessions.forEach(s => {
+        if (s.quizId && !savedMashes.has(s.quizId)) savedMashes.set(s.quizId, s.libraryTitle || s.quizTitle);
+      });
+      savedMashes.forEach((title, quizId) => {
+        const opt = document.createElement('option');
+        opt.value = quizId;
+        opt.textContent = title;
+        libraryFilterSelect.appendChild(opt);
+      });
+    }
+
     if (data.success && data.sessions.length > 0) {
       noSessionsMsg.classList.add('hidden');
       
       const selectedCourse = courseFilterSelect.value;
       const selectedType = document.getElementById('session-type-filter')?.value || 'all';
+      const selectedLibraryQuiz = document.getElementById('library-filter-select')?.value || 'all';
       const searchTerm = sessionSearchInput?.value.trim().toLowerCase() || '';
       const filteredSessions = data.sessions.filter(s => {
         if (selectedCourse !== 'all' && s.courseName !== selectedCourse) return false;
         if (selectedType !== 'all' && s.sessionType !== selectedType) return false;
+        if (selectedLibraryQuiz !== 'all' && String(s.quizId) !== selectedLibraryQuiz) return false;
         if (currentSessionsFilter === 'test' && !s.isTest) return false;
         if (currentSessionsFilter === 'ended' && s.status !== 'ended') return false;
         if (currentSessionsFilter === 'incomplete' && (s.status === 'ended' || s.isTest)) return false;
@@ -2268,11 +3686,18 @@ async function loadSessionsList() {
           </div>
         `;
 
+        // Only completed quiz runs have scores to compare.
+        const comparable = !isSurvey && session.status === 'ended';
         tr.innerHTML = `
+          <td>${comparable
+            ? `<input type="checkbox" class="compare-checkbox" aria-label="Compare ${escapeHtml(session.code)}"${compareSelection.has(session.code) ? ' checked' : ''}>`
+            : ''}</td>
           <td><code>${escapeHtml(session.code)}</code> ${statusBadge}</td>
           <td><span class="session-type-badge session-type-${isSurvey ? 'survey' : 'quiz'}">${isSurvey ? 'Survey' : 'Quiz'}</span></td>
           <td>${escapeHtml(session.courseName || '-')}</td>
-          <td>${escapeHtml(session.quizTitle || 'Untitled')}</td>
+          <td>${escapeHtml(session.quizTitle || 'Untitled')}${session.quizVersion
+            ? ` <span class="library-version-badge" title="Saved Mash version">v${session.quizVersion}</span>`
+            : ''}</td>
           <td>${session.participantCount}</td>
           <td>${(isInterrupted || isCreated)
             ? '—'
@@ -2283,6 +3708,12 @@ async function loadSessionsList() {
           <td>${actionBtn}</td>
         `;
 
+        tr.querySelector('.compare-checkbox')?.addEventListener('change', event => {
+          if (event.target.checked) compareSelection.add(session.code);
+          else compareSelection.delete(session.code);
+          updateCompareButton();
+        });
+
         if (isInterrupted) {
           // Recover button: calls recovery endpoint, then reloads list
           const recoverBtn = tr.querySelector('.recover-btn');
@@ -2397,6 +3828,7 @@ closeEditMetadataBtn.addEventListener('click', () => {
 
 // Update the filter logic to re-render using local data, or just re-fetch
 document.getElementById('course-filter-select')?.addEventListener('change', () => {
+  updateCourseReportButton();
   loadSessionsList();
 });
 
@@ -2404,6 +3836,11 @@ document.getElementById('session-type-filter')?.addEventListener('change', () =>
   loadSessionsList();
 });
 
+document.getElementById('library-filter-select')?.addEventListener('change', () => {
+  updateCompareButton();
+  loadSessionsList();
+});
+
 let sessionSearchTimer = null;
 sessionSearchInput?.addEventListener('input', () => {
   clearTimeout(sessionSearchTimer);
@@ -2432,6 +3869,10 @@ function destroyCharts() {
     questionDifficultyChart.destroy();
     questionDifficultyChart = null;
   }
+  if (comparisonDifficultyChart) {
+    comparisonDifficultyChart.destroy();
+    comparisonDifficultyChart = null;
+  }
 }
 
 // Render score distribution histogram
@@ -2499,7 +3940,7 @@ function renderScoreDistribution(participants, totalQuestions) {
 }
 
 // Render question difficulty horizontal bar chart
-function renderQuestionDifficultyChart(questions) {
+function renderQuestionDifficultyChart(questions, canvasId = 'question-difficulty-chart') {
   const sorted = [...questions].sort((a, b) => a.index - b.index);
   const labels = sorted.map(q => `Q${q.index + 1}`);
   const percents = sorted.map(q => Math.round(q.correctPercent));
@@ -2514,8 +3955,8 @@ function renderQuestionDifficultyChart(questions) {
     return 'rgba(239, 68, 68, 1)';
   });
 
-  const ctx = document.getElementById('question-difficulty-chart').getContext('2d');
-  questionDifficultyChart = new Chart(ctx, {
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(ctx, {
     type: 'bar',
     data: {
       labels,
@@ -2564,6 +4005,21 @@ function renderTrickyQuestions(questions) {
 
   const trickyOnes = [];
   questions.forEach(q => {
+    // Typed questions have no options; list the wrong entries people converged on.
+    if (q.commonWrongEntries && q.commonWrongEntries.length > 0) {
+      const totalAnswers = q.totalAnswers || 0;
+      trickyOnes.push({
+        question: q,
+        wrongEntries: q.commonWrongEntries.map(entry => ({
+          value: entry.value,
+          pct: totalAnswers > 0 ? Math.round((entry.count / totalAnswers) * 100) : 0
+        })),
+        correctAnswer: q.correctAnswer
+      });
+      return;
+    }
+    // Every ordering answer places every item, so no item is a wrong pick.
+    if (q.format === 'order') return;
     if (!q.optionDistribution || q.optionDistribution.length === 0) return;
     if (!q.options || q.options.length === 0) return;
 
@@ -2600,12 +4056,18 @@ function renderTrickyQuestions(questions) {
   trickyOnes.forEach(t => {
     const div = document.createElement('div');
     div.className = 'tricky-alert';
+    const wrongHtml = t.wrongEntries
+      ? `Common wrong entries: ${t.wrongEntries
+        .map(entry => `<span class="wrong-pick">"${escapeHtml(entry.value)}" (${entry.pct}%)</span>`)
+        .join(', ')}`
+      : `<span class="wrong-pick">${t.wrongPct}% picked "${escapeHtml(t.wrongOption)}"</span> (wrong)`;
     div.innerHTML = `
       <div class="tricky-alert-header">Q${t.question.index + 1}: ${escapeHtml(t.question.text)}</div>
       <div class="tricky-alert-detail">
-        <span class="wrong-pick">${t.wrongPct}% picked "${escapeHtml(t.wrongOption)}"</span> (wrong)
+        ${wrongHtml}
         &mdash; Correct answer: <span class="correct-pick">"${escapeHtml(t.correctAnswer)}"</span>
       </div>
+      ${t.question.explanation ? `<div class="tricky-alert-detail">${markdown.block(t.question.explanation)}</div>` : ''}
     `;
     container.appendChild(div);
   });
@@ -2655,6 +4117,8 @@ async function loadSessionDetail(code) {
     sessionDetailSection.classList.remove('hidden');
 
     const isSurvey = data.session.sessionType === 'survey' || data.mode === 'survey';
+    // Surveys have no answer key or grades to take to an LMS.
+    exportLmsBtn.classList.toggle('hidden', isSurvey);
 
     // Populate session info
     detailQuizTitle.textContent = data.session.quizTitle || (isSurvey ? 'Untitled Survey' : 'Untitled Quiz');
@@ -2705,7 +4169,7 @@ async function loadSessionDetail(code) {
 
       renderEngagement(data.participants, data.session.totalQuestions);
       renderScoreDistribution(data.participants, data.session.totalQuestions);
-      renderQuestionDifficultyChart(data.questions);
+      questionDifficultyChart = renderQuestionDifficultyChart(data.questions);
 
       // Populate question difficulty table
       questionBreakdownBody.innerHTML = '';
@@ -2716,7 +4180,9 @@ async function loadSessionDetail(code) {
 
         tr.innerHTML = `
           <td>Q${q.index + 1}</td>
-          <td class="question-text-cell" title="${escapeHtml(q.text)}">${escapeHtml(truncateText(q.text, 50))}</td>
+          <td class="question-text-cell" title="${escapeHtml(q.text)}">${escapeHtml(truncateText(q.text, 50))}${q.explanation
+            ? `<small class="question-explanation" title="${escapeHtml(q.explanation)}">Why: ${escapeHtml(truncateText(q.explanation, 60))}</small>`
+            : ''}</td>
           <td>${Math.round(q.correctPercent)}%</td>
           <td>${avgTime}</td>
           <td><span class="difficulty-badge ${difficultyClass}">${q.difficulty}</span></td>
@@ -2730,8 +4196,23 @@ async function loadSessionDetail(code) {
       rankingSection.classList.remove('hidden');
       rankingParticipantsBody.innerHTML = '';
       const passingPercent = Number(data.session.passingPercent ?? 70);
+      // earnedCredit counts partially right multi-select answers as fractions,
+      // weighted by ::points and less any ::penalty; it equals correctCount for
+      // sessions without partial credit or weights.
+      const creditOf = participant => participant.earnedCredit ?? participant.correctCount ?? 0;
+      const totalScore = data.session.totalScore || 100;
+      const totalWeight = data.session.totalWeight ?? data.session.totalQuestions;
+      const pointsPerQuestion = totalWeight > 0 ? totalScore / totalWeight : 0;
+      // earnedPoints also reflects speed scoring; credit alone is the fallback.
+      const pointsOf = participant => participant.earnedPoints ?? creditOf(participant) * pointsPerQuestion;
       const rankedParticipants = [...data.participants]
         .sort((a, b) => {
+          if (pointsOf(b) !== pointsOf(a)) {
+            return pointsOf(b) - pointsOf(a);
+          }
+          if (creditOf(b) !== creditOf(a)) {
+            return creditOf(b) - creditOf(a);
+          }
           if ((b.correctCount || 0) !== (a.correctCount || 0)) {
             return (b.correctCount || 0) - (a.correctCount || 0);
           }
@@ -2741,8 +4222,8 @@ async function loadSessionDetail(code) {
           return String(a.name || '').localeCompare(String(b.name || ''));
         })
         .map((participant, index) => {
-          const scorePercent = data.session.totalQuestions > 0
-            ? ((participant.correctCount || 0) / data.session.totalQuestions) * 100
+          const scorePercent = totalWeight > 0
+            ? (Math.max(0, creditOf(participant)) / totalWeight) * 100
             : 0;
           return {
             ...participant,
@@ -2752,13 +4233,10 @@ async function loadSessionDetail(code) {
           };
         });
 
-      const totalScore = data.session.totalScore || 100;
-      const pointsPerQuestion = data.session.totalQuestions > 0 ? totalScore / data.session.totalQuestions : 0;
-
       function buildParticipantRow(p, rank, totalQuestions) {
         const tr = document.createElement('tr');
         const avgTime = p.avgResponseTimeMs ? `${(p.avgResponseTimeMs / 1000).toFixed(1)}s` : 'N/A';
-        const computedScore = Math.round((p.correctCount || 0) * pointsPerQuestion);
+        const computedScore = Math.round(pointsOf(p));
 
         let rankHtml;
         if (rank === 1) {
@@ -2781,7 +4259,7 @@ async function loadSessionDetail(code) {
 
         tr.innerHTML = `
           <td>${rankHtml}</td>
-          <td>${escapeHtml(p.name)}</td>
+          <td>${escapeHtml(p.name)}${p.team ? ` <small class="participant-team">${escapeHtml(p.team)}</small>` : ''}</td>
           <td>${p.correctCount} / ${totalQuestions}</td>
           <td>${computedScore} / ${totalScore}</td>
           <td><span class="pass-badge ${p.passed ? 'pass-badge-passed' : 'pass-badge-failed'}">${p.passed ? 'Passed' : 'Below threshold'}</span></td>
@@ -2800,6 +4278,16 @@ async function loadSessionDetail(code) {
       noRankingMsg.classList.toggle('hidden', rankedParticipants.length > 0);
       rankingCountBadge.textContent = rankedParticipants.length;
       rankingThresholdNote.textContent = `Passing threshold: ${passingPercent}%`;
+      const teamStandings = (data.teams || []).filter(team => team.members > 0);
+      if (teamStandings.length > 0) {
+        const label = data.session.teamScoring === 'sum' ? 'total' : 'average';
+        rankingThresholdNote.textContent += ` · Teams by ${label} points: ${teamStandings
+          .map(team => `${team.rank}. ${team.label} (${team.score})`)
+          .join(', ')}`;
+      }
+      if (data.session.delivery === 'self-paced') {
+        rankingThresholdNote.textContent += ` · Self-paced, open ${new Date(data.session.opensAt).toLocaleString()} to ${new Date(data.session.closesAt).toLocaleString()}`;
+      }
     }
 
   } catch (err) {
@@ -2821,6 +4309,8 @@ function truncateText(text, maxLength) {
 function openSettings() {
   settingsModal.classList.remove('hidden');
   loadAdminSettings();
+  loadWebhooks();
+  loadApiTokens();
   if (hostedAuthMode && currentAdmin?.role === 'master') {
     loadHostedInstructors();
   }
@@ -2990,7 +4480,7 @@ function createInstructorAccountRow(instructor) {
   });
   const saveAccess = document.createElement('button');
   saveAccess.type = 'button';
-  saveAccess.className = 'btn btn-secondary btn-sm';
+  saveAccess.className = 'btn btn-secondary btn-small';
   saveAccess.textContent = 'Save access';
   saveAccess.addEventListener('click', async () => {
     const expiresAt = accessSelect.value === 'temporary' && expiryInput.value
@@ -3083,6 +4573,332 @@ createInvitationForm?.addEventListener('submit', async (event) => {
   }
 });
 
+function webhookDeliveryLabel(delivery) {
+  if (delivery.status === 'succeeded') return `Delivered (${delivery.responseStatus})`;
+  if (delivery.status === 'pending') return `${delivery.error} · retrying ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`;
+  return `Failed: ${delivery.error}`;
+}
+
+async function showWebhookDeliveries(webhook, container) {
+  container.replaceChildren();
+  container.classList.remove('hidden');
+  try {
+    const response = await authFetch(`/api/admin/settings/webhooks/${webhook.id}/deliveries`);
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to load deliveries');
+    if (!data.deliveries.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-muted';
+      empty.textContent = 'No deliveries yet.';
+      container.appendChild(empty);
+      return;
+    }
+    data.deliveries.forEach(delivery => {
+      const item = document.createElement('div');
+      item.className = `webhook-delivery webhook-delivery-${delivery.status}`;
+      const event = document.createElement('strong');
+      event.textContent = delivery.eventType;
+      const outcome = document.createElement('span');
+      outcome.textContent = webhookDeliveryLabel(delivery);
+      const when = document.createElement('span');
+      when.className = 'text-muted';
+      when.textContent = `${new Date(delivery.updatedAt).toLocaleString()} · attempt ${delivery.attempts}`;
+      item.append(event, outcome, when);
+      container.appendChild(item);
+    });
+  } catch (error) {
+    const message = document.createElement('p');
+    message.className = 'error-text';
+    message.textContent = error.message;
+    container.appendChild(message);
+  }
+}
+
+function createWebhookRow(webhook) {
+  const row = document.createElement('div');
+  row.className = 'instructor-account-row webhook-row';
+
+  const identity = document.createElement('div');
+  identity.className = 'instructor-account-identity';
+  const url = document.createElement('strong');
+  url.className = 'webhook-url';
+  url.textContent = webhook.url;
+  const events = document.createElement('span');
+  events.className = 'text-muted';
+  events.textContent = webhook.events.join(', ');
+  identity.append(url, events);
+
+  const meta = document.createElement('div');
+  meta.className = 'instructor-account-meta';
+  const state = document.createElement('span');
+  state.textContent = webhook.active ? 'Active' : 'Paused';
+  const secret = document.createElement('span');
+  secret.textContent = `Secret ${webhook.secretHint}`;
+  const lastStatus = document.createElement('span');
+  lastStatus.textContent = `Last delivery: ${(webhook.lastStatus || 'none yet')}`;
+  meta.append(state, secret, lastStatus);
+
+  const deliveries = document.createElement('div');
+  deliveries.className = 'webhook-deliveries hidden';
+
+  const controls = document.createElement('div');
+  controls.className = 'instructor-access-controls';
+  const button = (label, handler) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.className = 'btn btn-secondary btn-small';
+    element.textContent = label;
+    element.addEventListener('click', async () => {
+      element.disabled = true;
+      hideStatus('webhook-status');
+      try {
+        await handler(element);
+      } catch (error) {
+        showStatus('webhook-status', error.message, false);
+      } finally {
+        element.disabled = false;
+      }
+    });
+    return element;
+  };
+
+  const testButton = button('Send test event', async () => {
+    const response = await authFetch(`/api/admin/settings/webhooks/${webhook.id}/test`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to send the test event');
+    const ok = data.delivery.status === 'succeeded';
+    showStatus('webhook-status', ok
+      ? `Test event delivered to ${webhook.url} (${data.delivery.responseStatus})`
+      : `Test event failed: ${data.delivery.error}`, ok);
+    if (!deliveries.classList.contains('hidden')) await showWebhookDeliveries(webhook, deliveries);
+  });
+  const logButton = button('Deliveries', async () => {
+    if (!deliveries.classList.contains('hidden')) {
+      deliveries.classList.add('hidden');
+      return;
+    }
+    await showWebhookDeliveries(webhook, deliveries);
+  });
+  const toggleButton = button(webhook.active ? 'Pause' : 'Resume', async () => {
+    const response = await authFetch(`/api/admin/settings/webhooks/${webhook.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ active: !webhook.active })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to update the webhook');
+    await loadWebhooks();
+  });
+  const deleteButton = button('Delete', async () => {
+    const confirmed = await showConfirmModal({
+      title: 'Delete Webhook',
+      message: `Stop sending events to ${webhook.url}? Its delivery log is deleted with it.`,
+      confirmText: 'Delete',
+      danger: true
+    });
+    if (!confirmed) return;
+    const response = await authFetch(`/api/admin/settings/webhooks/${webhook.id}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to delete the webhook');
+    showStatus('webhook-status', 'Webhook deleted', true);
+    await loadWebhooks();
+  });
+  controls.append(testButton, logButton, toggleButton, deleteButton);
+
+  row.append(identity, controls, meta, deliveries);
+  return row;
+}
+
+async function loadWebhooks() {
+  const list = webhookList;
+  if (!list) return;
+  list.replaceChildren();
+  const loading = document.createElement('p');
+  loading.className = 'text-muted';
+  loading.textContent = 'Loading webhooks…';
+  list.appendChild(loading);
+
+  try {
+    const response = await authFetch('/api/admin/settings/webhooks');
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to load webhooks');
+
+    list.replaceChildren();
+    document.getElementById('create-webhook-btn').disabled = data.webhooks.length >= data.limit;
+    if (!data.webhooks.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-muted';
+      empty.textContent = 'No webhooks yet.';
+      list.appendChild(empty);
+      return;
+    }
+    data.webhooks.forEach(webhook => list.appendChild(createWebhookRow(webhook)));
+  } catch (error) {
+    list.replaceChildren();
+    const message = document.createElement('p');
+    message.className = 'error-text';
+    message.textContent = error.message;
+    list.appendChild(message);
+  }
+}
+
+webhookForm?.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const url = document.getElementById('webhook-url').value.trim();
+  const events = Array.from(document.querySelectorAll('#webhook-events input:checked'), input => input.value);
+  const button = document.getElementById('create-webhook-btn');
+  const result = document.getElementById('webhook-secret-result');
+
+  button.disabled = true;
+  button.textContent = 'Adding…';
+  result.classList.add('hidden');
+  hideStatus('webhook-status');
+  try {
+    const response = await authFetch('/api/admin/settings/webhooks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url, events })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to add the webhook');
+
+    document.getElementById('webhook-secret').value = data.secret;
+    document.getElementById('webhook-url').value = '';
+    result.classList.remove('hidden');
+    showStatus('webhook-status', `Webhook added for ${data.webhook.url}`, true);
+  } catch (error) {
+    showStatus('webhook-status', error.message, false);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Add webhook';
+    await loadWebhooks();
+  }
+});
+
+function createApiTokenRow(token) {
+  const row = document.createElement('div');
+  row.className = 'instructor-account-row';
+
+  const identity = document.createElement('div');
+  identity.className = 'instructor-account-identity';
+  const name = document.createElement('strong');
+  name.textContent = token.name;
+  const scopes = document.createElement('span');
+  scopes.className = 'text-muted';
+  scopes.textContent = token.scopes.join(', ');
+  identity.append(name, scopes);
+
+  const meta = document.createElement('div');
+  meta.className = 'instructor-account-meta';
+  const hint = document.createElement('span');
+  hint.textContent = `Token ${token.tokenHint}`;
+  const created = document.createElement('span');
+  created.textContent = `Created ${billingDate(token.createdAt)}`;
+  const lastUsed = document.createElement('span');
+  lastUsed.textContent = token.lastUsedAt
+    ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+    : 'Never used';
+  meta.append(hint, created, lastUsed);
+
+  const controls = document.createElement('div');
+  controls.className = 'instructor-access-controls';
+  const revoke = document.createElement('button');
+  revoke.type = 'button';
+  revoke.className = 'btn btn-secondary btn-small';
+  revoke.textContent = 'Revoke';
+  revoke.addEventListener('click', async () => {
+    const confirmed = await showConfirmModal({
+      title: 'Revoke API Token',
+      message: `Revoke “${token.name}”? Scripts using it stop working straight away.`,
+      confirmText: 'Revoke',
+      danger: true
+    });
+    if (!confirmed) return;
+    revoke.disabled = true;
+    hideStatus('api-token-status');
+    try {
+      const response = await authFetch(`/api/admin/settings/api-tokens/${token.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok || !data.success) throw new Error(data.error || 'Unable to revoke the token');
+      showStatus('api-token-status', `Revoked ${token.name}`, true);
+      await loadApiTokens();
+    } catch (error) {
+      showStatus('api-token-status', error.message, false);
+      revoke.disabled = false;
+    }
+  });
+  controls.appendChild(revoke);
+
+  row.append(identity, controls, meta);
+  return row;
+}
+
+async function loadApiTokens() {
+  const list = apiTokenList;
+  if (!list) return;
+  list.replaceChildren();
+  const loading = document.createElement('p');
+  loading.className = 'text-muted';
+  loading.textContent = 'Loading API tokens…';
+  list.appendChild(loading);
+
+  try {
+    const response = await authFetch('/api/admin/settings/api-tokens');
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to load API tokens');
+
+    list.replaceChildren();
+    document.getElementById('create-api-token-btn').disabled = data.tokens.length >= data.limit;
+    if (!data.tokens.length) {
+      const empty = document.createElement('p');
+      empty.className = 'text-muted';
+      empty.textContent = 'No API tokens yet.';
+      list.appendChild(empty);
+      return;
+    }
+    data.tokens.forEach(token => list.appendChild(createApiTokenRow(token)));
+  } catch (error) {
+    list.replaceChildren();
+    const message = document.createElement('p');
+    message.className = 'error-text';
+    message.textContent = error.message;
+    list.appendChild(message);
+  }
+}
+
+apiTokenForm?.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const name = document.getElementById('api-token-name').value.trim();
+  const scopes = Array.from(document.querySelectorAll('#api-token-scopes input:checked'), input => input.value);
+  const button = document.getElementById('create-api-token-btn');
+  const result = document.getElementById('api-token-result');
+
+  button.disabled = true;
+  button.textContent = 'Creating…';
+  result.classList.add('hidden');
+  hideStatus('api-token-status');
+  try {
+    const response = await authFetch('/api/admin/settings/api-tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, scopes })
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) throw new Error(data.error || 'Unable to create the token');
+
+    document.getElementById('api-token-value').value = data.secret;
+    document.getElementById('api-token-name').value = '';
+    result.classList.remove('hidden');
+    showStatus('api-token-status', `Token ready: ${data.token.name}`, true);
+  } catch (error) {
+    showStatus('api-token-status', error.message, false);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Create token';
+    await loadApiTokens();
+  }
+});
+
 // Load admin settings
 async function loadAdminSettings() {
   try {
@@ -3115,6 +4931,12 @@ function clearSettingsForms() {
   hideStatus('billing-status-message');
   hideStatus('invitation-status');
   document.getElementById('invitation-result')?.classList.add('hidden');
+  hideStatus('webhook-status');
+  document.getElementById('webhook-secret').value = '';
+  document.getElementById('webhook-secret-result').classList.add('hidden');
+  hideStatus('api-token-status');
+  document.getElementById('api-token-value').value = '';
+  document.getElementById('api-token-result').classList.add('hidden');
 }
 
 // Show status message
@@ -3160,6 +4982,18 @@ document.getElementById('copy-invitation-btn')?.addEventListener('click', (event
 
 document.getElementById('refresh-instructors-btn')?.addEventListener('click', loadHostedInstructors);
 
+document.getElementById('copy-webhook-secret-btn')?.addEventListener('click', (event) => {
+  copyText(document.getElementById('webhook-secret').value, event.currentTarget, 'Copied');
+});
+
+document.getElementById('refresh-webhooks-btn')?.addEventListener('click', loadWebhooks);
+
+document.getElementById('copy-api-token-btn')?.addEventListener('click', (event) => {
+  copyText(document.getElementById('api-token-value').value, event.currentTarget, 'Copied');
+});
+
+document.getElementById('refresh-api-tokens-btn')?.addEventListener('click', loadApiTokens);
+
 // Change password form
 changePasswordForm.addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -3340,7 +5174,7 @@ recoveryForm.addEventListener('submit', async (e) => {
 // ============================================
 
 // Add participant chip with kick button
-function addParticipantChipWithKick(id, name, avatarId = null) {
+function addParticipantChipWithKick(id, name, avatarId = null, team = null) {
   // Prevent duplicate chips
   const existing = participantList.querySelector(`[data-id="${id}"]`);
   if (existing) {
@@ -3355,6 +5189,7 @@ function addParticipantChipWithKick(id, name, avatarId = null) {
   chip.innerHTML = `
     ${avatarId ? `<img class="participant-sidekick" src="${sidekickAsset(avatarId)}" alt="" width="28" height="28">` : ''}
     <span>${escapeHtml(name)}</span>
+    ${team ? `<small class="participant-team">${escapeHtml(team)}</small>` : ''}
     <button class="kick-btn" title="Remove participant">&times;</button>
   `;
 
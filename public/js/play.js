@@ -5,6 +5,10 @@ const joinForm = document.getElementById('join-form');
 const joinError = document.getElementById('join-error');
 const playerNameInput = document.getElementById('player-name');
 const sessionCodeInput = document.getElementById('session-code');
+const rosterPicker = document.getElementById('roster-picker');
+const rosterSelect = document.getElementById('roster-select');
+const teamPicker = document.getElementById('team-picker');
+const teamSelect = document.getElementById('team-select');
 const rejoinPanel = document.getElementById('rejoin-panel');
 const rejoinOptions = document.getElementById('rejoin-options');
 const joinDifferentBtn = document.getElementById('join-different-btn');
@@ -14,6 +18,7 @@ const sessionEndedMessage = document.getElementById('session-ended-message');
 
 const waitingSection = document.getElementById('waiting-section');
 const welcomeName = document.getElementById('welcome-name');
+const waitingTeam = document.getElementById('waiting-team');
 const quizTitleDisplay = document.getElementById('quiz-title-display');
 const waitingSessionCode = document.getElementById('waiting-session-code');
 const waitingSidekickCard = document.getElementById('waiting-sidekick-card');
@@ -22,6 +27,11 @@ const waitingSidekick = document.getElementById('waiting-sidekick');
 const waitingSidekickName = document.getElementById('waiting-sidekick-name');
 const sidekickShuffleBtn = document.getElementById('sidekick-shuffle-btn');
 const sidekickShuffleStatus = document.getElementById('sidekick-shuffle-status');
+const waitingPulse = document.getElementById('waiting-pulse');
+const waitingTip = document.getElementById('waiting-tip');
+const selfPacedStartBtn = document.getElementById('self-paced-start-btn');
+const selfPacedSectionBtn = document.getElementById('self-paced-section-btn');
+const selfPacedResultBtn = document.getElementById('self-paced-result-btn');
 
 const sectionIntroSection = document.getElementById('section-intro-section');
 const sectionIntroTitle = document.getElementById('section-intro-title');
@@ -39,7 +49,14 @@ const timerProgress = document.getElementById('timer-progress');
 const questionText = document.getElementById('question-text');
 const optionsContainer = document.getElementById('options-container');
 const answerStatus = document.getElementById('answer-status');
+const selectHint = document.getElementById('select-hint');
+const submitSelectionBtn = document.getElementById('submit-selection-btn');
+const typedAnswerForm = document.getElementById('typed-answer-form');
+const typedAnswerInput = document.getElementById('typed-answer-input');
+const typedAnswerError = document.getElementById('typed-answer-error');
 const allAnsweredBanner = document.getElementById('all-answered-banner');
+const questionPausedBanner = document.getElementById('question-paused-banner');
+const rerunNotice = document.getElementById('rerun-notice');
 const timerRing = document.querySelector('.player-timer-ring');
 
 const resultsSection = document.getElementById('results-section');
@@ -48,9 +65,12 @@ const resultText = document.getElementById('result-text');
 const currentScoreEl = document.getElementById('current-score');
 const yourAnswer = document.getElementById('your-answer');
 const correctAnswer = document.getElementById('correct-answer');
+const resultExplanation = document.getElementById('result-explanation');
+const resultExplanationText = document.getElementById('result-explanation-text');
 const resultRank = document.getElementById('result-rank');
 const resultStreak = document.getElementById('result-streak');
 const resultMovement = document.getElementById('result-movement');
+const resultTeam = document.getElementById('result-team');
 const resultResponseTotal = document.getElementById('result-response-total');
 const resultsDistribution = document.getElementById('results-distribution');
 const resultSidekick = document.getElementById('result-sidekick');
@@ -69,9 +89,14 @@ const finalScoreMax = document.getElementById('final-score-max');
 const finalPercentage = document.getElementById('final-percentage');
 const finalMessage = document.getElementById('final-message');
 const finalRank = document.getElementById('final-rank');
+const finalTeam = document.getElementById('final-team');
 const finalCorrect = document.getElementById('final-correct');
 const finalStreak = document.getElementById('final-streak');
 const finalSidekick = document.getElementById('final-sidekick');
+const finalReview = document.getElementById('final-review');
+const finalReviewLink = document.getElementById('final-review-link');
+const finalReviewNote = document.getElementById('final-review-note');
+const sessionEndedReviewLink = document.getElementById('session-ended-review-link');
 const surveyCompleteSection = document.getElementById('survey-complete-section');
 const surveyCompleteParticipants = document.getElementById('survey-complete-participants');
 const surveyCompleteRate = document.getElementById('survey-complete-rate');
@@ -97,6 +122,8 @@ let canShuffleAvatar = false;
 let isFirstConnect = true; // Tracks whether this is the initial connection or a reconnect
 let currentSessionMode = 'quiz';
 let sectionExitTimer = null;
+// Set when an LMS launch opened this page; the server takes the name from it.
+let ltiTicket = null;
 
 // Motivating messages
 const motivatingMessages = [
@@ -119,6 +146,21 @@ function init() {
       playerNameInput.value = activeIdentity.name;
     }
     renderRejoinOptions(code);
+    loadTeams(code);
+
+    // An LMS launch hands over a ticket and the LMS name in the fragment,
+    // which is dropped from the address bar straight away. The student only
+    // has to press Join (after picking a team, where the Mash offers one).
+    const launch = new URLSearchParams(window.location.hash.slice(1));
+    if (launch.get('lti')) {
+      ltiTicket = launch.get('lti');
+      history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+      playerNameInput.value = launch.get('name') || '';
+      playerNameInput.readOnly = true;
+      joinSubmitBtn.focus();
+    } else {
+      loadRoster(code);
+    }
   }
 }
 
@@ -164,6 +206,95 @@ function renderRejoinOptions(code) {
   rejoinPanel.classList.toggle('hidden', saved.length === 0);
 }
 
+// A room in a Mash group with a class list lets students pick their name,
+// so the host can follow them across sessions. Typing a name still works.
+let rosterRequestCode = null;
+
+function resetRosterPicker() {
+  rosterSelect.length = 1;
+  rosterSelect.value = '';
+  rosterPicker.classList.add('hidden');
+  playerNameInput.readOnly = false;
+}
+
+async function loadRoster(code) {
+  if (code === rosterRequestCode) return;
+  rosterRequestCode = code;
+  resetRosterPicker();
+  if (!code || code.length !== 6) return;
+
+  try {
+    const res = await fetch(`/api/session/${encodeURIComponent(code)}/roster`);
+    const data = await res.json();
+    if (rosterRequestCode !== code || !data.success || data.roster.length === 0) return;
+    data.roster.forEach(student => {
+      const option = document.createElement('option');
+      option.value = student.id;
+      option.textContent = student.name;
+      rosterSelect.appendChild(option);
+    });
+    rosterPicker.classList.remove('hidden');
+  } catch (err) {
+    // Without the class list the typed name is all we need.
+  }
+}
+
+rosterSelect.addEventListener('change', () => {
+  const picked = rosterSelect.selectedOptions[0];
+  if (rosterSelect.value) {
+    playerNameInput.value = picked.textContent;
+    playerNameInput.readOnly = true;
+  } else {
+    playerNameInput.value = '';
+    playerNameInput.readOnly = false;
+    playerNameInput.focus();
+  }
+});
+
+// A team-mode Mash that lets participants choose offers its teams here;
+// leaving the picker alone (or an auto-assigned Mash) balances the room.
+let teamRequestCode = null;
+
+function resetTeamPicker() {
+  teamSelect.length = 1;
+  teamSelect.value = '';
+  teamPicker.classList.add('hidden');
+}
+
+async function loadTeams(code) {
+  if (code === teamRequestCode) return;
+  teamRequestCode = code;
+  resetTeamPicker();
+  if (!code || code.length !== 6) return;
+
+  try {
+    const res = await fetch(`/api/session/${encodeURIComponent(code)}/teams`);
+    const data = await res.json();
+    if (teamRequestCode !== code || !data.success || data.assignment !== 'choose') return;
+    data.teams.forEach(team => {
+      const option = document.createElement('option');
+      option.value = team.name;
+      option.textContent = `${team.label} (${team.members})`;
+      teamSelect.appendChild(option);
+    });
+    teamPicker.classList.remove('hidden');
+  } catch (err) {
+    // The server still places the participant on a team.
+  }
+}
+
+function renderTeamBadge(element, text) {
+  element.textContent = text || '';
+  element.classList.toggle('hidden', !text);
+}
+
+function teamStanding(data) {
+  if (!data?.teamLabel) return '';
+  return data.teamRank
+    ? `${data.teamLabel} · #${data.teamRank} of ${data.teamCount} teams`
+    : data.teamLabel;
+}
+
 function escapeText(value) {
   const div = document.createElement('div');
   div.textContent = String(value || '');
@@ -249,7 +380,10 @@ async function attemptJoin(
       body: JSON.stringify({
         name,
         existingParticipantId,
-        existingParticipantToken
+        existingParticipantToken,
+        rosterStudentId: rosterSelect.value ? Number(rosterSelect.value) : null,
+        team: teamSelect.value || null,
+        ltiTicket
       })
     });
 
@@ -281,6 +415,7 @@ async function attemptJoin(
       welcomeName.textContent = `Welcome, ${name}!`;
       quizTitleDisplay.textContent = data.quizTitle;
       waitingSessionCode.textContent = sessionCode;
+      renderTeamBadge(waitingTeam, data.team ? `You’re on ${data.teamLabel}` : '');
       sidekickShuffleStatus.textContent = '';
       renderPersonalSidekick();
 
@@ -340,16 +475,26 @@ sidekickShuffleBtn.addEventListener('click', async () => {
 sessionCodeInput.addEventListener('input', () => {
   const code = sessionCodeInput.value.trim().toUpperCase();
   renderRejoinOptions(code);
+  loadRoster(code);
+  loadTeams(code);
 });
 
 joinDifferentBtn.addEventListener('click', () => {
   const code = sessionCodeInput.value.trim().toUpperCase();
   participantStore.clearActive(code || null);
   playerNameInput.value = '';
+  rosterSelect.value = '';
+  playerNameInput.readOnly = false;
   rejoinPanel.classList.add('hidden');
   playerNameInput.focus();
 });
 
+submitSelectionBtn.addEventListener('click', submitSelection);
+typedAnswerForm.addEventListener('submit', event => {
+  event.preventDefault();
+  submitTypedAnswer();
+});
+
 // Initialize Socket.IO
 function initSocket() {
   socket = io({
@@ -400,6 +545,7 @@ function initSocket() {
     avatarId = data.avatarId || avatarId;
     canShuffleAvatar = Boolean(data.canShuffleAvatar);
     renderPersonalSidekick();
+    if (data.team) renderTeamBadge(waitingTeam, `You’re on ${data.teamLabel}`);
   });
 
   socket.on('sidekicks_setting_changed', data => {
@@ -431,10 +577,18 @@ function initSocket() {
     clearInterval(timerInterval);
     stopSectionCountdown();
 
-    // Show session ended screen
-    hideAllSections();
-    sessionEndedMessage.textContent = data.message || 'This session has ended.';
-    sessionEndedSection.classList.remove('hidden');
+    // Someone who already finished a self-paced session keeps their results
+    // on screen when it closes.
+    const reviewUrl = data.review ? answerReviewUrl() : null;
+    if (data.selfPaced && !endedSection.classList.contains('hidden')) {
+      if (reviewUrl) showFinalReview(reviewUrl, `Your answer review is open for the next ${dayCount(data.review.days)}.`);
+    } else {
+      hideAllSections();
+      sessionEndedMessage.textContent = data.message || 'This session has ended.';
+      sessionEndedReviewLink.classList.toggle('hidden', !reviewUrl);
+      if (reviewUrl) sessionEndedReviewLink.href = reviewUrl;
+      sessionEndedSection.classList.remove('hidden');
+    }
 
     // Clear stored credentials
     clearCurrentIdentity({ clearSession: true });
@@ -459,6 +613,25 @@ function initSocket() {
     canShuffleAvatar = false;
   });
 
+  // A self-paced session before this participant has started: the window,
+  // and a Start button once it is open.
+  socket.on('assignment_ready', (data) => {
+    quizTitleDisplay.textContent = data.title;
+    totalQNum.textContent = data.totalQuestions;
+    const closes = new Date(data.closesAt).toLocaleString();
+    const open = data.status === 'open';
+    waitingPulse.lastChild.textContent = open
+      ? `Open until ${closes}`
+      : `Opens ${new Date(data.opensAt).toLocaleString()}`;
+    waitingTip.textContent = open
+      ? `Work through ${data.totalQuestions} questions at your own pace. Each question's timer starts when you open it.`
+      : 'Keep this page or come back then. The Start button appears once it opens.';
+    selfPacedStartBtn.classList.toggle('hidden', !open);
+    selfPacedStartBtn.disabled = false;
+    hideAllSections();
+    waitingSection.classList.remove('hidden');
+  });
+
   socket.on('quiz_started', (data) => {
     currentSessionMode = data.mode === 'survey' ? 'survey' : 'quiz';
     quizTitleDisplay.textContent = data.title;
@@ -480,6 +653,7 @@ function initSocket() {
     sectionIntroSection.classList.remove('section-transition-opening');
 
     startSectionCountdown(data.autopilotNextInMs);
+    showSelfPacedButton(selfPacedSectionBtn, data.selfPaced);
 
     hideAllSections();
     sectionIntroSection.classList.remove('hidden');
@@ -493,7 +667,7 @@ function initSocket() {
 
     currentQuestion = data.question;
     selectedAnswer = null;
-    timerDuration = data.timeRemaining;
+    timerDuration = Math.max(1, data.timeRemaining);
 
     currentSessionMode = data.mode === 'survey' ? 'survey' : currentSessionMode;
     const isSurvey = currentSessionMode === 'survey';
@@ -507,9 +681,15 @@ function initSocket() {
     }
     questionText.innerHTML = markdown.block(data.question.text);
     answerStatus.classList.add('hidden');
+    showRerunNotice(data.rerun, isSurvey);
 
-    renderOptions(data.question.options);
-    startTimer(data.timeRemaining);
+    renderAnswerInputs(data.question);
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else {
+      startTimer(data.timeRemaining);
+    }
+    setQuestionPaused(data.paused === true);
 
     hideAllSections();
     questionSection.classList.remove('hidden');
@@ -528,13 +708,58 @@ function initSocket() {
     answerStatus.classList.remove('hidden');
   });
 
+  // Only a typed answer can be rejected by a well-behaved client; give the
+  // input back so the player can correct it before time runs out.
+  socket.on('answer_rejected', (data) => {
+    if (!currentQuestion || data.questionId !== currentQuestion.id) return;
+    // An answer that crossed the host's pause is not kept; offer the
+    // question again for when it resumes.
+    if (data.paused) {
+      selectedAnswer = null;
+      answerStatus.classList.add('hidden');
+      renderAnswerInputs(currentQuestion);
+      return;
+    }
+    if (data.alreadyCounted) {
+      answerStatus.classList.remove('hidden');
+      return;
+    }
+    if (typedAnswerForm.classList.contains('hidden')) return;
+    selectedAnswer = null;
+    typedAnswerInput.disabled = false;
+    typedAnswerForm.querySelector('button').disabled = false;
+    typedAnswerError.textContent = data.message || 'That answer was not accepted';
+    typedAnswerError.classList.remove('hidden');
+    typedAnswerInput.focus();
+  });
+
   socket.on('all_answered', () => {
     showAllAnsweredBanner();
   });
 
+  socket.on('question_paused', (data) => {
+    showPausedTimer(Math.ceil(data.remainingMs / 1000));
+    setQuestionPaused(true);
+  });
+
+  socket.on('question_resumed', (data) => {
+    setQuestionPaused(false);
+    if (allAnsweredBanner.classList.contains('hidden')) startTimer(data.timeRemaining);
+  });
+
+  socket.on('question_extended', (data) => {
+    timerDuration += data.addedSeconds;
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else if (allAnsweredBanner.classList.contains('hidden')) {
+      startTimer(data.timeRemaining);
+    }
+  });
+
   socket.on('question_ended', (data) => {
     clearInterval(timerInterval);
     hideAllAnsweredBanner();
+    setQuestionPaused(false);
     startNextQuestionCountdown(data.autopilotNextInMs);
     if (data.question) {
       currentQuestion = data.question;
@@ -568,8 +793,8 @@ function initSocket() {
       yourAnswer: data.yourAnswer
     };
     const yourAnswerIdx = myResults.yourAnswer;
-    const correctIdx = data.correctIndices[0];
-    const isCorrect = yourAnswerIdx !== undefined && data.correctIndices.includes(yourAnswerIdx);
+    const isCorrect = myResults.isCorrect ?? (yourAnswerIdx !== undefined && data.correctIndices.includes(yourAnswerIdx));
+    const isPartial = !isCorrect && myResults.credit > 0;
 
     document.querySelector('.result-score-display')?.classList.remove('hidden');
     document.querySelector('.personal-result-grid')?.classList.remove('hidden');
@@ -587,12 +812,19 @@ function initSocket() {
         resultIcon.className = 'result-icon correct';
         resultIcon.innerHTML = '<svg aria-hidden="true"><use href="/assets/icons.svg#check-circle"></use></svg>';
         resultText.textContent = 'Correct!';
-        yourAnswer.innerHTML = `${String.fromCharCode(65 + yourAnswerIdx)}. ${markdown.inline(currentQuestion.options[yourAnswerIdx])}`;
       } else {
         resultIcon.className = 'result-icon incorrect';
         resultIcon.innerHTML = '<svg aria-hidden="true"><use href="/assets/icons.svg#x-circle"></use></svg>';
-        resultText.textContent = 'Incorrect';
-        yourAnswer.innerHTML = `${String.fromCharCode(65 + yourAnswerIdx)}. ${markdown.inline(currentQuestion.options[yourAnswerIdx])}`;
+        resultText.textContent = isPartial
+          ? `Partly right — ${Math.round(myResults.credit * 100)}% credit`
+          : 'Incorrect';
+      }
+      if (yourAnswerIdx !== undefined && isTypedQuestion(currentQuestion)) {
+        yourAnswer.textContent = String(yourAnswerIdx);
+      } else if (yourAnswerIdx !== undefined && currentQuestion.format === 'order') {
+        yourAnswer.innerHTML = describeOrder(yourAnswerIdx);
+      } else if (yourAnswerIdx !== undefined) {
+        yourAnswer.innerHTML = describeOptions([].concat(yourAnswerIdx));
       }
 
       resultRank.textContent = myResults.rank ? `#${myResults.rank}` : '—';
@@ -604,12 +836,29 @@ function initSocket() {
       } else {
         resultMovement.textContent = myResults.previousRank ? 'Held' : 'New';
       }
-
-    correctAnswer.innerHTML = `${String.fromCharCode(65 + correctIdx)}. ${markdown.inline(currentQuestion.options[correctIdx])}`;
+      renderTeamBadge(resultTeam, teamStanding(myResults));
+
+    // A multi-select question's answer is the whole set; a single-select
+    // one only needs the first accepted option.
+    if (isTypedQuestion(currentQuestion)) {
+      correctAnswer.textContent = data.correctAnswer || '';
+    } else if (currentQuestion.format === 'order') {
+      correctAnswer.innerHTML = describeOrder(currentQuestion.options.map((_, index) => index));
+    } else {
+      correctAnswer.innerHTML = describeOptions(
+        currentQuestion.format === 'multiple' ? data.correctIndices : data.correctIndices.slice(0, 1)
+      );
+    }
     document.querySelector('.result-detail-row.correct').style.display = isCorrect ? 'none' : 'flex';
+    // Author-written Markdown, so it goes through the same safe pipeline as
+    // the question text.
+    resultExplanationText.innerHTML = data.explanation ? markdown.block(data.explanation) : '';
+    resultExplanation.classList.toggle('hidden', !data.explanation);
 
     // Show results chart
     showResultsChart(data);
+    resultWaiting.classList.toggle('hidden', Boolean(data.selfPaced));
+    showSelfPacedButton(selfPacedResultBtn, data.selfPaced);
 
     hideAllSections();
     resultsSection.classList.remove('hidden');
@@ -646,6 +895,7 @@ function initSocket() {
         : '—';
       finalCorrect.textContent = `${data.correctCount ?? myResults?.correctCount ?? 0} / ${data.totalQuestions || 0}`;
       finalStreak.textContent = data.bestStreak ?? myResults?.bestStreak ?? 0;
+      renderTeamBadge(finalTeam, teamStanding(data));
 
       if (passed) {
         finalIcon.className = 'final-icon passed';
@@ -662,6 +912,16 @@ function initSocket() {
       }
     }
 
+    // The review link carries this device's participant token, so it is
+    // built here, before the session ending clears the stored identity.
+    const reviewUrl = data.review ? answerReviewUrl() : null;
+    finalReview.classList.toggle('hidden', !reviewUrl);
+    if (reviewUrl) {
+      showFinalReview(reviewUrl, data.selfPaced
+        ? `Your answer review opens when the assignment closes and stays open for ${dayCount(data.review.days)}.`
+        : `Check every question against the answer key for the next ${dayCount(data.review.days)}.`);
+    }
+
     hideAllSections();
     endedSection.classList.remove('hidden');
   });
@@ -671,6 +931,39 @@ function initSocket() {
   });
 }
 
+// The token rides in the fragment, which browsers never send to a server,
+// so the link works on another device without leaking into access logs.
+function answerReviewUrl() {
+  if (!sessionCode || !participantId || !participantToken) return null;
+  const query = new URLSearchParams({ session: sessionCode, participant: participantId });
+  return `/review.html?${query}#token=${encodeURIComponent(participantToken)}`;
+}
+
+function showFinalReview(url, note) {
+  finalReviewLink.href = url;
+  finalReviewNote.textContent = `${note} Keep the link — it is your only way back in.`;
+  finalReview.classList.remove('hidden');
+}
+
+function dayCount(days) {
+  return days === 1 ? '1 day' : `${days} days`;
+}
+
+function showSelfPacedButton(button, visible) {
+  button.classList.toggle('hidden', !visible);
+  button.disabled = false;
+}
+
+// Each button moves a self-paced participant one step on; it stays disabled
+// until the next screen arrives so a double tap cannot skip a step.
+document.querySelectorAll('.self-paced-next').forEach(button => {
+  button.addEventListener('click', () => {
+    if (!socket || !participantId || !sessionCode) return;
+    button.disabled = true;
+    socket.emit('self_paced_next', { participantId, sessionCode });
+  });
+});
+
 function hideAllAnsweredBanner() {
   allAnsweredBanner.classList.add('hidden');
   timerRing.classList.remove('hidden');
@@ -774,8 +1067,12 @@ function showReconnectBanner(reason) {
 }
 
 // Render options
-function renderOptions(options) {
+function renderOptions(options, multiple = false) {
   optionsContainer.innerHTML = '';
+  selectHint.textContent = 'Select all that apply';
+  selectHint.classList.toggle('hidden', !multiple);
+  submitSelectionBtn.classList.toggle('hidden', !multiple);
+  submitSelectionBtn.disabled = true;
 
   options.forEach((opt, i) => {
     const btn = document.createElement('button');
@@ -784,11 +1081,205 @@ function renderOptions(options) {
       <span class="option-letter">${String.fromCharCode(65 + i)}</span>
       <span class="option-text">${markdown.inline(opt)}</span>
     `;
-    btn.addEventListener('click', () => selectAnswer(i, btn));
+    if (multiple) {
+      btn.setAttribute('aria-pressed', 'false');
+      btn.addEventListener('click', () => toggleOption(btn));
+    } else {
+      btn.addEventListener('click', () => selectAnswer(i, btn));
+    }
     optionsContainer.appendChild(btn);
   });
 }
 
+function isTypedQuestion(question) {
+  return question?.format === 'numeric' || question?.format === 'text';
+}
+
+// One "A. option" line per picked index, for the result card.
+function describeOptions(indices) {
+  return indices
+    .map(index => `${String.fromCharCode(65 + index)}. ${markdown.inline(currentQuestion.options[index] || '')}`)
+    .join('<br>');
+}
+
+// Multi-select: taps only toggle; nothing is sent until the player locks in.
+function toggleOption(btn) {
+  if (selectedAnswer !== null) return;
+
+  const pressed = btn.getAttribute('aria-pressed') === 'true';
+  btn.setAttribute('aria-pressed', pressed ? 'false' : 'true');
+  submitSelectionBtn.disabled = !optionsContainer.querySelector('.player-option[aria-pressed="true"]');
+}
+
+function submitSelection() {
+  if (selectedAnswer !== null) return;
+  if (currentQuestion?.format === 'order') {
+    submitOrdering();
+    return;
+  }
+
+  const allBtns = [...optionsContainer.querySelectorAll('.player-option')];
+  const picked = allBtns
+    .map((btn, index) => (btn.getAttribute('aria-pressed') === 'true' ? index : null))
+    .filter(index => index !== null);
+  if (picked.length === 0) return;
+
+  selectedAnswer = picked;
+  allBtns.forEach(btn => {
+    btn.disabled = true;
+  });
+  submitSelectionBtn.disabled = true;
+
+  socket.emit('submit_answer', {
+    participantId,
+    sessionCode,
+    questionId: currentQuestion.id,
+    answerIndices: picked
+  });
+}
+
+// Ordering: the options arrive scrambled and the player drags them by the
+// handle, or nudges them with the arrows, into order before locking in.
+function renderOrdering(options) {
+  optionsContainer.innerHTML = '';
+  selectHint.textContent = 'Drag into order, first at the top, then lock in';
+  selectHint.classList.remove('hidden');
+  submitSelectionBtn.classList.remove('hidden');
+  submitSelectionBtn.disabled = false;
+
+  const list = document.createElement('ol');
+  list.className = 'player-order-list';
+  options.forEach((opt, slot) => {
+    const item = document.createElement('li');
+    item.className = 'player-order-item';
+    item.dataset.slot = String(slot);
+    item.innerHTML = `
+      <span class="order-handle" aria-hidden="true">⋮⋮</span>
+      <span class="option-text">${markdown.inline(opt)}</span>
+      <span class="order-moves">
+        <button type="button" class="order-move" data-move="-1" aria-label="Move up">▲</button>
+        <button type="button" class="order-move" data-move="1" aria-label="Move down">▼</button>
+      </span>
+    `;
+    list.appendChild(item);
+  });
+
+  list.addEventListener('click', event => {
+    const moveBtn = event.target.closest('.order-move');
+    if (!moveBtn || selectedAnswer !== null) return;
+    const item = moveBtn.closest('.player-order-item');
+    const target = Number(moveBtn.dataset.move) < 0
+      ? item.previousElementSibling
+      : item.nextElementSibling?.nextElementSibling ?? null;
+    if (Number(moveBtn.dataset.move) < 0 && !target) return;
+    list.insertBefore(item, target);
+  });
+  list.addEventListener('pointerdown', startOrderDrag);
+  optionsContainer.appendChild(list);
+}
+
+// Pointer events cover mouse, pen, and touch alike. Only the handle starts a
+// drag, so the rest of the list still scrolls on a phone.
+function startOrderDrag(event) {
+  const handle = event.target.closest('.order-handle');
+  if (!handle || selectedAnswer !== null) return;
+  event.preventDefault();
+
+  const item = handle.closest('.player-order-item');
+  const list = item.parentElement;
+  item.classList.add('dragging');
+  handle.setPointerCapture(event.pointerId);
+
+  const onMove = moveEvent => {
+    const before = [...list.children]
+      .filter(other => other !== item)
+      .find(other => {
+        const box = other.getBoundingClientRect();
+        return moveEvent.clientY < box.top + box.height / 2;
+      });
+    list.insertBefore(item, before || null);
+  };
+  const onEnd = () => {
+    item.classList.remove('dragging');
+    handle.removeEventListener('pointermove', onMove);
+    handle.removeEventListener('pointerup', onEnd);
+    handle.removeEventListener('pointercancel', onEnd);
+  };
+  handle.addEventListener('pointermove', onMove);
+  handle.addEventListener('pointerup', onEnd);
+  handle.addEventListener('pointercancel', onEnd);
+}
+
+function submitOrdering() {
+  const list = optionsContainer.querySelector('.player-order-list');
+  if (!list) return;
+
+  const slots = [...list.children].map(item => Number(item.dataset.slot));
+  selectedAnswer = slots;
+  list.classList.add('locked');
+  list.querySelectorAll('.order-move').forEach(btn => {
+    btn.disabled = true;
+  });
+  submitSelectionBtn.disabled = true;
+
+  socket.emit('submit_answer', {
+    participantId,
+    sessionCode,
+    questionId: currentQuestion.id,
+    answerOrder: slots
+  });
+}
+
+// One "1. option" line per position, ticked where it matches the answer.
+function describeOrder(indices) {
+  return indices
+    .map((index, position) => {
+      const mark = index === position ? ' ✓' : '';
+      return `${position + 1}. ${markdown.inline(currentQuestion.options[index] || '')}${mark}`;
+    })
+    .join('<br>');
+}
+
+// Numeric and text questions swap the option grid for one input.
+function renderAnswerInputs(question) {
+  if (question.format === 'order') {
+    renderOrdering(question.options);
+  } else {
+    renderOptions(question.options, question.format === 'multiple');
+  }
+  renderTypedAnswer(question.format);
+}
+
+function renderTypedAnswer(format) {
+  const typed = format === 'numeric' || format === 'text';
+  typedAnswerForm.classList.toggle('hidden', !typed);
+  typedAnswerError.classList.add('hidden');
+  typedAnswerInput.value = '';
+  typedAnswerInput.disabled = false;
+  typedAnswerForm.querySelector('button').disabled = false;
+  typedAnswerInput.setAttribute('inputmode', format === 'numeric' ? 'decimal' : 'text');
+  if (typed) typedAnswerInput.focus();
+}
+
+function submitTypedAnswer() {
+  if (selectedAnswer !== null) return;
+
+  const value = typedAnswerInput.value.trim();
+  if (!value) return;
+
+  selectedAnswer = value;
+  typedAnswerError.classList.add('hidden');
+  typedAnswerInput.disabled = true;
+  typedAnswerForm.querySelector('button').disabled = true;
+
+  socket.emit('submit_answer', {
+    participantId,
+    sessionCode,
+    questionId: currentQuestion.id,
+    answerText: value
+  });
+}
+
 // Select answer
 function selectAnswer(index, btn) {
   if (selectedAnswer !== null) return;
@@ -813,12 +1304,49 @@ function selectAnswer(index, btn) {
 // Show a readable answer distribution without canvas axis-label truncation.
 function showResultsChart(data) {
   const counts = data.stats.counts;
-  const totalResponses = counts.reduce((sum, count) => sum + Number(count || 0), 0);
+  // Multi-select counts can sum past the number of people who answered.
+  const totalResponses = data.stats.totalAnswered
+    ?? counts.reduce((sum, count) => sum + Number(count || 0), 0);
   const largestCount = Math.max(1, ...counts);
 
   resultResponseTotal.textContent = `${totalResponses} ${totalResponses === 1 ? 'response' : 'responses'}`;
   resultsDistribution.innerHTML = '';
 
+  // Ordering questions show how many placed each position correctly.
+  if (data.stats.positionHits) {
+    const largestHits = Math.max(1, ...data.stats.positionHits);
+    currentQuestion.options.forEach((option, position) => {
+      const hits = Number(data.stats.positionHits[position] || 0);
+      const row = document.createElement('div');
+      row.className = 'distribution-row correct';
+      row.innerHTML = `
+        <div class="distribution-answer"><strong>${position + 1}.</strong> ${markdown.inline(option)}</div>
+        <div class="distribution-track" aria-hidden="true"><span style="width: ${Math.round((hits / largestHits) * 100)}%"></span></div>
+        <div class="distribution-count">${hits}</div>
+      `;
+      resultsDistribution.appendChild(row);
+    });
+    return;
+  }
+
+  // Typed questions show the most common entries instead of options.
+  if (data.stats.groups) {
+    const topGroups = data.stats.groups.slice(0, 6);
+    const largestGroup = Math.max(1, ...topGroups.map(group => group.count));
+    topGroups.forEach(group => {
+      const row = document.createElement('div');
+      row.className = `distribution-row ${group.isCorrect ? 'correct' : ''}`;
+      row.innerHTML = `
+        <div class="distribution-answer"></div>
+        <div class="distribution-track" aria-hidden="true"><span style="width: ${Math.round((group.count / largestGroup) * 100)}%"></span></div>
+        <div class="distribution-count">${group.count}</div>
+      `;
+      row.querySelector('.distribution-answer').textContent = group.value;
+      resultsDistribution.appendChild(row);
+    });
+    return;
+  }
+
   currentQuestion.options.forEach((option, index) => {
     const count = Number(counts[index] || 0);
     const width = Math.round((count / largestCount) * 100);
@@ -840,7 +1368,7 @@ function startTimer(seconds) {
   const circumference = 2 * Math.PI * 45;
 
   timerProgress.style.strokeDasharray = circumference;
-  timerProgress.style.strokeDashoffset = 0;
+  timerProgress.style.strokeDashoffset = circumference * (1 - remaining / timerDuration);
   timerProgress.classList.remove('urgent');
 
   timer.textContent = remaining;
@@ -867,6 +1395,38 @@ function startTimer(seconds) {
   }, 1000);
 }
 
+// Says when the host has asked a question again, and what became of the
+// earlier answers.
+function showRerunNotice(rerun, survey) {
+  rerunNotice.classList.toggle('hidden', !rerun);
+  if (!rerun) return;
+  if (!rerun.keepAnswers) {
+    rerunNotice.textContent = 'Asked again: earlier answers were cleared, so answer from scratch.';
+  } else if (survey) {
+    rerunNotice.textContent = 'Asked again: if you already responded, your response still counts.';
+  } else {
+    rerunNotice.textContent = 'Asked again: your earlier answer stands unless you answer now.';
+  }
+}
+
+// Holds the ring where the host paused it.
+function showPausedTimer(seconds) {
+  clearInterval(timerInterval);
+  const circumference = 2 * Math.PI * 45;
+  timerProgress.style.strokeDasharray = circumference;
+  timerProgress.style.strokeDashoffset = circumference * (1 - seconds / timerDuration);
+  timer.textContent = seconds;
+}
+
+// The answer inputs stay on screen but take no input while paused.
+function setQuestionPaused(paused) {
+  questionPausedBanner.classList.toggle('hidden', !paused);
+  questionSection.classList.toggle('is-paused', paused);
+  for (const element of [optionsContainer, submitSelectionBtn, typedAnswerForm]) {
+    element.inert = paused;
+  }
+}
+
 // Hide all sections
 function hideAllSections() {
   if (sectionExitTimer) {
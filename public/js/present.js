@@ -22,9 +22,13 @@ const totalParticipants = document.getElementById('total-participants');
 const timer = document.getElementById('timer');
 const timerProgress = document.getElementById('timer-progress');
 const questionText = document.getElementById('question-text');
+const presenterSelectHint = document.getElementById('presenter-select-hint');
+const presenterWorth = document.getElementById('presenter-worth');
 const optionsContainer = document.getElementById('options-container');
 const resultQNum = document.getElementById('result-q-num');
 const resultQuestionText = document.getElementById('result-question-text');
+const resultExplanation = document.getElementById('result-explanation');
+const resultExplanationText = document.getElementById('result-explanation-text');
 const correctCount = document.getElementById('correct-count');
 const totalAnswered = document.getElementById('total-answered');
 const answerDistribution = document.getElementById('answer-distribution');
@@ -45,8 +49,10 @@ const confettiField = document.getElementById('confetti-field');
 const finaleSubtitle = document.getElementById('finale-subtitle');
 const finaleReplayBtn = document.getElementById('finale-replay-btn');
 const finaleNextBtn = document.getElementById('finale-next-btn');
+const finalePodiumToggle = document.getElementById('finale-podium-toggle');
 const finaleProgress = document.getElementById('finale-progress');
 const allAnsweredBanner = document.getElementById('all-answered-banner');
+const questionPausedBanner = document.getElementById('question-paused-banner');
 const presenterTimerRing = document.querySelector('.presenter-timer-ring');
 const presenterNextCountdown = document.getElementById('presenter-next-countdown');
 const presenterQnum = document.getElementById('presenter-qnum');
@@ -246,9 +252,22 @@ function initSocket() {
       totalQNum.textContent = data.totalQuestions;
     }
     questionText.innerHTML = markdown.block(data.question.text);
+    const typed = data.question.format === 'numeric' || data.question.format === 'text';
+    const ordering = data.question.format === 'order';
+    presenterSelectHint.textContent = typed
+      ? 'Type your answer on your device'
+      : ordering ? 'Put these in order on your device' : 'Select all that apply';
+    presenterSelectHint.classList.toggle('hidden', data.question.format !== 'multiple' && !typed && !ordering);
+    presenterWorth.textContent = describeWorth(data.worth);
+    presenterWorth.classList.toggle('hidden', !data.worth);
     answeredCount.textContent = '0';
     renderOptions(data.question.options);
-    startTimer(data.timeRemaining);
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else {
+      startTimer(data.timeRemaining);
+    }
+    questionPausedBanner.classList.toggle('hidden', data.paused !== true);
     hideAllSections();
     questionSection.classList.remove('hidden');
     if (leavingSection && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
@@ -271,9 +290,30 @@ function initSocket() {
     showAllAnsweredBanner();
   });
 
+  socket.on('question_paused', data => {
+    stopPresenterNextCountdown();
+    showPausedTimer(Math.ceil(data.remainingMs / 1000));
+    questionPausedBanner.classList.remove('hidden');
+  });
+
+  socket.on('question_resumed', data => {
+    questionPausedBanner.classList.add('hidden');
+    if (allAnsweredBanner.classList.contains('hidden')) startTimer(data.timeRemaining);
+  });
+
+  socket.on('question_extended', data => {
+    timerDuration += data.addedSeconds;
+    if (data.paused) {
+      showPausedTimer(data.timeRemaining);
+    } else if (allAnsweredBanner.classList.contains('hidden')) {
+      startTimer(data.timeRemaining);
+    }
+  });
+
   socket.on('question_ended', data => {
     clearPresenterTimers();
     hideAllAnsweredBanner();
+    questionPausedBanner.classList.add('hidden');
     startPresenterNextCountdown(data.autopilotNextInMs);
     if (data.question) currentQuestion = data.question;
     if (!currentQuestion && data.mode !== 'survey') return;
@@ -288,12 +328,12 @@ function initSocket() {
 
     resultQNum.textContent = data.questionNumber || currentQNum.textContent;
     resultQuestionText.innerHTML = markdown.block(currentQuestion.text);
+    resultExplanationText.innerHTML = data.explanation ? markdown.block(data.explanation) : '';
+    resultExplanation.classList.toggle('hidden', !data.explanation);
 
-    const correctAnswers = data.stats.counts.reduce(
-      (sum, count, index) => sum + (data.correctIndices.includes(index) ? count : 0),
-      0
-    );
-    correctCount.textContent = correctAnswers;
+    // Counted per participant: summing option counts would double-count
+    // a multi-select answer that ticked several correct boxes.
+    correctCount.textContent = (data.presentation?.correctParticipants || []).length;
     totalAnswered.textContent = data.stats.totalAnswered;
 
     renderAnswerDistribution(data);
@@ -340,6 +380,13 @@ function updateParticipantCount(count) {
   }
 }
 
+// "Worth 30 points · wrong answers lose 10" — only sent for weighted quizzes.
+function describeWorth(worth) {
+  if (!worth) return '';
+  const points = `Worth ${worth.points} ${worth.points === 1 ? 'point' : 'points'}`;
+  return worth.penalty > 0 ? `${points} · wrong answers lose ${worth.penalty}` : points;
+}
+
 function renderOptions(options) {
   optionsContainer.innerHTML = '';
   options.forEach((option, index) => {
@@ -354,10 +401,11 @@ function renderOptions(options) {
 }
 
 function startTimer(seconds) {
+  clearInterval(timerInterval);
   let remaining = Math.max(0, seconds);
   const circumference = 2 * Math.PI * 45;
   timerProgress.style.strokeDasharray = circumference;
-  timerProgress.style.strokeDashoffset = 0;
+  timerProgress.style.strokeDashoffset = circumference * (1 - remaining / timerDuration);
   timer.textContent = remaining;
   timer.classList.remove('urgent');
   timerProgress.classList.remove('urgent');
@@ -376,8 +424,25 @@ function startTimer(seconds) {
   }, 1000);
 }
 
+// Holds the ring where the host paused it.
+function showPausedTimer(seconds) {
+  clearInterval(timerInterval);
+  const circumference = 2 * Math.PI * 45;
+  timerProgress.style.strokeDasharray = circumference;
+  timerProgress.style.strokeDashoffset = circumference * (1 - seconds / timerDuration);
+  timer.textContent = seconds;
+}
+
 function renderAnswerDistribution(data) {
   answerDistribution.innerHTML = '';
+  if (data.stats.groups) {
+    renderTypedAnswerGroups(data);
+    return;
+  }
+  if (data.stats.positionHits) {
+    renderPositionHits(data);
+    return;
+  }
   const counts = data.stats.counts;
   const total = Math.max(1, data.stats.totalParticipants || data.stats.totalAnswered);
   const maxCount = Math.max(1, ...counts);
@@ -408,6 +473,81 @@ function renderAnswerDistribution(data) {
   });
 }
 
+
+// Typed answers: identical entries grouped, most common first, with the
+// answer key underneath so a near-miss cluster is easy to talk through.
+const TYPED_GROUP_LIMIT = 8;
+
+function renderTypedAnswerGroups(data) {
+  const groups = data.stats.groups.slice(0, TYPED_GROUP_LIMIT);
+  const total = Math.max(1, data.stats.totalParticipants || data.stats.totalAnswered);
+  const maxCount = Math.max(1, ...groups.map(group => group.count));
+
+  groups.forEach(group => {
+    const percent = Math.round((group.count / total) * 100);
+    const row = document.createElement('div');
+    row.className = `answer-bar-row${group.isCorrect ? ' correct' : ''}`;
+    row.innerHTML = `
+      <div class="answer-bar-label">
+        <span class="answer-copy"></span>
+        ${group.isCorrect ? `
+          <svg class="answer-check" aria-label="Correct answer">
+            <use href="/assets/icons.svg#check-circle"></use>
+          </svg>
+        ` : ''}
+      </div>
+      <div class="answer-bar-track">
+        <div class="answer-bar-fill" style="--bar-width: ${(group.count / maxCount) * 100}%"></div>
+        <span class="answer-bar-value">${group.count} · ${percent}%</span>
+      </div>
+    `;
+    row.querySelector('.answer-copy').textContent = group.value;
+    answerDistribution.appendChild(row);
+  });
+
+  const hidden = data.stats.groups.length - groups.length;
+  if (hidden > 0 || data.correctAnswer) {
+    const note = document.createElement('p');
+    note.className = 'typed-answer-note';
+    note.textContent = [
+      hidden > 0 ? `+${hidden} other ${hidden === 1 ? 'answer' : 'answers'}` : '',
+      data.correctAnswer ? `Accepted: ${data.correctAnswer}` : ''
+    ].filter(Boolean).join(' · ');
+    answerDistribution.appendChild(note);
+  }
+}
+
+// Ordering answers: the correct order, top to bottom, with how many people
+// put each item in its right place.
+function renderPositionHits(data) {
+  const hits = data.stats.positionHits;
+  const total = Math.max(1, data.stats.totalParticipants || data.stats.totalAnswered);
+  const maxCount = Math.max(1, ...hits);
+
+  currentQuestion.options.forEach((option, position) => {
+    const count = hits[position] || 0;
+    const percent = Math.round((count / total) * 100);
+    const row = document.createElement('div');
+    row.className = 'answer-bar-row correct';
+    row.innerHTML = `
+      <div class="answer-bar-label">
+        <span class="answer-letter">${position + 1}</span>
+        <span class="answer-copy">${markdown.inline(option)}</span>
+      </div>
+      <div class="answer-bar-track">
+        <div class="answer-bar-fill" style="--bar-width: ${(count / maxCount) * 100}%"></div>
+        <span class="answer-bar-value">${count} · ${percent}%</span>
+      </div>
+    `;
+    answerDistribution.appendChild(row);
+  });
+
+  const note = document.createElement('p');
+  note.className = 'typed-answer-note';
+  note.textContent = 'Correct order · bars show how many placed each item right';
+  answerDistribution.appendChild(note);
+}
+
 function showSurveyFinale(data) {
   finaleData = data || { mode: 'survey', questions: [] };
   currentSessionMode = 'survey';
@@ -549,8 +689,35 @@ function startHighlightRotation(highlights) {
   if (items.length > 1) highlightInterval = setInterval(showHighlight, 3500);
 }
 
+// Team-mode finales open on the team podium; the host can flip to players.
+let podiumView = 'players';
+
+// The podium and runners-up read one shape whether they show players or teams.
+function podiumEntries() {
+  if (podiumView === 'teams') {
+    const average = finaleData.teamScoring !== 'sum';
+    return (finaleData.teamLeaderboard || [])
+      .filter(team => team.members > 0)
+      .map(team => ({
+        rank: team.rank,
+        name: team.label,
+        avatarId: null,
+        detail: `${team.members} ${team.members === 1 ? 'player' : 'players'} · ${team.score} pts${average ? ' avg' : ''}`
+      }));
+  }
+  return (finaleData.leaderboard || []).map(participant => ({
+    rank: participant.rank,
+    name: participant.name,
+    avatarId: participant.avatarId,
+    detail: `${participant.correctCount} correct · ${participant.score} pts`
+  }));
+}
+
 function showFinale(data) {
   finaleData = data || { leaderboard: [], hardestQuestions: [] };
+  const hasTeams = (finaleData.teamLeaderboard || []).some(team => team.members > 0);
+  podiumView = hasTeams ? 'teams' : 'players';
+  finalePodiumToggle.classList.toggle('hidden', !hasTeams);
   hideAllSections();
   endedSection.classList.remove('hidden');
   populateFinale();
@@ -558,37 +725,42 @@ function showFinale(data) {
 }
 
 function populateFinale() {
-  const leaderboard = finaleData.leaderboard || [];
-  finaleSubtitle.textContent = leaderboard.length > 0
-    ? `${leaderboard.length} ${leaderboard.length === 1 ? 'participant' : 'participants'} completed the mash`
-    : 'Quiz complete';
+  const entries = podiumEntries();
+  const participantCount = (finaleData.leaderboard || []).length;
+  if (podiumView === 'teams') {
+    finaleSubtitle.textContent = `${entries.length} teams, ${participantCount} ${participantCount === 1 ? 'participant' : 'participants'}`;
+  } else {
+    finaleSubtitle.textContent = participantCount > 0
+      ? `${participantCount} ${participantCount === 1 ? 'participant' : 'participants'} completed the mash`
+      : 'Quiz complete';
+  }
+  finalePodiumToggle.querySelector('span').textContent = podiumView === 'teams' ? 'Players' : 'Teams';
 
   podiumStage.querySelectorAll('.podium-place').forEach(place => {
     const rank = Number(place.dataset.rank);
-    const participant = leaderboard[rank - 1];
-    place.classList.toggle('absent', !participant);
+    const entry = entries[rank - 1];
+    place.classList.toggle('absent', !entry);
     const avatar = place.querySelector('[data-podium-avatar]');
-    avatar.classList.toggle('hidden', !participant?.avatarId);
-    if (participant?.avatarId) avatar.src = sidekickAsset(participant.avatarId, 256);
-    place.querySelector('[data-podium-name]').textContent = participant?.name || '';
-    place.querySelector('[data-podium-score]').textContent = participant
-      ? `${participant.correctCount} correct · ${participant.score} pts`
-      : '';
+    avatar.classList.toggle('hidden', !entry?.avatarId);
+    if (entry?.avatarId) avatar.src = sidekickAsset(entry.avatarId, 256);
+    place.querySelector('[data-podium-name]').textContent = entry?.name || '';
+    place.querySelector('[data-podium-score]').textContent = entry ? entry.detail : '';
   });
 
   runnersUp.innerHTML = '';
-  leaderboard.slice(3, 5).forEach(participant => {
+  entries.slice(3, 5).forEach(entry => {
     const card = document.createElement('article');
     card.className = 'runner-up-card';
     card.innerHTML = `
-      <span class="runner-rank">${participant.rank}</span>
-      ${participant.avatarId ? `<img class="runner-sidekick" src="${sidekickAsset(participant.avatarId)}" alt="" width="52" height="52">` : ''}
+      <span class="runner-rank">${entry.rank}</span>
+      ${entry.avatarId ? `<img class="runner-sidekick" src="${sidekickAsset(entry.avatarId)}" alt="" width="52" height="52">` : ''}
       <div>
         <strong></strong>
-        <span>${participant.correctCount} correct · ${participant.score} pts</span>
+        <span></span>
       </div>
     `;
-    card.querySelector('strong').textContent = participant.name;
+    card.querySelector('strong').textContent = entry.name;
+    card.querySelector('div > span').textContent = entry.detail;
     runnersUp.appendChild(card);
   });
 
@@ -794,6 +966,12 @@ function showSessionError(message) {
 }
 
 finaleReplayBtn.addEventListener('click', replayPodium);
+finalePodiumToggle.addEventListener('click', () => {
+  podiumView = podiumView === 'teams' ? 'players' : 'teams';
+  populateFinale();
+  replayPodium();
+});
+
 finaleNextBtn.addEventListener('click', () => {
   if (hardestScene.classList.contains('hidden')) {
     showHardestScene();
@@ -14,7 +14,9 @@
 //
 // Deliberate differences from quiz-structure.js's output (not bugs, not
 // covered by the drift test):
-// - No `totalScore` / `passingPercent` — the preview never scores anything.
+// - No `totalScore` / `passingPercent` / `scoringMode` / `teams` — the
+//   preview never scores anything.
+// - No `shuffle` — the preview shows the quiz in authored order.
 // - No `index` field on questions — `steps[].questionIndex` already encodes
 //   position, and nothing in the preview reads `question.index` directly.
 
@@ -22,6 +24,23 @@
 // the same countdown a participant would see when no ::time= is set.
 const PREVIEW_DEFAULT_TIME_LIMIT = 20;
 
+// Mirrors quiz-structure.js's NUMERIC_ANSWER_PATTERN.
+const PREVIEW_NUMERIC_ANSWER_PATTERN = /^::answer=\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*(?:(?:±|\+\/-|\+-)\s*(\d+\.?\d*|\.\d+))?$/;
+
+// Mirrors quiz-structure.js's WEIGHT_PATTERN (::points=3, ::penalty=1).
+const PREVIEW_WEIGHT_PATTERN = /^::(points|penalty)=\s*(\d+\.?\d*|\.\d+)$/;
+
+// Mirrors quiz-structure.js's ORDER_ITEM_PATTERN (1. First, 2) Second).
+const PREVIEW_ORDER_ITEM_PATTERN = /^\d+[.)]\s+(.+)$/;
+
+// Mirrors quiz-structure.js's parsePoolHeading ("Loops (pick 3)").
+function parsePoolHeadingLocal(heading) {
+  const match = heading.trim().match(/^(.*?)\s*\(\s*pick\s+(\d+)\s*\)$/i);
+  if (!match || !match[1]) return { title: heading.trim(), pick: null };
+  const pick = parseInt(match[2], 10);
+  return { title: match[1], pick: pick > 0 ? pick : null };
+}
+
 function parseQuizMarkdownLocal(markdown) {
   const lines = markdown.split('\n');
   const quiz = { title: '', questions: [], steps: [] };
@@ -33,12 +52,33 @@ function parseQuizMarkdownLocal(markdown) {
   // carries the most recently seen section title until another section
   // heading replaces it. There is no reset back to null.
   let currentSectionTitle = null;
+  // Mirrors quiz-structure.js: numbered lines only become ordering items
+  // when the question has no options and no other answer format.
+  let orderItems = [];
+  // Mirrors quiz-structure.js: `>` lines straight after an explanation
+  // continue it.
+  let explaining = false;
 
   function flushQuestion() {
     if (!currentQuestion) return;
+    if (orderItems.length >= 2 && currentQuestion.options.length === 0
+      && currentQuestion.format === 'single') {
+      currentQuestion.format = 'order';
+      currentQuestion.options = orderItems.map(item => item.text);
+      const textLines = currentQuestion.text.split('\n');
+      for (const item of orderItems) {
+        textLines.splice(textLines.lastIndexOf(item.line), 1);
+      }
+      currentQuestion.text = textLines.join('\n');
+    }
+    orderItems = [];
     // Mirrors quiz-structure.js: trim at flush time, not while accumulating,
     // so interior blank lines in a multi-line question survive untouched.
     currentQuestion.text = currentQuestion.text.trim();
+    currentQuestion.explanation = currentQuestion.explanation && currentQuestion.explanation.trim()
+      ? currentQuestion.explanation.trim()
+      : null;
+    explaining = false;
     quiz.questions.push(currentQuestion);
     quiz.steps.push({ kind: 'question', questionIndex: quiz.questions.length - 1 });
     currentQuestion = null;
@@ -47,17 +87,43 @@ function parseQuizMarkdownLocal(markdown) {
   for (const line of lines) {
     const trimmed = line.trim();
 
-    // Section (# Section: Name). Checked before the title rule below, or a
-    // section would silently overwrite quiz.title.
-    const sectionMatch = trimmed.match(/^#\s*Section:\s*(.+)$/i);
+    // Explanation (> Explanation: ...) and the `>` lines that continue it.
+    const explanationMatch = trimmed.match(/^>\s*Explanation:\s*(.*)$/i);
+    if (explanationMatch && currentQuestion) {
+      currentQuestion.explanation = explanationMatch[1];
+      explaining = true;
+      continue;
+    }
+    if (explaining && currentQuestion && trimmed.startsWith('>')) {
+      currentQuestion.explanation += '\n' + trimmed.replace(/^>\s?/, '');
+      continue;
+    }
+    explaining = false;
+
+    // Section (# Section: Name) or pool (# Pool: Loops (pick 3)). Checked
+    // before the title rule below, or a section would silently overwrite
+    // quiz.title. The preview shows a pool's whole bank; only a session
+    // draws from it.
+    const sectionMatch = trimmed.match(/^#\s*(Section|Pool):\s*(.+)$/i);
     if (sectionMatch) {
       flushQuestion();
-      pendingSection = { kind: 'section', title: sectionMatch[1].trim(), subtitle: null };
+      const isPool = sectionMatch[1].toLowerCase() === 'pool';
+      const { title, pick } = isPool ? parsePoolHeadingLocal(sectionMatch[2]) : { title: sectionMatch[2].trim(), pick: null };
+      pendingSection = { kind: 'section', title, subtitle: null };
+      if (pick) pendingSection.pick = pick;
       currentSectionTitle = pendingSection.title;
       sectionDefaultType = null;
       continue;
     }
 
+    // Quiz-level scoring, team and shuffle directives (# Score 100,
+    // # Scoring: speed, # Teams: Red, Blue, # Team score: sum,
+    // # Team assignment: auto, # Shuffle: options) never become the title; the
+    // preview doesn't score or shuffle, so they are skipped.
+    if (/^#\s*(Scoring|Teams|Team\s+score|Team\s+assignment|Shuffle):/i.test(trimmed)) {
+      continue;
+    }
+
     if (trimmed.startsWith('# ') && !trimmed.startsWith('## ') && !trimmed.toLowerCase().startsWith('# score')) {
       quiz.title = trimmed.slice(2).trim();
       continue;
@@ -78,8 +144,15 @@ function parseQuizMarkdownLocal(markdown) {
         correctIndices: [],
         timeLimit: PREVIEW_DEFAULT_TIME_LIMIT,
         type: sectionDefaultType === 'ungraded' ? 'ungraded' : 'graded',
+        format: 'single',
+        credit: 'all',
+        numericAnswer: null,
+        acceptedAnswers: null,
+        weight: 1,
+        penalty: 0,
         gradedNumber: null,
-        sectionTitle: currentSectionTitle
+        sectionTitle: currentSectionTitle,
+        explanation: null
       };
       continue;
     }
@@ -115,6 +188,60 @@ function parseQuizMarkdownLocal(markdown) {
       continue;
     }
 
+    // Answer format (::select=multiple) and scoring (::credit=partial).
+    // Unknown values fall back exactly as quiz-structure.js's do.
+    const selectMatch = trimmed.match(/^::select=([A-Za-z]+)$/);
+    if (selectMatch && currentQuestion) {
+      currentQuestion.format = selectMatch[1].toLowerCase() === 'multiple' ? 'multiple' : 'single';
+      continue;
+    }
+
+    const creditMatch = trimmed.match(/^::credit=([A-Za-z]+)$/);
+    if (creditMatch && currentQuestion) {
+      currentQuestion.credit = creditMatch[1].toLowerCase() === 'partial' ? 'partial' : 'all';
+      continue;
+    }
+
+    // Weighting (::points=3) and negative marking (::penalty=1).
+    const weightMatch = trimmed.match(PREVIEW_WEIGHT_PATTERN);
+    if (weightMatch && currentQuestion) {
+      const amount = parseFloat(weightMatch[2]);
+      if (weightMatch[1] === 'points') {
+        currentQuestion.weight = amount;
+      } else {
+        currentQuestion.penalty = amount > 0 ? amount : 0;
+      }
+      continue;
+    }
+
+    // Typed answers (::answer=42 ±0.5, ::accept=def|define).
+    const numericMatch = trimmed.match(PREVIEW_NUMERIC_ANSWER_PATTERN);
+    if (numericMatch && currentQuestion) {
+      currentQuestion.format = 'numeric';
+      currentQuestion.numericAnswer = {
+        value: parseFloat(numericMatch[1]),
+        tolerance: numericMatch[2] === undefined ? 0 : parseFloat(numericMatch[2])
+      };
+      continue;
+    }
+
+    const acceptMatch = trimmed.match(/^::accept=(.+)$/);
+    if (acceptMatch && currentQuestion) {
+      const accepted = acceptMatch[1].split('|').map(value => value.trim()).filter(Boolean);
+      if (accepted.length > 0) {
+        currentQuestion.format = 'text';
+        currentQuestion.acceptedAnswers = accepted;
+      }
+      continue;
+    }
+
+    const orderMatch = trimmed.match(PREVIEW_ORDER_ITEM_PATTERN);
+    if (orderMatch && currentQuestion) {
+      currentQuestion.text += '\n' + line;
+      orderItems.push({ line, text: orderMatch[1].trim() });
+      continue;
+    }
+
     // Section subtitle (> line beneath a # Section: heading, before the
     // first question).
     if (pendingSection && !currentQuestion && trimmed.startsWith('> ')) {
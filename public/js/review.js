@@ -0,0 +1,141 @@
+const markdown = MarkdownMashMarkdown;
+
+const reviewStatus = document.getElementById('review-status');
+const reviewStatusTitle = document.getElementById('review-status-title');
+const reviewStatusMessage = document.getElementById('review-status-message');
+const reviewStatusLink = document.getElementById('review-status-link');
+const reviewContent = document.getElementById('review-content');
+const reviewTitle = document.getElementById('review-title');
+const reviewParticipant = document.getElementById('review-participant');
+const reviewScore = document.getElementById('review-score');
+const reviewPercent = document.getElementById('review-percent');
+const reviewCorrect = document.getElementById('review-correct');
+const reviewExpiry = document.getElementById('review-expiry');
+const reviewQuestions = document.getElementById('review-questions');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+function showStatus(title, message) {
+  reviewStatusTitle.textContent = title;
+  reviewStatusMessage.textContent = message;
+  reviewStatusLink.classList.remove('hidden');
+  reviewContent.classList.add('hidden');
+  reviewStatus.classList.remove('hidden');
+}
+
+// Typed answers are shown exactly as written; option text is Markdown.
+function answerHtml(question, text) {
+  if (question.format === 'numeric' || question.format === 'text') return escapeHtml(text);
+  return markdown.inline(text);
+}
+
+function verdictLabel(question) {
+  if (!question.scored) return 'Not graded';
+  if (!question.answered) return 'No answer';
+  if (question.isCorrect) return 'Correct';
+  return question.credit > 0 ? 'Partly correct' : 'Incorrect';
+}
+
+function renderQuestion(question) {
+  const card = document.createElement('article');
+  const state = !question.scored ? '' : (question.isCorrect ? 'correct' : 'incorrect');
+  card.className = `review-question ${state}`.trim();
+
+  const number = question.gradedNumber ? `Question ${question.gradedNumber}` : 'Ungraded';
+  const points = question.scored ? `${question.points} / ${question.worth} points` : '';
+  const options = question.options.length
+    ? `<ol class="review-options" type="A">${question.options.map(option => {
+      const marks = [option.picked ? 'Your pick' : '', option.correct ? 'Correct' : ''].filter(Boolean).join(' · ');
+      const classes = [option.picked ? 'picked' : '', option.correct ? 'correct' : ''].filter(Boolean).join(' ');
+      return `<li class="${classes}">${marks ? `<span class="review-option-mark">${marks}</span>` : ''}${markdown.inline(option.text)}</li>`;
+    }).join('')}</ol>`
+    : '';
+
+  card.innerHTML = `
+    <div class="review-question-header"><span>${number} · ${verdictLabel(question)}</span><span>${points}</span></div>
+    <div class="question-text">${markdown.block(question.text)}</div>
+    ${options}
+    <div class="result-detail-row">
+      <span class="label">Your answer</span>
+      <span class="value">${question.answered ? answerHtml(question, question.yourAnswer) : '—'}</span>
+    </div>
+    ${question.correctAnswer !== null ? `
+    <div class="result-detail-row correct">
+      <span class="label">Correct answer</span>
+      <span class="value">${answerHtml(question, question.correctAnswer)}</span>
+    </div>` : ''}
+    ${question.explanation ? `
+    <div class="result-explanation">
+      <p class="section-eyebrow">Why</p>
+      <div class="result-explanation-text">${markdown.block(question.explanation)}</div>
+    </div>` : ''}
+  `;
+  return card;
+}
+
+function renderReview(review) {
+  document.title = `${review.title} - your answers - Markdown Mash`;
+  reviewTitle.innerHTML = markdown.inline(review.title);
+  reviewParticipant.textContent = review.participant.team
+    ? `${review.participant.name} · ${review.participant.team}`
+    : review.participant.name;
+  reviewScore.textContent = `${review.score} / ${review.totalScore}`;
+  reviewPercent.textContent = `${review.percent}%`;
+  reviewCorrect.textContent = `${review.correctCount} / ${review.gradedCount}`;
+  reviewExpiry.textContent = `Available until ${new Date(review.expiresAt).toLocaleString()}.`;
+
+  reviewQuestions.innerHTML = '';
+  let section = null;
+  for (const question of review.questions) {
+    if (question.sectionTitle && question.sectionTitle !== section) {
+      const heading = document.createElement('h2');
+      heading.className = 'review-section-title';
+      heading.textContent = question.sectionTitle;
+      reviewQuestions.appendChild(heading);
+    }
+    section = question.sectionTitle;
+    reviewQuestions.appendChild(renderQuestion(question));
+  }
+
+  reviewStatus.classList.add('hidden');
+  reviewContent.classList.remove('hidden');
+}
+
+async function loadReview() {
+  const query = new URLSearchParams(window.location.search);
+  const fragment = new URLSearchParams(window.location.hash.slice(1));
+  const sessionCode = String(query.get('session') || '').toUpperCase();
+  const participantId = query.get('participant');
+  const participantToken = fragment.get('token');
+
+  if (!sessionCode || !participantId || !participantToken) {
+    showStatus('This link is incomplete', 'Open your review from the link shown at the end of the quiz.');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/session/${encodeURIComponent(sessionCode)}/review`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ participantId, participantToken })
+    });
+    const data = await response.json();
+    if (!data.success) {
+      showStatus('Answer review unavailable', data.error || 'This review could not be loaded.');
+      return;
+    }
+    renderReview(data.review);
+  } catch (error) {
+    console.error('Answer review error:', error);
+    showStatus('Answer review unavailable', 'Check your connection and reload the page.');
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadReview);
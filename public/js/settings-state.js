@@ -3,7 +3,7 @@
   if (typeof module === 'object' && module.exports) module.exports = api;
   if (root) root.MarkdownMashSettings = api;
 })(typeof window !== 'undefined' ? window : globalThis, function createSettingsState() {
-  const TAB_NAMES = Object.freeze(['password', 'billing', 'instructors', 'security', 'email']);
+  const TAB_NAMES = Object.freeze(['password', 'billing', 'instructors', 'security', 'email', 'webhooks', 'api-tokens']);
 
   function allowedTabs({ hostedAuthMode, billingEnabled, admin }) {
     const hostedAccount = Boolean(
@@ -13,14 +13,16 @@
     );
 
     if (hostedAccount) {
-      return new Set(['password', ...(billingEnabled ? ['billing'] : [])]);
+      return new Set(['password', ...(billingEnabled ? ['billing'] : []), 'webhooks', 'api-tokens']);
     }
 
     return new Set([
       'password',
       ...(hostedAuthMode && admin?.role === 'master' ? ['instructors'] : []),
       'security',
-      'email'
+      'email',
+      'webhooks',
+      'api-tokens'
     ]);
   }
 
@@ -42,6 +44,8 @@
     });
 
     elements.instructorList?.replaceChildren();
+    elements.webhookList?.replaceChildren();
+    elements.apiTokenList?.replaceChildren();
   }
 
   return Object.freeze({ TAB_NAMES, allowedTabs, resetForAccount });
@@ -0,0 +1,49 @@
+// Pure per-question counts for the session report: stored answer rows and
+// answer distribution rows in, what each question's analytics show out.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { isOrdering, positionHits, storedAnswer } = require('./answer-grading');
+
+// How many answers picked each option, from one question's answer
+// distribution rows. An ordering answer places every option, so its rows
+// count each option once per answer and say nothing; ordering questions get
+// their position hits instead.
+function optionDistribution(question, rows) {
+  if (isOrdering(question)) return [];
+  return rows.map(row => ({
+    optionIndex: row.answer_index,
+    count: row.count
+  }));
+}
+
+// Each option with its count, its share of the answers, and whether it is
+// a correct one. Empty for ordering questions, as above.
+function optionBreakdown(question, rows, totalAnswers) {
+  if (!question || isOrdering(question)) return [];
+  return question.options.map((option, optionIndex) => {
+    const row = rows.find(entry => entry.answer_index === optionIndex);
+    const count = row ? row.count : 0;
+    return {
+      option,
+      count,
+      percent: totalAnswers > 0 ? Math.round(count * 100 / totalAnswers) : 0,
+      isCorrect: question.correctIndices.includes(optionIndex)
+    };
+  });
+}
+
+// For an ordering question, how many stored answers put each position's
+// item in its place, as the live room's results show it. Null otherwise.
+function orderingPositionHits(question, answerRows) {
+  if (!isOrdering(question)) return null;
+  return positionHits(
+    question,
+    answerRows.filter(row => row.question_index === question.index).map(storedAnswer)
+  );
+}
+
+module.exports = {
+  optionBreakdown,
+  optionDistribution,
+  orderingPositionHits
+};
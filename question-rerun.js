@@ -0,0 +1,75 @@
+// The host's corrections to a live room: running a closed question again
+// and stepping back a step. A re-run either clears the question's answers
+// or keeps them; a kept answer stands until its participant answers again,
+// and the new answer replaces it. Totals are rebuilt from the answers, so
+// scores and rank snapshots match the position the room lands on.
+// No sockets, no timers, no database — server.js owns all of that.
+
+// The quizState.rerun record for a question the host opens again. A survey
+// keeps its earlier responses as counts, since nobody's answer is on record.
+function startRerun(question, keepAnswers, surveyCounts = null) {
+  return {
+    questionId: question.id,
+    keepAnswers: keepAnswers === true,
+    answeredIds: [],
+    surveyCounts: keepAnswers === true && Array.isArray(surveyCounts) ? surveyCounts.slice() : null
+  };
+}
+
+// Whether a participant has answered the open question in this run. Under a
+// kept re-run an earlier answer does not count until it is given again.
+function hasAnsweredThisRun(quizState, participant, questionId) {
+  if (participant?.answers?.[questionId] === undefined) return false;
+  const rerun = quizState?.rerun;
+  if (rerun && rerun.keepAnswers && rerun.questionId === questionId) {
+    return rerun.answeredIds.includes(participant.id);
+  }
+  return true;
+}
+
+function noteRerunAnswer(quizState, participant, questionId) {
+  const rerun = quizState?.rerun;
+  if (!rerun || rerun.questionId !== questionId || rerun.answeredIds.includes(participant.id)) return;
+  rerun.answeredIds.push(participant.id);
+}
+
+// Forgets one participant's answer to a question, and for a survey that
+// they responded to it at all.
+function discardAnswer(participant, question) {
+  delete participant.answers[question.id];
+  delete participant.questionPoints?.[question.id];
+  delete participant.responseTimes?.[question.id];
+  if (participant.surveyAnsweredQuestions) delete participant.surveyAnsweredQuestions[question.index];
+}
+
+// Zeroes what closing questions adds up, ready to bank them again.
+function clearTotals(participant) {
+  participant.score = 0;
+  participant.correctCount = 0;
+  participant.earnedCredit = 0;
+  participant.points = 0;
+  participant.currentStreak = 0;
+  participant.bestStreak = 0;
+  participant.funCorrectCount = 0;
+  participant.funTotal = 0;
+}
+
+// Survey counts kept from an earlier run added to the ones just collected.
+function addSurveyCounts(distribution, keptCounts) {
+  if (!Array.isArray(keptCounts)) return distribution;
+  const counts = distribution.counts.map((count, index) => count + Number(keptCounts[index] || 0));
+  return {
+    ...distribution,
+    counts,
+    answered: counts.reduce((sum, count) => sum + count, 0)
+  };
+}
+
+module.exports = {
+  addSurveyCounts,
+  clearTotals,
+  discardAnswer,
+  hasAnsweredThisRun,
+  noteRerunAnswer,
+  startRerun
+};
@@ -0,0 +1,92 @@
+// Pausing, resuming, and extending a live question's clock. A paused
+// question keeps the time it had left and takes no answers; resuming moves
+// its end time, and the start time response times count from, on by the
+// length of the pause.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const DEFAULT_EXTRA_SECONDS = 15;
+const MAX_EXTRA_SECONDS = 300;
+
+function isQuestionPaused(quizState) {
+  return Boolean(quizState?.pausedAt);
+}
+
+// Only an open question whose clock is still running can be paused.
+function canPauseQuestion(quizState, now = Date.now()) {
+  return Boolean(
+    quizState?.isRunning
+    && !quizState.showingResults
+    && !quizState.pausedAt
+    && quizState.questionEndTime
+    && quizState.questionEndTime > now
+  );
+}
+
+// The quizState fields to set when the host pauses.
+function pauseQuestion(quizState, now = Date.now()) {
+  return {
+    pausedAt: now,
+    pausedRemainingMs: Math.max(0, quizState.questionEndTime - now)
+  };
+}
+
+// The quizState fields to set, and the new question start time, when the
+// host resumes.
+function resumeQuestion(quizState, questionStartTime, now = Date.now()) {
+  const pausedForMs = Math.max(0, now - quizState.pausedAt);
+  return {
+    quizState: {
+      pausedAt: null,
+      pausedRemainingMs: null,
+      questionEndTime: now + quizState.pausedRemainingMs
+    },
+    questionStartTime: questionStartTime === null ? null : questionStartTime + pausedForMs
+  };
+}
+
+// Clamps host-supplied extra time to whole seconds between 1 and 300.
+function normalizeExtraSeconds(value) {
+  if (value === undefined || value === null) return DEFAULT_EXTRA_SECONDS;
+  const parsed = Math.round(Number(value));
+  if (!Number.isFinite(parsed)) return DEFAULT_EXTRA_SECONDS;
+  return Math.min(MAX_EXTRA_SECONDS, Math.max(1, parsed));
+}
+
+// Time can be added to an open question until its clock runs out.
+function canExtendQuestion(quizState, now = Date.now()) {
+  return Boolean(
+    quizState?.isRunning
+    && !quizState.showingResults
+    && quizState.questionEndTime
+    && (isQuestionPaused(quizState) || quizState.questionEndTime > now)
+  );
+}
+
+// The quizState fields to set when the host adds time. A paused question
+// banks the time until it resumes.
+function extendQuestion(quizState, seconds) {
+  const extraMs = normalizeExtraSeconds(seconds) * 1000;
+  if (isQuestionPaused(quizState)) {
+    return { pausedRemainingMs: quizState.pausedRemainingMs + extraMs };
+  }
+  return { questionEndTime: quizState.questionEndTime + extraMs };
+}
+
+// Milliseconds left on the open question, frozen while it is paused.
+function questionMsLeft(quizState, now = Date.now()) {
+  if (isQuestionPaused(quizState)) return quizState.pausedRemainingMs;
+  return Math.max(0, (quizState?.questionEndTime || 0) - now);
+}
+
+module.exports = {
+  DEFAULT_EXTRA_SECONDS,
+  MAX_EXTRA_SECONDS,
+  canExtendQuestion,
+  canPauseQuestion,
+  extendQuestion,
+  isQuestionPaused,
+  normalizeExtraSeconds,
+  pauseQuestion,
+  questionMsLeft,
+  resumeQuestion
+};
@@ -0,0 +1,133 @@
+// Pure quiz image rules: which uploaded files a session accepts and how
+// Markdown image references reach them.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { MAX_MARKDOWN_BYTES } = require('./markdown-transport');
+
+// One image may be as large as the Markdown that references it.
+const MAX_ASSET_BYTES = MAX_MARKDOWN_BYTES;
+const MAX_ASSETS_PER_SESSION = 20;
+const MAX_SESSION_ASSET_BYTES = 8 * 1024 * 1024;
+
+// Raster formats only. SVG can carry script, and these files are served from
+// the app's own origin.
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// A bare file name — no directories, no leading dot — so a name can never
+// address anything but its own session's uploads.
+const ASSET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+// ![alt](diagram.png) and ![alt](./diagram.png "title")
+const IMAGE_REFERENCE_PATTERN = /(!\[[^\]]*\]\()(?:\.\/)?([^)\s]+)(\s+"[^"]*")?\)/g;
+
+function extensionOf(name) {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+// Returns the name unchanged when it is an acceptable image name, else null.
+function normalizeAssetName(name) {
+  if (typeof name !== 'string' || !ASSET_NAME_PATTERN.test(name)) return null;
+  return IMAGE_TYPES[extensionOf(name)] ? name : null;
+}
+
+// The content type is read from the bytes, never trusted from the request.
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  const head = buffer.subarray(0, 6).toString('latin1');
+  if (head === 'GIF87a' || head === 'GIF89a') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF'
+    && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Checks one upload against its name and the session's existing uploads.
+// `existing` is { count, totalBytes } and excludes any file being replaced.
+// Returns { contentType } or { error }.
+function validateAsset(name, buffer, existing = { count: 0, totalBytes: 0 }) {
+  const assetName = normalizeAssetName(name);
+  if (!assetName) {
+    return { error: 'Image names may use letters, numbers, dots, dashes and underscores and must end in .png, .jpg, .gif or .webp' };
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { error: 'Image file is empty' };
+  }
+  if (buffer.length > MAX_ASSET_BYTES) {
+    return { error: `Images must be ${Math.round(MAX_ASSET_BYTES / 1024)} KB or smaller` };
+  }
+  const contentType = detectImageType(buffer);
+  if (!contentType || contentType !== IMAGE_TYPES[extensionOf(assetName)]) {
+    return { error: 'File contents do not match its image extension' };
+  }
+  if (existing.count >= MAX_ASSETS_PER_SESSION) {
+    return { error: `A session can hold at most ${MAX_ASSETS_PER_SESSION} images` };
+  }
+  if (existing.totalBytes + buffer.length > MAX_SESSION_ASSET_BYTES) {
+    return { error: `A session's images must total ${MAX_SESSION_ASSET_BYTES / (1024 * 1024)} MB or less` };
+  }
+  return { contentType };
+}
+
+function assetUrl(code, name) {
+  return `/api/session/${encodeURIComponent(code)}/asset/${encodeURIComponent(name)}`;
+}
+
+// Points bare image names at the session's asset route. URLs, absolute
+// paths, and data: images are left exactly as written.
+function resolveAssetReferences(markdown, code) {
+  if (typeof markdown !== 'string') return markdown;
+  return markdown.replace(IMAGE_REFERENCE_PATTERN, (match, opening, target, title = '') => {
+    const name = normalizeAssetName(target);
+    return name ? `${opening}${assetUrl(code, name)}${title})` : match;
+  });
+}
+
+// Every bare image name a quiz's Markdown refers to, once each.
+function referencedAssetNames(markdown) {
+  const names = new Set();
+  for (const match of String(markdown || '').matchAll(IMAGE_REFERENCE_PATTERN)) {
+    const name = normalizeAssetName(match[2]);
+    if (name) names.add(name);
+  }
+  return [...names];
+}
+
+// The live copy of a quiz with question text, options and explanations
+// resolved. The stored quiz keeps the author's bare names.
+function resolveQuizAssets(quiz, code) {
+  if (!quiz || !Array.isArray(quiz.questions)) return quiz;
+  return {
+    ...quiz,
+    questions: quiz.questions.map(question => ({
+      ...question,
+      text: resolveAssetReferences(question.text, code),
+      options: (question.options || []).map(option => resolveAssetReferences(option, code)),
+      explanation: resolveAssetReferences(question.explanation, code)
+    }))
+  };
+}
+
+module.exports = {
+  MAX_ASSET_BYTES,
+  MAX_ASSETS_PER_SESSION,
+  MAX_SESSION_ASSET_BYTES,
+  assetUrl,
+  detectImageType,
+  normalizeAssetName,
+  referencedAssetNames,
+  resolveAssetReferences,
+  resolveQuizAssets,
+  validateAsset
+};
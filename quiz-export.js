@@ -0,0 +1,488 @@
+// Pure LMS exports of a stored quiz: a QTI 2.1 content package (ZIP) and a
+// Moodle XML question file. Each question keeps its answer key, weight,
+// explanation and section; time limits travel where the format has them.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { isScored, weightOf } = require('./quiz-structure');
+const { createZipArchive } = require('./zip-archive');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+
+// ============================================
+// Markdown to XHTML
+// ============================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Session assets are served from /api/session/…; an LMS needs the full URL.
+function absoluteUrl(url, baseUrl) {
+  return baseUrl && url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+function inlineXhtml(text, baseUrl) {
+  return String(text ?? '')
+    .split(/(`[^`]+`)/)
+    .map(part => {
+      if (/^`[^`]+`$/.test(part)) return `<code>${escapeXml(part.slice(1, -1))}</code>`;
+      return escapeXml(part)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, alt, src) => (
+          `<img src="${absoluteUrl(src, escapeXml(baseUrl))}" alt="${alt}"/>`
+        ))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (
+          `<a href="${absoluteUrl(href, escapeXml(baseUrl))}">${label}</a>`
+        ))
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    })
+    .join('');
+}
+
+// The Markdown quiz text uses — paragraphs, bullet lists, fenced code, and
+// inline code, emphasis, links and images — as well-formed XHTML, which both
+// QTI item bodies and Moodle's HTML text accept.
+function markdownToXhtml(markdown, baseUrl = '') {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(line => inlineXhtml(line, baseUrl)).join('<br/>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<ul>${list.map(item => `<li>${inlineXhtml(item, baseUrl)}</li>`).join('')}</ul>`);
+    list = null;
+  };
+
+  for (const line of String(markdown ?? '').split('\n')) {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        blocks.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+      continue;
+    }
+    const item = line.match(/^\s*[-*]\s+(.+)$/);
+    if (item) {
+      flushParagraph();
+      list = list || [];
+      list.push(item[1]);
+      continue;
+    }
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    flushList();
+    paragraph.push(line.trim());
+  }
+  if (code) blocks.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+  flushParagraph();
+  flushList();
+  return blocks.join('');
+}
+
+function plainTitle(text, length = 80) {
+  const line = String(text ?? '').split('\n').find(candidate => candidate.trim()) || '';
+  const plain = line.replace(/[`*_]/g, '').replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/\s+/g, ' ').trim();
+  return plain.length > length ? `${plain.slice(0, length - 1)}…` : plain;
+}
+
+function questionLabel(question) {
+  const number = isScored(question) ? `Q${question.gradedNumber}` : `Ungraded ${question.index + 1}`;
+  const title = plainTitle(question.text);
+  return title ? `${number}: ${title}` : number;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100000) / 100000);
+}
+
+// ============================================
+// QTI 2.1
+// ============================================
+
+function choiceIdentifier(index) {
+  return `CHOICE-${index + 1}`;
+}
+
+function mapping(entries, { lowerBound, upperBound, caseSensitive } = {}) {
+  const bounds = [
+    lowerBound === undefined ? '' : ` lowerBound="${lowerBound}"`,
+    upperBound === undefined ? '' : ` upperBound="${upperBound}"`
+  ].join('');
+  const sensitivity = caseSensitive === undefined ? '' : ` caseSensitive="${caseSensitive}"`;
+  return [
+    `    <mapping defaultValue="0"${bounds}>`,
+    ...entries.map(({ key, value }) => `      <mapEntry mapKey="${escapeXml(key)}" mappedValue="${formatNumber(value)}"${sensitivity}/>`),
+    '    </mapping>'
+  ];
+}
+
+function setScore(expression) {
+  return [
+    '    <setOutcomeValue identifier="SCORE">',
+    `      ${expression}`,
+    '    </setOutcomeValue>'
+  ];
+}
+
+function scoreWhen(condition) {
+  return [
+    '    <responseCondition>',
+    '      <responseIf>',
+    `        ${condition}`,
+    '        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+    '      </responseIf>',
+    '    </responseCondition>'
+  ];
+}
+
+// The response declaration, interaction and scoring rules for one question,
+// each matching how the server grades it: several right options without
+// ::select=multiple accept any one, ::credit=partial maps right and wrong
+// picks to ±1/n with a floor of 0, and numeric answers allow the tolerance.
+function qtiInteraction(question, baseUrl) {
+  const scored = isScored(question);
+  const correct = scored ? question.correctIndices || [] : [];
+  const choices = (question.options || []).map((option, index) => (
+    `      <simpleChoice identifier="${choiceIdentifier(index)}">${inlineXhtml(option, baseUrl)}</simpleChoice>`
+  ));
+
+  if (question.format === 'numeric') {
+    const key = question.numericAnswer || { value: 0, tolerance: 0 };
+    const tolerance = formatNumber(key.tolerance || 0);
+    return {
+      declaration: [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">',
+        `    <correctResponse><value>${formatNumber(key.value)}</value></correctResponse>`,
+        '  </responseDeclaration>'
+      ],
+      body: ['    <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/>'],
+      scoring: scored
+        ? scoreWhen(`<equal toleranceMode="${key.tolerance ? 'absolute' : 'exact'}"${key.tolerance ? ` tolerance="${tolerance} ${tolerance}"` : ''}><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`)
+        : []
+    };
+  }
+
+  if (question.format === 'text') {
+    const accepted = question.acceptedAnswers || [];
+    return {
+      declaration: [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+        accepted.length ? `    <correctResponse><value>${escapeXml(accepted[0])}</value></correctResponse>` : null,
+        ...mapping(accepted.map(key => ({ key, value: 1 })), { upperBound: 1, caseSensitive: 'false' }),
+        '  </responseDeclaration>'
+      ].filter(Boolean),
+      body: ['    <textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/>'],
+      scoring: scored ? setScore('<mapResponse identifier="RESPONSE"/>') : []
+    };
+  }
+
+  if (question.format === 'order') {
+    return {
+      declaration: [
+        '  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+        '    <correctResponse>',
+        ...(question.options || []).map((option, index) => `      <value>${choiceIdentifier(index)}</value>`),
+        '    </correctResponse>',
+        '  </responseDeclaration>'
+      ],
+      body: ['    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">', ...choices, '    </orderInteraction>'],
+      scoring: scored ? scoreWhen('<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>') : []
+    };
+  }
+
+  const multiple = question.format === 'multiple';
+  const correctValues = correct.map(index => `      <value>${choiceIdentifier(index)}</value>`);
+  const declaration = [
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${multiple ? 'multiple' : 'single'}" baseType="identifier">`
+  ];
+  let scoring = [];
+  if (!multiple && correct.length === 1) {
+    declaration.push('    <correctResponse>', ...correctValues, '    </correctResponse>');
+    scoring = scoreWhen('<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>');
+  } else if (!multiple && correct.length > 1) {
+    declaration.push(...mapping(correct.map(index => ({ key: choiceIdentifier(index), value: 1 })), { upperBound: 1 }));
+    scoring = setScore('<mapResponse identifier="RESPONSE"/>');
+  } else if (multiple && question.credit === 'partial' && correct.length) {
+    const share = 1 / correct.length;
+    declaration.push(
+      '    <correctResponse>', ...correctValues, '    </correctResponse>',
+      ...mapping((question.options || []).map((option, index) => ({
+        key: choiceIdentifier(index),
+        value: correct.includes(index) ? share : -share
+      })), { lowerBound: 0, upperBound: 1 })
+    );
+    scoring = setScore('<mapResponse identifier="RESPONSE"/>');
+  } else if (multiple && correct.length) {
+    declaration.push('    <correctResponse>', ...correctValues, '    </correctResponse>');
+    scoring = scoreWhen('<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>');
+  }
+  declaration.push('  </responseDeclaration>');
+
+  return {
+    declaration,
+    body: [
+      `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${multiple ? 0 : 1}">`,
+      ...choices,
+      '    </choiceInteraction>'
+    ],
+    scoring: scored ? scoring : []
+  };
+}
+
+function qtiItem(question, identifier, baseUrl) {
+  const { declaration, body, scoring } = qtiInteraction(question, baseUrl);
+  const explanation = question.explanation ? markdownToXhtml(question.explanation, baseUrl) : '';
+  const processing = [
+    ...scoring,
+    ...(explanation
+      ? ['    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>']
+      : [])
+  ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="${identifier}" title="${escapeXml(questionLabel(question))}" adaptive="false" timeDependent="false">`,
+    ...declaration,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '    <defaultValue><value>0</value></defaultValue>',
+    '  </outcomeDeclaration>',
+    ...(explanation ? ['  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>'] : []),
+    '  <itemBody>',
+    `    <div>${markdownToXhtml(question.text, baseUrl)}</div>`,
+    ...body,
+    '  </itemBody>',
+    ...(processing.length ? ['  <responseProcessing>', ...processing, '  </responseProcessing>'] : []),
+    ...(explanation
+      ? [`  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${explanation}</modalFeedback>`]
+      : []),
+    '</assessmentItem>',
+    ''
+  ].join('\n');
+}
+
+// Consecutive questions with the same section title form one QTI section.
+function sectionRuns(quiz) {
+  const runs = [];
+  for (const question of quiz.questions) {
+    const title = question.sectionTitle || null;
+    const last = runs[runs.length - 1];
+    if (last && last.title === title) {
+      last.questions.push(question);
+    } else {
+      runs.push({ title, questions: [question] });
+    }
+  }
+  return runs;
+}
+
+// Returns the package as a ZIP Buffer: imsmanifest.xml, assessment.xml (the
+// test, with sections, weights and time limits) and one file per item.
+// Participants' answers never go into it.
+function toQtiPackage(quiz, { baseUrl = '', modifiedAt } = {}) {
+  const title = quiz.title || 'Markdown Mash quiz';
+  const items = quiz.questions.map((question, position) => ({
+    question,
+    identifier: `ITEM-${position + 1}`,
+    href: `items/item-${position + 1}.xml`
+  }));
+  const itemByQuestion = new Map(items.map(item => [item.question, item]));
+
+  const sections = sectionRuns(quiz).map((run, index) => [
+    `      <assessmentSection identifier="SECTION-${index + 1}" title="${escapeXml(run.title || title)}" visible="${run.title ? 'true' : 'false'}">`,
+    ...run.questions.map(question => {
+      const item = itemByQuestion.get(question);
+      return [
+        `        <assessmentItemRef identifier="${item.identifier}" href="${item.href}">`,
+        question.timeLimit ? `          <timeLimits maxTime="${question.timeLimit}"/>` : null,
+        `          <weight identifier="WEIGHT" value="${formatNumber(weightOf(question))}"/>`,
+        '        </assessmentItemRef>'
+      ].filter(Boolean).join('\n');
+    }),
+    '      </assessmentSection>'
+  ].join('\n'));
+
+  const test = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}" identifier="TEST" title="${escapeXml(title)}">`,
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '    <defaultValue><value>0</value></defaultValue>',
+    '  </outcomeDeclaration>',
+    '  <testPart identifier="PART-1" navigationMode="linear" submissionMode="individual">',
+    ...sections,
+    '  </testPart>',
+    '  <outcomeProcessing>',
+    '    <setOutcomeValue identifier="SCORE">',
+    '      <sum><testVariables variableIdentifier="SCORE" weightIdentifier="WEIGHT"/></sum>',
+    '    </setOutcomeValue>',
+    '  </outcomeProcessing>',
+    '</assessmentTest>',
+    ''
+  ].join('\n');
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd" identifier="MANIFEST">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="TEST" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+    '      <file href="assessment.xml"/>',
+    ...items.map(item => `      <dependency identifierref="${item.identifier}"/>`),
+    '    </resource>',
+    ...items.map(item => [
+      `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+      `      <file href="${item.href}"/>`,
+      '    </resource>'
+    ].join('\n')),
+    '  </resources>',
+    '</manifest>',
+    ''
+  ].join('\n');
+
+  return createZipArchive([
+    { name: 'imsmanifest.xml', content: manifest },
+    { name: 'assessment.xml', content: test },
+    ...items.map(item => ({ name: item.href, content: qtiItem(item.question, item.identifier, baseUrl) }))
+  ], modifiedAt);
+}
+
+// ============================================
+// Moodle XML
+// ============================================
+
+function cdata(text) {
+  return `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function moodleText(tag, html) {
+  return `    <${tag} format="html"><text>${cdata(html)}</text></${tag}>`;
+}
+
+// A "/" inside a Moodle category name is written "//".
+function categoryPath(...names) {
+  return ['$course$', 'top', ...names.filter(Boolean).map(name => name.replace(/\//g, '//'))].join('/');
+}
+
+// Moodle's fractions are percentages of the question's grade. Several right
+// options in a single-answer question each earn full marks; a multi-select
+// splits 100 between its right options and, like ::credit=partial here,
+// takes the same share off for each wrong pick. An all-or-nothing
+// multi-select has no exact Moodle equivalent, so any wrong pick costs the
+// whole question.
+function moodleAnswers(question, baseUrl) {
+  const scored = isScored(question);
+  const correct = question.correctIndices || [];
+  const share = correct.length ? 100 / correct.length : 0;
+  return (question.options || []).map((option, index) => {
+    let fraction;
+    if (!scored) fraction = 100;
+    else if (question.format !== 'multiple') fraction = correct.includes(index) ? 100 : 0;
+    else if (correct.includes(index)) fraction = share;
+    else fraction = question.credit === 'partial' ? -share : -100;
+    return `    <answer fraction="${formatNumber(fraction)}" format="html"><text>${cdata(inlineXhtml(option, baseUrl))}</text></answer>`;
+  });
+}
+
+function moodleQuestion(question, quiz, baseUrl) {
+  const scored = isScored(question);
+  const head = (type, grade = weightOf(question)) => [
+    `  <question type="${type}">`,
+    `    <name><text>${escapeXml(questionLabel(question))}</text></name>`,
+    moodleText('questiontext', markdownToXhtml(question.text, baseUrl)),
+    moodleText('generalfeedback', question.explanation ? markdownToXhtml(question.explanation, baseUrl) : ''),
+    `    <defaultgrade>${formatNumber(grade)}</defaultgrade>`,
+    '    <penalty>0</penalty>',
+    '    <hidden>0</hidden>'
+  ];
+
+  if (question.format === 'numeric') {
+    const key = question.numericAnswer || { value: 0, tolerance: 0 };
+    return [
+      ...head('numerical'),
+      `    <answer fraction="100"><text>${formatNumber(key.value)}</text><tolerance>${formatNumber(key.tolerance || 0)}</tolerance></answer>`,
+      '  </question>'
+    ];
+  }
+
+  if (question.format === 'text') {
+    return [
+      ...head('shortanswer'),
+      '    <usecase>0</usecase>',
+      ...(question.acceptedAnswers || []).map(answer => `    <answer fraction="100"><text>${escapeXml(answer)}</text></answer>`),
+      '  </question>'
+    ];
+  }
+
+  // Moodle's ordering question type lists its items in the right order.
+  if (question.format === 'order') {
+    return [
+      ...head('ordering'),
+      '    <layouttype>VERTICAL</layouttype>',
+      '    <selecttype>ALL</selecttype>',
+      `    <gradingtype>${question.credit === 'partial' ? 'ABSOLUTE_POSITION' : 'ALL_OR_NOTHING'}</gradingtype>`,
+      ...(question.options || []).map((option, index) => (
+        `    <answer fraction="${index + 1}" format="html"><text>${cdata(inlineXhtml(option, baseUrl))}</text></answer>`
+      )),
+      '  </question>'
+    ];
+  }
+
+  // Ungraded choices are worth nothing and accept every option.
+  return [
+    ...head('multichoice', scored ? weightOf(question) : 0),
+    `    <single>${question.format === 'multiple' ? 'false' : 'true'}</single>`,
+    `    <shuffleanswers>${quiz.shuffle && quiz.shuffle.options ? 'true' : 'false'}</shuffleanswers>`,
+    '    <answernumbering>abc</answernumbering>',
+    ...moodleAnswers(question, baseUrl),
+    '  </question>'
+  ];
+}
+
+// Returns the quiz as a Moodle XML string. Questions land in a category
+// named after the quiz, with a subcategory per section.
+function toMoodleXml(quiz, { baseUrl = '' } = {}) {
+  const title = quiz.title || 'Markdown Mash quiz';
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  for (const run of sectionRuns(quiz)) {
+    lines.push(
+      '  <question type="category">',
+      `    <category><text>${escapeXml(categoryPath(title, run.title))}</text></category>`,
+      '  </question>'
+    );
+    for (const question of run.questions) {
+      lines.push(...moodleQuestion(question, quiz, baseUrl));
+    }
+  }
+  lines.push('</quiz>', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  markdownToXhtml,
+  toMoodleXml,
+  toQtiPackage
+};
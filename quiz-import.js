@@ -0,0 +1,808 @@
+// Pure quiz import: GIFT, Moodle XML, and Kahoot CSV in, quiz Markdown that
+// parseQuizMarkdown understands out, plus a report of everything that could
+// not come across. Categories become sections; Kahoot time limits become
+// ::time=. No sockets, no timers, no database — server.js owns all of that.
+
+const { parseCsv } = require('./course-roster');
+
+const IMPORT_FORMATS = ['gift', 'moodle-xml', 'kahoot-csv'];
+const MAX_IMPORT_QUESTIONS = 500;
+const DEFAULT_IMPORT_TITLE = 'Imported quiz';
+
+// ============================================
+// Shared text helpers
+// ============================================
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  times: '×',
+  divide: '÷',
+  minus: '−',
+  le: '≤',
+  ge: '≥',
+  ne: '≠',
+  plusmn: '±',
+  deg: '°',
+  middot: '·'
+};
+
+function decodeEntities(text) {
+  return String(text ?? '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function attributeOf(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3]) : '';
+}
+
+function oneLine(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function shorten(text, length = 40) {
+  const line = oneLine(text);
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
+
+// Enough HTML for what quiz tools write: paragraphs, line breaks, emphasis,
+// code, links, lists, and images. Images that live inside the source system
+// (Moodle's @@PLUGINFILE@@) cannot come along and are flagged on `found`.
+function htmlToMarkdown(html, found = {}) {
+  const blocks = [];
+  let text = String(html ?? '').replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+    const body = decodeEntities(code.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).replace(/^\n+|\s+$/g, '');
+    blocks.push(`\`\`\`\n${body}\n\`\`\``);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+
+  text = text
+    .replace(/\s+/g, ' ')
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const src = attributeOf(tag, 'src');
+      const alt = attributeOf(tag, 'alt');
+      if (/^https?:\/\//i.test(src)) return `![${alt}](${src})`;
+      found.images = true;
+      return '';
+    })
+    .replace(/<a\b[^>]*>([\s\S]*?)<\/a>/gi, (match, label) => {
+      const href = attributeOf(match, 'href');
+      return /^https?:\/\//i.test(href) ? `[${label}](${href})` : label;
+    })
+    .replace(/<(strong|b)\b[^>]*>([\s\S]*?)<\/\1>/gi, '**$2**')
+    .replace(/<(em|i)\b[^>]*>([\s\S]*?)<\/\1>/gi, '*$2*')
+    .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => `\n${blocks[Number(index)]}\n`)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// "$course$/top/Loops" and "top/Unit 2/Loops" both name the Loops section.
+// Moodle's own top-level and "Default for …" categories are not sections.
+function categorySection(path) {
+  const parts = String(path ?? '')
+    .split('/')
+    .map(part => part.trim())
+    .filter(part => part && !/^\$\w+\$$/.test(part) && part.toLowerCase() !== 'top' && !/^default for\b/i.test(part));
+  return parts.length ? parts[parts.length - 1] : null;
+}
+
+function createQuestion(label, section) {
+  return {
+    label,
+    section,
+    text: '',
+    format: 'single',
+    options: [],
+    credit: 'all',
+    numericAnswer: null,
+    acceptedAnswers: null,
+    timeLimit: null,
+    points: null,
+    explanation: null
+  };
+}
+
+function formatNumber(value) {
+  const text = String(value);
+  return /e/i.test(text) ? null : text;
+}
+
+// ============================================
+// Markdown writer
+// ============================================
+
+// A line of question text the quiz parser would read as syntax (a heading,
+// an option, a directive, an explanation, an ordering item) gets a
+// backslash, which Markdown renders as the character it escapes.
+function escapeTextLine(line) {
+  const indent = line.match(/^\s*/)[0];
+  const rest = line.slice(indent.length);
+  if (/^(#|-\s*\[|::|>)/.test(rest)) return `${indent}\\${rest}`;
+  const numbered = rest.match(/^(\d+)([.)]\s.*)$/);
+  return numbered ? `${indent}${numbered[1]}\\${numbered[2]}` : line;
+}
+
+function questionLines(question, number, report) {
+  const textLines = question.text.split('\n');
+  const first = textLines[0].trim();
+  const headed = first && !first.startsWith('```') && !first.startsWith('!');
+  const heading = headed ? first : `Question ${number}`;
+  const body = headed ? textLines.slice(1) : textLines;
+
+  let inCode = false;
+  let escapedCode = false;
+  const lines = [`## ${heading}`];
+  for (const line of body) {
+    if (line.trim().startsWith('```')) inCode = !inCode;
+    const escaped = escapeTextLine(line);
+    if (inCode && escaped !== line) escapedCode = true;
+    lines.push(escaped);
+  }
+  if (escapedCode) {
+    report.push({
+      item: question.label,
+      reason: 'A code line that reads like quiz syntax was escaped with a backslash; check the code block'
+    });
+  }
+
+  for (const option of question.options) {
+    lines.push(`- [${option.correct ? 'x' : ' '}] ${oneLine(option.text)}`);
+  }
+  if (question.format === 'multiple') lines.push('::select=multiple');
+  if (question.credit === 'partial') lines.push('::credit=partial');
+  if (question.numericAnswer) {
+    const { value, tolerance } = question.numericAnswer;
+    lines.push(`::answer=${value}${tolerance ? ` ±${tolerance}` : ''}`);
+  }
+  if (question.acceptedAnswers) lines.push(`::accept=${question.acceptedAnswers.join('|')}`);
+  if (question.points) lines.push(`::points=${question.points}`);
+  if (question.timeLimit) lines.push(`::time=${question.timeLimit}`);
+  if (question.explanation) {
+    question.explanation.split('\n').forEach((line, index) => {
+      lines.push(index === 0 ? `> Explanation: ${line}` : `> ${line}`.trimEnd());
+    });
+  }
+  return lines;
+}
+
+function toMarkdown(title, questions, report) {
+  const lines = [`# ${oneLine(title) || DEFAULT_IMPORT_TITLE}`];
+  let section = null;
+  questions.forEach((question, index) => {
+    if (question.section && question.section !== section) {
+      lines.push('', `# Section: ${oneLine(question.section)}`);
+      section = question.section;
+    }
+    lines.push('', ...questionLines(question, index + 1, report));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// ============================================
+// GIFT
+// ============================================
+
+function findUnescaped(text, token, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(token, i)) return i;
+  }
+  return -1;
+}
+
+function unescapeGift(text) {
+  return String(text ?? '').replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1');
+}
+
+// Items are separated by blank lines, except inside an open answer block;
+// // comments are dropped and each $CATEGORY line stands on its own.
+function splitGiftItems(text) {
+  const items = [];
+  let current = [];
+  const isOpen = () => {
+    const joined = current.join('\n');
+    const open = findUnescaped(joined, '{');
+    return open !== -1 && findUnescaped(joined, '}', open + 1) === -1;
+  };
+  const flush = () => {
+    if (current.length) items.push(current.join('\n'));
+    current = [];
+  };
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+$/, '');
+    if (/^\s*\/\//.test(line)) continue;
+    if (/^\s*\$CATEGORY:/i.test(line)) {
+      flush();
+      items.push(line.trim());
+      continue;
+    }
+    if (!line.trim() && !isOpen()) {
+      flush();
+      continue;
+    }
+    current.push(line);
+  }
+  flush();
+  return items;
+}
+
+function giftText(raw, markup, found) {
+  const text = unescapeGift(raw).trim();
+  return markup === 'html' ? htmlToMarkdown(text, found) : text;
+}
+
+// "=%50%Paris#Close enough" → { mark: '=', weight: 50, text: 'Paris', feedback }
+function splitGiftAnswers(spec) {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < spec.length; i++) {
+    const char = spec[i];
+    if (char === '\\') {
+      if (current) current.raw += spec.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (char === '=' || char === '~') {
+      current = { mark: char, raw: '' };
+      answers.push(current);
+      continue;
+    }
+    if (current) current.raw += char;
+  }
+  return answers.map(({ mark, raw }) => {
+    const weightMatch = raw.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+    const rest = weightMatch ? raw.trim().slice(weightMatch[0].length) : raw;
+    const feedbackAt = findUnescaped(rest, '#');
+    return {
+      mark,
+      weight: weightMatch ? parseFloat(weightMatch[1]) : null,
+      text: feedbackAt === -1 ? rest : rest.slice(0, feedbackAt),
+      feedback: feedbackAt === -1 ? '' : rest.slice(feedbackAt + 1).trim()
+    };
+  });
+}
+
+function parseGiftNumber(spec) {
+  const range = spec.match(/^(-?\d*\.?\d+)\s*\.\.\s*(-?\d*\.?\d+)$/);
+  if (range) {
+    const low = parseFloat(range[1]);
+    const high = parseFloat(range[2]);
+    return { value: (low + high) / 2, tolerance: Math.abs(high - low) / 2 };
+  }
+  const single = spec.match(/^(-?\d*\.?\d+)(?:\s*:\s*(\d*\.?\d+))?$/);
+  if (!single) return null;
+  return { value: parseFloat(single[1]), tolerance: single[2] ? parseFloat(single[2]) : 0 };
+}
+
+function fillGiftNumeric(question, spec, note) {
+  const body = spec.slice(1).trim();
+  let key = body;
+  if (body.startsWith('=')) {
+    const answers = splitGiftAnswers(body).filter(answer => answer.mark === '=');
+    const full = answers.find(answer => answer.weight === null || answer.weight === 100);
+    if (answers.some(answer => answer.weight !== null && answer.weight < 100)) {
+      note('Partly correct numeric answers were dropped; only the fully correct one is kept');
+    }
+    key = full ? full.text.trim() : '';
+  } else {
+    const feedbackAt = findUnescaped(body, '#');
+    if (feedbackAt !== -1) key = body.slice(0, feedbackAt).trim();
+  }
+  const parsed = parseGiftNumber(key);
+  const value = parsed && formatNumber(parsed.value);
+  const tolerance = parsed && formatNumber(parsed.tolerance);
+  if (value === null || tolerance === null || !parsed) return 'The numeric answer could not be read';
+  question.format = 'numeric';
+  question.numericAnswer = { value, tolerance: parsed.tolerance ? tolerance : 0 };
+  return null;
+}
+
+function fillGiftChoices(question, answers, note, found) {
+  const wrongMarks = answers.filter(answer => answer.mark === '~');
+  if (wrongMarks.length === 0) {
+    // Only "=" answers: a short-answer question.
+    const accepted = [];
+    for (const answer of answers) {
+      const text = oneLine(unescapeGift(answer.text));
+      if (answer.weight !== null && answer.weight < 100) {
+        note(`The partly correct answer “${shorten(text)}” was dropped`);
+      } else if (text.includes('|')) {
+        note(`The answer “${shorten(text)}” contains | and was dropped`);
+      } else if (text) {
+        accepted.push(text);
+      }
+    }
+    if (!accepted.length) return 'No fully correct answer is left to accept';
+    question.format = 'text';
+    question.acceptedAnswers = accepted;
+    return null;
+  }
+
+  const weighted = answers.filter(answer => answer.mark === '~' && answer.weight > 0);
+  if (weighted.length > 0) {
+    // ~%50%… options: every positively weighted one is part of the answer.
+    question.format = 'multiple';
+    question.options = answers.map(answer => ({
+      text: giftText(answer.text, 'plain', found),
+      correct: answer.mark === '=' || answer.weight > 0
+    }));
+    if (question.options.filter(option => option.correct).length > 1) question.credit = 'partial';
+    note('Option weights became all-or-nothing picks with Markdown Mash partial credit');
+  } else {
+    question.options = answers.map(answer => ({
+      text: giftText(answer.text, 'plain', found),
+      correct: answer.mark === '=' && (answer.weight === null || answer.weight === 100)
+    }));
+    if (answers.some(answer => answer.mark === '=' && answer.weight !== null && answer.weight < 100)) {
+      note('Partly correct options count as wrong');
+    }
+  }
+  if (question.options.some(option => !oneLine(option.text))) return 'An option is empty';
+  if (!question.options.some(option => option.correct)) return 'No option is marked correct';
+  return null;
+}
+
+function parseGift(text, report) {
+  const questions = [];
+  let section = null;
+
+  splitGiftItems(text).forEach(item => {
+    const category = item.match(/^\$CATEGORY:\s*(.*)$/i);
+    if (category) {
+      section = categorySection(category[1]);
+      return;
+    }
+
+    let body = item.trim();
+    let name = null;
+    if (body.startsWith('::')) {
+      const end = findUnescaped(body, '::', 2);
+      if (end !== -1) {
+        name = oneLine(unescapeGift(body.slice(2, end)));
+        body = body.slice(end + 2).trim();
+      }
+    }
+    let markup = 'plain';
+    const markupMatch = body.match(/^\[(html|moodle|plain|markdown)\]\s*/i);
+    if (markupMatch) {
+      markup = markupMatch[1].toLowerCase();
+      body = body.slice(markupMatch[0].length);
+    }
+
+    const number = questions.length + report.filter(entry => entry.skipped).length + 1;
+    const label = `Question ${number}${name ? ` “${name}”` : ` “${shorten(unescapeGift(body.split('{')[0]))}”`}`;
+    const skip = reason => report.push({ item: label, reason, skipped: true });
+    const noted = new Set();
+    const note = reason => {
+      if (noted.has(reason)) return;
+      noted.add(reason);
+      report.push({ item: label, reason });
+    };
+
+    const open = findUnescaped(body, '{');
+    if (open === -1) return skip('Description items have no answer to import');
+    const close = findUnescaped(body, '}', open + 1);
+    if (close === -1) return skip('The answer block is never closed');
+
+    const found = {};
+    const after = body.slice(close + 1).trim();
+    const stem = after ? `${body.slice(0, open).trim()} _____ ${after}` : body.slice(0, open);
+    const question = createQuestion(label, section);
+    question.text = giftText(stem, markup, found);
+
+    let spec = body.slice(open + 1, close).trim();
+    const generalAt = findUnescaped(spec, '####');
+    if (generalAt !== -1) {
+      question.explanation = giftText(spec.slice(generalAt + 4), markup, found) || null;
+      spec = spec.slice(0, generalAt).trim();
+    }
+
+    let problem = null;
+    if (!spec) {
+      problem = 'Essay questions have no Markdown Mash equivalent';
+    } else if (spec.startsWith('#')) {
+      problem = fillGiftNumeric(question, spec, note);
+    } else if (/^(T|TRUE|F|FALSE)\b/i.test(spec)) {
+      const isTrue = /^T/i.test(spec);
+      question.options = [{ text: 'True', correct: isTrue }, { text: 'False', correct: !isTrue }];
+      if (findUnescaped(spec, '#') !== -1) note('Per-answer feedback was dropped');
+    } else if (findUnescaped(spec, '->') !== -1) {
+      problem = 'Matching questions have no Markdown Mash equivalent';
+    } else {
+      const answers = splitGiftAnswers(spec);
+      if (answers.some(answer => answer.feedback)) note('Per-answer feedback was dropped');
+      problem = answers.length ? fillGiftChoices(question, answers, note, found) : 'No answers were found';
+    }
+
+    if (problem) return skip(problem);
+    if (!question.text) return skip('The question has no text');
+    if (found.images) note('Embedded images were not imported');
+    questions.push(question);
+  });
+
+  return { questions };
+}
+
+// ============================================
+// Moodle XML
+// ============================================
+
+// A small, strict reader for the XML Moodle writes: elements, attributes,
+// text, CDATA, comments, and the XML declaration. Returns the document node
+// or throws on anything malformed.
+function parseXml(source) {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+  const text = String(source);
+  let i = 0;
+
+  const appendText = value => {
+    if (value) stack[stack.length - 1].children.push(value);
+  };
+  const indexOrThrow = (token, from) => {
+    const index = text.indexOf(token, from);
+    if (index === -1) throw new Error('Unexpected end of file');
+    return index;
+  };
+
+  while (i < text.length) {
+    if (text.startsWith('<!--', i)) {
+      i = indexOrThrow('-->', i + 4) + 3;
+    } else if (text.startsWith('<![CDATA[', i)) {
+      const end = indexOrThrow(']]>', i + 9);
+      appendText(text.slice(i + 9, end));
+      i = end + 3;
+    } else if (text.startsWith('<?', i)) {
+      i = indexOrThrow('?>', i + 2) + 2;
+    } else if (text.startsWith('<!', i)) {
+      i = indexOrThrow('>', i + 2) + 1;
+    } else if (text[i] === '<') {
+      const end = indexOrThrow('>', i + 1);
+      const tag = text.slice(i + 1, end).trim();
+      if (tag.startsWith('/')) {
+        const name = tag.slice(1).trim();
+        const node = stack.pop();
+        if (!node || node.name !== name || stack.length === 0) throw new Error(`Unexpected </${name}>`);
+      } else {
+        const selfClosing = tag.endsWith('/');
+        const nameMatch = tag.match(/^[\w:.-]+/);
+        if (!nameMatch) throw new Error('A tag has no name');
+        const attributes = {};
+        for (const match of tag.slice(nameMatch[0].length).matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+          attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+        }
+        const node = { name: nameMatch[0], attributes, children: [] };
+        stack[stack.length - 1].children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
+      i = end + 1;
+    } else {
+      const next = text.indexOf('<', i);
+      const end = next === -1 ? text.length : next;
+      appendText(decodeEntities(text.slice(i, end)));
+      i = end;
+    }
+  }
+
+  if (stack.length !== 1) throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  return document;
+}
+
+function childrenNamed(node, name) {
+  return (node?.children || []).filter(child => typeof child !== 'string' && child.name === name);
+}
+
+function childNamed(node, name) {
+  return childrenNamed(node, name)[0] || null;
+}
+
+function textOf(node) {
+  return (node?.children || []).filter(child => typeof child === 'string').join('');
+}
+
+// <questiontext format="html"><text>…</text></questiontext> and friends.
+function moodleText(node, found) {
+  if (!node) return '';
+  const raw = textOf(childNamed(node, 'text')).trim();
+  if (childrenNamed(node, 'file').length || raw.includes('@@PLUGINFILE@@')) found.images = true;
+  const format = (node.attributes.format || 'html').toLowerCase();
+  return format === 'html' ? htmlToMarkdown(raw, found) : raw;
+}
+
+const MOODLE_UNSUPPORTED = {
+  description: 'Description items have no answer to import',
+  essay: 'Essay questions have no Markdown Mash equivalent',
+  matching: 'Matching questions have no Markdown Mash equivalent',
+  cloze: 'Embedded-answer (cloze) questions have no Markdown Mash equivalent',
+  multianswer: 'Embedded-answer (cloze) questions have no Markdown Mash equivalent',
+  random: 'Random questions are drawn from the Moodle bank and cannot be imported; use # Pool: instead'
+};
+
+function moodleAnswers(node) {
+  return childrenNamed(node, 'answer').map(answer => ({
+    fraction: parseFloat(answer.attributes.fraction) || 0,
+    node: answer
+  }));
+}
+
+function fillMoodleQuestion(type, node, question, note, found) {
+  const answers = moodleAnswers(node);
+  if (answers.some(answer => oneLine(moodleText(childNamed(answer.node, 'feedback'), {})))) {
+    note('Per-answer feedback was dropped');
+  }
+
+  if (type === 'multichoice') {
+    const single = textOf(childNamed(node, 'single')).trim().toLowerCase() !== 'false';
+    question.format = single ? 'single' : 'multiple';
+    const best = Math.max(...answers.map(answer => answer.fraction));
+    question.options = answers.map(answer => ({
+      text: moodleText(answer.node, found),
+      correct: single ? answer.fraction > 0 && answer.fraction === best : answer.fraction > 0
+    }));
+    if (single && answers.some(answer => answer.fraction > 0 && answer.fraction < best)) {
+      note('Partly correct options count as wrong');
+    }
+    if (!single && question.options.filter(option => option.correct).length > 1) question.credit = 'partial';
+    if (question.options.some(option => !oneLine(option.text))) return 'An option is empty';
+    if (!question.options.some(option => option.correct)) return 'No option is marked correct';
+    return null;
+  }
+
+  if (type === 'truefalse') {
+    const correct = answers.find(answer => answer.fraction >= 100);
+    if (!correct) return 'No option is marked correct';
+    const isTrue = textOf(childNamed(correct.node, 'text')).trim().toLowerCase() === 'true';
+    question.options = [{ text: 'True', correct: isTrue }, { text: 'False', correct: !isTrue }];
+    return null;
+  }
+
+  if (type === 'shortanswer') {
+    if (textOf(childNamed(node, 'usecase')).trim() === '1') note('Matching is no longer case-sensitive');
+    const accepted = [];
+    for (const answer of answers) {
+      const text = oneLine(textOf(childNamed(answer.node, 'text')));
+      if (answer.fraction <= 0) continue;
+      if (answer.fraction < 100) {
+        note(`The partly correct answer “${shorten(text)}” was dropped`);
+      } else if (text.includes('*') || text.includes('|')) {
+        note(`The answer “${shorten(text)}” uses a wildcard or | and was dropped`);
+      } else if (text) {
+        accepted.push(text);
+      }
+    }
+    if (!accepted.length) return 'No fully correct answer is left to accept';
+    question.format = 'text';
+    question.acceptedAnswers = accepted;
+    return null;
+  }
+
+  if (type === 'numerical') {
+    if (childNamed(node, 'units') && childrenNamed(childNamed(node, 'units'), 'unit').length) {
+      note('Units were dropped; participants type the number only');
+    }
+    const correct = answers.find(answer => answer.fraction >= 100);
+    if (answers.some(answer => answer.fraction > 0 && answer.fraction < 100)) {
+      note('Partly correct numeric answers were dropped; only the fully correct one is kept');
+    }
+    const parsed = correct ? parseGiftNumber(textOf(childNamed(correct.node, 'text')).trim()) : null;
+    const tolerance = correct ? Math.abs(parseFloat(textOf(childNamed(correct.node, 'tolerance'))) || 0) : 0;
+    const value = parsed && formatNumber(parsed.value);
+    const toleranceText = formatNumber(tolerance);
+    if (!parsed || value === null || toleranceText === null) return 'The numeric answer could not be read';
+    question.format = 'numeric';
+    question.numericAnswer = { value, tolerance: tolerance ? toleranceText : 0 };
+    return null;
+  }
+
+  return MOODLE_UNSUPPORTED[type] || `Moodle “${type}” questions have no Markdown Mash equivalent`;
+}
+
+function parseMoodleXml(text, report) {
+  let document;
+  try {
+    document = parseXml(text);
+  } catch (error) {
+    return { error: `That file is not valid Moodle XML: ${error.message}` };
+  }
+  const quiz = childNamed(document, 'quiz');
+  if (!quiz) return { error: 'That file is not Moodle XML: it has no <quiz> element' };
+
+  const questions = [];
+  let section = null;
+  let number = 0;
+  for (const node of childrenNamed(quiz, 'question')) {
+    const type = String(node.attributes.type || '').toLowerCase();
+    if (type === 'category') {
+      section = categorySection(textOf(childNamed(childNamed(node, 'category'), 'text')));
+      continue;
+    }
+
+    number += 1;
+    const name = oneLine(textOf(childNamed(childNamed(node, 'name'), 'text')));
+    const found = {};
+    const question = createQuestion(`Question ${number}${name ? ` “${name}”` : ''}`, section);
+    question.text = moodleText(childNamed(node, 'questiontext'), found);
+    question.explanation = moodleText(childNamed(node, 'generalfeedback'), found) || null;
+    const grade = parseFloat(textOf(childNamed(node, 'defaultgrade')));
+    if (Number.isFinite(grade) && grade > 0 && grade !== 1) question.points = formatNumber(grade);
+
+    const noted = new Set();
+    const note = reason => {
+      if (noted.has(reason)) return;
+      noted.add(reason);
+      report.push({ item: question.label, reason });
+    };
+    const problem = fillMoodleQuestion(type, node, question, note, found);
+    if (problem) {
+      report.push({ item: question.label, reason: problem, skipped: true });
+      continue;
+    }
+    if (!question.text) {
+      report.push({ item: question.label, reason: 'The question has no text', skipped: true });
+      continue;
+    }
+    if (found.images) note('Embedded images were not imported');
+    questions.push(question);
+  }
+
+  return { questions };
+}
+
+// ============================================
+// Kahoot CSV
+// ============================================
+
+// Kahoot's spreadsheet template has a few rows of instructions above a
+// header naming Question, Answer 1–4, Time limit, and Correct answer(s).
+function kahootColumns(cells) {
+  const labels = cells.map(cell => oneLine(cell).toLowerCase());
+  const question = labels.findIndex(label => /^question\b/.test(label) && !/^question\s*type/.test(label));
+  if (question === -1) return null;
+  const answers = [];
+  labels.forEach((label, index) => {
+    const match = label.match(/^answer\s*(\d+)/);
+    if (match) answers.push({ number: parseInt(match[1], 10), index });
+  });
+  return {
+    question,
+    answers,
+    time: labels.findIndex(label => /^time\b/.test(label)),
+    correct: labels.findIndex(label => /^correct\b/.test(label))
+  };
+}
+
+function parseKahootCsv(text, report) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(cells => {
+    const columns = kahootColumns(cells);
+    return columns && columns.answers.length >= 2 && columns.correct !== -1;
+  });
+  if (headerIndex === -1) {
+    return { error: 'No Kahoot header row was found (Question, Answer 1, Answer 2, …, Correct answer(s))' };
+  }
+
+  const columns = kahootColumns(rows[headerIndex]);
+  const questions = [];
+  rows.slice(headerIndex + 1).forEach((cells, offset) => {
+    const text = (cells[columns.question] || '').trim();
+    if (!text) return;
+    const label = `Row ${headerIndex + offset + 2} “${shorten(text)}”`;
+    const question = createQuestion(label, null);
+    question.text = text;
+
+    const options = columns.answers
+      .map(({ number, index }) => ({ number, text: oneLine(cells[index]) }))
+      .filter(option => option.text);
+    const correct = new Set(
+      String(cells[columns.correct] || '')
+        .split(/[^\d]+/)
+        .filter(Boolean)
+        .map(value => parseInt(value, 10))
+    );
+    if (options.length < 2) {
+      report.push({ item: label, reason: 'Fewer than two answers are filled in', skipped: true });
+      return;
+    }
+    // Kahoot accepts any one of several correct answers, which is exactly
+    // what several [x] options mean without ::select=multiple.
+    question.options = options.map(option => ({ text: option.text, correct: correct.has(option.number) }));
+    if (!question.options.some(option => option.correct)) {
+      report.push({ item: label, reason: 'No filled-in answer is marked correct', skipped: true });
+      return;
+    }
+
+    const seconds = parseInt(cells[columns.time], 10);
+    if (columns.time !== -1 && Number.isFinite(seconds) && seconds > 0) question.timeLimit = seconds;
+    questions.push(question);
+  });
+
+  return { questions };
+}
+
+// ============================================
+// Entry points
+// ============================================
+
+// By file extension first, then by a look at the content.
+function detectImportFormat(fileName, text) {
+  const extension = String(fileName ?? '').toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  if (extension === 'gift') return 'gift';
+  if (extension === 'xml') return 'moodle-xml';
+  if (extension === 'csv') return 'kahoot-csv';
+  const source = String(text ?? '').replace(/^﻿/, '').trimStart();
+  if (source.startsWith('<')) return 'moodle-xml';
+  if (findUnescaped(source, '{') !== -1) return 'gift';
+  return null;
+}
+
+function titleFromFileName(fileName) {
+  const base = String(fileName ?? '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+  return oneLine(base.replace(/[_-]+/g, ' ')) || DEFAULT_IMPORT_TITLE;
+}
+
+// Returns { markdown, questionCount, unsupported: [{ item, reason }] } or
+// { error, unsupported }. Unsupported entries name the question and say what
+// was lost; skipped questions are listed with the reason they were left out.
+function importQuiz({ format, text, title }) {
+  const source = String(text ?? '').replace(/^﻿/, '');
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: 'Choose a GIFT (.gift or .txt), Moodle XML (.xml), or Kahoot (.csv) file', unsupported: [] };
+  }
+  if (!source.trim()) return { error: 'That file is empty', unsupported: [] };
+
+  const report = [];
+  const parsers = { gift: parseGift, 'moodle-xml': parseMoodleXml, 'kahoot-csv': parseKahootCsv };
+  const parsed = parsers[format](source, report);
+  const unsupported = () => report.map(({ item, reason }) => ({ item, reason }));
+  if (parsed.error) return { error: parsed.error, unsupported: [] };
+  if (!parsed.questions.length) return { error: 'No question in that file could be imported', unsupported: unsupported() };
+
+  let questions = parsed.questions;
+  if (questions.length > MAX_IMPORT_QUESTIONS) {
+    report.push({ item: null, reason: `Only the first ${MAX_IMPORT_QUESTIONS} questions were imported` });
+    questions = questions.slice(0, MAX_IMPORT_QUESTIONS);
+  }
+  const markdown = toMarkdown(title || DEFAULT_IMPORT_TITLE, questions, report);
+  return { markdown, questionCount: questions.length, unsupported: unsupported() };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_QUESTIONS,
+  detectImportFormat,
+  htmlToMarkdown,
+  importQuiz,
+  parseXml,
+  titleFromFileName
+};
@@ -0,0 +1,84 @@
+// Pure saved-quiz rules: what a library save stores, when an edit becomes a
+// new version, and how library rows are shaped for the studio.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { parseQuizMarkdown } = require('./quiz-structure');
+const { parseSurveyMarkdown } = require('./survey-structure');
+
+function normalizeSessionType(value) {
+  return value === 'survey' ? 'survey' : 'quiz';
+}
+
+// Route params and request bodies carry ids as strings; anything that is not a
+// positive 32-bit integer is treated as missing rather than sent to Postgres.
+function parseLibraryId(value) {
+  const id = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+  return Number.isInteger(id) && id > 0 && id <= 2147483647 ? id : null;
+}
+
+// Parses Markdown exactly as opening a room would, so a saved Mash always
+// launches. Returns { quiz } or { error }.
+function parseMashMarkdown(markdown, sessionType) {
+  const type = normalizeSessionType(sessionType);
+  const quiz = type === 'survey' ? parseSurveyMarkdown(markdown) : parseQuizMarkdown(markdown);
+  if (!quiz.questions || quiz.questions.length === 0) {
+    return {
+      error: type === 'survey'
+        ? 'Survey needs at least one question with options'
+        : 'Quiz needs at least one question'
+    };
+  }
+  return { quiz };
+}
+
+function libraryTitle(quiz, sessionType) {
+  const title = String((quiz && quiz.title) || '').trim();
+  if (title) return title.slice(0, 200);
+  return normalizeSessionType(sessionType) === 'survey' ? 'Untitled Survey' : 'Untitled Quiz';
+}
+
+// Line endings and trailing whitespace are editor noise, not a new version.
+function canonicalMarkdown(markdown) {
+  return String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+function isSameMarkdown(a, b) {
+  return canonicalMarkdown(a) === canonicalMarkdown(b);
+}
+
+function toLibrarySummary(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    sessionType: normalizeSessionType(row.session_type),
+    latestVersion: Number(row.latest_version) || 1,
+    runCount: Number(row.run_count) || 0,
+    lastRunAt: row.last_run_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toLibraryVersion(row) {
+  return {
+    version: Number(row.version),
+    title: row.title,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  canonicalMarkdown,
+  isSameMarkdown,
+  libraryTitle,
+  normalizeSessionType,
+  parseLibraryId,
+  parseMashMarkdown,
+  toLibrarySummary,
+  toLibraryVersion
+};
@@ -1,12 +1,35 @@
 // Pure quiz structure: markdown text in, a validated quiz object out.
 // No sockets, no timers, no database — server.js owns all of that.
 
+const { normalizeShuffle, parseShuffle } = require('./shuffle');
+const { normalizeTeams, parseTeamNames } = require('./teams');
+
 const DEFAULT_TIME_LIMIT = 20;
 const DEFAULT_TOTAL_SCORE = 100;
 const DEFAULT_PASSING_PERCENT = 70;
 
 const QUESTION_TYPES = ['graded', 'ungraded'];
 
+// 'flat' splits # Score evenly and ignores speed; 'speed' scales each correct
+// answer's share by how quickly it came in (see scoring.js).
+const SCORING_MODES = ['flat', 'speed'];
+
+// How a participant answers. 'single' is the original one-tap question, where
+// any option marked [x] is accepted; 'multiple' is select-all-that-apply;
+// 'numeric' and 'text' take a typed answer and ignore any options; 'order'
+// lists its options in the correct order and the participant rearranges them.
+const ANSWER_FORMATS = ['single', 'multiple', 'numeric', 'text', 'order'];
+
+// 1. First item, 2) Second item
+const ORDER_ITEM_PATTERN = /^\d+[.)]\s+(.+)$/;
+
+// ::answer=42, ::answer=42 ±0.5, ::answer=3.14 +/-0.01
+const NUMERIC_ANSWER_PATTERN = /^::answer=\s*([-+]?(?:\d+\.?\d*|\.\d+))\s*(?:(?:±|\+\/-|\+-)\s*(\d+\.?\d*|\.\d+))?$/;
+const CREDIT_MODES = ['all', 'partial'];
+
+// ::points=3 and ::penalty=1 — a non-negative number, decimals allowed.
+const WEIGHT_PATTERN = /^::(points|penalty)=\s*(\d+\.?\d*|\.\d+)$/;
+
 // Anything unrecognised — including 'survey', which is a separate session
 // type in v1.5.0 and not a quiz question kind — falls back to graded.
 function normalizeType(value) {
@@ -15,6 +38,39 @@ function normalizeType(value) {
   return QUESTION_TYPES.includes(candidate) ? candidate : 'graded';
 }
 
+function normalizeScoringMode(value) {
+  if (value === undefined || value === null) return 'flat';
+  const candidate = String(value).trim().toLowerCase();
+  return SCORING_MODES.includes(candidate) ? candidate : 'flat';
+}
+
+function normalizeFormat(value) {
+  if (value === undefined || value === null) return 'single';
+  const candidate = String(value).trim().toLowerCase();
+  return ANSWER_FORMATS.includes(candidate) ? candidate : 'single';
+}
+
+// 'all' is all-or-nothing. 'partial' only changes anything on multi-select
+// questions; a single-select answer is either right or wrong.
+function normalizeCredit(value) {
+  if (value === undefined || value === null) return 'all';
+  const candidate = String(value).trim().toLowerCase();
+  return CREDIT_MODES.includes(candidate) ? candidate : 'all';
+}
+
+// A weight is a question's share of # Score relative to the others; a
+// penalty is taken off for a wrong answer, in the same units. Anything
+// unreadable falls back to an unweighted question with no penalty.
+function normalizeWeight(value) {
+  const weight = Number(value);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+function normalizePenalty(value) {
+  const penalty = Number(value);
+  return Number.isFinite(penalty) && penalty > 0 ? penalty : 0;
+}
+
 // gradedNumber is what renders "Question 3 of 10" and must count scored
 // questions only, so the counter and the finale share one denominator.
 function assignGradedNumbers(quiz) {
@@ -29,24 +85,61 @@ function assignGradedNumbers(quiz) {
   }
 }
 
+// "Loops (pick 3)" is the pool's title and how many of its questions each
+// session asks. Without a pick the pool asks all of them, like a section.
+function parsePoolHeading(heading) {
+  const match = heading.trim().match(/^(.*?)\s*\(\s*pick\s+(\d+)\s*\)$/i);
+  if (!match || !match[1]) return { title: heading.trim(), pick: null };
+  const pick = parseInt(match[2], 10);
+  return { title: match[1], pick: pick > 0 ? pick : null };
+}
+
 function parseQuizMarkdown(markdown) {
   const lines = String(markdown === undefined || markdown === null ? '' : markdown).split('\n');
   const quiz = {
     title: '',
     totalScore: DEFAULT_TOTAL_SCORE,
     passingPercent: DEFAULT_PASSING_PERCENT,
+    scoringMode: 'flat',
+    teams: null,
+    shuffle: null,
     questions: [],
     steps: []
   };
+  const shuffleConfig = { options: false, questions: false };
+  const teamConfig = { names: [], scoring: null, assignment: null };
 
   let currentQuestion = null;
   let pendingSection = null;
   let currentSectionTitle = null;
   let sectionDefaultType = null;
 
+  // Numbered lines seen under the open question. They only become an
+  // ordering question's items if nothing else claims the question, so a
+  // numbered list in the prose of an ordinary question stays prose.
+  let orderItems = [];
+
+  // True while `>` lines continue the open question's explanation.
+  let explaining = false;
+
   function flushQuestion() {
     if (!currentQuestion) return;
+    if (orderItems.length >= 2 && currentQuestion.options.length === 0
+      && currentQuestion.format === 'single') {
+      currentQuestion.format = 'order';
+      currentQuestion.options = orderItems.map(item => item.text);
+      const textLines = currentQuestion.text.split('\n');
+      for (const item of orderItems) {
+        textLines.splice(textLines.lastIndexOf(item.line), 1);
+      }
+      currentQuestion.text = textLines.join('\n');
+    }
+    orderItems = [];
     currentQuestion.text = currentQuestion.text.trim();
+    currentQuestion.explanation = currentQuestion.explanation && currentQuestion.explanation.trim()
+      ? currentQuestion.explanation.trim()
+      : null;
+    explaining = false;
     currentQuestion.index = quiz.questions.length;
     quiz.questions.push(currentQuestion);
     quiz.steps.push({ kind: 'question', questionIndex: currentQuestion.index });
@@ -56,6 +149,21 @@ function parseQuizMarkdown(markdown) {
   for (const line of lines) {
     const trimmed = line.trim();
 
+    // Explanation (> Explanation: ...), shown once the question closes.
+    // Further `>` lines straight after it continue the explanation; any
+    // other line ends it.
+    const explanationMatch = trimmed.match(/^>\s*Explanation:\s*(.*)$/i);
+    if (explanationMatch && currentQuestion) {
+      currentQuestion.explanation = explanationMatch[1];
+      explaining = true;
+      continue;
+    }
+    if (explaining && currentQuestion && trimmed.startsWith('>')) {
+      currentQuestion.explanation += '\n' + trimmed.replace(/^>\s?/, '');
+      continue;
+    }
+    explaining = false;
+
     // Score setting (# Score 100) — checked before the title rule.
     const scoreMatch = trimmed.match(/^#\s*Score\s+(\d+)$/i);
     if (scoreMatch) {
@@ -63,12 +171,47 @@ function parseQuizMarkdown(markdown) {
       continue;
     }
 
+    // Scoring mode (# Scoring: speed) — also checked before the title rule.
+    const scoringMatch = trimmed.match(/^#\s*Scoring:\s*(\S+)$/i);
+    if (scoringMatch) {
+      quiz.scoringMode = normalizeScoringMode(scoringMatch[1]);
+      continue;
+    }
+
+    // Team mode (# Teams: Red, Blue, with optional # Team score: sum and
+    // # Team assignment: auto) — also checked before the title rule.
+    const teamsMatch = trimmed.match(/^#\s*Teams:\s*(.+)$/i);
+    if (teamsMatch) {
+      teamConfig.names = parseTeamNames(teamsMatch[1]);
+      continue;
+    }
+    const teamSettingMatch = trimmed.match(/^#\s*Team\s+(score|assignment):\s*(.+)$/i);
+    if (teamSettingMatch) {
+      teamConfig[teamSettingMatch[1].toLowerCase() === 'score' ? 'scoring' : 'assignment'] = teamSettingMatch[2];
+      continue;
+    }
+
+    // Shuffling (# Shuffle: options, # Shuffle: questions, or both on one
+    // line) — also checked before the title rule. Repeated lines add up.
+    const shuffleMatch = trimmed.match(/^#\s*Shuffle:\s*(.+)$/i);
+    if (shuffleMatch) {
+      const requested = parseShuffle(shuffleMatch[1]);
+      shuffleConfig.options = shuffleConfig.options || requested.options;
+      shuffleConfig.questions = shuffleConfig.questions || requested.questions;
+      continue;
+    }
+
     // Section (# Section: Name). MUST be checked before the title rule below,
     // exactly as # Score is, or a section silently overwrites quiz.title.
-    const sectionMatch = trimmed.match(/^#\s*Section:\s*(.+)$/i);
+    // A pool (# Pool: Loops (pick 3)) is a section whose questions are a
+    // bank; drawQuestionPools asks `pick` of them in each session.
+    const sectionMatch = trimmed.match(/^#\s*(Section|Pool):\s*(.+)$/i);
     if (sectionMatch) {
       flushQuestion();
-      pendingSection = { kind: 'section', title: sectionMatch[1].trim(), subtitle: null };
+      const isPool = sectionMatch[1].toLowerCase() === 'pool';
+      const { title, pick } = isPool ? parsePoolHeading(sectionMatch[2]) : { title: sectionMatch[2].trim(), pick: null };
+      pendingSection = { kind: 'section', title, subtitle: null };
+      if (pick) pendingSection.pick = pick;
       currentSectionTitle = pendingSection.title;
       sectionDefaultType = null;
       continue;
@@ -98,8 +241,15 @@ function parseQuizMarkdown(markdown) {
         correctIndices: [],
         timeLimit: DEFAULT_TIME_LIMIT,
         type: normalizeType(sectionDefaultType),
+        format: 'single',
+        credit: 'all',
+        numericAnswer: null,
+        acceptedAnswers: null,
+        weight: 1,
+        penalty: 0,
         gradedNumber: null,
-        sectionTitle: currentSectionTitle
+        sectionTitle: currentSectionTitle,
+        explanation: null
       };
       continue;
     }
@@ -133,6 +283,62 @@ function parseQuizMarkdown(markdown) {
       continue;
     }
 
+    // Answer format (::select=multiple) and scoring (::credit=partial).
+    const selectMatch = trimmed.match(/^::select=([A-Za-z]+)$/);
+    if (selectMatch && currentQuestion) {
+      currentQuestion.format = selectMatch[1].toLowerCase() === 'multiple' ? 'multiple' : 'single';
+      continue;
+    }
+
+    const creditMatch = trimmed.match(/^::credit=([A-Za-z]+)$/);
+    if (creditMatch && currentQuestion) {
+      currentQuestion.credit = normalizeCredit(creditMatch[1]);
+      continue;
+    }
+
+    // Weighting (::points=3) and negative marking (::penalty=1).
+    const weightMatch = trimmed.match(WEIGHT_PATTERN);
+    if (weightMatch && currentQuestion) {
+      const amount = parseFloat(weightMatch[2]);
+      if (weightMatch[1] === 'points') {
+        currentQuestion.weight = normalizeWeight(amount);
+      } else {
+        currentQuestion.penalty = normalizePenalty(amount);
+      }
+      continue;
+    }
+
+    // Typed answers: a number with optional tolerance (::answer=42 ±0.5) or
+    // text alternatives (::accept=def|define), matched case-insensitively.
+    const numericMatch = trimmed.match(NUMERIC_ANSWER_PATTERN);
+    if (numericMatch && currentQuestion) {
+      currentQuestion.format = 'numeric';
+      currentQuestion.numericAnswer = {
+        value: parseFloat(numericMatch[1]),
+        tolerance: numericMatch[2] === undefined ? 0 : parseFloat(numericMatch[2])
+      };
+      continue;
+    }
+
+    const acceptMatch = trimmed.match(/^::accept=(.+)$/);
+    if (acceptMatch && currentQuestion) {
+      const accepted = acceptMatch[1].split('|').map(value => value.trim()).filter(Boolean);
+      if (accepted.length > 0) {
+        currentQuestion.format = 'text';
+        currentQuestion.acceptedAnswers = accepted;
+      }
+      continue;
+    }
+
+    // Ordering items (1. First) are kept in the text until flushQuestion
+    // decides whether the question is an ordering one.
+    const orderMatch = trimmed.match(ORDER_ITEM_PATTERN);
+    if (orderMatch && currentQuestion) {
+      currentQuestion.text += '\n' + line;
+      orderItems.push({ line, text: orderMatch[1].trim() });
+      continue;
+    }
+
     // Section subtitle. Safe to claim: text before the first question was
     // already discarded, because the fallback append below is guarded by
     // `if (currentQuestion)`.
@@ -150,17 +356,22 @@ function parseQuizMarkdown(markdown) {
 
   flushQuestion();
   assignGradedNumbers(quiz);
+  quiz.teams = normalizeTeams(teamConfig);
+  quiz.shuffle = normalizeShuffle(shuffleConfig);
   return quiz;
 }
 
-// Quizzes persisted before this release have no steps[], no type, and no
-// index. Rebuild them so every consumer can assume the current shape.
+// Quizzes persisted before this release have no steps[], no type, no
+// format, and no index. Rebuild them so every consumer can assume the current shape.
 function normalizeStoredQuiz(quizData) {
   if (!quizData || !Array.isArray(quizData.questions)) {
     return {
       title: '',
       totalScore: DEFAULT_TOTAL_SCORE,
       passingPercent: DEFAULT_PASSING_PERCENT,
+      scoringMode: 'flat',
+      teams: null,
+      shuffle: null,
       questions: [],
       steps: []
     };
@@ -168,11 +379,21 @@ function normalizeStoredQuiz(quizData) {
 
   const quiz = {
     ...quizData,
+    scoringMode: normalizeScoringMode(quizData.scoringMode),
+    teams: normalizeTeams(quizData.teams),
+    shuffle: normalizeShuffle(quizData.shuffle),
     questions: quizData.questions.map((question, index) => ({
       ...question,
       index,
       type: normalizeType(question.type),
-      sectionTitle: question.sectionTitle === undefined ? null : question.sectionTitle
+      format: normalizeFormat(question.format),
+      credit: normalizeCredit(question.credit),
+      numericAnswer: question.numericAnswer || null,
+      acceptedAnswers: question.acceptedAnswers || null,
+      weight: normalizeWeight(question.weight ?? 1),
+      penalty: normalizePenalty(question.penalty),
+      sectionTitle: question.sectionTitle === undefined ? null : question.sectionTitle,
+      explanation: question.explanation || null
     }))
   };
 
@@ -184,21 +405,101 @@ function normalizeStoredQuiz(quizData) {
   return quiz;
 }
 
+// Narrows every pool to `pick` of its questions, chosen at random and kept
+// in their written order; everything outside a pool is asked as written.
+// The result is renumbered so the drawn set is a quiz in its own right —
+// stored, scored and analysed as though it had been written that way.
+function drawQuestionPools(quiz, random = Math.random) {
+  const kept = new Set();
+  let pool = null;
+  const drawPool = () => {
+    if (!pool) return;
+    const bank = pool.questionIndices;
+    for (let i = 0; i < Math.min(pool.pick, bank.length); i++) {
+      const j = i + Math.floor(random() * (bank.length - i));
+      [bank[i], bank[j]] = [bank[j], bank[i]];
+      kept.add(bank[i]);
+    }
+    pool = null;
+  };
+
+  for (const step of quiz.steps) {
+    if (step.kind === 'section') {
+      drawPool();
+      if (step.pick) pool = { pick: step.pick, questionIndices: [] };
+    } else if (pool) {
+      pool.questionIndices.push(step.questionIndex);
+    } else {
+      kept.add(step.questionIndex);
+    }
+  }
+  drawPool();
+  if (kept.size === quiz.questions.length) return quiz;
+
+  const renumbered = new Map();
+  const questions = [];
+  quiz.questions.forEach((question, index) => {
+    if (!kept.has(index)) return;
+    renumbered.set(index, questions.length);
+    questions.push({ ...question, id: questions.length + 1, index: questions.length });
+  });
+  const steps = [];
+  for (const step of quiz.steps) {
+    if (step.kind !== 'question') steps.push(step);
+    else if (renumbered.has(step.questionIndex)) steps.push({ ...step, questionIndex: renumbered.get(step.questionIndex) });
+  }
+
+  const drawn = { ...quiz, questions, steps };
+  assignGradedNumbers(drawn);
+  return drawn;
+}
+
 function gradedCount(quiz) {
   if (!quiz || !Array.isArray(quiz.questions)) return 0;
   return quiz.questions.filter(question => normalizeType(question.type) === 'graded').length;
 }
 
-// Returns 0 rather than NaN when nothing is scored. An unguarded divisor
-// would propagate NaN into five call sites and into the database.
+function isScored(question) {
+  return normalizeType(question && question.type) === 'graded';
+}
+
+function weightOf(question) {
+  return isScored(question) ? normalizeWeight(question.weight ?? 1) : 0;
+}
+
+// The sum of graded weights — the quiz's denominator for both points and
+// pass percentages. Without ::points it equals gradedCount.
+function totalWeight(quiz) {
+  if (!quiz || !Array.isArray(quiz.questions)) return 0;
+  return quiz.questions.reduce((sum, question) => sum + weightOf(question), 0);
+}
+
+// Points for a question of weight 1 — an even share of # Score when nothing
+// is weighted. Returns 0 rather than NaN when nothing is scored. An unguarded
+// divisor would propagate NaN into five call sites and into the database.
 function pointsPerQuestion(quiz) {
-  const scored = gradedCount(quiz);
-  if (scored === 0) return 0;
-  return quiz.totalScore / scored;
+  const weight = totalWeight(quiz);
+  if (weight === 0) return 0;
+  return quiz.totalScore / weight;
 }
 
-function isScored(question) {
-  return normalizeType(question && question.type) === 'graded';
+// What a fully right answer to this question is worth out of # Score.
+function questionPoints(quiz, question) {
+  return weightOf(question) * pointsPerQuestion(quiz);
+}
+
+// What a wrong answer to this question costs, as a positive number.
+function penaltyPoints(quiz, question) {
+  if (!isScored(question)) return 0;
+  return normalizePenalty(question.penalty) * pointsPerQuestion(quiz);
+}
+
+// True when some graded question is weighted differently or marks wrong
+// answers down, so the room should be told what each one is worth.
+function isWeighted(quiz) {
+  if (!quiz || !Array.isArray(quiz.questions)) return false;
+  return quiz.questions.some(question => isScored(question)
+    && (weightOf(question) !== 1 || normalizePenalty(question.penalty) > 0));
 }
 
 function stepAt(quiz, stepIndex) {
@@ -217,11 +518,18 @@ module.exports = {
   DEFAULT_TIME_LIMIT,
   DEFAULT_TOTAL_SCORE,
   DEFAULT_PASSING_PERCENT,
+  ANSWER_FORMATS,
   parseQuizMarkdown,
   normalizeStoredQuiz,
+  drawQuestionPools,
   gradedCount,
+  totalWeight,
   pointsPerQuestion,
+  questionPoints,
+  penaltyPoints,
+  isWeighted,
   isScored,
+  weightOf,
   stepAt,
   questionForStep
 };
@@ -0,0 +1,74 @@
+// Pure points arithmetic: a graded answer in, the points it earns out.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const {
+  isScored,
+  penaltyPoints,
+  pointsPerQuestion,
+  questionPoints,
+  totalWeight,
+  weightOf
+} = require('./quiz-structure');
+
+// In speed mode an instant correct answer earns the question's full share and
+// one given as the timer runs out earns SPEED_FLOOR of it. The floor keeps a
+// slow correct answer worth more than a fast wrong one.
+const SPEED_FLOOR = 0.5;
+
+function speedFactor(responseTimeMs, timeLimitSeconds) {
+  const limitMs = Number(timeLimitSeconds) * 1000;
+  if (!Number.isFinite(responseTimeMs) || responseTimeMs < 0 || !(limitMs > 0)) {
+    return SPEED_FLOOR;
+  }
+  const elapsed = Math.min(1, responseTimeMs / limitMs);
+  return 1 - (1 - SPEED_FLOOR) * elapsed;
+}
+
+// Credit scaled by the question's ::points weight, less its ::penalty when an
+// answer earned nothing. Staying silent is never penalised. This is what pass
+// percentages are measured on, so speed never decides who passes.
+function weightedCredit(question, verdict, answered = true) {
+  if (!isScored(question) || !verdict) return 0;
+  if (verdict.credit > 0) return weightOf(question) * verdict.credit;
+  const penalty = Number(question.penalty) || 0;
+  return answered && penalty > 0 ? -penalty : 0;
+}
+
+// Points are fractional here and only rounded for display, so a leaderboard
+// total never drifts from the sum of its answers. A penalty is a flat
+// deduction; speed only scales what a right answer earns.
+function answerPoints(quiz, question, verdict, responseTimeMs) {
+  if (!isScored(question) || !verdict) return 0;
+  if (verdict.credit <= 0) {
+    const penalty = penaltyPoints(quiz, question);
+    return penalty > 0 ? -penalty : 0;
+  }
+
+  const share = questionPoints(quiz, question) * verdict.credit;
+  if (quiz.scoringMode !== 'speed') return share;
+  return share * speedFactor(responseTimeMs, question.timeLimit);
+}
+
+// Answer rows written before per-answer points were stored have null points;
+// they were always scored flat, so the flat share is what they earned.
+function storedPoints(quiz, question, row, credit) {
+  if (row.points !== undefined && row.points !== null) return Number(row.points);
+  return weightedCredit(question, { credit }) * pointsPerQuestion(quiz);
+}
+
+// Share of the quiz's total weight earned, as a whole percentage. Penalties
+// can push earned credit below zero; the percentage stops at 0.
+function scorePercent(quiz, earnedCredit) {
+  const total = totalWeight(quiz);
+  if (total === 0) return 0;
+  return Math.round((Math.max(0, earnedCredit) / total) * 100);
+}
+
+module.exports = {
+  SPEED_FLOOR,
+  answerPoints,
+  scorePercent,
+  speedFactor,
+  storedPoints,
+  weightedCredit
+};
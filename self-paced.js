@@ -0,0 +1,213 @@
+// Pure self-paced rules: when an assignment is open, where each participant
+// is in quiz.steps, how long their question stays open, and the host's
+// submission dashboard.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { gradeAnswer } = require('./answer-grading');
+const { isScored, questionForStep, stepAt } = require('./quiz-structure');
+const { scorePercent } = require('./scoring');
+
+const DELIVERY_MODES = ['live', 'self-paced'];
+const MAX_WINDOW_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeDelivery(value) {
+  const candidate = String(value ?? '').trim().toLowerCase();
+  return DELIVERY_MODES.includes(candidate) ? candidate : 'live';
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : NaN;
+}
+
+// A blank opening time means now. Returns { window: { opensAt, closesAt } }
+// in epoch milliseconds, or { error }.
+function normalizeAssignmentWindow({ opensAt, closesAt } = {}, now = Date.now()) {
+  const opens = toTime(opensAt) ?? now;
+  const closes = toTime(closesAt);
+  if (Number.isNaN(opens)) return { error: 'The opening time is not a valid date' };
+  if (closes === null) return { error: 'A self-paced session needs a closing time' };
+  if (Number.isNaN(closes)) return { error: 'The closing time is not a valid date' };
+  if (closes <= now) return { error: 'The closing time has already passed' };
+  if (closes <= opens) return { error: 'The closing time must be after the opening time' };
+  if (closes - Math.max(opens, now) > MAX_WINDOW_DAYS * DAY_MS) {
+    return { error: `A self-paced session can stay open for at most ${MAX_WINDOW_DAYS} days` };
+  }
+  return { window: { opensAt: opens, closesAt: closes } };
+}
+
+function windowStatus(window, now = Date.now()) {
+  if (!window) return 'closed';
+  if (now < window.opensAt) return 'scheduled';
+  if (now >= window.closesAt) return 'closed';
+  return 'open';
+}
+
+// stepIndex -1 has not started; past the last step is finished.
+// showingResult is true between a closed question and the next step.
+// stepOrder, when the quiz shuffles questions, maps each position to the
+// quiz step shown there; without it positions are quiz steps.
+function createProgress(stepOrder = null) {
+  return {
+    stepIndex: -1,
+    stepOrder,
+    questionStartedAt: null,
+    questionEndsAt: null,
+    showingResult: false,
+    questionsDone: 0,
+    startedAt: null,
+    finishedAt: null
+  };
+}
+
+// The quiz step at the participant's current position.
+function currentStepIndex(progress) {
+  return progress.stepOrder ? progress.stepOrder[progress.stepIndex] : progress.stepIndex;
+}
+
+// The participant's question number: graded questions met so far, counting
+// the current one, in the order they met them. Null on an ungraded question,
+// exactly like question.gradedNumber.
+function gradedPosition(quiz, progress) {
+  if (!isScored(questionForStep(quiz, currentStepIndex(progress)))) return null;
+  let position = 0;
+  for (let index = 0; index <= progress.stepIndex; index++) {
+    const question = questionForStep(quiz, progress.stepOrder ? progress.stepOrder[index] : index);
+    if (question && isScored(question)) position += 1;
+  }
+  return position;
+}
+
+// 'not-started', 'section', 'question', 'result', or 'finished'.
+function progressState(quiz, progress) {
+  if (!progress || progress.stepIndex < 0) return 'not-started';
+  if (progress.finishedAt) return 'finished';
+  const step = stepAt(quiz, currentStepIndex(progress));
+  if (!step) return 'finished';
+  if (step.kind === 'section') return 'section';
+  return progress.showingResult ? 'result' : 'question';
+}
+
+// An open question must be closed first; anything else moves on one step.
+// A question's clock is its own time limit, cut short by the window closing.
+function advanceProgress(quiz, progress, window, now = Date.now()) {
+  if (progressState(quiz, progress) === 'question') return null;
+  if (progress.finishedAt) return null;
+
+  const stepIndex = progress.stepIndex + 1;
+  const next = {
+    ...progress,
+    stepIndex,
+    questionStartedAt: null,
+    questionEndsAt: null,
+    showingResult: false,
+    startedAt: progress.startedAt ?? now
+  };
+  if (stepIndex >= quiz.steps.length) {
+    next.finishedAt = now;
+    return next;
+  }
+
+  const question = questionForStep(quiz, currentStepIndex(next));
+  if (question) {
+    next.questionStartedAt = now;
+    next.questionEndsAt = Math.min(now + question.timeLimit * 1000, window.closesAt);
+  }
+  return next;
+}
+
+function isQuestionOpen(quiz, progress, questionId, now = Date.now()) {
+  if (progressState(quiz, progress) !== 'question') return false;
+  const question = questionForStep(quiz, currentStepIndex(progress));
+  return Boolean(question && question.id === questionId && now <= progress.questionEndsAt);
+}
+
+function closeQuestion(progress) {
+  return { ...progress, showingResult: true, questionsDone: progress.questionsDone + 1 };
+}
+
+function roundPercent(value) {
+  return Math.round(value * 10) / 10;
+}
+
+const STATUS_LABELS = {
+  'not-started': 'not-started',
+  section: 'in-progress',
+  question: 'in-progress',
+  result: 'in-progress',
+  finished: 'submitted'
+};
+
+// What the host sees while submissions come in. Scores are the points and
+// credit each participant has banked so far; the average counts only
+// submitted work.
+function buildAssignmentDashboard({ quiz, participants, window, now = Date.now() }) {
+  const questionTotal = quiz.questions.length;
+  const rows = Object.values(participants).map(participant => {
+    const status = STATUS_LABELS[progressState(quiz, participant.progress)];
+    return {
+      id: participant.id,
+      name: participant.name,
+      team: participant.team || null,
+      status,
+      questionsDone: participant.progress?.questionsDone || 0,
+      totalQuestions: questionTotal,
+      score: Math.round(participant.points || 0),
+      percent: scorePercent(quiz, participant.earnedCredit || 0),
+      startedAt: participant.progress?.startedAt ?? null,
+      finishedAt: participant.progress?.finishedAt ?? null
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  const submitted = rows.filter(row => row.status === 'submitted');
+  const answering = Object.values(participants);
+  const questions = quiz.questions
+    .filter(question => isScored(question))
+    .map(question => {
+      const answers = answering
+        .map(participant => participant.answers?.[question.id])
+        .filter(answer => answer !== undefined);
+      const correct = answers.filter(answer => gradeAnswer(question, answer).isCorrect).length;
+      return {
+        index: question.index,
+        gradedNumber: question.gradedNumber,
+        text: question.text,
+        answered: answers.length,
+        correctPercent: answers.length ? roundPercent((correct * 100) / answers.length) : null
+      };
+    });
+
+  return {
+    status: windowStatus(window, now),
+    opensAt: window ? new Date(window.opensAt).toISOString() : null,
+    closesAt: window ? new Date(window.closesAt).toISOString() : null,
+    counts: {
+      joined: rows.length,
+      notStarted: rows.filter(row => row.status === 'not-started').length,
+      inProgress: rows.filter(row => row.status === 'in-progress').length,
+      submitted: submitted.length
+    },
+    averagePercent: submitted.length
+      ? roundPercent(submitted.reduce((sum, row) => sum + row.percent, 0) / submitted.length)
+      : null,
+    participants: rows,
+    questions
+  };
+}
+
+module.exports = {
+  MAX_WINDOW_DAYS,
+  advanceProgress,
+  buildAssignmentDashboard,
+  closeQuestion,
+  createProgress,
+  currentStepIndex,
+  gradedPosition,
+  isQuestionOpen,
+  normalizeAssignmentWindow,
+  normalizeDelivery,
+  progressState,
+  windowStatus
+};
@@ -13,12 +13,31 @@ const Stripe = require('stripe');
 const { rateLimit } = require('express-rate-limit');
 const db = require('./db');
 const autopilot = require('./autopilot');
+const {
+  canExtendQuestion,
+  canPauseQuestion,
+  extendQuestion,
+  isQuestionPaused,
+  normalizeExtraSeconds,
+  pauseQuestion,
+  questionMsLeft,
+  resumeQuestion
+} = require('./question-timer');
+const {
+  addSurveyCounts,
+  clearTotals,
+  discardAnswer,
+  hasAnsweredThisRun,
+  noteRerunAnswer,
+  startRerun
+} = require('./question-rerun');
 const {
   buildFinaleSummary,
   buildQuestionPresentation,
+  createRankSnapshot,
   rankParticipants
 } = require('./presentation');
-const { canReuseParticipant } = require('./participant-identity');
+const { canReuseParticipant, reissueParticipantToken } = require('./participant-identity');
 const { createPageMiddleware } = require('./page-metadata');
 const {
   createPersistentSessionRepository,
@@ -32,8 +51,13 @@ const {
 const {
   parseQuizMarkdown,
   normalizeStoredQuiz,
+  drawQuestionPools,
   gradedCount,
+  totalWeight,
   pointsPerQuestion,
+  questionPoints,
+  penaltyPoints,
+  isWeighted,
   isScored,
   stepAt,
   questionForStep
@@ -45,7 +69,92 @@ const {
   isSurveyPayload
 } = require('./survey-structure');
 const { buildSurveySummary } = require('./survey-results');
+const { optionBreakdown, optionDistribution, orderingPositionHits } = require('./question-analytics');
+const { answerPoints, scorePercent, storedPoints, weightedCredit } = require('./scoring');
+const {
+  MAX_TEXT_ANSWER_LENGTH,
+  describeAnswer,
+  describeCorrectAnswer,
+  fromDisplayOrder,
+  gradeAnswer,
+  groupResponses,
+  isFreeResponse,
+  isOrdering,
+  normalizeSubmission,
+  positionHits,
+  scrambledOrder,
+  selectedOptions,
+  storedAnswer,
+  toStoredColumns
+} = require('./answer-grading');
 const { decodeMarkdownPayload } = require('./markdown-transport');
+const {
+  MAX_ASSET_BYTES,
+  normalizeAssetName,
+  resolveAssetReferences,
+  resolveQuizAssets,
+  validateAsset
+} = require('./quiz-assets');
+const {
+  isSameMarkdown,
+  libraryTitle,
+  normalizeSessionType,
+  parseLibraryId,
+  parseMashMarkdown,
+  toLibrarySummary,
+  toLibraryVersion
+} = require('./quiz-library');
+const {
+  MAX_COMPARED_SESSIONS,
+  compareRuns,
+  summarizeRun
+} = require('./session-comparison');
+const {
+  MAX_REPORT_SESSIONS,
+  buildCourseReport,
+  normalizeCourseName,
+  parseRoster,
+  toJoinRoster,
+  toRosterStudent
+} = require('./course-roster');
+const { assignTeam, createTeamRankSnapshot, rankTeams, teamLabel } = require('./teams');
+const {
+  advanceProgress,
+  buildAssignmentDashboard,
+  closeQuestion,
+  createProgress,
+  currentStepIndex,
+  gradedPosition,
+  isQuestionOpen,
+  normalizeAssignmentWindow,
+  normalizeDelivery,
+  progressState,
+  windowStatus
+} = require('./self-paced');
+const {
+  inDisplayOrder,
+  optionOrderFor,
+  questionOrderFor,
+  toCanonicalChoice,
+  toDisplaySlots
+} = require('./shuffle');
+const {
+  buildParticipantReview,
+  normalizeReviewDays,
+  reviewAvailability
+} = require('./participant-review');
+const {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  importQuiz,
+  titleFromFileName
+} = require('./quiz-import');
+const { toMoodleXml, toQtiPackage } = require('./quiz-export');
+const {
+  buildGradebookRows,
+  normalizeGradebookOptions,
+  toGradebookCsv
+} = require('./gradebook-export');
 const { createTrialManager } = require('./trial-manager');
 const {
   createOpaqueToken,
@@ -89,6 +198,51 @@ const {
   resolveInviteTtlHours
 } = require('./account-invitations');
 const { createEmailService } = require('./email-service');
+const {
+  buildLoginRedirect,
+  findPlatform,
+  hasStateCookie,
+  isSameLtiUser,
+  launchIdentity,
+  parseLtiPlatforms,
+  publicKeySet,
+  stateCookieFor,
+  verifyLaunchToken
+} = require('./lti');
+const { createLtiGradeService } = require('./lti-grade-service');
+const {
+  MAX_WEBHOOKS_PER_ACCOUNT,
+  WEBHOOK_EVENTS,
+  createWebhookSecret,
+  normalizeWebhookSubscription
+} = require('./webhooks');
+const { createWebhookDispatcher } = require('./webhook-delivery');
+const {
+  API_TOKEN_SCOPES,
+  MAX_API_TOKENS_PER_ACCOUNT,
+  createApiToken,
+  isApiToken,
+  normalizeApiTokenRequest,
+  requiredApiTokenScope
+} = require('./api-tokens');
+const {
+  createMemoryLiveStateStore,
+  createPostgresLiveStateStore
+} = require('./live-state-store');
+const { createLiveStateAdapter } = require('./live-state-adapter');
+const {
+  FORWARDED_HEADER,
+  createLiveRooms,
+  createRemoteSocket,
+  forwardRequest
+} = require('./live-rooms');
+const {
+  bankedQuestions,
+  restoreLiveState,
+  restoreParticipant,
+  toLiveState
+} = require('./live-resume');
+const { SESSION_EVENT_TYPES, buildReplay } = require('./session-replay');
 
 const app = express();
 const server = http.createServer(app);
@@ -198,6 +352,26 @@ const GUEST_TRIAL_STARTS_PER_IP_HOUR = Math.max(
 );
 const GUEST_TRIAL_SECRET = process.env.GUEST_TRIAL_JWT_SECRET
   || crypto.createHash('sha256').update(`${JWT_SECRET}:guest-trial`).digest('hex');
+// LTI 1.3: the LMS platforms trusted to launch rooms, and the tool's own key
+// for grade passback. PEM line breaks may be written as \n in .env.
+const ltiConfig = parseLtiPlatforms(process.env.LTI_PLATFORMS);
+const LTI_PLATFORMS = ltiConfig.platforms || [];
+const LTI_PRIVATE_KEY = (process.env.LTI_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+const LTI_KEY_ID = process.env.LTI_KEY_ID || 'markdown-mash-lti';
+if (ltiConfig.error && !isProduction) {
+  console.warn(`LTI launches are off: ${ltiConfig.error}`);
+}
+// Live rooms stay in this process unless LIVE_STATE_STORE=postgres, which
+// lets several instances share them. INSTANCE_URL is how the others reach
+// this one.
+const LIVE_STATE_STORE = (process.env.LIVE_STATE_STORE || 'memory').toLowerCase();
+const INSTANCE_URL = (process.env.INSTANCE_URL || '').replace(/\/$/, '');
+if (!['memory', 'postgres'].includes(LIVE_STATE_STORE)) {
+  throw new Error('LIVE_STATE_STORE must be memory or postgres');
+}
+if (LIVE_STATE_STORE === 'postgres' && !/^https?:\/\//.test(INSTANCE_URL)) {
+  throw new Error('INSTANCE_URL is required when LIVE_STATE_STORE=postgres');
+}
 
 if (isProduction) {
   const invalidConfiguration = [];
@@ -223,6 +397,11 @@ if (isProduction) {
     if (!EMAIL_REPLY_TO) invalidConfiguration.push('EMAIL_REPLY_TO');
     if (!APP_BASE_URL.startsWith('https://')) invalidConfiguration.push('APP_BASE_URL (HTTPS)');
   }
+  if (ltiConfig.error) invalidConfiguration.push(`LTI_PLATFORMS (${ltiConfig.error})`);
+  if (LTI_PLATFORMS.length > 0) {
+    if (!LTI_PRIVATE_KEY) invalidConfiguration.push('LTI_PRIVATE_KEY when LTI_PLATFORMS is set');
+    if (!APP_BASE_URL.startsWith('https://')) invalidConfiguration.push('APP_BASE_URL (HTTPS) when LTI_PLATFORMS is set');
+  }
   if (invalidConfiguration.length > 0) {
     throw new Error(`Unsafe production configuration: ${invalidConfiguration.join(', ')}`);
   }
@@ -243,6 +422,23 @@ const emailService = createEmailService({
   replyTo: EMAIL_REPLY_TO,
   apiUrl: RESEND_API_URL
 });
+const ltiGradeService = createLtiGradeService({
+  platforms: LTI_PLATFORMS,
+  privateKey: LTI_PRIVATE_KEY,
+  keyId: LTI_KEY_ID
+});
+const webhookDispatcher = createWebhookDispatcher({ db, allowLocal: !isProduction });
+const sharedLiveState = LIVE_STATE_STORE === 'postgres';
+const liveStateStore = sharedLiveState
+  ? createPostgresLiveStateStore(db)
+  : createMemoryLiveStateStore();
+const liveRooms = createLiveRooms({
+  store: liveStateStore,
+  address: INSTANCE_URL || null
+});
+if (sharedLiveState) {
+  io.adapter(createLiveStateAdapter(liveStateStore));
+}
 const publicRegistrationAvailable = Boolean(
   HOSTED_MODE
   && PUBLIC_SIGNUP_ENABLED
@@ -251,6 +447,22 @@ const publicRegistrationAvailable = Boolean(
   && APP_BASE_URL
 );
 
+// A room's HTTP requests are answered by the instance running it. They are
+// passed on before any body parser runs so the body streams through as sent.
+async function forwardToRoomOwner(req, res, next) {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  if (!code || req.get(FORWARDED_HEADER) || activeSessions.has(code)) return next();
+  try {
+    const owner = await liveRooms.remoteOwnerOf(code);
+    if (!owner?.address) return next();
+    return forwardRequest(req, res, { address: owner.address, instanceId: liveRooms.instanceId });
+  } catch (error) {
+    console.error('Live room lookup error:', error);
+    return next();
+  }
+}
+app.use(['/api/session/:code', '/api/admin/session/:code'], forwardToRoomOwner);
+
 app.post('/api/stripe/webhook', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
   if (!stripeBilling) {
     return res.status(404).json({ success: false, error: 'Stripe billing is not enabled' });
@@ -275,7 +487,7 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json', limit: '
         subscription: result.subscription
       });
       if (!billingFailure) return res.json({ received: true, duplicate: Boolean(result?.duplicate) });
-      for (const socket of io.sockets.sockets.values()) {
+      for (const socket of await io.fetchSockets()) {
         if (socket.data.principal?.id === accountId) {
           socket.emit('control_error', {
             message: 'The hosted subscription is no longer active.'
@@ -355,6 +567,27 @@ const registrationLimiter = rateLimit({
   legacyHeaders: false,
   message: { success: false, error: 'Too many registration attempts. Please try again later.' }
 });
+const reviewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many review requests. Please try again later.' }
+});
+const webhookTestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many test events. Please try again shortly.' }
+});
+const ltiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: 'Too many LMS launches. Please try again later.'
+});
 const guestQuizMarkdown = fs.readFileSync(
   path.join(__dirname, 'demo-quizzes', 'quick-wins.md'),
   'utf8'
@@ -378,6 +611,7 @@ async function authenticateToken(req, res, next) {
   if (!token) {
     return res.status(401).json({ success: false, error: 'Authentication required' });
   }
+  if (isApiToken(token)) return authenticateApiToken(token, req, res, next);
 
   try {
     const payload = jwt.verify(token, JWT_SECRET);
@@ -402,12 +636,63 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+// A script's API token stands in for its account: the same principal and
+// the same account checks as a login, plus the scopes in req.apiToken.
+async function authenticateApiToken(token, req, res, next) {
+  try {
+    const record = await db.getApiTokenByHash(hashOpaqueToken(token));
+    if (!record) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API token' });
+    }
+
+    const account = await db.getAdminById(record.owner_id);
+    const failure = getAccountAuthenticationFailure(account, { hostedMode: HOSTED_MODE });
+    if (failure) {
+      return res.status(403).json({
+        success: false,
+        code: failure.code,
+        error: failure.message
+      });
+    }
+
+    req.admin = adminPrincipal(account);
+    req.apiToken = { id: record.id, scopes: record.scopes };
+    db.touchApiToken(record.id).catch(error => {
+      console.error('API token last-used update failed:', error.message);
+    });
+    return next();
+  } catch (error) {
+    console.error('API token authentication error:', error);
+    return res.status(500).json({ success: false, error: 'Unable to verify API token' });
+  }
+}
+
 // ============================================
 // SESSION-KEYED STATE (replaces global store)
 // ============================================
-// In-memory active sessions: sessionCode -> sessionState
+// In-memory active sessions: sessionCode -> sessionState. With a shared
+// live state store this holds only the rooms this instance leases.
 const activeSessions = new Map();
 
+// Takes a room into this instance. False when another instance runs it, or
+// when this one already does: a claim succeeds for a lease this instance
+// holds, so a room opened while the claim was in flight is left alone.
+async function openLiveRoom(session) {
+  if (activeSessions.has(session.code)) return false;
+  if (!await liveRooms.claim(session.code)) return false;
+  if (activeSessions.has(session.code)) return false;
+  activeSessions.set(session.code, session);
+  return true;
+}
+
+// Drops a room from this instance and frees its lease for the next one.
+function forgetLiveRoom(code) {
+  activeSessions.delete(code);
+  liveRooms.release(code).catch(error => {
+    console.error('Live room release error:', error.message);
+  });
+}
+
 function createSessionState({
   id,
   code,
@@ -417,7 +702,9 @@ function createSessionState({
   repository,
   expiresAt = null,
   participantLimit = null,
-  sessionType = 'quiz'
+  sessionType = 'quiz',
+  assignmentWindow = null,
+  reviewDays = 0
 }) {
   return {
     id,
@@ -425,6 +712,9 @@ function createSessionState({
     quiz,
     kind,
     sessionType: sessionType === 'survey' ? 'survey' : 'quiz',
+    delivery: assignmentWindow ? 'self-paced' : 'live',
+    assignmentWindow,
+    reviewDays,
     controller,
     repository,
     expiresAt,
@@ -433,7 +723,9 @@ function createSessionState({
     sidekickState: createSidekickState(),
     sidekicksEnabled: true,
     participants: Object.create(null),
+    removedLtiUsers: [],
     surveyCounts: Object.create(null),
+    optionOrders: Object.create(null),
     quizState: {
       isRunning: false,
       currentStepIndex: -1,
@@ -442,13 +734,21 @@ function createSessionState({
       autopilot: false,
       autopilotPauseSeconds: autopilot.DEFAULT_PAUSE_SECONDS,
       autopilotResumeAt: null,
-      allAnsweredEmittedFor: null
+      allAnsweredEmittedFor: null,
+      pausedAt: null,
+      pausedRemainingMs: null,
+      rerun: null,
+      closedQuestions: []
     },
     autopilotTimer: null,
+    questionTimer: null,
+    selfPacedTimers: new Map(),
     questionStartTime: null,
     rankSnapshot: {},
+    teamRankSnapshot: {},
     lastQuestionPresentation: null,
-    finale: null
+    finale: null,
+    liveStateWrite: Promise.resolve()
   };
 }
 
@@ -457,36 +757,198 @@ function createSessionState({
 //   id: number (database id),
 //   code: string,
 //   quiz: object,
-//   participants: { participantId: { id, name, score, correctCount, answers: {}, responseTimes: {}, socketId } },
-//   quizState: { isRunning, currentStepIndex, questionEndTime, showingResults, autopilot, autopilotPauseSeconds, autopilotResumeAt, allAnsweredEmittedFor },
+//   delivery: 'live' | 'self-paced',
+//   assignmentWindow: { opensAt, closesAt } in epoch ms (self-paced only),
+//   reviewDays: number (days participants can review their answers after it ends; 0 is off),
+//   participants: { participantId: { id, name, team, score, correctCount, earnedCredit, points, questionPoints: {}, answers: {}, responseTimes: {}, progress (self-paced only), socketId } },
+//   removedLtiUsers: [{ issuer, clientId, userId }] (LMS users kicked from the room, refused on relaunch),
+//   quizState: { isRunning, currentStepIndex, questionEndTime, showingResults, autopilot, autopilotPauseSeconds, autopilotResumeAt, allAnsweredEmittedFor, pausedAt, pausedRemainingMs, rerun, closedQuestions },
 //   questionStartTime: number (for response time tracking),
+//   selfPacedTimers: Map participantId -> timeout closing their open question,
 //   rankSnapshot: { participantId: rank },
+//   teamRankSnapshot: { teamName: rank } (team-mode Mashes),
+//   optionOrders: { questionId: [optionIndex per display slot] } (ordering questions),
 //   lastQuestionPresentation: object,
-//   finale: object
+//   finale: object,
+//   liveStateWrite: Promise (the last queued save of the room's position)
 // }
 
+// The room's position and self-paced progress are saved as they change so
+// a restart can resume the room (see resumeSession). Writes go out in
+// order; a failed one is logged and the room carries on.
+function queueLiveWrite(session, write) {
+  session.liveStateWrite = session.liveStateWrite
+    .then(write)
+    .catch(err => console.error(`[RESUME] ${session.code} state not saved:`, err.message));
+}
+
+function saveLiveState(session) {
+  const liveState = toLiveState(session);
+  queueLiveWrite(session, () => session.repository.saveLiveState(liveState));
+}
+
+function saveProgress(session, participant) {
+  const { id, progress } = participant;
+  queueLiveWrite(session, () => session.repository.saveParticipantProgress(id, progress));
+}
+
+// Adds an entry to the room's event log, which the replay view steps
+// through. Like webhooks, a failed write never holds up the room.
+function logSessionEvent(session, type, details = {}) {
+  if (!SESSION_EVENT_TYPES.has(type)) throw new Error(`Unknown session event: ${type}`);
+  session.repository.recordEvent(type, details, new Date()).catch(err => {
+    console.error(`[EVENTS] ${session.code} ${type} not logged:`, err.message);
+  });
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
-function getQuestionForParticipants(question) {
+// An open ordering question passes its session's displayOrder so the options
+// go out scrambled; once it has ended they are sent in the correct order.
+function getQuestionForParticipants(question, displayOrder = null) {
   // Send question without correct answers
   return {
     id: question.id,
     text: question.text,
-    options: question.options,
+    options: displayOrder ? displayOrder.map(index => question.options[index]) : question.options,
     timeLimit: question.timeLimit,
     type: question.type,
+    format: question.format || 'single',
     gradedNumber: question.gradedNumber,
     displayNumber: question.displayNumber ?? null
   };
 }
 
+// A team-mode participant's team and, once there is a team leaderboard,
+// where it stands; nothing outside team mode.
+function teamStandingOf(teamLeaderboard, participant) {
+  if (!participant.team) return {};
+  const standing = teamLeaderboard?.find(team => team.name === participant.team);
+  return {
+    team: participant.team,
+    teamLabel: teamLabel(participant.team),
+    teamRank: standing?.rank || null,
+    teamCount: teamLeaderboard?.length || null
+  };
+}
+
+// What a question is worth out of # Score, rounded for the room. Only sent
+// when the quiz weights questions or marks wrong answers down; otherwise
+// every question is worth the same and saying so is noise.
+function questionWorth(session, question) {
+  if (isSurveySession(session) || !isWeighted(session.quiz) || !isScored(question)) return null;
+  const round = value => Math.round(value * 10) / 10;
+  return {
+    points: round(questionPoints(session.quiz, question)),
+    penalty: round(penaltyPoints(session.quiz, question))
+  };
+}
+
+// One scramble per ordering question per session, so a reconnecting
+// participant and the presenter see the same arrangement as everyone else.
+// Choice options only move under # Shuffle: options, and then per
+// participant; the host and presenter pass no participant and see them as
+// written.
+function displayOrderFor(session, question, participant = null) {
+  if (!isOrdering(question)) return optionOrderFor(session.quiz, question, participant?.id);
+  session.optionOrders = session.optionOrders || Object.create(null);
+  if (!session.optionOrders[question.id]) {
+    session.optionOrders[question.id] = scrambledOrder(question.options.length);
+  }
+  return session.optionOrders[question.id];
+}
+
+// A participant's question_ended result laid out the way they saw the
+// options: the options, the right picks, their own pick and the per-option
+// counts all follow their shuffled order. Ordering questions and unshuffled
+// quizzes come back untouched.
+function inParticipantOrder(session, question, participant, payload) {
+  const order = isOrdering(question) ? null : displayOrderFor(session, question, participant);
+  if (!order) return payload;
+  const result = payload.participantResults[participant.id];
+  return {
+    ...payload,
+    question: getQuestionForParticipants(question, order),
+    correctIndices: toDisplaySlots(question.correctIndices, order),
+    stats: payload.stats && { ...payload.stats, counts: inDisplayOrder(payload.stats.counts, order) },
+    participantResults: {
+      [participant.id]: { ...result, yourAnswer: toDisplaySlots(result.yourAnswer, order) }
+    }
+  };
+}
+
 function isSurveySession(session) {
   return session?.sessionType === 'survey'
     || session?.quiz?.sessionKind === 'survey'
     || isSurveyPayload(session?.quiz);
 }
 
+// Participants are offered an answer review once the session ends. Only
+// stored quiz sessions have one: practice rooms keep nothing to review and
+// surveys are anonymous.
+function reviewOfferFor(session) {
+  if (session.kind !== 'persistent' || isSurveySession(session) || !(session.reviewDays > 0)) return null;
+  return { days: session.reviewDays };
+}
+
+// Participants who came in through an LMS launch get their percentage posted
+// to the course gradebook. Fire and forget: a slow or failing LMS never holds
+// up the room, and each post replaces the one before it.
+function postLtiScores(session, participants = Object.values(session.participants)) {
+  if (!ltiGradeService.configured || session.kind !== 'persistent' || isSurveySession(session)) return;
+  for (const participant of participants) {
+    if (!participant.lti?.lineItem) continue;
+    ltiGradeService.postScore({
+      lti: participant.lti,
+      scoreGiven: scorePercent(session.quiz, earnedCreditOf(participant)),
+      scoreMaximum: 100
+    }).catch(error => {
+      console.error(`LTI score passback error for ${participant.id}:`, error.message);
+    });
+  }
+}
+
+// Account webhooks describe the room the same way in every event.
+function webhookSessionData(session) {
+  return {
+    sessionCode: session.code,
+    title: session.quiz.title,
+    sessionType: isSurveySession(session) ? 'survey' : 'quiz',
+    delivery: isSelfPacedSession(session) ? 'self-paced' : 'live',
+    participantCount: Object.keys(session.participants).length
+  };
+}
+
+// Only stored rooms belong to an account. Fire and forget like the LMS
+// passback: a failing endpoint is retried from the delivery log, never from
+// the live room.
+function notifyWebhooks(session, type, data = {}) {
+  if (session.kind !== 'persistent' || session.controller?.type !== 'admin') return;
+  webhookDispatcher.dispatch(session.controller.id, type, { ...webhookSessionData(session), ...data })
+    .catch(error => console.error(`Webhook ${type} error for ${session.code}:`, error.message));
+}
+
+// quiz_ended carries every participant's final standing; surveys are
+// anonymous, so theirs carries none.
+function webhookResults(session) {
+  if (isSurveySession(session)) return {};
+  return {
+    results: Object.values(session.participants).map(participant => {
+      const percent = scorePercent(session.quiz, earnedCreditOf(participant));
+      return {
+        participantId: participant.id,
+        name: participant.name,
+        team: participant.team || null,
+        score: scoreOf(session, participant),
+        percent,
+        passed: totalWeight(session.quiz) > 0 && percent >= session.quiz.passingPercent,
+        correctCount: participant.correctCount || 0
+      };
+    })
+  };
+}
+
 function visibleQuestionTotal(session) {
   if (isSurveySession(session)) return surveyQuestionCount(session.quiz);
   return gradedCount(session.quiz);
@@ -550,26 +1012,73 @@ function currentQuestionOf(session) {
   return questionForStep(session.quiz, session.quizState.currentStepIndex);
 }
 
+// Graded questions' worth of credit, where a partially right multi-select
+// answer counts for a fraction. Scores are always derived from this rather
+// than from correctCount.
+function earnedCreditOf(participant) {
+  return participant.earnedCredit ?? participant.correctCount ?? 0;
+}
+
+// Points are awarded per answer when it is submitted (speed scoring makes
+// them depend on response time), and the running total is the score.
+function scoreOf(session, participant) {
+  const points = participant.points ?? earnedCreditOf(participant) * pointsPerQuestion(session.quiz);
+  return Math.round(points);
+}
+
 function calculateStats(session, questionId) {
   const question = session.quiz.questions.find(q => q.id === questionId);
   if (!question) return null;
 
   const stats = question.options.map(() => 0);
+  const responses = [];
   let totalAnswered = 0;
 
   for (const participant of Object.values(session.participants)) {
     const answer = participant.answers[questionId];
     if (answer !== undefined && answer !== null) {
-      stats[answer]++;
+      if (isFreeResponse(question) || isOrdering(question)) {
+        responses.push(answer);
+      } else {
+        // A multi-select answer adds one to every option it picked, so
+        // counts can sum to more than totalAnswered.
+        for (const optionIndex of selectedOptions(answer)) {
+          stats[optionIndex]++;
+        }
+      }
       totalAnswered++;
     }
   }
 
-  return {
+  const result = {
     counts: stats,
     totalAnswered,
     totalParticipants: Object.keys(session.participants).length
   };
+  // Typed questions have no options to count, so identical entries are
+  // grouped instead.
+  if (isFreeResponse(question)) {
+    result.groups = groupResponses(question, responses);
+  }
+  // Every ordering answer places every option, so option counts say nothing;
+  // how many got each position right does.
+  if (isOrdering(question)) {
+    result.positionHits = positionHits(question, responses);
+  }
+  return result;
+}
+
+// Analytics counterpart of the hardest-question recap for typed questions:
+// the wrong entries most people converged on, from stored answer rows.
+function commonWrongEntries(question, answerRows, limit = 5) {
+  if (!question || !isFreeResponse(question)) return [];
+  const answers = answerRows
+    .filter(row => row.question_index === question.index)
+    .map(storedAnswer);
+  return groupResponses(question, answers)
+    .filter(group => !group.isCorrect)
+    .slice(0, limit)
+    .map(({ value, count }) => ({ value, count }));
 }
 
 async function generateQRCode(url) {
@@ -607,6 +1116,51 @@ function createPresenterToken(session) {
   );
 }
 
+// An LMS launch hands the browser to play.html with this ticket; the join
+// route reads the LMS name and gradebook link from it instead of the form.
+function createLtiJoinTicket(session, identity) {
+  return jwt.sign(
+    {
+      type: 'lti-join',
+      sessionCode: session.code,
+      sessionId: String(session.id),
+      name: identity.name,
+      lti: identity.lti
+    },
+    JWT_SECRET,
+    { expiresIn: '2h' }
+  );
+}
+
+// The open room an LTI launch names. A room another instance runs is read
+// from the database; the join itself is forwarded there from play.html.
+async function launchableSession(code) {
+  const session = activeSessions.get(code);
+  if (session || !await liveRooms.remoteOwnerOf(code)) return session || null;
+  const stored = await db.getSession(code);
+  if (!stored || stored.status === 'ended') return null;
+  return {
+    kind: 'persistent',
+    id: stored.id,
+    code: stored.code,
+    repository: createPersistentSessionRepository(db, stored.id, stored.code)
+  };
+}
+
+function readLtiJoinTicket(ticket, session) {
+  try {
+    const payload = jwt.verify(String(ticket), JWT_SECRET);
+    if (payload.type !== 'lti-join'
+      || payload.sessionCode !== session.code
+      || payload.sessionId !== String(session.id)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
 function presenterCanView(principal, session) {
   return Boolean(
     principal?.type === 'presenter'
@@ -750,7 +1304,11 @@ function sessionResponse(req, session, qrCode) {
     kind: session.kind,
     sessionType: isSurveySession(session) ? 'survey' : 'quiz',
     participantLimit: session.participantLimit,
-    expiresAt: session.expiresAt
+    expiresAt: session.expiresAt,
+    delivery: session.delivery,
+    opensAt: session.assignmentWindow ? new Date(session.assignmentWindow.opensAt).toISOString() : null,
+    closesAt: session.assignmentWindow ? new Date(session.assignmentWindow.closesAt).toISOString() : null,
+    reviewDays: session.reviewDays
   };
 }
 
@@ -767,7 +1325,7 @@ function expireTrial(trial) {
       message: 'This temporary practice room has expired.'
     });
     clearAutopilotTimer(session);
-    activeSessions.delete(trial.sessionCode);
+    forgetLiveRoom(trial.sessionCode);
   }
 }
 
@@ -788,7 +1346,18 @@ app.use('/api/admin', (req, res, next) => {
     '/recovery/verify'
   ]);
   if (publicAdminPaths.has(req.path)) return next();
-  return authenticateToken(req, res, next);
+  return authenticateToken(req, res, () => {
+    if (req.apiToken) {
+      const scope = requiredApiTokenScope(req.method, req.path);
+      if (!scope) {
+        return res.status(403).json({ success: false, error: 'API tokens cannot use this endpoint' });
+      }
+      if (!req.apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ success: false, error: `This API token needs the ${scope} scope` });
+      }
+    }
+    return next();
+  });
 });
 
 // ============================================
@@ -1242,11 +1811,11 @@ app.post('/api/trial/session', authenticateTrial, async (req, res) => {
         : 'quiz';
       const quiz = customSessionType === 'survey'
         ? parseSurveyMarkdown(customMarkdown)
-        : parseQuizMarkdown(customMarkdown || guestQuizMarkdown);
+        : drawQuestionPools(parseQuizMarkdown(customMarkdown || guestQuizMarkdown));
       session = createSessionState({
         id: `trial:${trial.id}`,
         code: trial.sessionCode,
-        quiz,
+        quiz: resolveQuizAssets(quiz, trial.sessionCode),
         kind: 'trial',
         sessionType: customSessionType,
         controller: { type: 'trial', id: trial.id },
@@ -1254,8 +1823,11 @@ app.post('/api/trial/session', authenticateTrial, async (req, res) => {
         expiresAt: trial.expiresAt,
         participantLimit: GUEST_TRIAL_MAX_PARTICIPANTS
       });
-      activeSessions.set(session.code, session);
+      if (!await openLiveRoom(session)) {
+        return res.status(409).json({ success: false, error: 'Practice-room code collision' });
+      }
       trialManager.markLaunched(trial.id);
+      logSessionEvent(session, 'room_opened', { delivery: session.delivery });
     }
 
     if (session.kind !== 'trial' || session.controller.id !== trial.id) {
@@ -1288,7 +1860,7 @@ app.delete('/api/trial/session', authenticateTrial, (req, res) => {
   io.to(`presenter:${session.code}`).emit('session_ended', {
     message: 'This practice room was cancelled.'
   });
-  activeSessions.delete(session.code);
+  forgetLiveRoom(session.code);
   return res.json({ success: true, message: 'Practice room cancelled' });
 });
 
@@ -1299,6 +1871,7 @@ app.post(
   async (req, res) => {
     const session = req.activeSession;
     await session.repository.updateStatus('ended');
+    logSessionEvent(session, 'session_ended', { by: 'host' });
 
     io.to(`session:${session.code}`).emit('session_ended', {
       message: 'This practice session has ended. Thanks for playing!'
@@ -1311,11 +1884,31 @@ app.post(
       message: 'This practice session has ended.'
     });
     clearAutopilotTimer(session);
-    activeSessions.delete(session.code);
+    forgetLiveRoom(session.code);
     res.json({ success: true, message: 'Practice session ended' });
   }
 );
 
+app.get(
+  '/api/trial/session/:code/replay',
+  authenticateTrial,
+  requireTrialSession,
+  async (req, res) => {
+    const session = req.activeSession;
+    try {
+      const replay = await replayFor(session.repository, {
+        code: session.code,
+        quizTitle: session.quiz.title,
+        sessionType: session.sessionType
+      });
+      res.json({ success: true, replay });
+    } catch (err) {
+      console.error('Practice-room replay error:', err);
+      res.status(500).json({ success: false, error: 'Unable to load the replay' });
+    }
+  }
+);
+
 app.get(
   '/api/trial/session/:code/results',
   authenticateTrial,
@@ -1489,20 +2082,38 @@ app.post('/api/admin/login', loginLimiter, async (req, res) => {
 // Create a new session (upload quiz or survey, get session code + QR)
 app.post('/api/admin/session', async (req, res) => {
   const { courseName, sessionType: rawSessionType } = req.body;
-  const sessionType = rawSessionType === 'survey' ? 'survey' : 'quiz';
+  const sessionType = normalizeSessionType(rawSessionType);
+  const delivery = normalizeDelivery(req.body.delivery);
   try {
     const markdown = decodeMarkdownPayload(req.body);
-    const quiz = sessionType === 'survey'
-      ? parseSurveyMarkdown(markdown)
-      : parseQuizMarkdown(markdown);
+    const { quiz, error } = parseMashMarkdown(markdown, sessionType);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    if (!quiz.questions || quiz.questions.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: sessionType === 'survey'
-          ? 'Survey needs at least one question with options'
-          : 'Quiz needs at least one question'
-      });
+    // A self-paced session is open between two times instead of being run
+    // live. Surveys close each question for everyone at once to stay
+    // anonymous, so they are always live.
+    let assignmentWindow = null;
+    if (delivery === 'self-paced') {
+      if (sessionType === 'survey') {
+        return res.status(400).json({ success: false, error: 'Surveys can only be run live' });
+      }
+      const normalized = normalizeAssignmentWindow(req.body);
+      if (normalized.error) {
+        return res.status(400).json({ success: false, error: normalized.error });
+      }
+      assignmentWindow = normalized.window;
+    }
+
+    // Surveys are anonymous, so they never offer an answer review.
+    let reviewDays = 0;
+    if (sessionType !== 'survey') {
+      const review = normalizeReviewDays(req.body.reviewDays);
+      if (review.error) {
+        return res.status(400).json({ success: false, error: review.error });
+      }
+      reviewDays = review.days;
     }
 
     const billingFailure = await hostedBillingFailureForAdmin(req.admin);
@@ -1514,13 +2125,39 @@ app.post('/api/admin/session', async (req, res) => {
       });
     }
 
+    // A room opened from a saved Mash is linked to it. Edits made in the
+    // studio since the last save become the version this room runs.
+    let libraryQuiz = null;
+    if (req.body.quizId !== undefined && req.body.quizId !== null) {
+      const quizId = parseLibraryId(req.body.quizId);
+      const saved = quizId ? await db.getQuizVersion(quizId, ownerFilterFor(req.admin)) : null;
+      if (!saved) {
+        return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+      }
+      if (normalizeSessionType(saved.session_type) !== sessionType) {
+        return res.status(400).json({ success: false, error: 'That saved Mash is a different session type' });
+      }
+      libraryQuiz = isSameMarkdown(saved.markdown, markdown)
+        ? { id: saved.id, version: saved.version }
+        : await saveLibraryVersion(saved.id, req.admin.id, quiz, sessionType, markdown);
+    }
+
+    // Each room asks its own draw from the quiz's pools. The drawn set is
+    // what gets stored, so recovery, analytics and export see only the
+    // questions this room was asked; the saved Mash keeps the whole bank.
+    const sessionQuiz = drawQuestionPools(quiz);
+
     // Create session in database
     const { id, code, quizData } = await db.createSession(
-      quiz,
+      sessionQuiz,
       courseName,
       req.admin.id,
       {
         sessionType,
+        quizId: libraryQuiz ? libraryQuiz.id : null,
+        quizVersion: libraryQuiz ? libraryQuiz.version : null,
+        assignmentWindow,
+        reviewDays,
         enforceSingleOpenRoom: shouldEnforceSingleOpenRoom({
           hostedMode: HOSTED_MODE,
           admin: req.admin
@@ -1528,18 +2165,28 @@ app.post('/api/admin/session', async (req, res) => {
       }
     );
 
-    // Create in-memory session state
+    // Create in-memory session state. The live quiz points bare image names
+    // at this session's uploads; the stored quiz keeps them as written.
     const sessionState = createSessionState({
       id,
       code,
-      quiz,
+      quiz: resolveQuizAssets(sessionQuiz, code),
       kind: 'persistent',
       sessionType,
       controller: { type: 'admin', id: req.admin.id },
       repository: createPersistentSessionRepository(db, id, code),
-      participantLimit: resolveParticipantLimitForAdmin(req.admin, HOSTED_MAX_PARTICIPANTS)
+      participantLimit: resolveParticipantLimitForAdmin(req.admin, HOSTED_MAX_PARTICIPANTS),
+      assignmentWindow,
+      reviewDays
     });
-    activeSessions.set(code, sessionState);
+    if (!await openLiveRoom(sessionState)) {
+      throw new Error(`Session ${code} is already running on another instance`);
+    }
+    notifyWebhooks(sessionState, 'session_created', { courseName: courseName || null });
+    logSessionEvent(sessionState, 'room_opened', { delivery: sessionState.delivery });
+    if (assignmentWindow) {
+      await syncAssignment(code, sessionState);
+    }
 
     // Generate QR code
     const joinUrl = `${req.protocol}://${req.get('host')}/play.html?session=${code}`;
@@ -1547,7 +2194,7 @@ app.post('/api/admin/session', async (req, res) => {
 
     res.json({
       success: true,
-      session: sessionResponse(req, sessionState, qrCode)
+      session: { ...sessionResponse(req, sessionState, qrCode), libraryQuiz }
     });
   } catch (err) {
     console.error('Session creation error:', err);
@@ -1578,6 +2225,76 @@ app.get('/api/admin/session/:code/qr', authorizeAdminSession, async (req, res) =
   res.json({ success: true, qrCode, joinUrl });
 });
 
+// Upload one question image as the raw request body. Images can only be added
+// while the session is open, since the live quiz is what references them.
+const assetBodyParser = express.raw({ type: () => true, limit: MAX_ASSET_BYTES });
+
+function readAssetBody(req, res, next) {
+  assetBodyParser(req, res, err => {
+    if (!err) return next();
+    const tooLarge = err.type === 'entity.too.large';
+    return res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: tooLarge
+        ? `Images must be ${Math.round(MAX_ASSET_BYTES / 1024)} KB or smaller`
+        : 'Image upload could not be read'
+    });
+  });
+}
+
+app.post('/api/admin/session/:code/asset/:name', authorizeAdminSession, readAssetBody, async (req, res) => {
+  const session = req.activeSession;
+  if (!session) {
+    return res.status(409).json({ success: false, error: 'Images can only be added to an open session' });
+  }
+
+  try {
+    const name = req.params.name;
+    const others = (await session.repository.listAssets()).filter(asset => asset.name !== name);
+    const verdict = validateAsset(name, req.body, {
+      count: others.length,
+      totalBytes: others.reduce((sum, asset) => sum + Number(asset.byte_size || 0), 0)
+    });
+    if (verdict.error) {
+      return res.status(400).json({ success: false, error: verdict.error });
+    }
+
+    await session.repository.saveAsset(name, verdict.contentType, req.body);
+    res.json({ success: true, name, url: `/api/session/${session.code}/asset/${encodeURIComponent(name)}` });
+  } catch (err) {
+    console.error('Image upload error:', err);
+    res.status(500).json({ success: false, error: 'Unable to save image' });
+  }
+});
+
+// Public image lookup for question Markdown. Anyone holding the room code can
+// already see the questions, so the images need no further check.
+app.get('/api/session/:code/asset/:name', async (req, res) => {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  const name = normalizeAssetName(req.params.name);
+  if (!name) {
+    return res.status(404).json({ success: false, error: 'Image not found' });
+  }
+
+  try {
+    const session = activeSessions.get(code);
+    const asset = session
+      ? await session.repository.getAsset(name)
+      : await db.getSessionAssetByCode(code, name);
+    if (!asset) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+
+    res.setHeader('Content-Type', asset.content_type);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.send(asset.data);
+  } catch (err) {
+    console.error('Image lookup error:', err);
+    res.status(500).json({ success: false, error: 'Unable to load image' });
+  }
+});
+
 // Public presenter lookup. This exposes only the participant join URL and its QR code.
 app.get('/api/session/:code/qr', async (req, res) => {
   const code = String(req.params.code || '').trim().toUpperCase();
@@ -1599,8 +2316,14 @@ app.post('/api/admin/session/:code/end', authorizeAdminSession, async (req, res)
     return res.status(404).json({ success: false, error: 'Session not found' });
   }
 
+  if (isSelfPacedSession(session)) {
+    await closeAssignment(code, session);
+    return res.json({ success: true, message: 'Assignment closed' });
+  }
+
   // Update database status
   await session.repository.updateStatus('ended');
+  logSessionEvent(session, 'session_ended', { by: 'host' });
 
   // Save final participant scores to database
   for (const participant of Object.values(session.participants)) {
@@ -1610,10 +2333,16 @@ app.post('/api/admin/session/:code/end', authorizeAdminSession, async (req, res)
       participant.correctCount || 0
     );
   }
+  // Ended before the finale: the LMS and webhooks get the scores as they stand.
+  if (!session.finale) {
+    postLtiScores(session);
+    notifyWebhooks(session, 'quiz_ended', { endedEarly: true, ...webhookResults(session) });
+  }
 
   // Notify all clients in this session
   io.to(`session:${code}`).emit('session_ended', {
-    message: 'This session has ended. Thank you for participating!'
+    message: 'This session has ended. Thank you for participating!',
+    review: reviewOfferFor(session)
   });
 
   // Notify admin room
@@ -1627,7 +2356,7 @@ app.post('/api/admin/session/:code/end', authorizeAdminSession, async (req, res)
 
   // Remove from active sessions
   clearAutopilotTimer(session);
-  activeSessions.delete(code);
+  forgetLiveRoom(code);
 
   res.json({ success: true, message: 'Session ended' });
 });
@@ -1646,7 +2375,7 @@ app.get('/api/admin/session/:code', authorizeAdminSession, async (req, res) => {
         success: true,
         session: {
           code: dbSession.code,
-          quiz: dbSession.quiz_data,
+          quiz: resolveQuizAssets(dbSession.quiz_data, dbSession.code),
           status: dbSession.status,
           participantCount: participants.length
         }
@@ -1666,6 +2395,15 @@ app.get('/api/admin/session/:code', authorizeAdminSession, async (req, res) => {
   });
 });
 
+// The submission dashboard of an open self-paced session.
+app.get('/api/admin/session/:code/assignment', authorizeAdminSession, (req, res) => {
+  const session = req.activeSession;
+  if (!session || !isSelfPacedSession(session)) {
+    return res.status(404).json({ success: false, error: 'No open self-paced session with that code' });
+  }
+  res.json({ success: true, assignment: assignmentDashboardFor(session) });
+});
+
 // List session history
 app.get('/api/admin/sessions', async (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
@@ -1673,47 +2411,213 @@ app.get('/api/admin/sessions', async (req, res) => {
   res.json({ success: true, sessions });
 });
 
-// Update session metadata
-app.post('/api/admin/session/:code/metadata', authorizeAdminSession, async (req, res) => {
-  const { code } = req.params;
-  const { courseName, isTest } = req.body;
+// Saved quiz library ("My Mashes"). Each save of changed Markdown is a new
+// version; sessions record the version they ran so analytics can group every
+// run of a Mash.
+async function saveLibraryVersion(quizId, ownerId, quiz, sessionType, markdown) {
+  const saved = await db.addQuizVersion(quizId, ownerId, {
+    title: libraryTitle(quiz, sessionType),
+    markdown
+  });
+  return saved ? { id: saved.id, version: saved.latest_version } : null;
+}
+
+app.get('/api/admin/quizzes', async (req, res) => {
   try {
-    await db.updateSessionMetadata(code, courseName, isTest);
-    res.json({ success: true, message: 'Metadata updated' });
+    const quizzes = await db.listQuizzes(ownerFilterFor(req.admin));
+    res.json({ success: true, quizzes: quizzes.map(toLibrarySummary) });
   } catch (err) {
-    console.error('Update metadata error:', err);
+    console.error('List saved Mashes error:', err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Delete a session permanently
-app.delete('/api/admin/session/:code', authorizeAdminSession, async (req, res) => {
-  const { code } = req.params;
+app.post('/api/admin/quizzes', async (req, res) => {
+  const sessionType = normalizeSessionType(req.body.sessionType);
   try {
-    // If it's active, remove it from memory too
-    const activeSession = activeSessions.get(code);
-    if (activeSession) {
-      clearAutopilotTimer(activeSession);
-      activeSessions.delete(code);
-    }
-    if (req.activeSession) {
-      await req.activeSession.repository.deleteSession();
-    } else {
-      await db.deleteSession(code);
+    const markdown = decodeMarkdownPayload(req.body);
+    const { quiz, error } = parseMashMarkdown(markdown, sessionType);
+    if (error) {
+      return res.status(400).json({ success: false, error });
     }
-    res.json({ success: true, message: 'Session deleted' });
+
+    const saved = await db.createQuiz(req.admin.id, {
+      title: libraryTitle(quiz, sessionType),
+      sessionType,
+      markdown
+    });
+    res.status(201).json({ success: true, quiz: toLibrarySummary(saved), version: 1 });
   } catch (err) {
-    console.error('Delete session error:', err);
-    res.status(500).json({ success: false, error: 'Server error' });
+    console.error('Save Mash error:', err);
+    res.status(400).json({ success: false, error: err.message });
   }
 });
 
-// Keep-alive ping — prevents Render free-tier from sleeping mid-quiz.
-// The admin client calls this every 10 minutes while a session is active.
-app.get('/api/admin/ping', (req, res) => {
-  res.json({ ok: true, ts: Date.now() });
-});
-
+// Quiz import: a GIFT file, Moodle XML export, or Kahoot spreadsheet becomes
+// quiz Markdown for the studio editor. Nothing is saved here; the instructor
+// reviews the Markdown beside the report of what could not come across. The
+// file travels Base64-encoded like studio Markdown does.
+app.post('/api/admin/quiz-import', (req, res) => {
+  let text;
+  try {
+    text = decodeMarkdownPayload(req.body);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: 'That file could not be read or is too large to import' });
+  }
+
+  const fileName = typeof req.body.fileName === 'string' ? req.body.fileName : '';
+  const format = IMPORT_FORMATS.includes(req.body.format) ? req.body.format : detectImportFormat(fileName, text);
+  const { markdown, questionCount, unsupported, error } = importQuiz({
+    format,
+    text,
+    title: titleFromFileName(fileName)
+  });
+  if (error) {
+    return res.status(400).json({ success: false, error, unsupported });
+  }
+  res.json({ success: true, format, markdown, questionCount, unsupported });
+});
+
+// One saved Mash: the requested version's Markdown (latest by default), its
+// version history, and every session launched from it.
+app.get('/api/admin/quizzes/:id', async (req, res) => {
+  const quizId = parseLibraryId(req.params.id);
+  const requested = req.query.version === undefined ? null : parseLibraryId(req.query.version);
+  if (!quizId || (req.query.version !== undefined && !requested)) {
+    return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+  }
+
+  try {
+    const saved = await db.getQuizVersion(quizId, ownerFilterFor(req.admin), requested);
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+    }
+    const [versions, runs] = await Promise.all([
+      db.listQuizVersions(quizId, ownerFilterFor(req.admin)),
+      db.listQuizRuns(quizId, ownerFilterFor(req.admin))
+    ]);
+
+    res.json({
+      success: true,
+      quiz: {
+        id: saved.id,
+        title: saved.quiz_title,
+        sessionType: normalizeSessionType(saved.session_type),
+        latestVersion: saved.latest_version,
+        version: saved.version,
+        markdown: saved.markdown
+      },
+      versions: versions.map(toLibraryVersion),
+      runs: runs.map(run => ({
+        code: run.code,
+        version: run.quiz_version,
+        status: run.status,
+        courseName: run.course_name,
+        isTest: run.is_test,
+        createdAt: run.created_at,
+        startedAt: run.started_at,
+        endedAt: run.ended_at,
+        participantCount: run.participant_count || 0,
+        avgScorePercent: run.avg_score_percent == null ? null : Number(run.avg_score_percent)
+      }))
+    });
+  } catch (err) {
+    console.error('Load saved Mash error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Saves the editor's Markdown as the next version. Unchanged Markdown keeps
+// the current version instead of piling up identical copies.
+app.put('/api/admin/quizzes/:id', async (req, res) => {
+  const quizId = parseLibraryId(req.params.id);
+  if (!quizId) {
+    return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+  }
+
+  try {
+    const markdown = decodeMarkdownPayload(req.body);
+    const current = await db.getQuizVersion(quizId, ownerFilterFor(req.admin));
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+    }
+
+    const sessionType = normalizeSessionType(current.session_type);
+    const { quiz, error } = parseMashMarkdown(markdown, sessionType);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (isSameMarkdown(current.markdown, markdown)) {
+      return res.json({ success: true, created: false, version: current.version });
+    }
+
+    const saved = await saveLibraryVersion(quizId, req.admin.id, quiz, sessionType, markdown);
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+    }
+    res.json({ success: true, created: true, version: saved.version });
+  } catch (err) {
+    console.error('Save Mash version error:', err);
+    res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.delete('/api/admin/quizzes/:id', async (req, res) => {
+  const quizId = parseLibraryId(req.params.id);
+  try {
+    const deleted = quizId ? await db.deleteQuiz(quizId, ownerFilterFor(req.admin)) : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Saved Mash not found' });
+    }
+    res.json({ success: true, message: 'Saved Mash deleted' });
+  } catch (err) {
+    console.error('Delete saved Mash error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Update session metadata
+app.post('/api/admin/session/:code/metadata', authorizeAdminSession, async (req, res) => {
+  const { code } = req.params;
+  const { courseName, isTest } = req.body;
+  try {
+    await db.updateSessionMetadata(code, courseName, isTest);
+    res.json({ success: true, message: 'Metadata updated' });
+  } catch (err) {
+    console.error('Update metadata error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Delete a session permanently
+app.delete('/api/admin/session/:code', authorizeAdminSession, async (req, res) => {
+  const { code } = req.params;
+  try {
+    // If it's active, remove it from memory too
+    const activeSession = activeSessions.get(code);
+    if (activeSession) {
+      clearAutopilotTimer(activeSession);
+      clearSelfPacedTimers(activeSession);
+      forgetLiveRoom(code);
+    }
+    if (req.activeSession) {
+      await req.activeSession.repository.deleteSession();
+    } else {
+      await db.deleteSession(code);
+    }
+    res.json({ success: true, message: 'Session deleted' });
+  } catch (err) {
+    console.error('Delete session error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Keep-alive ping — prevents Render free-tier from sleeping mid-quiz.
+// The admin client calls this every 10 minutes while a session is active.
+app.get('/api/admin/ping', (req, res) => {
+  res.json({ ok: true, ts: Date.now() });
+});
+
 // Get participants for a session
 app.get('/api/admin/session/:code/participants', authorizeAdminSession, (req, res) => {
   const { code } = req.params;
@@ -1760,13 +2664,86 @@ app.get('/api/admin/session/:code/results', authorizeAdminSession, async (req, r
   res.json({ results });
 });
 
+// The room's timeline for the replay view, for rooms still open or long
+// since ended.
+async function replayFor(repository, { code, quizTitle, sessionType }) {
+  const [events, answers] = await Promise.all([repository.listEvents(), repository.listAnswers()]);
+  return { code, quizTitle, sessionType, ...buildReplay(events, answers) };
+}
+
+app.get('/api/admin/session/:code/replay', authorizeAdminSession, async (req, res) => {
+  const active = req.activeSession;
+  const stored = req.storedSession;
+  try {
+    const replay = active
+      ? await replayFor(active.repository, {
+          code: active.code,
+          quizTitle: active.quiz.title,
+          sessionType: active.sessionType
+        })
+      : await replayFor(createPersistentSessionRepository(db, stored.id, stored.code), {
+          code: stored.code,
+          quizTitle: stored.quiz_title,
+          sessionType: normalizeSessionType(stored.session_type)
+        });
+    res.json({ success: true, replay });
+  } catch (err) {
+    console.error('Session replay error:', err);
+    res.status(500).json({ success: false, error: 'Unable to load the replay' });
+  }
+});
+
 // Join a specific session (replaces /api/join)
+// The class list a join page offers: names only. Surveys stay anonymous, so
+// they never offer one.
+app.get('/api/session/:code/roster', async (req, res) => {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  const session = activeSessions.get(code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found or has ended' });
+  }
+  if (isSurveySession(session)) {
+    return res.json({ success: true, roster: [] });
+  }
+  try {
+    res.json({ success: true, roster: toJoinRoster(await session.repository.listRoster()) });
+  } catch (err) {
+    console.error('Join roster error:', err);
+    res.status(500).json({ success: false, error: 'Unable to load the class list' });
+  }
+});
+
+// The teams a join page offers in a team-mode Mash, with how full each is.
+app.get('/api/session/:code/teams', (req, res) => {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  const session = activeSessions.get(code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found or has ended' });
+  }
+  const teams = isSurveySession(session) ? null : session.quiz.teams;
+  if (!teams) {
+    return res.json({ success: true, teams: [], assignment: null });
+  }
+  res.json({
+    success: true,
+    teams: teams.names.map(name => ({
+      name,
+      label: teamLabel(name),
+      members: Object.values(session.participants).filter(p => p.team === name).length
+    })),
+    assignment: teams.assignment
+  });
+});
+
 app.post('/api/session/:code/join', async (req, res) => {
   const code = String(req.params.code || '').trim().toUpperCase();
   const {
     name,
     existingParticipantId,
-    existingParticipantToken
+    existingParticipantToken,
+    rosterStudentId,
+    team,
+    ltiTicket
   } = req.body;
 
   if (!name || !name.trim()) {
@@ -1784,6 +2761,20 @@ app.post('/api/session/:code/join', async (req, res) => {
     return res.status(400).json({ success: false, error: 'Session not found or has ended' });
   }
 
+  const ltiLaunch = ltiTicket ? readLtiJoinTicket(ltiTicket, session) : null;
+  if (ltiTicket && !ltiLaunch) {
+    return res.status(400).json({ success: false, error: 'This LMS launch has expired. Open the activity from your course again.' });
+  }
+  if (ltiLaunch && session.removedLtiUsers.some(removed => isSameLtiUser(removed, ltiLaunch.lti))) {
+    return res.status(403).json({ success: false, error: 'You have been removed from this session.' });
+  }
+  // A relaunch from the LMS (a refresh, cleared storage, a second tab) gets
+  // back the participant that LMS user already has, so the gradebook only
+  // ever hears about one of them.
+  const ltiReturning = ltiLaunch
+    ? Object.values(session.participants).find(participant => isSameLtiUser(participant.lti, ltiLaunch.lti)) || null
+    : null;
+
   if (session.quizState.isRunning && session.quizState.currentStepIndex >= session.quiz.steps.length - 1) {
     return res.status(400).json({ success: false, error: 'Cannot join - quiz is ending' });
   }
@@ -1794,7 +2785,7 @@ app.post('/api/session/:code/join', async (req, res) => {
       name,
       existingParticipantToken
     ));
-  const admission = getParticipantAdmission(session, { isValidRejoin });
+  const admission = getParticipantAdmission(session, { isValidRejoin: isValidRejoin || Boolean(ltiReturning) });
 
   if (!admission.allowed) {
     return res.status(429).json({
@@ -1818,51 +2809,122 @@ app.post('/api/session/:code/join', async (req, res) => {
       quizTitle: session.quiz.title,
       sessionType: isSurveySession(session) ? 'survey' : 'quiz',
       avatarId: existing.avatarId,
+      ...teamStandingOf(null, existing),
       canShuffleAvatar: getShuffleAvailability(session, existing).allowed
     });
   }
 
+  // The LMS vouches for a returning student, so they get a fresh token for
+  // their seat; whichever device held the old one has to relaunch.
+  if (ltiReturning) {
+    let participantToken;
+    try {
+      participantToken = await reissueParticipantToken(session.repository, ltiReturning, createParticipantCredential());
+    } catch (err) {
+      console.error('LTI rejoin error:', err);
+      return res.status(500).json({ success: false, error: 'Server error' });
+    }
+
+    return res.json({
+      success: true,
+      participantId: ltiReturning.id,
+      participantToken,
+      sessionCode: code,
+      quizTitle: session.quiz.title,
+      sessionType: isSurveySession(session) ? 'survey' : 'quiz',
+      avatarId: ltiReturning.avatarId,
+      ...teamStandingOf(null, ltiReturning),
+      canShuffleAvatar: getShuffleAvailability(session, ltiReturning).allowed
+    });
+  }
+
+  // A name picked from the course roster joins under the roster's spelling.
+  // Two devices may claim the same student; the course report keeps the
+  // stronger attempt.
+  // An LMS launch joins under the LMS name, so it skips the class list.
+  let rosterStudent = null;
+  if (rosterStudentId !== undefined && rosterStudentId !== null && !isSurveySession(session) && !ltiLaunch) {
+    const studentId = parseLibraryId(rosterStudentId);
+    const roster = studentId ? await session.repository.listRoster() : [];
+    rosterStudent = roster.find(student => student.id === studentId) || null;
+    if (!rosterStudent) {
+      return res.status(400).json({ success: false, error: 'That name is no longer on the class list' });
+    }
+  }
+  const participantName = ltiLaunch
+    ? ltiLaunch.name
+    : rosterStudent ? rosterStudent.display_name : name.trim();
+  // Team-mode Mashes honour a pick where the quiz allows it; everyone else
+  // joins the smallest team.
+  const participantTeam = isSurveySession(session)
+    ? null
+    : assignTeam(session.quiz.teams, session.participants, team);
+
   // Reserve the seat before the async write so concurrent joins cannot oversubscribe the room.
   session.pendingParticipantJoins += 1;
   const avatarId = drawSidekick(session.sidekickState);
+  // The token digest is stored too, so the answer review can still check
+  // it once the room has closed.
+  const participantCredential = createParticipantCredential();
   let participantRecord;
   try {
     // Persistent sessions write through PostgreSQL; trials allocate only in memory.
-    participantRecord = await session.repository.createParticipant(name.trim(), null, avatarId);
+    participantRecord = await session.repository.createParticipant(
+      participantName,
+      null,
+      avatarId,
+      {
+        rosterStudentId: rosterStudent ? rosterStudent.id : null,
+        team: participantTeam,
+        accessTokenDigest: participantCredential.digest,
+        lti: ltiLaunch ? ltiLaunch.lti : null
+      }
+    );
   } finally {
     session.pendingParticipantJoins -= 1;
   }
 
   const { id } = participantRecord;
-  const participantCredential = createParticipantCredential();
 
   // Add to in-memory session
   session.participants[id] = {
     id,
-    name: name.trim(),
+    name: participantName,
+    team: participantTeam,
     score: 0,
     correctCount: 0,
+    earnedCredit: 0,
+    points: 0,
+    questionPoints: {},
     currentStreak: 0,
     bestStreak: 0,
     answers: {},
     responseTimes: {},
     surveyAnsweredQuestions: Object.create(null),
+    progress: isSelfPacedSession(session) ? createProgress(questionOrderFor(session.quiz, id)) : null,
     socketId: null,
     avatarId: participantRecord.avatarId || avatarId,
     avatarShuffled: false,
-    accessTokenDigest: participantCredential.digest
+    accessTokenDigest: participantCredential.digest,
+    lti: ltiLaunch ? ltiLaunch.lti : null
   };
 
   // Notify admin
   io.to(`admin:${code}`).emit('participant_joined', {
     id,
-    name: name.trim(),
+    name: participantName,
     avatarId: session.participants[id].avatarId,
+    team: participantTeam,
     count: Object.keys(session.participants).length
   });
   io.to(`presenter:${code}`).emit('participant_joined', {
     count: Object.keys(session.participants).length
   });
+  if (isSelfPacedSession(session)) emitAssignmentProgress(code, session);
+  notifyWebhooks(session, 'participant_joined', {
+    participant: { id, name: participantName, team: participantTeam }
+  });
+  logSessionEvent(session, 'participant_joined', { participantId: id, name: participantName, team: participantTeam });
 
   res.json({
     success: true,
@@ -1872,6 +2934,7 @@ app.post('/api/session/:code/join', async (req, res) => {
     quizTitle: session.quiz.title,
     sessionType: isSurveySession(session) ? 'survey' : 'quiz',
     avatarId: session.participants[id].avatarId,
+    ...teamStandingOf(null, session.participants[id]),
     canShuffleAvatar: getShuffleAvailability(session, session.participants[id]).allowed
   });
 });
@@ -1932,6 +2995,64 @@ app.post('/api/session/:code/sidekick/shuffle', async (req, res) => {
   });
 });
 
+// A participant's own answers beside the key, once the session has ended.
+// It is read from the database, so it keeps working after the room closes;
+// the access token from joining is the only credential. Surveys and practice
+// rooms answer as if there were nothing here.
+app.post('/api/session/:code/review', reviewLimiter, async (req, res) => {
+  const code = String(req.params.code || '').trim().toUpperCase();
+  const { participantId, participantToken } = req.body || {};
+  const notFound = () => res.status(404).json({ success: false, error: 'No answer review for this session' });
+
+  if (typeof participantId !== 'string' || typeof participantToken !== 'string') {
+    return res.status(400).json({ success: false, error: 'Participant access is required' });
+  }
+  if (activeSessions.get(code)?.kind === 'trial') return notFound();
+
+  try {
+    const session = await db.getSession(code);
+    if (!session || normalizeSessionType(session.session_type) === 'survey' || isSurveyPayload(session.quiz_data)) {
+      return notFound();
+    }
+    const participant = await db.getParticipant(participantId);
+    if (!participant || participant.session_id !== session.id) return notFound();
+    if (!verifyOpaqueToken(participantToken, participant.access_token_digest)) {
+      return res.status(403).json({ success: false, error: 'This review link is not valid' });
+    }
+
+    const availability = reviewAvailability({
+      sessionType: 'quiz',
+      status: session.status,
+      endedAt: session.ended_at,
+      reviewDays: session.review_days
+    });
+    if (!availability.available) {
+      const refusals = {
+        disabled: [404, 'The host has not opened answer review for this session'],
+        'not-ended': [409, 'Answer review opens once the session has ended'],
+        expired: [410, 'Answer review for this session has closed']
+      };
+      const [status, error] = refusals[availability.reason];
+      return res.status(status).json({ success: false, code: availability.reason, error });
+    }
+
+    const quiz = resolveQuizAssets(normalizeStoredQuiz(session.quiz_data || {}), code);
+    const answers = await db.getAnswersByParticipant(participant.id);
+    res.json({
+      success: true,
+      review: {
+        ...buildParticipantReview({ quiz, participant, answers }),
+        sessionCode: code,
+        endedAt: session.ended_at,
+        expiresAt: new Date(availability.expiresAt).toISOString()
+      }
+    });
+  } catch (err) {
+    console.error('Answer review error:', err);
+    res.status(500).json({ success: false, error: 'Unable to load your answer review' });
+  }
+});
+
 // Legacy /api/join endpoint - redirect to session-based join
 app.post('/api/join', (req, res) => {
   res.status(400).json({
@@ -1940,6 +3061,127 @@ app.post('/api/join', (req, res) => {
   });
 });
 
+// ============================================
+// LTI 1.3 LAUNCH
+// ============================================
+// An LMS link opens a room: the platform calls /lti/login, the browser goes
+// through the platform's OIDC endpoint and comes back to /lti/launch with a
+// signed id_token. The state is a short-lived JWT carrying the nonce, and each
+// nonce is accepted once. A cookie ties the state to the browser that started
+// the login, so a state and id_token pair captured elsewhere cannot be posted
+// from someone else's browser. The launch is a cross-site POST from the LMS,
+// hence SameSite=None.
+const LTI_STATE_TTL_SECONDS = 10 * 60;
+const LTI_STATE_COOKIE_OPTIONS = { httpOnly: true, secure: true, sameSite: 'none', path: '/lti' };
+const usedLtiNonces = new Map();
+
+async function claimLtiNonce(nonce) {
+  const now = Date.now();
+  for (const [used, expiresAt] of usedLtiNonces) {
+    if (expiresAt <= now) usedLtiNonces.delete(used);
+  }
+  if (usedLtiNonces.has(nonce)) return false;
+  usedLtiNonces.set(nonce, now + LTI_STATE_TTL_SECONDS * 1000);
+  // Other instances hear of the nonce through its lease.
+  if (!sharedLiveState) return true;
+  return liveStateStore.acquireLease(`lti-nonce:${nonce}`, liveRooms.instanceId, LTI_STATE_TTL_SECONDS * 1000);
+}
+
+function sendLtiError(res, status, message) {
+  res.status(status).type('text/plain').send(message);
+}
+
+app.all('/lti/login', ltiLimiter, express.urlencoded({ extended: false, limit: '16kb' }), (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  const platform = findPlatform(LTI_PLATFORMS, params.iss, params.client_id);
+  if (!platform) return sendLtiError(res, 400, 'This LMS is not registered with Markdown Mash.');
+  if (!params.login_hint) return sendLtiError(res, 400, 'The LMS login request is missing its login_hint.');
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const state = jwt.sign(
+    { type: 'lti-state', nonce, issuer: platform.issuer, clientId: platform.clientId },
+    JWT_SECRET,
+    { expiresIn: LTI_STATE_TTL_SECONDS }
+  );
+  const stateCookie = stateCookieFor(nonce);
+  res.cookie(stateCookie.name, stateCookie.value, {
+    ...LTI_STATE_COOKIE_OPTIONS,
+    maxAge: LTI_STATE_TTL_SECONDS * 1000
+  });
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  res.redirect(302, buildLoginRedirect(platform, {
+    loginHint: params.login_hint,
+    ltiMessageHint: params.lti_message_hint,
+    redirectUri: `${baseUrl}/lti/launch`,
+    state,
+    nonce
+  }));
+});
+
+app.post('/lti/launch', ltiLimiter, express.urlencoded({ extended: false, limit: '64kb' }), async (req, res) => {
+  let state;
+  try {
+    state = jwt.verify(String(req.body.state || ''), JWT_SECRET);
+  } catch (error) {
+    state = null;
+  }
+  if (state?.type !== 'lti-state') {
+    return sendLtiError(res, 400, 'This launch has expired. Open the activity from your course again.');
+  }
+  if (!hasStateCookie(req.get('cookie'), state.nonce)) {
+    return sendLtiError(res, 400, 'This launch did not start in this browser. Open the activity from your course again.');
+  }
+  res.clearCookie(stateCookieFor(state.nonce).name, LTI_STATE_COOKIE_OPTIONS);
+
+  const platforms = LTI_PLATFORMS.filter(platform => (
+    platform.issuer === state.issuer && platform.clientId === state.clientId
+  ));
+  const verified = verifyLaunchToken(req.body.id_token, platforms, { nonce: state.nonce });
+  if (verified.error) return sendLtiError(res, 400, verified.error);
+  // The LMS course names the room's course unless the host already did, so
+  // course reports and rosters line up with the LMS.
+  const identity = launchIdentity(verified.platform, verified.claims);
+  let session = null;
+  try {
+    if (!await claimLtiNonce(state.nonce)) {
+      return sendLtiError(res, 400, 'This launch was already used. Open the activity from your course again.');
+    }
+    session = identity.sessionCode ? await launchableSession(identity.sessionCode) : null;
+  } catch (err) {
+    console.error('LTI launch lookup error:', err);
+    return sendLtiError(res, 500, 'Unable to open this room right now. Try again in a moment.');
+  }
+  if (session?.kind === 'persistent' && identity.courseName) {
+    try {
+      await session.repository.fillCourseName(identity.courseName);
+    } catch (err) {
+      console.error('LTI course name error:', err);
+    }
+  }
+
+  // Instructors run the room from the host studio under their own login.
+  if (identity.isInstructor) return res.redirect(303, '/admin.html');
+  if (!identity.sessionCode) {
+    return sendLtiError(res, 400, 'This LMS link does not name a room. Add the custom parameter session=ROOMCODE.');
+  }
+  if (!session || session.kind !== 'persistent') {
+    return sendLtiError(res, 404, 'This room is not open right now. Check with your instructor.');
+  }
+
+  const fragment = new URLSearchParams({
+    lti: createLtiJoinTicket(session, identity),
+    name: identity.name
+  });
+  res.redirect(303, `/play.html?session=${session.code}#${fragment}`);
+});
+
+// Platforms fetch the tool's public key here to check its grade passback
+// assertions.
+app.get('/lti/jwks', (req, res) => {
+  if (!LTI_PRIVATE_KEY) return res.status(404).json({ keys: [] });
+  res.json(publicKeySet(LTI_PRIVATE_KEY, LTI_KEY_ID));
+});
+
 // ============================================
 // ADMIN SETTINGS ENDPOINTS
 // ============================================
@@ -2078,6 +3320,216 @@ app.post('/api/admin/settings/email', authenticateToken, async (req, res) => {
   }
 });
 
+// Webhook subscriptions. The signing secret is returned once, when the
+// subscription is created; after that only its last characters are shown.
+function toWebhookSummary(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    active: row.active,
+    secretHint: `…${row.secret.slice(-4)}`,
+    lastStatus: row.last_status || null,
+    createdAt: row.created_at
+  };
+}
+
+function toWebhookDelivery(row) {
+  return {
+    id: String(row.id),
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+app.get('/api/admin/settings/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.listWebhookSubscriptions(req.admin.id);
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      limit: MAX_WEBHOOKS_PER_ACCOUNT,
+      webhooks: rows.map(toWebhookSummary)
+    });
+  } catch (err) {
+    console.error('List webhooks error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/settings/webhooks', authenticateToken, async (req, res) => {
+  const normalized = normalizeWebhookSubscription(req.body, { allowLocal: !isProduction });
+  if (normalized.error) {
+    return res.status(400).json({ success: false, error: normalized.error });
+  }
+
+  try {
+    const secret = createWebhookSecret();
+    const row = await db.createWebhookSubscription(
+      req.admin.id,
+      { url: normalized.url, events: normalized.events, secret },
+      MAX_WEBHOOKS_PER_ACCOUNT
+    );
+    if (!row) {
+      return res.status(409).json({
+        success: false,
+        error: `An account can have at most ${MAX_WEBHOOKS_PER_ACCOUNT} webhooks`
+      });
+    }
+    await db.logActivity(req.admin.id, 'webhook_created', { webhookId: row.id, url: row.url }, req.ip);
+    res.status(201).json({ success: true, webhook: toWebhookSummary(row), secret });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.patch('/api/admin/settings/webhooks/:id', authenticateToken, async (req, res) => {
+  const webhookId = parseLibraryId(req.params.id);
+  if (!webhookId || typeof req.body.active !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'Send active as true or false' });
+  }
+  try {
+    const row = await db.setWebhookSubscriptionActive(webhookId, req.admin.id, req.body.active);
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook: toWebhookSummary(row) });
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/settings/webhooks/:id', authenticateToken, async (req, res) => {
+  const webhookId = parseLibraryId(req.params.id);
+  try {
+    const deleted = webhookId ? await db.deleteWebhookSubscription(webhookId, req.admin.id) : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    await db.logActivity(req.admin.id, 'webhook_deleted', { webhookId }, req.ip);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Sends a test_event straight away and reports what the endpoint answered.
+// It is logged like any delivery but never retried.
+app.post('/api/admin/settings/webhooks/:id/test', authenticateToken, webhookTestLimiter, async (req, res) => {
+  const webhookId = parseLibraryId(req.params.id);
+  try {
+    const subscription = webhookId ? await db.getWebhookSubscription(webhookId, req.admin.id) : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const delivery = await webhookDispatcher.sendTest(subscription);
+    res.json({ success: true, delivery });
+  } catch (err) {
+    console.error('Test webhook error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.get('/api/admin/settings/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+  const webhookId = parseLibraryId(req.params.id);
+  try {
+    const subscription = webhookId ? await db.getWebhookSubscription(webhookId, req.admin.id) : null;
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    const rows = await db.listWebhookDeliveries(webhookId, req.admin.id);
+    res.json({ success: true, deliveries: rows.map(toWebhookDelivery) });
+  } catch (err) {
+    console.error('List webhook deliveries error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// API tokens. Like a webhook secret, the token itself is returned once;
+// only its digest is stored.
+function toApiTokenSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes,
+    tokenHint: `…${row.token_hint}`,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at
+  };
+}
+
+app.get('/api/admin/settings/api-tokens', authenticateToken, async (req, res) => {
+  try {
+    const rows = await db.listApiTokens(req.admin.id);
+    res.json({
+      success: true,
+      scopes: API_TOKEN_SCOPES,
+      limit: MAX_API_TOKENS_PER_ACCOUNT,
+      tokens: rows.map(toApiTokenSummary)
+    });
+  } catch (err) {
+    console.error('List API tokens error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/settings/api-tokens', authenticateToken, async (req, res) => {
+  const normalized = normalizeApiTokenRequest(req.body);
+  if (normalized.error) {
+    return res.status(400).json({ success: false, error: normalized.error });
+  }
+
+  try {
+    const token = createApiToken();
+    const row = await db.createApiToken(req.admin.id, {
+      name: normalized.name,
+      scopes: normalized.scopes,
+      tokenHash: hashOpaqueToken(token),
+      tokenHint: token.slice(-4)
+    }, MAX_API_TOKENS_PER_ACCOUNT);
+    if (!row) {
+      return res.status(409).json({
+        success: false,
+        error: `An account can have at most ${MAX_API_TOKENS_PER_ACCOUNT} API tokens`
+      });
+    }
+    await db.logActivity(req.admin.id, 'api_token_created', {
+      tokenId: row.id,
+      name: row.name,
+      scopes: row.scopes
+    }, req.ip);
+    res.status(201).json({ success: true, token: toApiTokenSummary(row), secret: token });
+  } catch (err) {
+    console.error('Create API token error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/settings/api-tokens/:id', authenticateToken, async (req, res) => {
+  const tokenId = parseLibraryId(req.params.id);
+  try {
+    const revoked = tokenId ? await db.revokeApiToken(tokenId, req.admin.id) : false;
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API token not found' });
+    }
+    await db.logActivity(req.admin.id, 'api_token_revoked', { tokenId }, req.ip);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke API token error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 // Password recovery - Step 1: Get security questions
 app.post('/api/admin/recovery/questions', recoveryQuestionsLimiter, async (req, res) => {
   try {
@@ -2167,18 +3619,17 @@ app.post(
 
   try {
     await session.repository.kickParticipant(participantId);
+    logSessionEvent(session, 'participant_kicked', { participantId, name: participant.name });
 
-    // Disconnect socket if connected
+    // Disconnect socket if connected, on whichever instance holds it
     if (participant.socketId) {
-      const participantSocket = io.sockets.sockets.get(participant.socketId);
-      if (participantSocket) {
-        participantSocket.emit('kicked', { message: 'You have been removed from this session.' });
-        participantSocket.leave(`session:${code}`);
-        participantSocket.disconnect(true);
-      }
+      io.to(participant.socketId).emit('kicked', { message: 'You have been removed from this session.' });
+      io.in(participant.socketId).socketsLeave(`session:${code}`);
+      io.in(participant.socketId).disconnectSockets(true);
     }
 
     // Remove from in-memory session
+    if (participant.lti) session.removedLtiUsers.push(participant.lti);
     delete session.participants[participantId];
 
     // Log activity
@@ -2219,16 +3670,15 @@ app.post(
     }
 
     await session.repository.kickParticipant(participantId);
+    logSessionEvent(session, 'participant_kicked', { participantId, name: participant.name });
     if (participant.socketId) {
-      const participantSocket = io.sockets.sockets.get(participant.socketId);
-      if (participantSocket) {
-        participantSocket.emit('kicked', {
-          message: 'You have been removed from this practice room.'
-        });
-        participantSocket.disconnect(true);
-      }
+      io.to(participant.socketId).emit('kicked', {
+        message: 'You have been removed from this practice room.'
+      });
+      io.in(participant.socketId).disconnectSockets(true);
     }
 
+    if (participant.lti) session.removedLtiUsers.push(participant.lti);
     delete session.participants[participantId];
     io.to(`admin:${code}`).emit('participant_kicked', {
       participantId,
@@ -2297,23 +3747,27 @@ app.post('/api/admin/session/:code/recover', authorizeAdminSession, async (req,
     const answers = await db.getAnswersBySession(dbSession.id);
 
     const normalized = normalizeStoredQuiz(quizData);
-    const pointsPer = pointsPerQuestion(normalized);
+    const recoveredPoints = [];
 
     // Recompute scores per participant from their DB answer rows
     for (const participant of participants) {
       const participantAnswers = answers.filter(a => a.participant_id === participant.id);
       let correctCount = 0;
+      let points = 0;
 
       for (const answer of participantAnswers) {
         const question = normalized.questions[answer.question_index];
         if (!question || !isScored(question)) continue;
-        if (question.correctIndices.includes(answer.answer_index)) {
+        const verdict = gradeAnswer(question, storedAnswer(answer));
+        if (verdict.isCorrect) {
           correctCount++;
         }
+        points += storedPoints(normalized, question, answer, verdict.credit);
       }
 
-      const finalScore = Math.round(correctCount * pointsPer);
+      const finalScore = Math.round(points);
       await db.updateParticipantScore(participant.id, finalScore, correctCount);
+      recoveredPoints.push({ team: participant.team, points });
     }
 
     // Mark session as ended in DB
@@ -2326,7 +3780,8 @@ app.post('/api/admin/session/:code/recover', authorizeAdminSession, async (req,
       success: true,
       message: `Session ${code} recovered successfully`,
       participantsRecovered: participants.length,
-      answersFound: answers.length
+      answersFound: answers.length,
+      teams: normalized.teams ? rankTeams(normalized.teams, recoveredPoints) : null
     });
   } catch (err) {
     console.error('Session recovery error:', err);
@@ -2399,11 +3854,219 @@ app.get('/api/admin/analytics/sessions', async (req, res) => {
       avgScorePercent: s.avg_score_percent == null ? null : s.avg_score_percent,
       courseName: s.course_name,
       isTest: s.is_test,
-      sessionType: s.session_type || 'quiz'
+      sessionType: s.session_type || 'quiz',
+      quizId: s.quiz_id || null,
+      quizVersion: s.quiz_version || null,
+      libraryTitle: s.library_title || null
     }))
   });
 });
 
+// Compare several runs of the same Mash: ?codes=ABC123,DEF456 names the
+// sessions, or ?quizId=7 takes the newest completed runs of a saved Mash.
+// Questions are matched by content, so reordered Mashes still line up.
+app.get('/api/admin/analytics/compare', async (req, res) => {
+  try {
+    let codes;
+    if (req.query.quizId !== undefined) {
+      const quizId = parseLibraryId(req.query.quizId);
+      const runs = quizId ? await db.listQuizRuns(quizId, ownerFilterFor(req.admin)) : [];
+      codes = runs
+        .filter(run => run.status === 'ended' && !run.is_test)
+        .map(run => run.code);
+    } else {
+      codes = String(req.query.codes || '')
+        .split(',')
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean);
+    }
+    codes = [...new Set(codes)];
+
+    if (codes.length < 2) {
+      return res.status(400).json({ success: false, error: 'Choose at least two completed quiz sessions to compare' });
+    }
+    if (codes.length > MAX_COMPARED_SESSIONS) {
+      if (req.query.quizId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: `Compare at most ${MAX_COMPARED_SESSIONS} sessions at a time`
+        });
+      }
+      codes = codes.slice(0, MAX_COMPARED_SESSIONS);
+    }
+
+    const summaries = [];
+    for (const code of codes) {
+      const session = await db.getSession(code);
+      if (!session || !canAdminAccessStoredSession(req.admin, session)) {
+        return res.status(404).json({ success: false, error: `Session ${code} not found` });
+      }
+      if (session.session_type === 'survey' || isSurveyPayload(session.quiz_data)) {
+        return res.status(400).json({ success: false, error: 'Surveys have no scores to compare' });
+      }
+      const [answers, participants] = await Promise.all([
+        db.getAnswersBySession(session.id),
+        db.getParticipantsBySession(session.id)
+      ]);
+      summaries.push(summarizeRun({
+        session,
+        quiz: normalizeStoredQuiz(session.quiz_data || {}),
+        answers,
+        participants
+      }));
+    }
+
+    const comparison = compareRuns(summaries);
+    res.json({
+      success: true,
+      ...comparison,
+      questions: comparison.questions.map(question => ({
+        ...question,
+        difficulty: question.averagePercent === null ? null : getDifficultyRating(question.averagePercent)
+      }))
+    });
+  } catch (err) {
+    console.error('Session comparison error:', err);
+    res.status(500).json({ success: false, error: 'Unable to compare sessions' });
+  }
+});
+
+// Course rosters and the per-student report. A roster is the class list of
+// one Mash group; students who pick their name from it on the join page are
+// followed across every completed quiz session of that group.
+app.get('/api/admin/courses/:course/roster', async (req, res) => {
+  const courseName = normalizeCourseName(req.params.course);
+  if (!courseName) {
+    return res.status(400).json({ success: false, error: 'Choose a Mash group' });
+  }
+  try {
+    const students = await db.listRosterStudents(ownerFilterFor(req.admin), courseName);
+    res.json({ success: true, courseName, students: students.map(toRosterStudent) });
+  } catch (err) {
+    console.error('List roster error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/admin/courses/:course/roster', async (req, res) => {
+  const courseName = normalizeCourseName(req.params.course);
+  if (!courseName) {
+    return res.status(400).json({ success: false, error: 'Choose a Mash group' });
+  }
+  if (typeof req.body.csv !== 'string') {
+    return res.status(400).json({ success: false, error: 'Roster CSV is required' });
+  }
+  const { students, duplicates, error } = parseRoster(req.body.csv);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const { added, updated } = await db.importRosterStudents(req.admin.id, courseName, students);
+    res.json({ success: true, courseName, added, updated, duplicates });
+  } catch (err) {
+    console.error('Import roster error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.delete('/api/admin/courses/:course/roster/:studentId', async (req, res) => {
+  const courseName = normalizeCourseName(req.params.course);
+  const studentId = parseLibraryId(req.params.studentId);
+  try {
+    const deleted = courseName && studentId
+      ? await db.deleteRosterStudent(studentId, ownerFilterFor(req.admin), courseName)
+      : false;
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Student not found' });
+    }
+    res.json({ success: true, message: 'Student removed from roster' });
+  } catch (err) {
+    console.error('Delete roster student error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+async function loadCourseReport(admin, courseName) {
+  const ownerId = ownerFilterFor(admin);
+  const [students, sessions] = await Promise.all([
+    db.listRosterStudents(ownerId, courseName),
+    db.listCourseReportSessions(ownerId, courseName, MAX_REPORT_SESSIONS)
+  ]);
+  const runs = [];
+  for (const session of sessions) {
+    const [answers, participants] = await Promise.all([
+      db.getAnswersBySession(session.id),
+      db.getParticipantsBySession(session.id)
+    ]);
+    runs.push({
+      session,
+      quiz: normalizeStoredQuiz(session.quiz_data || {}),
+      answers,
+      participants
+    });
+  }
+  return buildCourseReport({ courseName, students, sessions: runs });
+}
+
+app.get('/api/admin/courses/:course/report', async (req, res) => {
+  const courseName = normalizeCourseName(req.params.course);
+  if (!courseName) {
+    return res.status(400).json({ success: false, error: 'Choose a Mash group' });
+  }
+  try {
+    res.json({ success: true, ...await loadCourseReport(req.admin, courseName) });
+  } catch (err) {
+    console.error('Course report error:', err);
+    res.status(500).json({ success: false, error: 'Unable to build the course report' });
+  }
+});
+
+// One row per student; a score column per session, oldest first.
+app.get('/api/admin/courses/:course/report/export', async (req, res) => {
+  const courseName = normalizeCourseName(req.params.course);
+  if (!courseName) {
+    return res.status(400).json({ success: false, error: 'Choose a Mash group' });
+  }
+
+  let report;
+  try {
+    report = await loadCourseReport(req.admin, courseName);
+  } catch (err) {
+    console.error('Course report export error:', err);
+    return res.status(500).json({ success: false, error: 'Unable to build the course report' });
+  }
+
+  const csvRows = [[
+    'Student ID',
+    'Name',
+    'Sessions Attended',
+    'Attendance (%)',
+    'Average Score (%)',
+    'Trend (points)',
+    'Weakest Sections',
+    ...report.sessions.map(session => escapeCSV(`${session.code} ${session.title || ''}`.trim()))
+  ].join(',')];
+
+  for (const student of report.students) {
+    csvRows.push([
+      escapeCSV(student.studentKey),
+      escapeCSV(student.displayName),
+      student.attended,
+      student.attendancePercent ?? '',
+      student.averagePercent ?? '',
+      student.trend ?? '',
+      escapeCSV(student.weakestSections.map(section => `${section.title} (${section.percent}%)`).join('; ')),
+      ...student.scores.map(score => (score === null ? 'Absent' : score))
+    ].join(','));
+  }
+
+  const filename = courseName.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'course';
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-report.csv"`);
+  res.send(csvRows.join('\n'));
+});
+
 // Detailed session analytics
 app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req, res) => {
   const { code } = req.params;
@@ -2491,13 +4154,24 @@ app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req,
   }
   if (currentPid) streakMap[currentPid] = bestStreak;
 
-  // Graded answers answered per participant (for scored "X of N" totals).
+  // Graded answers answered per participant (for scored "X of N" totals),
+  // the weighted credit they earned, which partial credit splits and
+  // penalties reduce, and the points it was worth, which speed also varies.
   const gradedAnsweredByParticipant = {};
+  const earnedCreditByParticipant = {};
+  const earnedPointsByParticipant = {};
   for (const row of participantAnswers) {
     const quizQuestion = normalized.questions[row.question_index];
     if (!isScored(quizQuestion)) continue;
+    const verdict = gradeAnswer(quizQuestion, storedAnswer(row));
+    const { credit } = verdict;
     gradedAnsweredByParticipant[row.participant_id] =
       (gradedAnsweredByParticipant[row.participant_id] || 0) + 1;
+    earnedCreditByParticipant[row.participant_id] =
+      (earnedCreditByParticipant[row.participant_id] || 0) + weightedCredit(quizQuestion, verdict);
+    earnedPointsByParticipant[row.participant_id] =
+      (earnedPointsByParticipant[row.participant_id] || 0)
+      + storedPoints(normalized, quizQuestion, row, credit);
   }
 
   // Build question details with quiz data — every question stays in the raw list.
@@ -2510,9 +4184,13 @@ app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req,
       index: q.question_index,
       gradedNumber: quizQuestion ? quizQuestion.gradedNumber : null,
       type,
-      text: quizQuestion ? quizQuestion.text : `Question ${q.question_index + 1}`,
+      text: quizQuestion ? resolveAssetReferences(quizQuestion.text, session.code) : `Question ${q.question_index + 1}`,
       options: quizQuestion ? quizQuestion.options : [],
       correctIndices: quizQuestion ? quizQuestion.correctIndices : [],
+      format: quizQuestion ? quizQuestion.format : 'single',
+      correctAnswer: quizQuestion ? describeCorrectAnswer(quizQuestion) : '',
+      explanation: quizQuestion?.explanation ? resolveAssetReferences(quizQuestion.explanation, session.code) : null,
+      commonWrongEntries: commonWrongEntries(quizQuestion, participantAnswers),
       totalAnswers: q.total_answers,
       correctCount: q.correct_count,
       correctPercent: q.correct_percent || 0,
@@ -2520,10 +4198,8 @@ app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req,
       minResponseTimeMs: q.min_response_time_ms,
       maxResponseTimeMs: q.max_response_time_ms,
       difficulty: type === 'ungraded' ? null : getDifficultyRating(q.correct_percent || 0),
-      optionDistribution: distribution.map(d => ({
-        optionIndex: d.answer_index,
-        count: d.count
-      }))
+      optionDistribution: optionDistribution(quizQuestion, distribution),
+      positionHits: orderingPositionHits(quizQuestion, participantAnswers)
     };
   });
 
@@ -2532,6 +4208,13 @@ app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req,
     .filter(q => q.type === 'graded')
     .sort((a, b) => a.correctPercent - b.correctPercent);
 
+  const teamStandings = normalized.teams
+    ? rankTeams(normalized.teams, participantPerformance.map(p => ({
+        team: p.team,
+        points: earnedPointsByParticipant[p.id] || 0
+      })))
+    : null;
+
   res.json({
     success: true,
     session: {
@@ -2539,19 +4222,29 @@ app.get('/api/admin/analytics/session/:code', authorizeAdminSession, async (req,
       quizTitle: session.quiz_title,
       status: session.status,
       totalQuestions: totalGraded,
+      totalWeight: totalWeight(normalized),
       totalScore: session.total_score,
       passingPercent: session.passing_percent ?? normalized.passingPercent ?? 70,
+      scoringMode: normalized.scoringMode,
+      teamScoring: normalized.teams ? normalized.teams.scoring : null,
+      delivery: session.delivery || 'live',
+      opensAt: session.opens_at || null,
+      closesAt: session.closes_at || null,
       createdAt: session.created_at,
       startedAt: session.started_at,
       endedAt: session.ended_at
     },
     questions,
     questionsByDifficulty,
+    teams: teamStandings,
     participants: participantPerformance.map(p => ({
       id: p.id,
       name: p.name,
+      team: p.team || null,
       score: p.score,
       correctCount: p.correct_count,
+      earnedCredit: earnedCreditByParticipant[p.id] || 0,
+      earnedPoints: earnedPointsByParticipant[p.id] || 0,
       avgResponseTimeMs: p.avg_response_time_ms,
       questionsAnswered: gradedAnsweredByParticipant[p.id] || 0,
       totalQuestions: totalGraded,
@@ -2574,6 +4267,7 @@ app.get(
 
   const questionAnalytics = await db.getQuestionAnalytics(session.id);
   const answerDistribution = await db.getAnswerDistribution(session.id);
+  const answerRows = await db.getAnswersBySession(session.id);
   const normalized = normalizeStoredQuiz(session.quiz_data || {});
 
   const questions = questionAnalytics.map(q => {
@@ -2585,24 +4279,19 @@ app.get(
       index: q.question_index,
       gradedNumber: quizQuestion ? quizQuestion.gradedNumber : null,
       type,
-      text: quizQuestion ? quizQuestion.text : `Question ${q.question_index + 1}`,
+      text: quizQuestion ? resolveAssetReferences(quizQuestion.text, session.code) : `Question ${q.question_index + 1}`,
       options: quizQuestion ? quizQuestion.options : [],
       correctIndices: quizQuestion ? quizQuestion.correctIndices : [],
+      format: quizQuestion ? quizQuestion.format : 'single',
+      correctAnswer: quizQuestion ? describeCorrectAnswer(quizQuestion) : '',
+      commonWrongEntries: commonWrongEntries(quizQuestion, answerRows),
       totalAnswers: q.total_answers,
       correctCount: q.correct_count,
       correctPercent: q.correct_percent || 0,
       avgResponseTimeMs: q.avg_response_time_ms,
       difficulty: type === 'ungraded' ? null : getDifficultyRating(q.correct_percent || 0),
-      optionBreakdown: (quizQuestion ? quizQuestion.options : []).map((opt, idx) => {
-        const dist = distribution.find(d => d.answer_index === idx);
-        const count = dist ? dist.count : 0;
-        return {
-          option: opt,
-          count,
-          percent: q.total_answers > 0 ? Math.round(count * 100 / q.total_answers) : 0,
-          isCorrect: quizQuestion ? quizQuestion.correctIndices.includes(idx) : false
-        };
-      })
+      optionBreakdown: optionBreakdown(quizQuestion, distribution, q.total_answers),
+      positionHits: orderingPositionHits(quizQuestion, answerRows)
     };
   });
 
@@ -2655,14 +4344,19 @@ app.get(
   } else {
     const answers = await db.getAnswersForExport(session.id);
     const quizData = normalizeStoredQuiz(session.quiz_data || {});
+    // Team-mode Mashes add a Team column after the name.
+    const withTeams = Boolean(quizData.teams);
     csvRows.push([
       'Participant Name',
+      ...(withTeams ? ['Team'] : []),
       'Question Number',
       'Question Type',
       'Question Text',
       'Selected Answer',
       'Correct Answer(s)',
+      'Explanation',
       'Is Correct',
+      'Points',
       'Response Time (ms)',
       'Answered At'
     ].join(','));
@@ -2671,25 +4365,25 @@ app.get(
       const question = quizData.questions[answer.question_index];
       if (!question) continue;
 
-      const selectedOption = answer.answer_index !== null && question.options[answer.answer_index]
-        ? question.options[answer.answer_index]
-        : 'No answer';
-      const correctOptions = question.correctIndices
-        .map(i => question.options[i])
-        .filter(Boolean)
-        .join('; ');
+      const selectedOption = describeAnswer(question, storedAnswer(answer)) || 'No answer';
+      const correctOptions = describeCorrectAnswer(question);
       const questionNumber = isScored(question) && question.gradedNumber != null
         ? question.gradedNumber
         : '';
+      const { credit } = gradeAnswer(question, storedAnswer(answer));
+      const points = storedPoints(quizData, question, answer, credit);
 
       csvRows.push([
         escapeCSV(answer.participant_name),
+        ...(withTeams ? [escapeCSV(answer.participant_team || '')] : []),
         questionNumber,
         escapeCSV(question.type || 'graded'),
         escapeCSV(question.text),
         escapeCSV(selectedOption),
         escapeCSV(correctOptions),
+        escapeCSV(question.explanation || ''),
         answer.is_correct ? 'Yes' : 'No',
+        Math.round(points * 100) / 100,
         answer.response_time_ms || '',
         answer.answered_at || ''
       ].join(','));
@@ -2703,6 +4397,66 @@ app.get(
   res.send(csvContent);
 });
 
+// LMS exports beside the results CSV: the quiz itself as a QTI 2.1 package or
+// Moodle XML, and the scores as a gradebook CSV laid out for Canvas or
+// Blackboard, or with the host's own columns
+// (?format=generic&columns=name,studentId,percent&grade=percent).
+app.get(
+  '/api/admin/analytics/session/:code/export/:kind',
+  authorizeAdminSession,
+  async (req, res) => {
+  const { code, kind } = req.params;
+  const session = req.storedSession || await db.getSession(code);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  if (session.session_type === 'survey' || isSurveyPayload(session.quiz_data)) {
+    return res.status(400).json({ success: false, error: 'Surveys have no answer key or grades to export' });
+  }
+
+  const quiz = normalizeStoredQuiz(session.quiz_data || {});
+  const baseUrl = APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  try {
+    if (kind === 'qti') {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${session.code}-qti.zip"`);
+      return res.send(toQtiPackage(resolveQuizAssets(quiz, session.code), { baseUrl }));
+    }
+
+    if (kind === 'moodle') {
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${session.code}-moodle.xml"`);
+      return res.send(toMoodleXml(resolveQuizAssets(quiz, session.code), { baseUrl }));
+    }
+
+    if (kind === 'gradebook') {
+      const options = normalizeGradebookOptions(req.query);
+      if (options.error) {
+        return res.status(400).json({ success: false, error: options.error });
+      }
+      const [participants, answers, students] = await Promise.all([
+        db.getParticipantsBySession(session.id),
+        db.getAnswersBySession(session.id),
+        db.listSessionRosterStudents(session.id)
+      ]);
+      const csvContent = toGradebookCsv(buildGradebookRows({ quiz, participants, answers, students }), {
+        ...options,
+        assignmentTitle: `${session.quiz_title || quiz.title || 'Quiz'} (${session.code})`,
+        totalScore: quiz.totalScore
+      });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${session.code}-gradebook-${options.format}.csv"`);
+      return res.send(csvContent);
+    }
+  } catch (err) {
+    console.error('LMS export error:', err);
+    return res.status(500).json({ success: false, error: 'Unable to export this session' });
+  }
+
+  res.status(404).json({ success: false, error: 'Export format must be qti, moodle or gradebook' });
+});
+
 // ============================================
 // SOCKET.IO EVENTS
 // ============================================
@@ -2799,10 +4553,7 @@ function sendLiveSessionSnapshot(socket, session, sessionCode, audience = 'admin
   // until then) and this function has no isRunning gate. Deleting this guard
   // crashes on the next line for any admin or presenter who connects early.
   if (!question) return;
-  const timeRemaining = Math.max(
-    0,
-    Math.ceil((session.quizState.questionEndTime - Date.now()) / 1000)
-  );
+  const timeRemaining = Math.ceil(questionMsLeft(session.quizState) / 1000);
 
   if (session.quizState.showingResults && session.lastQuestionPresentation) {
     if (isSurveySession(session)) {
@@ -2823,6 +4574,8 @@ function sendLiveSessionSnapshot(socket, session, sessionCode, audience = 'admin
       question,
       questionNumber: question.gradedNumber,
       correctIndices: question.correctIndices,
+      correctAnswer: describeCorrectAnswer(question),
+      explanation: question.explanation || null,
       stats: calculateStats(session, question.id),
       presentation: session.lastQuestionPresentation,
       autopilotNextInMs: pendingAutopilotMs(session)
@@ -2831,19 +4584,89 @@ function sendLiveSessionSnapshot(socket, session, sessionCode, audience = 'admin
     const survey = isSurveySession(session);
     socket.emit('question_started', {
       question: audience === 'presenter'
-        ? getQuestionForParticipants(question)
+        ? getQuestionForParticipants(question, displayOrderFor(session, question))
         : question,
       timeRemaining,
+      paused: isQuestionPaused(session.quizState),
       questionNumber: survey ? (question.displayNumber ?? question.index + 1) : question.gradedNumber,
       totalQuestions: survey ? surveyQuestionCount(session.quiz) : gradedCount(session.quiz),
+      worth: questionWorth(session, question),
       mode: survey ? 'survey' : 'quiz'
     });
   }
 }
 
+// The session code a room event names, either as its only argument or as
+// the sessionCode of its payload.
+function roomCodeOf(args) {
+  const [first] = args;
+  if (typeof first === 'string') return first;
+  return typeof first?.sessionCode === 'string' ? first.sessionCode : null;
+}
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
+  // Events for a room another instance runs are passed to that instance, in
+  // the order they arrived; it answers through the adapter as if the socket
+  // were its own.
+  const forwardedTo = new Set();
+  let routing = Promise.resolve();
+  socket.use(([event, ...args], next) => {
+    routing = routing.then(async () => {
+      const code = roomCodeOf(args);
+      const owner = code && !activeSessions.has(code) ? await liveRooms.remoteOwnerOf(code) : null;
+      if (!owner) return next();
+      forwardedTo.add(owner.instanceId);
+      // The login token stays here; socket.data carries what it proved.
+      const { token, ...auth } = socket.handshake.auth || {};
+      await liveRooms.send(owner.instanceId, {
+        type: 'socket_event',
+        socket: { id: socket.id, data: socket.data, auth },
+        event,
+        args
+      });
+    }).catch(error => {
+      console.error(`Routing ${event} failed:`, error.message);
+    });
+  });
+  socket.on('disconnect', () => {
+    for (const instanceId of forwardedTo) {
+      liveRooms.send(instanceId, { type: 'socket_closed', socketId: socket.id }).catch(error => {
+        console.error('Live room notice failed:', error.message);
+      });
+    }
+  });
+
+  attachRoomHandlers(socket);
+});
+
+// Stand-ins for sockets connected to other instances, keyed by socket id,
+// for the rooms this instance runs.
+const remoteSockets = new Map();
+
+liveRooms.onMessage(message => {
+  if (message.type === 'socket_event') {
+    let proxy = remoteSockets.get(message.socket.id);
+    if (!proxy) {
+      proxy = createRemoteSocket(io, { ...message.socket, origin: message.from });
+      attachRoomHandlers(proxy);
+      remoteSockets.set(proxy.id, proxy);
+    }
+    proxy.data = message.socket.data;
+    Promise.resolve(proxy.dispatch(message.event, message.args)).catch(error => {
+      console.error(`Remote ${message.event} failed:`, error);
+    });
+  } else if (message.type === 'socket_closed') {
+    const proxy = remoteSockets.get(message.socketId);
+    remoteSockets.delete(message.socketId);
+    proxy?.dispatch('disconnect', []);
+  }
+});
+
+// The room handlers, attached to each local socket and to each stand-in for
+// a socket on another instance.
+function attachRoomHandlers(socket) {
   // Admin joins a session's admin room
   socket.on('admin_join', (sessionCode) => {
     if (sessionCode && socketCanControl(socket, sessionCode)) {
@@ -2856,11 +4679,15 @@ io.on('connection', (socket) => {
         participants: Object.values(session.participants).map(participant => ({
           id: participant.id,
           name: participant.name,
-          avatarId: participant.avatarId
+          avatarId: participant.avatarId,
+          team: participant.team || null
         })),
         count: Object.keys(session.participants).length
       });
       sendLiveSessionSnapshot(socket, session, sessionCode);
+      if (isSelfPacedSession(session)) {
+        socket.emit('assignment_progress', assignmentDashboardFor(session));
+      }
     } else {
       rejectSocketControl(socket);
     }
@@ -2873,6 +4700,7 @@ io.on('connection', (socket) => {
     }
 
     session.sidekicksEnabled = enabled !== false;
+    saveLiveState(session);
     const update = { enabled: session.sidekicksEnabled };
     io.to(`session:${sessionCode}`).emit('sidekicks_setting_changed', update);
     io.to(`admin:${sessionCode}`).emit('sidekicks_setting_changed', update);
@@ -2901,11 +4729,13 @@ io.on('connection', (socket) => {
         : null;
       scheduleAutopilot(sessionCode, liveQuestion ? liveQuestion.id : undefined);
     }
+    saveLiveState(session);
 
     const update = {
       enabled: session.quizState.autopilot,
       pauseSeconds: session.quizState.autopilotPauseSeconds
     };
+    logSessionEvent(session, 'autopilot_changed', update);
     io.to(`admin:${sessionCode}`).emit('autopilot_changed', update);
     io.to(`presenter:${sessionCode}`).emit('autopilot_changed', update);
   });
@@ -2978,6 +4808,10 @@ io.on('connection', (socket) => {
     socket.join(`session:${sessionCode}`);
     socket.participantId = participantId;
     socket.sessionCode = sessionCode;
+    // The first socket follows the join itself; any later one is a reconnect.
+    if (participant.socketId !== null && participant.socketId !== socket.id) {
+      logSessionEvent(session, 'participant_rejoined', { participantId, name: participant.name });
+    }
     participant.socketId = socket.id;
 
     // Update socket ID in database
@@ -2986,6 +4820,7 @@ io.on('connection', (socket) => {
       participantId,
       sessionCode,
       avatarId: participant.avatarId,
+      ...teamStandingOf(null, participant),
       canShuffleAvatar: getShuffleAvailability(session, participant).allowed
     });
     socket.emit('sidekicks_setting_changed', {
@@ -2999,6 +4834,12 @@ io.on('connection', (socket) => {
       Object.keys(session.participants).length
     );
 
+    // A self-paced participant picks up wherever their own progress stands.
+    if (isSelfPacedSession(session)) {
+      sendSelfPacedState(session, participant);
+      return;
+    }
+
     // Restore the participant's personal finale after a refresh.
     if (session.finale) {
       if (isSurveySession(session)) {
@@ -3014,9 +4855,7 @@ io.on('connection', (socket) => {
       const standing = session.finale.leaderboard
         ?.find(entry => entry.id === participant.id);
       const totalGraded = gradedCount(session.quiz);
-      const percentage = totalGraded === 0
-        ? 0
-        : Math.round(((participant.correctCount || 0) / totalGraded) * 100);
+      const percentage = scorePercent(session.quiz, earnedCreditOf(participant));
       socket.emit('quiz_ended', {
         finalScore: standing?.score || 0,
         totalScore: session.quiz.totalScore,
@@ -3026,11 +4865,13 @@ io.on('connection', (socket) => {
         funCorrectCount: participant.funCorrectCount || 0,
         funTotal: participant.funTotal || 0,
         percentage,
-        passed: totalGraded > 0 && percentage >= session.quiz.passingPercent,
+        passed: totalWeight(session.quiz) > 0 && percentage >= session.quiz.passingPercent,
         passingPercent: session.quiz.passingPercent,
         rank: standing?.rank || null,
         participantCount: session.finale.leaderboard?.length || 0,
-        bestStreak: participant.bestStreak || 0
+        bestStreak: participant.bestStreak || 0,
+        ...teamStandingOf(session.finale.teamLeaderboard, participant),
+        review: reviewOfferFor(session)
       });
       return;
     }
@@ -3052,7 +4893,7 @@ io.on('connection', (socket) => {
       // Reached only if currentStepIndex is out of range; a section step is
       // handled by the branch above.
       if (!question) return;
-      const timeRemaining = Math.max(0, Math.ceil((session.quizState.questionEndTime - Date.now()) / 1000));
+      const timeRemaining = Math.ceil(questionMsLeft(session.quizState) / 1000);
 
       if (session.quizState.showingResults) {
         if (isSurveySession(session)) {
@@ -3070,18 +4911,20 @@ io.on('connection', (socket) => {
           });
           return;
         }
-        const pointsPer = pointsPerQuestion(session.quiz);
         const standing = session.lastQuestionPresentation?.leaderboard
           ?.find(entry => entry.id === participant.id);
-        socket.emit('question_ended', {
+        socket.emit('question_ended', inParticipantOrder(session, question, participant, {
           questionId: question.id,
           question: getQuestionForParticipants(question),
           correctIndices: question.correctIndices,
+          correctAnswer: describeCorrectAnswer(question),
+          explanation: question.explanation || null,
           stats: calculateStats(session, question.id),
           participantResults: {
             [participant.id]: {
               yourAnswer: participant.answers[question.id],
-              currentScore: Math.round((participant.correctCount || 0) * pointsPer),
+              ...gradeAnswer(question, participant.answers[question.id]),
+              currentScore: scoreOf(session, participant),
               correctCount: participant.correctCount || 0,
               currentStreak: participant.currentStreak || 0,
               bestStreak: participant.bestStreak || 0,
@@ -3097,14 +4940,16 @@ io.on('connection', (socket) => {
           questionsAnswered: question.gradedNumber,
           totalQuestions: gradedCount(session.quiz),
           autopilotNextInMs: pendingAutopilotMs(session)
-        });
+        }));
       } else if (timeRemaining > 0) {
         const survey = isSurveySession(session);
         socket.emit('question_started', {
-          question: getQuestionForParticipants(question),
+          question: getQuestionForParticipants(question, displayOrderFor(session, question, participant)),
           timeRemaining,
+          paused: isQuestionPaused(session.quizState),
           questionNumber: survey ? (question.displayNumber ?? question.index + 1) : question.gradedNumber,
           totalQuestions: survey ? surveyQuestionCount(session.quiz) : gradedCount(session.quiz),
+          worth: questionWorth(session, question),
           mode: survey ? 'survey' : 'quiz'
         });
       }
@@ -3118,13 +4963,17 @@ io.on('connection', (socket) => {
     if (!socketCanControl(socket, sessionCode)) {
       return rejectSocketControl(socket);
     }
+    // Self-paced sessions open on their schedule, not from the host's button.
+    if (isSelfPacedSession(session)) return;
 
     clearAutopilotTimer(session);
 
     session.quizState.isRunning = true;
     session.quizState.currentStepIndex = -1;
     session.quizState.showingResults = false;
+    session.quizState.closedQuestions = [];
     session.rankSnapshot = {};
+    session.teamRankSnapshot = {};
     session.lastQuestionPresentation = null;
     session.finale = null;
     session.surveyCounts = Object.create(null);
@@ -3137,6 +4986,9 @@ io.on('connection', (socket) => {
       p.answers = {};
       p.score = 0;
       p.correctCount = 0;
+      p.earnedCredit = 0;
+      p.points = 0;
+      p.questionPoints = {};
       p.currentStreak = 0;
       p.bestStreak = 0;
       p.responseTimes = {};
@@ -3163,8 +5015,11 @@ io.on('connection', (socket) => {
       totalQuestions: startedTotal,
       mode: startedMode
     });
+    notifyWebhooks(session, 'quiz_started', { totalQuestions: startedTotal });
+    logSessionEvent(session, 'quiz_started', { totalQuestions: startedTotal });
 
     scheduleAutopilot(sessionCode);
+    saveLiveState(session);
   });
 
   // Admin advances to next question
@@ -3174,6 +5029,7 @@ io.on('connection', (socket) => {
     if (!socketCanControl(socket, sessionCode)) {
       return rejectSocketControl(socket);
     }
+    if (isSelfPacedSession(session)) return;
 
     clearAutopilotTimer(session);
     await advanceToNextStep(sessionCode);
@@ -3185,13 +5041,66 @@ io.on('connection', (socket) => {
       return rejectSocketControl(socket);
     }
     const session = activeSessions.get(sessionCode);
+    if (isSelfPacedSession(session)) return;
     clearAutopilotTimer(session);
     endCurrentQuestion(sessionCode);
   });
 
+  // Admin pauses or resumes the open question's clock
+  socket.on('pause_question', (sessionCode) => {
+    if (!socketCanControl(socket, sessionCode)) {
+      return rejectSocketControl(socket);
+    }
+    const session = activeSessions.get(sessionCode);
+    if (!session || isSelfPacedSession(session)) return;
+    pauseCurrentQuestion(sessionCode, session);
+  });
+
+  socket.on('resume_question', (sessionCode) => {
+    if (!socketCanControl(socket, sessionCode)) {
+      return rejectSocketControl(socket);
+    }
+    const session = activeSessions.get(sessionCode);
+    if (!session || isSelfPacedSession(session)) return;
+    resumeCurrentQuestion(sessionCode, session);
+  });
+
+  // Admin adds time to the open question
+  socket.on('extend_question', ({ sessionCode, seconds } = {}) => {
+    if (!socketCanControl(socket, sessionCode)) {
+      return rejectSocketControl(socket);
+    }
+    const session = activeSessions.get(sessionCode);
+    if (!session || isSelfPacedSession(session)) return;
+    extendCurrentQuestion(sessionCode, session, seconds);
+  });
+
+  // Admin goes back one step
+  socket.on('previous_step', async (sessionCode) => {
+    if (!socketCanControl(socket, sessionCode)) {
+      return rejectSocketControl(socket);
+    }
+    const session = activeSessions.get(sessionCode);
+    if (!session || isSelfPacedSession(session)) return;
+    if (session.quizState.isRunning && session.quizState.currentStepIndex < 1) {
+      return socket.emit('control_error', { message: 'This is already the first step.' });
+    }
+    await stepBack(sessionCode, session);
+  });
+
+  // Admin runs the question on screen again
+  socket.on('rerun_question', async ({ sessionCode, keepAnswers } = {}) => {
+    if (!socketCanControl(socket, sessionCode)) {
+      return rejectSocketControl(socket);
+    }
+    const session = activeSessions.get(sessionCode);
+    if (!session || isSelfPacedSession(session)) return;
+    await rerunCurrentQuestion(sessionCode, session, keepAnswers === true);
+  });
+
   // Participant submits answer (session-aware fix for the bug)
   socket.on('submit_answer', async (data) => {
-    const { participantId, sessionCode, questionId, answerIndex } = data;
+    const { participantId, sessionCode, questionId } = data;
 
     const session = activeSessions.get(sessionCode);
     if (!session) {
@@ -3211,36 +5120,73 @@ io.on('connection', (socket) => {
       return socket.emit('session_invalid', { message: 'Participant session mismatch' });
     }
 
-    if (!session.quizState.isRunning) return;
-    if (session.quizState.showingResults) return;
+    // A self-paced participant answers their own open question; everyone
+    // else answers the room's.
+    const selfPaced = isSelfPacedSession(session);
+    if (selfPaced) {
+      if (!isQuestionOpen(session.quiz, participant.progress, questionId)) return;
+    } else {
+      if (!session.quizState.isRunning) return;
+      if (session.quizState.showingResults) return;
+    }
 
     const question = session.quiz.questions.find(q => q.id === questionId);
     if (!question) return;
-    if (!Number.isInteger(answerIndex)
-      || answerIndex < 0
-      || answerIndex >= question.options.length) {
-      socket.emit('answer_rejected', {
-        questionId,
-        message: 'Invalid answer selection'
-      });
+    // Single-select clients send answerIndex, multi-select clients send the
+    // picked indices as answerIndices, and typed answers arrive as answerText.
+    // Ordering clients send answerOrder: display slots, top to bottom, which
+    // are mapped back to option indices through this session's scramble.
+    // Under # Shuffle: options, picks are display slots too and are mapped
+    // back through the participant's own order before grading or storage.
+    let submitted = data.answerIndex;
+    if (data.answerIndices !== undefined) submitted = data.answerIndices;
+    if (data.answerText !== undefined) submitted = data.answerText;
+    if (data.answerOrder !== undefined) submitted = data.answerOrder;
+    let answer = normalizeSubmission(question, submitted);
+    if (answer !== null && isOrdering(question)) {
+      answer = fromDisplayOrder(answer, displayOrderFor(session, question));
+    } else if (answer !== null) {
+      answer = toCanonicalChoice(answer, displayOrderFor(session, question, participant));
+    }
+    if (answer === null) {
+      let message = 'Invalid answer selection';
+      if (question.format === 'numeric') message = 'Enter a number, like 42 or 3.5';
+      if (question.format === 'text') message = `Enter an answer of up to ${MAX_TEXT_ANSWER_LENGTH} characters`;
+      if (question.format === 'order') message = 'Place every item before locking in';
+      socket.emit('answer_rejected', { questionId, message });
       return;
     }
 
     // Check if already answered
-    if (participant.answers[questionId] !== undefined) return;
+    if (hasAnsweredThisRun(session.quizState, participant, questionId)) return;
+    // A survey response kept from an earlier run stands: nothing ties it
+    // to its participant, so it cannot be replaced.
+    if (participant.surveyAnsweredQuestions?.[question.index]) {
+      socket.emit('answer_rejected', { questionId, alreadyCounted: true, message: 'Your earlier response is already counted.' });
+      return;
+    }
+
+    // questionEndTime stands still while paused, so a long pause would
+    // otherwise read as time running out.
+    if (!selfPaced && isQuestionPaused(session.quizState)) {
+      socket.emit('answer_rejected', { questionId, paused: true, message: 'The question is paused. Answer once it resumes.' });
+      return;
+    }
 
     // Check if time expired
-    if (Date.now() > session.quizState.questionEndTime) return;
+    if (!selfPaced && Date.now() > session.quizState.questionEndTime) return;
 
-    participant.answers[questionId] = answerIndex;
+    participant.answers[questionId] = answer;
+    noteRerunAnswer(session.quizState, participant, questionId);
 
     // Calculate response time
-    const responseTimeMs = session.questionStartTime ? Date.now() - session.questionStartTime : null;
+    const questionStartTime = selfPaced ? participant.progress.questionStartedAt : session.questionStartTime;
+    const responseTimeMs = questionStartTime ? Date.now() - questionStartTime : null;
     participant.responseTimes = participant.responseTimes || {};
     participant.responseTimes[questionId] = responseTimeMs;
 
     const answeredCount = Object.values(session.participants)
-      .filter(p => p.answers[questionId] !== undefined).length;
+      .filter(p => hasAnsweredThisRun(session.quizState, p, questionId)).length;
     const totalParticipants = Object.keys(session.participants).length;
 
     if (isSurveySession(session)) {
@@ -3258,17 +5204,31 @@ io.on('connection', (socket) => {
         totalParticipants,
         mode: 'survey'
       });
-      socket.emit('answer_confirmed', { questionId, answerIndex, mode: 'survey' });
+      socket.emit('answer_confirmed', { questionId, answerIndex: answer, mode: 'survey' });
     } else {
-      const isCorrect = question.correctIndices.includes(answerIndex);
+      const verdict = gradeAnswer(question, answer);
+      const points = answerPoints(session.quiz, question, verdict, responseTimeMs);
+      participant.questionPoints = participant.questionPoints || {};
+      participant.questionPoints[questionId] = points;
+      const { answerIndex, answerValue } = toStoredColumns(question, answer);
       await session.repository.recordAnswer(
         participantId,
         question.index,
         answerIndex,
-        isCorrect,
-        responseTimeMs
+        verdict.isCorrect,
+        responseTimeMs,
+        answerValue,
+        points
       );
 
+      // Nobody else is on a self-paced participant's question, so it closes
+      // as soon as they answer.
+      if (selfPaced) {
+        socket.emit('answer_confirmed', { questionId, answerIndex: answer });
+        closeSelfPacedQuestion(sessionCode, session, participant);
+        return;
+      }
+
       io.to(`admin:${sessionCode}`).emit('answer_received', {
         participantId,
         participantName: participant.name,
@@ -3281,7 +5241,7 @@ io.on('connection', (socket) => {
         answeredCount,
         totalParticipants
       });
-      socket.emit('answer_confirmed', { questionId, answerIndex });
+      socket.emit('answer_confirmed', { questionId, answerIndex: answer });
     }
 
     // Guarded per-question: two participants can both resolve their DB await
@@ -3299,7 +5259,19 @@ io.on('connection', (socket) => {
       io.to(`admin:${sessionCode}`).emit('all_answered', { questionId, closingInMs });
       io.to(`presenter:${sessionCode}`).emit('all_answered', { questionId, closingInMs });
       scheduleAutopilot(sessionCode, questionId);
+      saveLiveState(session);
+    }
+  });
+
+  // A self-paced participant moves on from their current step.
+  socket.on('self_paced_next', async ({ participantId, sessionCode } = {}) => {
+    const session = activeSessions.get(sessionCode);
+    const participant = session?.participants[participantId];
+    if (!participant || !isSelfPacedSession(session)) return;
+    if (socket.participantId !== participantId || socket.sessionCode !== sessionCode) {
+      return socket.emit('session_invalid', { message: 'Participant session mismatch' });
     }
+    await advanceSelfPaced(sessionCode, session, participant);
   });
 
   // Admin ends session
@@ -3309,9 +5281,14 @@ io.on('connection', (socket) => {
     if (!socketCanControl(socket, sessionCode)) {
       return rejectSocketControl(socket);
     }
+    if (isSelfPacedSession(session)) {
+      await closeAssignment(sessionCode, session);
+      return;
+    }
 
     // Update database status
     await session.repository.updateStatus('ended');
+    logSessionEvent(session, 'session_ended', { by: 'host' });
 
     // Save final participant scores
     for (const participant of Object.values(session.participants)) {
@@ -3321,10 +5298,16 @@ io.on('connection', (socket) => {
         participant.correctCount || 0
       );
     }
+    // Ended before the finale: the LMS and webhooks get the scores as they stand.
+    if (!session.finale) {
+      postLtiScores(session);
+      notifyWebhooks(session, 'quiz_ended', { endedEarly: true, ...webhookResults(session) });
+    }
 
     // Notify all clients
     io.to(`session:${sessionCode}`).emit('session_ended', {
-      message: 'This session has ended. Thank you for participating!'
+      message: 'This session has ended. Thank you for participating!',
+      review: reviewOfferFor(session)
     });
 
     io.to(`admin:${sessionCode}`).emit('session_ended', {
@@ -3337,13 +5320,18 @@ io.on('connection', (socket) => {
 
     // Remove from active sessions
     clearAutopilotTimer(session);
-    activeSessions.delete(sessionCode);
+    forgetLiveRoom(sessionCode);
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
+    const session = socket.participantId ? activeSessions.get(socket.sessionCode) : null;
+    const participant = session?.participants[socket.participantId];
+    if (participant && participant.socketId === socket.id) {
+      logSessionEvent(session, 'participant_left', { participantId: participant.id, name: participant.name });
+    }
   });
-});
+}
 
 function clearAutopilotTimer(session) {
   if (!session) return;
@@ -3363,8 +5351,9 @@ function pendingAutopilotMs(session) {
   return Math.max(0, resumeAt - Date.now());
 }
 
-// Schedules at most one pending autopilot action per session.
-function scheduleAutopilot(sessionCode, questionId) {
+// Schedules at most one pending autopilot action per session. A resumed
+// room passes the time its pending action was due.
+function scheduleAutopilot(sessionCode, questionId, { resumeAt = null } = {}) {
   const session = activeSessions.get(sessionCode);
   if (!session) return;
 
@@ -3378,8 +5367,9 @@ function scheduleAutopilot(sessionCode, questionId) {
   // Captured so a timer that survives a state change cannot fire into the
   // wrong question — the same guard the time-expiry timer uses.
   const expectedIndex = session.quizState.currentStepIndex;
+  const delayMs = resumeAt === null ? next.delayMs : Math.max(0, resumeAt - Date.now());
 
-  session.quizState.autopilotResumeAt = Date.now() + next.delayMs;
+  session.quizState.autopilotResumeAt = Date.now() + delayMs;
   session.autopilotTimer = setTimeout(() => {
     const live = activeSessions.get(sessionCode);
     if (!live) return;
@@ -3402,7 +5392,7 @@ function scheduleAutopilot(sessionCode, questionId) {
     advanceToNextStep(sessionCode).catch(err => {
       console.error('[AUTOPILOT] advance failed:', err);
     });
-  }, next.delayMs);
+  }, delayMs);
 }
 
 // Advances the room to the next step — question or section — or ends the
@@ -3415,6 +5405,9 @@ async function advanceToNextStep(sessionCode) {
   session.quizState.currentStepIndex++;
   session.quizState.showingResults = false;
   session.quizState.allAnsweredEmittedFor = null;
+  session.quizState.pausedAt = null;
+  session.quizState.pausedRemainingMs = null;
+  session.quizState.rerun = null;
 
   if (session.quizState.currentStepIndex >= session.quiz.steps.length) {
     await finishQuiz(sessionCode, session);
@@ -3428,6 +5421,14 @@ async function advanceToNextStep(sessionCode) {
     return;
   }
 
+  // A question closed before the host stepped back shows its results again
+  // instead of reopening; only a re-run opens it.
+  if (session.quizState.closedQuestions.includes(currentQuestionOf(session)?.id)) {
+    rebankParticipants(session);
+    await endCurrentQuestion(sessionCode, { revisit: true });
+    return;
+  }
+
   startQuestionStep(sessionCode, session);
 }
 
@@ -3462,6 +5463,8 @@ async function finishQuiz(sessionCode, session) {
     clearAutopilotTimer(session);
     io.to(`admin:${sessionCode}`).emit('quiz_ended', session.finale);
     io.to(`presenter:${sessionCode}`).emit('quiz_ended', session.finale);
+    notifyWebhooks(session, 'quiz_ended', { endedEarly: false });
+    logSessionEvent(session, 'quiz_ended', { endedEarly: false });
     return;
   }
 
@@ -3471,12 +5474,11 @@ async function finishQuiz(sessionCode, session) {
   // Save final scores to database and send results to each participant
   console.log(`[FINAL SCORES] Points per question: ${pointsPer}`);
   const finalLeaderboard = rankParticipants(session);
+  const finalTeams = rankTeams(session.quiz.teams, finalLeaderboard, session.teamRankSnapshot);
   for (const participant of Object.values(session.participants)) {
-    const finalScore = Math.round((participant.correctCount || 0) * pointsPer);
-    const percentage = totalGraded === 0
-      ? 0
-      : Math.round(((participant.correctCount || 0) / totalGraded) * 100);
-    const passed = totalGraded > 0 && percentage >= session.quiz.passingPercent;
+    const finalScore = scoreOf(session, participant);
+    const percentage = scorePercent(session.quiz, earnedCreditOf(participant));
+    const passed = totalWeight(session.quiz) > 0 && percentage >= session.quiz.passingPercent;
     const standing = finalLeaderboard.find(entry => entry.id === participant.id);
     participant.score = finalScore;
 
@@ -3500,12 +5502,17 @@ async function finishQuiz(sessionCode, session) {
         passingPercent: session.quiz.passingPercent,
         rank: standing?.rank || null,
         participantCount: finalLeaderboard.length,
-        bestStreak: participant.bestStreak || 0
+        bestStreak: participant.bestStreak || 0,
+        ...teamStandingOf(finalTeams, participant),
+        review: reviewOfferFor(session)
       });
     }
   }
 
   session.finale = buildFinaleSummary(session);
+  postLtiScores(session);
+  notifyWebhooks(session, 'quiz_ended', { endedEarly: false, ...webhookResults(session) });
+  logSessionEvent(session, 'quiz_ended', { endedEarly: false });
   clearAutopilotTimer(session);
   io.to(`admin:${sessionCode}`).emit('quiz_ended', session.finale);
   io.to(`presenter:${sessionCode}`).emit('quiz_ended', session.finale);
@@ -3525,6 +5532,8 @@ function startSectionStep(sessionCode, session, step) {
   io.to(`session:${sessionCode}`).emit('section_started', payload);
   io.to(`admin:${sessionCode}`).emit('section_started', payload);
   io.to(`presenter:${sessionCode}`).emit('section_started', payload);
+  saveLiveState(session);
+  logSessionEvent(session, 'section_started', { title: step.title, stepNumber: payload.stepNumber });
 }
 
 // "Section 2 of 4" — counts section steps up to and including this one.
@@ -3549,13 +5558,25 @@ function startQuestionStep(sessionCode, session) {
     ? (question.displayNumber ?? question.index + 1)
     : question.gradedNumber;
 
-  io.to(`session:${sessionCode}`).emit('question_started', {
-    question: getQuestionForParticipants(question),
+  const rerun = session.quizState.rerun ? { keepAnswers: session.quizState.rerun.keepAnswers } : null;
+  const startedFor = participant => ({
+    question: getQuestionForParticipants(question, displayOrderFor(session, question, participant)),
     timeRemaining: question.timeLimit,
     questionNumber,
     totalQuestions,
-    mode: survey ? 'survey' : 'quiz'
+    worth: questionWorth(session, question),
+    mode: survey ? 'survey' : 'quiz',
+    rerun
   });
+  // Shuffled options go out one participant at a time, each in their own
+  // order; otherwise the whole room shares one message.
+  if (session.quiz.shuffle?.options) {
+    for (const participant of Object.values(session.participants)) {
+      if (participant.socketId) io.to(participant.socketId).emit('question_started', startedFor(participant));
+    }
+  } else {
+    io.to(`session:${sessionCode}`).emit('question_started', startedFor(null));
+  }
 
   io.to(`admin:${sessionCode}`).emit('question_started', {
     question,
@@ -3564,39 +5585,263 @@ function startQuestionStep(sessionCode, session) {
     totalQuestions,
     stepNumber: session.quizState.currentStepIndex + 1,
     totalSteps: session.quiz.steps.length,
-    mode: survey ? 'survey' : 'quiz'
+    worth: questionWorth(session, question),
+    mode: survey ? 'survey' : 'quiz',
+    rerun
   });
 
   io.to(`presenter:${sessionCode}`).emit('question_started', {
-    question: getQuestionForParticipants(question),
+    question: getQuestionForParticipants(question, displayOrderFor(session, question)),
     timeRemaining: question.timeLimit,
     questionNumber,
     totalQuestions,
+    worth: questionWorth(session, question),
     mode: survey ? 'survey' : 'quiz'
   });
 
-  // Auto-end question when time expires
+  armQuestionTimer(sessionCode, session);
+  saveLiveState(session);
+  logSessionEvent(session, 'question_started', {
+    questionIndex: question.index,
+    questionNumber,
+    text: question.text,
+    timeLimit: question.timeLimit
+  });
+}
+
+// Auto-end question when time expires. Pausing clears the timer and
+// resuming arms it again with the time that was left.
+function armQuestionTimer(sessionCode, session) {
   const stepIndex = session.quizState.currentStepIndex;
-  setTimeout(() => {
-    if (session.quizState.currentStepIndex === stepIndex && !session.quizState.showingResults) {
+  clearQuestionTimer(session);
+  session.questionTimer = setTimeout(() => {
+    session.questionTimer = null;
+    if (session.quizState.currentStepIndex === stepIndex
+      && !session.quizState.showingResults
+      && !isQuestionPaused(session.quizState)) {
       endCurrentQuestion(sessionCode);
     }
-  }, question.timeLimit * 1000);
+  }, Math.max(0, session.quizState.questionEndTime - Date.now()));
+}
+
+function clearQuestionTimer(session) {
+  if (session?.questionTimer) {
+    clearTimeout(session.questionTimer);
+    session.questionTimer = null;
+  }
+}
+
+// Freezes the open question: its timer and any pending autopilot action
+// stop, answers are refused, and everyone sees the time that is left.
+function pauseCurrentQuestion(sessionCode, session) {
+  if (!canPauseQuestion(session.quizState)) return false;
+  Object.assign(session.quizState, pauseQuestion(session.quizState));
+  clearQuestionTimer(session);
+  clearAutopilotTimer(session);
+
+  const payload = { remainingMs: session.quizState.pausedRemainingMs };
+  io.to(`session:${sessionCode}`).emit('question_paused', payload);
+  io.to(`admin:${sessionCode}`).emit('question_paused', payload);
+  io.to(`presenter:${sessionCode}`).emit('question_paused', payload);
+  saveLiveState(session);
+  logSessionEvent(session, 'question_paused', payload);
+  return true;
+}
+
+// Restarts the clock with the time that was left. If everyone had already
+// answered, autopilot's early close is scheduled again.
+function resumeCurrentQuestion(sessionCode, session) {
+  if (!isQuestionPaused(session.quizState)) return false;
+  const resumed = resumeQuestion(session.quizState, session.questionStartTime);
+  Object.assign(session.quizState, resumed.quizState);
+  session.questionStartTime = resumed.questionStartTime;
+  armQuestionTimer(sessionCode, session);
+  if (session.quizState.allAnsweredEmittedFor) {
+    scheduleAutopilot(sessionCode, session.quizState.allAnsweredEmittedFor);
+  }
+
+  const payload = {
+    remainingMs: questionMsLeft(session.quizState),
+    timeRemaining: Math.ceil(questionMsLeft(session.quizState) / 1000),
+    autopilotNextInMs: pendingAutopilotMs(session)
+  };
+  io.to(`session:${sessionCode}`).emit('question_resumed', payload);
+  io.to(`admin:${sessionCode}`).emit('question_resumed', payload);
+  io.to(`presenter:${sessionCode}`).emit('question_resumed', payload);
+  saveLiveState(session);
+  logSessionEvent(session, 'question_resumed', { remainingMs: payload.remainingMs });
+  return true;
+}
+
+// Adds time to the open question. A paused question keeps it for when it
+// resumes.
+function extendCurrentQuestion(sessionCode, session, seconds) {
+  if (!canExtendQuestion(session.quizState)) return false;
+  const addedSeconds = normalizeExtraSeconds(seconds);
+  Object.assign(session.quizState, extendQuestion(session.quizState, addedSeconds));
+  const paused = isQuestionPaused(session.quizState);
+  if (!paused) armQuestionTimer(sessionCode, session);
+
+  const remainingMs = questionMsLeft(session.quizState);
+  const payload = { addedSeconds, remainingMs, timeRemaining: Math.ceil(remainingMs / 1000), paused };
+  io.to(`session:${sessionCode}`).emit('question_extended', payload);
+  io.to(`admin:${sessionCode}`).emit('question_extended', payload);
+  io.to(`presenter:${sessionCode}`).emit('question_extended', payload);
+  saveLiveState(session);
+  logSessionEvent(session, 'question_extended', { addedSeconds, remainingMs });
+  return true;
+}
+
+// Rebuilds every participant's totals from their answers to the questions
+// closed before the room's position, and takes the standings there as the
+// rank snapshots, so the next close shows movement against them.
+function rebankParticipants(session) {
+  const survey = isSurveySession(session);
+  const banked = survey ? [] : bankedQuestions(session.quiz, {
+    stepIndex: session.quizState.currentStepIndex,
+    resultShown: session.quizState.showingResults
+  });
+  for (const participant of Object.values(session.participants)) {
+    clearTotals(participant);
+    for (const question of banked) applyQuestionResult(question, participant);
+  }
+  if (banked.length === 0) {
+    session.rankSnapshot = {};
+    session.teamRankSnapshot = {};
+    return;
+  }
+  const leaderboard = rankParticipants({ ...session, rankSnapshot: {} });
+  session.rankSnapshot = createRankSnapshot(leaderboard);
+  session.teamRankSnapshot = createTeamRankSnapshot(rankTeams(session.quiz.teams, leaderboard, {}));
+}
+
+// Stored answers go first, so a new answer cannot land before the delete.
+async function discardStoredAnswers(session, question) {
+  try {
+    await session.repository.discardAnswers(question.index);
+  } catch (err) {
+    console.error(`[RERUN] ${session.code} answers to question ${question.index} not cleared:`, err.message);
+  }
+}
+
+function discardQuestionAnswers(session, question) {
+  for (const participant of Object.values(session.participants)) {
+    discardAnswer(participant, question);
+  }
+  delete session.surveyCounts[question.index];
+}
+
+// Opens the question on screen again with a fresh timer. Its answers are
+// cleared, or kept to stand until each participant answers again.
+async function rerunCurrentQuestion(sessionCode, session, keepAnswers) {
+  const question = currentQuestionOf(session);
+  if (!question || !session.quizState.isRunning || !session.quizState.showingResults) return false;
+  if (!keepAnswers) await discardStoredAnswers(session, question);
+  if (currentQuestionOf(session) !== question || !session.quizState.showingResults) return false;
+
+  clearAutopilotTimer(session);
+  session.quizState.rerun = startRerun(question, keepAnswers, session.surveyCounts[question.index]);
+  if (keepAnswers) {
+    delete session.surveyCounts[question.index];
+  } else {
+    discardQuestionAnswers(session, question);
+  }
+  session.quizState.showingResults = false;
+  session.quizState.allAnsweredEmittedFor = null;
+  rebankParticipants(session);
+  logSessionEvent(session, 'question_rerun', { questionIndex: question.index, keepAnswers });
+  startQuestionStep(sessionCode, session);
+  return true;
+}
+
+// Moves the room back one step. An open question is withdrawn with its
+// answers and opens fresh when the room moves on again; a closed one keeps
+// its answers and shows its results again. The room lands on the step
+// before, a section curtain or a question's results as they stood.
+async function stepBack(sessionCode, session) {
+  const fromStep = session.quizState.currentStepIndex;
+  if (!session.quizState.isRunning || fromStep < 1) return false;
+  const withdrawn = session.quizState.showingResults ? null : currentQuestionOf(session);
+  if (withdrawn) await discardStoredAnswers(session, withdrawn);
+  if (session.quizState.currentStepIndex !== fromStep || !session.quizState.isRunning) return false;
+
+  clearAutopilotTimer(session);
+  clearQuestionTimer(session);
+  if (withdrawn) {
+    discardQuestionAnswers(session, withdrawn);
+    session.quizState.closedQuestions = session.quizState.closedQuestions.filter(id => id !== withdrawn.id);
+  }
+  Object.assign(session.quizState, {
+    currentStepIndex: fromStep - 1,
+    showingResults: false,
+    allAnsweredEmittedFor: null,
+    pausedAt: null,
+    pausedRemainingMs: null,
+    rerun: null
+  });
+  rebankParticipants(session);
+  logSessionEvent(session, 'stepped_back', { fromStep, toStep: fromStep - 1 });
+
+  const step = stepAt(session.quiz, fromStep - 1);
+  if (step.kind === 'section') {
+    startSectionStep(sessionCode, session, step);
+  } else {
+    await endCurrentQuestion(sessionCode, { revisit: true });
+  }
+  return true;
+}
+
+// Banks one closed question into a participant's totals.
+function applyQuestionResult(question, participant) {
+  const verdict = gradeAnswer(question, participant.answers[question.id]);
+  const wasCorrect = verdict.isCorrect;
+
+  if (!isScored(question)) {
+    // Ungraded: record the result, leave score, streak, and rank alone.
+    participant.funTotal = (participant.funTotal || 0) + 1;
+    if (wasCorrect) participant.funCorrectCount = (participant.funCorrectCount || 0) + 1;
+    return;
+  }
+
+  // Partial credit adds to the score but only a fully right answer counts
+  // as correct or keeps a streak alive. Credit is weighted by ::points and
+  // a wrong answer loses its ::penalty.
+  const answered = participant.answers[question.id] !== undefined;
+  participant.earnedCredit = earnedCreditOf(participant) + weightedCredit(question, verdict, answered);
+  participant.points = (participant.points || 0) + (participant.questionPoints?.[question.id] || 0);
+  if (wasCorrect) {
+    participant.correctCount = (participant.correctCount || 0) + 1;
+    participant.currentStreak = (participant.currentStreak || 0) + 1;
+    participant.bestStreak = Math.max(participant.bestStreak || 0, participant.currentStreak);
+  } else {
+    participant.currentStreak = 0;
+  }
 }
 
-async function endCurrentQuestion(sessionCode) {
+// revisit shows the results of a question the room has stepped back to:
+// nothing new is announced or logged.
+async function endCurrentQuestion(sessionCode, { revisit = false } = {}) {
   const session = activeSessions.get(sessionCode);
   if (!session || !session.quiz || session.quizState.currentStepIndex < 0) return;
   if (session.quizState.showingResults) return;
   const question = currentQuestionOf(session);
   if (!question) return; // a section step has no results to end
 
+  // Ending a paused question is allowed; the pause ends with it.
+  clearQuestionTimer(session);
+  const rerun = session.quizState.rerun?.questionId === question.id ? session.quizState.rerun : null;
+  session.quizState.pausedAt = null;
+  session.quizState.pausedRemainingMs = null;
+  session.quizState.rerun = null;
   session.quizState.showingResults = true;
+  if (!session.quizState.closedQuestions.includes(question.id)) {
+    session.quizState.closedQuestions.push(question.id);
+  }
   scheduleAutopilot(sessionCode);
   const nextInMs = pendingAutopilotMs(session);
 
   if (isSurveySession(session)) {
-    const distribution = buildSurveyDistribution(session, question);
+    const distribution = addSurveyCounts(buildSurveyDistribution(session, question), rerun?.surveyCounts);
     // Persist anonymous rows only at close — shuffled so insert order is noise.
     const rows = shuffleCopy(
       Object.values(session.participants)
@@ -3633,6 +5878,7 @@ async function endCurrentQuestion(sessionCode) {
       questionNumber,
       totalQuestions
     };
+    saveLiveState(session);
 
     for (const participant of Object.values(session.participants)) {
       if (!participant.socketId) continue;
@@ -3641,7 +5887,7 @@ async function endCurrentQuestion(sessionCode) {
         mode: 'survey',
         questionId: question.id,
         yourAnswer,
-        responseRecorded: yourAnswer !== undefined,
+        responseRecorded: yourAnswer !== undefined || participant.surveyAnsweredQuestions[question.index] === true,
         answered: distribution.answered,
         totalParticipants: distribution.totalParticipants,
         questionsAnswered: questionNumber,
@@ -3658,63 +5904,65 @@ async function endCurrentQuestion(sessionCode) {
     }
     io.to(`admin:${sessionCode}`).emit('question_ended', surveyPayload);
     io.to(`presenter:${sessionCode}`).emit('question_ended', surveyPayload);
+    if (revisit) return;
+    notifyWebhooks(session, 'question_ended', {
+      question: { number: questionNumber, text: question.text, format: question.format },
+      totalQuestions,
+      answered: distribution.answered
+    });
+    logSessionEvent(session, 'question_ended', {
+      questionIndex: question.index,
+      questionNumber,
+      answered: distribution.answered
+    });
     return;
   }
 
   const stats = calculateStats(session, question.id);
-  const pointsPer = pointsPerQuestion(session.quiz);
 
   // Update scores
   console.log(`[SCORING] Question ${question.id} ended. Correct indices: [${question.correctIndices}]`);
   const scored = isScored(question);
 
   for (const participant of Object.values(session.participants)) {
-    const answer = participant.answers[question.id];
-    const wasCorrect = answer !== undefined && question.correctIndices.includes(answer);
-
-    if (!scored) {
-      // Ungraded: record the result, leave score, streak, and rank alone.
-      participant.funTotal = (participant.funTotal || 0) + 1;
-      if (wasCorrect) participant.funCorrectCount = (participant.funCorrectCount || 0) + 1;
-      continue;
-    }
-
-    if (wasCorrect) {
-      participant.correctCount = (participant.correctCount || 0) + 1;
-      participant.currentStreak = (participant.currentStreak || 0) + 1;
-      participant.bestStreak = Math.max(participant.bestStreak || 0, participant.currentStreak);
-    } else {
-      participant.currentStreak = 0;
-    }
+    applyQuestionResult(question, participant);
   }
 
   const presentation = buildQuestionPresentation(session, question);
   session.rankSnapshot = presentation.rankSnapshot;
+  session.teamRankSnapshot = presentation.teamRankSnapshot;
   session.lastQuestionPresentation = {
     correctParticipants: presentation.correctParticipants,
     leaderboard: presentation.leaderboard,
+    teamLeaderboard: presentation.teamLeaderboard,
     highlights: presentation.highlights
   };
+  saveLiveState(session);
 
   // Send each participant only their own private result record.
   for (const participant of Object.values(session.participants)) {
-    const currentScore = Math.round((participant.correctCount || 0) * pointsPer);
+    const currentScore = scoreOf(session, participant);
     const standing = presentation.leaderboard.find(entry => entry.id === participant.id);
     const participantResult = {
       yourAnswer: participant.answers[question.id],
+      ...gradeAnswer(question, participant.answers[question.id]),
       currentScore,
       correctCount: participant.correctCount || 0,
       currentStreak: participant.currentStreak || 0,
       bestStreak: participant.bestStreak || 0,
       rank: standing?.rank || null,
       previousRank: standing?.previousRank || null,
-      movement: standing?.movement || 0
+      movement: standing?.movement || 0,
+      ...teamStandingOf(presentation.teamLeaderboard, participant)
     };
 
     if (participant.socketId) {
-      io.to(participant.socketId).emit('question_ended', {
+      io.to(participant.socketId).emit('question_ended', inParticipantOrder(session, question, participant, {
         questionId: question.id,
+        question: getQuestionForParticipants(question),
         correctIndices: question.correctIndices,
+        correctAnswer: describeCorrectAnswer(question),
+        explanation: question.explanation || null,
         stats,
         participantResults: {
           [participant.id]: participantResult
@@ -3726,7 +5974,7 @@ async function endCurrentQuestion(sessionCode) {
         questionsAnswered: question.gradedNumber,
         totalQuestions: gradedCount(session.quiz),
         autopilotNextInMs: nextInMs
-      });
+      }));
     }
   }
 
@@ -3735,7 +5983,10 @@ async function endCurrentQuestion(sessionCode) {
     questionId: question.id,
     question,
     questionNumber: question.gradedNumber,
+    totalQuestions: gradedCount(session.quiz),
     correctIndices: question.correctIndices,
+    correctAnswer: describeCorrectAnswer(question),
+    explanation: question.explanation || null,
     stats,
     presentation: session.lastQuestionPresentation,
     autopilotNextInMs: nextInMs
@@ -3744,17 +5995,495 @@ async function endCurrentQuestion(sessionCode) {
     questionId: question.id,
     question,
     questionNumber: question.gradedNumber,
+    totalQuestions: gradedCount(session.quiz),
     correctIndices: question.correctIndices,
+    correctAnswer: describeCorrectAnswer(question),
+    explanation: question.explanation || null,
     stats,
     presentation: session.lastQuestionPresentation,
     autopilotNextInMs: nextInMs
   });
+  if (revisit) return;
+  const correct = Object.values(session.participants)
+    .filter(participant => gradeAnswer(question, participant.answers[question.id]).isCorrect)
+    .length;
+  notifyWebhooks(session, 'question_ended', {
+    question: {
+      number: question.gradedNumber,
+      text: question.text,
+      format: question.format,
+      scored
+    },
+    totalQuestions: gradedCount(session.quiz),
+    answered: stats.totalAnswered,
+    correct
+  });
+  logSessionEvent(session, 'question_ended', {
+    questionIndex: question.index,
+    questionNumber: question.gradedNumber,
+    answered: stats.totalAnswered,
+    correct
+  });
+}
+
+// ============================================
+// SELF-PACED SESSIONS
+// ============================================
+// Each participant walks quiz.steps on their own clock while the session's
+// window is open. quizState.isRunning only records that the window has
+// opened; the room itself never advances.
+
+function isSelfPacedSession(session) {
+  return session?.delivery === 'self-paced';
+}
+
+function assignmentDashboardFor(session) {
+  return buildAssignmentDashboard({
+    quiz: session.quiz,
+    participants: session.participants,
+    window: session.assignmentWindow
+  });
+}
+
+function emitAssignmentProgress(sessionCode, session) {
+  io.to(`admin:${sessionCode}`).emit('assignment_progress', assignmentDashboardFor(session));
+}
+
+function assignmentReadyPayload(session) {
+  const { opensAt, closesAt } = session.assignmentWindow;
+  return {
+    title: session.quiz.title,
+    status: windowStatus(session.assignmentWindow),
+    opensAt: new Date(opensAt).toISOString(),
+    closesAt: new Date(closesAt).toISOString(),
+    totalQuestions: gradedCount(session.quiz)
+  };
+}
+
+function clearSelfPacedTimer(session, participantId) {
+  clearTimeout(session.selfPacedTimers.get(participantId));
+  session.selfPacedTimers.delete(participantId);
+}
+
+function clearSelfPacedTimers(session) {
+  if (!session?.selfPacedTimers) return;
+  for (const timer of session.selfPacedTimers.values()) clearTimeout(timer);
+  session.selfPacedTimers.clear();
+}
+
+function selfPacedResult(session, participant, question) {
+  return inParticipantOrder(session, question, participant, {
+    questionId: question.id,
+    question: getQuestionForParticipants(question),
+    correctIndices: question.correctIndices,
+    correctAnswer: describeCorrectAnswer(question),
+    explanation: question.explanation || null,
+    stats: calculateStats(session, question.id),
+    participantResults: {
+      [participant.id]: {
+        yourAnswer: participant.answers[question.id],
+        ...gradeAnswer(question, participant.answers[question.id]),
+        currentScore: scoreOf(session, participant),
+        correctCount: participant.correctCount || 0,
+        currentStreak: participant.currentStreak || 0,
+        bestStreak: participant.bestStreak || 0,
+        rank: null,
+        previousRank: null,
+        movement: 0
+      }
+    },
+    totalScore: session.quiz.totalScore,
+    scored: isScored(question),
+    funCorrectCount: participant.funCorrectCount || 0,
+    funTotal: participant.funTotal || 0,
+    questionsAnswered: gradedPosition(session.quiz, participant.progress),
+    totalQuestions: gradedCount(session.quiz),
+    selfPaced: true
+  });
+}
+
+// There is no room to rank against until everyone has submitted, so a
+// self-paced finale has no rank.
+function selfPacedFinale(session, participant) {
+  const totalGraded = gradedCount(session.quiz);
+  const percentage = scorePercent(session.quiz, earnedCreditOf(participant));
+  return {
+    finalScore: scoreOf(session, participant),
+    totalScore: session.quiz.totalScore,
+    correctCount: participant.correctCount || 0,
+    totalQuestions: totalGraded,
+    hasScore: totalGraded > 0,
+    funCorrectCount: participant.funCorrectCount || 0,
+    funTotal: participant.funTotal || 0,
+    percentage,
+    passed: totalWeight(session.quiz) > 0 && percentage >= session.quiz.passingPercent,
+    passingPercent: session.quiz.passingPercent,
+    rank: null,
+    participantCount: null,
+    bestStreak: participant.bestStreak || 0,
+    ...teamStandingOf(null, participant),
+    selfPaced: true,
+    review: reviewOfferFor(session)
+  };
+}
+
+// Sends a participant the screen their own progress is on: the assignment
+// card before they start, a section, an open question, their last result,
+// or their finale.
+function sendSelfPacedState(session, participant) {
+  if (!participant.socketId) return;
+  const target = io.to(participant.socketId);
+  const state = progressState(session.quiz, participant.progress);
+
+  if (state === 'not-started') {
+    target.emit('assignment_ready', assignmentReadyPayload(session));
+    return;
+  }
+  if (state === 'finished') {
+    target.emit('quiz_ended', selfPacedFinale(session, participant));
+    return;
+  }
+
+  const stepIndex = currentStepIndex(participant.progress);
+  if (state === 'section') {
+    const step = stepAt(session.quiz, stepIndex);
+    target.emit('section_started', {
+      title: step.title,
+      subtitle: step.subtitle,
+      stepNumber: sectionOrdinal(session.quiz, stepIndex),
+      totalSections: session.quiz.steps.filter(s => s.kind === 'section').length,
+      selfPaced: true
+    });
+    return;
+  }
+
+  const question = questionForStep(session.quiz, stepIndex);
+  if (state === 'result') {
+    target.emit('question_ended', selfPacedResult(session, participant, question));
+    return;
+  }
+  target.emit('question_started', {
+    question: getQuestionForParticipants(question, displayOrderFor(session, question, participant)),
+    timeRemaining: Math.max(0, Math.ceil((participant.progress.questionEndsAt - Date.now()) / 1000)),
+    questionNumber: gradedPosition(session.quiz, participant.progress),
+    totalQuestions: gradedCount(session.quiz),
+    worth: questionWorth(session, question),
+    mode: 'quiz',
+    selfPaced: true
+  });
+}
+
+// Opens a scheduled session once its time comes and closes it when its
+// window ends. Returns the window's status.
+async function syncAssignment(sessionCode, session) {
+  const status = windowStatus(session.assignmentWindow);
+  if (status === 'open' && !session.quizState.isRunning) {
+    session.quizState.isRunning = true;
+    await session.repository.updateStatus('active');
+    io.to(`session:${sessionCode}`).emit('assignment_ready', assignmentReadyPayload(session));
+    emitAssignmentProgress(sessionCode, session);
+    notifyWebhooks(session, 'quiz_started', { totalQuestions: visibleQuestionTotal(session) });
+    logSessionEvent(session, 'assignment_opened', {});
+  } else if (status === 'closed') {
+    await closeAssignment(sessionCode, session);
+  }
+  return status;
+}
+
+async function advanceSelfPaced(sessionCode, session, participant) {
+  const status = await syncAssignment(sessionCode, session);
+  if (status !== 'open') return;
+
+  const next = advanceProgress(session.quiz, participant.progress, session.assignmentWindow);
+  if (!next) return;
+  participant.progress = next;
+
+  if (next.finishedAt) {
+    participant.score = scoreOf(session, participant);
+    await session.repository.updateParticipantScore(
+      participant.id,
+      participant.score,
+      participant.correctCount || 0
+    );
+    postLtiScores(session, [participant]);
+  } else if (progressState(session.quiz, next) === 'question') {
+    armSelfPacedTimer(sessionCode, session, participant);
+  }
+  saveProgress(session, participant);
+
+  sendSelfPacedState(session, participant);
+  emitAssignmentProgress(sessionCode, session);
+}
+
+// Closes the participant's open question when its time is up.
+function armSelfPacedTimer(sessionCode, session, participant) {
+  const { stepIndex, questionEndsAt } = participant.progress;
+  clearSelfPacedTimer(session, participant.id);
+  session.selfPacedTimers.set(participant.id, setTimeout(() => {
+    if (activeSessions.get(sessionCode) === session && participant.progress.stepIndex === stepIndex) {
+      closeSelfPacedQuestion(sessionCode, session, participant);
+    }
+  }, Math.max(0, questionEndsAt - Date.now())));
+}
+
+// Closes a participant's open question, answered or timed out, and shows
+// them their result.
+function closeSelfPacedQuestion(sessionCode, session, participant) {
+  if (progressState(session.quiz, participant.progress) !== 'question') return;
+  clearSelfPacedTimer(session, participant.id);
+  applyQuestionResult(questionForStep(session.quiz, currentStepIndex(participant.progress)), participant);
+  participant.progress = closeQuestion(participant.progress);
+  saveProgress(session, participant);
+  sendSelfPacedState(session, participant);
+  emitAssignmentProgress(sessionCode, session);
+}
+
+// Ends a self-paced session for good: questions still open are closed as
+// they stand and everyone's banked score is saved, finished or not.
+async function closeAssignment(sessionCode, session) {
+  if (activeSessions.get(sessionCode) !== session) return;
+  forgetLiveRoom(sessionCode);
+  clearSelfPacedTimers(session);
+
+  for (const participant of Object.values(session.participants)) {
+    if (progressState(session.quiz, participant.progress) === 'question') {
+      applyQuestionResult(questionForStep(session.quiz, currentStepIndex(participant.progress)), participant);
+      participant.progress = closeQuestion(participant.progress);
+    }
+    participant.score = scoreOf(session, participant);
+    await session.repository.updateParticipantScore(
+      participant.id,
+      participant.score,
+      participant.correctCount || 0
+    );
+  }
+  await session.repository.updateStatus('ended');
+  // Finishers were posted as they finished; the rest post what they banked.
+  postLtiScores(session, Object.values(session.participants).filter(p => !p.progress?.finishedAt));
+  notifyWebhooks(session, 'quiz_ended', { endedEarly: false, ...webhookResults(session) });
+  logSessionEvent(session, 'assignment_closed', {});
+
+  emitAssignmentProgress(sessionCode, session);
+  io.to(`session:${sessionCode}`).emit('session_ended', {
+    message: 'This assignment has closed. Thank you for taking part!',
+    selfPaced: true,
+    review: reviewOfferFor(session)
+  });
+  io.to(`admin:${sessionCode}`).emit('session_ended', {
+    code: sessionCode,
+    message: 'Assignment closed'
+  });
+  io.to(`presenter:${sessionCode}`).emit('session_ended', {
+    message: 'This assignment has closed.'
+  });
+}
+
+const assignmentSweepInterval = setInterval(async () => {
+  for (const [code, session] of activeSessions) {
+    if (!isSelfPacedSession(session)) continue;
+    try {
+      await syncAssignment(code, session);
+    } catch (err) {
+      console.error(`[SELF-PACED] ${code} could not be opened or closed:`, err.message);
+    }
+  }
+}, 30 * 1000);
+assignmentSweepInterval.unref();
+
+// Webhook deliveries that failed are retried from the delivery log once
+// their backoff has passed, and the log is trimmed to a month every hour.
+let lastWebhookPruneAt = 0;
+const webhookRetryInterval = setInterval(async () => {
+  try {
+    await webhookDispatcher.retryDue();
+    if (Date.now() - lastWebhookPruneAt > 60 * 60 * 1000) {
+      lastWebhookPruneAt = Date.now();
+      await db.pruneWebhookDeliveries();
+    }
+  } catch (err) {
+    console.error('[WEBHOOKS] retry sweep failed:', err.message);
+  }
+}, 30 * 1000);
+webhookRetryInterval.unref();
+
+// Brings back an open room from its stored rows after a restart: the saved
+// position, every participant with their answers, and the scores of the
+// questions already closed. Timers are armed again with the time they had
+// left, or fire at once when it ran out while the server was down.
+async function resumeSession(row) {
+  const owner = await db.getAdminById(row.owner_id);
+  const survey = normalizeSessionType(row.session_type) === 'survey';
+  const stored = survey ? normalizeStoredSurvey(row.quiz_data || {}) : normalizeStoredQuiz(row.quiz_data || {});
+  const assignmentWindow = row.delivery === 'self-paced' && row.opens_at && row.closes_at
+    ? { opensAt: new Date(row.opens_at).getTime(), closesAt: new Date(row.closes_at).getTime() }
+    : null;
+  const session = createSessionState({
+    id: row.id,
+    code: row.code,
+    quiz: resolveQuizAssets(stored, row.code),
+    kind: 'persistent',
+    sessionType: survey ? 'survey' : 'quiz',
+    controller: { type: 'admin', id: row.owner_id },
+    repository: createPersistentSessionRepository(db, row.id, row.code),
+    participantLimit: resolveParticipantLimitForAdmin(owner, HOSTED_MAX_PARTICIPANTS),
+    assignmentWindow,
+    reviewDays: row.review_days || 0
+  });
+  restoreLiveState(session, row.live_state);
+  const selfPaced = session.delivery === 'self-paced';
+
+  const [participantRows, answerRows] = await Promise.all([
+    db.getParticipantsBySession(row.id),
+    db.getAnswersBySession(row.id)
+  ]);
+  answerRows.sort((a, b) => a.id - b.id);
+  for (const participantRow of participantRows) {
+    if (participantRow.is_kicked) {
+      if (participantRow.lti_user_id) {
+        session.removedLtiUsers.push({
+          issuer: participantRow.lti_issuer,
+          clientId: participantRow.lti_client_id,
+          userId: participantRow.lti_user_id
+        });
+      }
+      continue;
+    }
+    const answers = answerRows.filter(answer => answer.participant_id === participantRow.id);
+    const participant = restoreParticipant(participantRow, answers, session.quiz, { selfPaced });
+    if (!survey) {
+      const position = selfPaced
+        ? {
+            stepIndex: participant.progress.stepIndex,
+            stepOrder: participant.progress.stepOrder,
+            resultShown: participant.progress.showingResult || Boolean(participant.progress.finishedAt)
+          }
+        : { stepIndex: session.quizState.currentStepIndex, resultShown: session.quizState.showingResults };
+      for (const question of bankedQuestions(session.quiz, position)) {
+        applyQuestionResult(question, participant);
+      }
+      if (selfPaced) participant.score = scoreOf(session, participant);
+    }
+    session.participants[participant.id] = participant;
+  }
+
+  const { autopilotResumeAt } = session.quizState;
+  if (!await openLiveRoom(session)) return false;
+  logSessionEvent(session, 'room_resumed', { participants: Object.keys(session.participants).length });
+
+  if (selfPaced) {
+    for (const participant of Object.values(session.participants)) {
+      if (progressState(session.quiz, participant.progress) !== 'question') continue;
+      if (participant.progress.questionEndsAt <= Date.now()) {
+        closeSelfPacedQuestion(row.code, session, participant);
+      } else {
+        armSelfPacedTimer(row.code, session, participant);
+      }
+    }
+    await syncAssignment(row.code, session);
+    return true;
+  }
+
+  if (!session.quizState.isRunning) return true;
+  const question = currentQuestionOf(session);
+  const questionOpen = Boolean(question) && !session.quizState.showingResults;
+  // A paused question stays paused until the host resumes it.
+  if (questionOpen && isQuestionPaused(session.quizState)) return true;
+  if (questionOpen && session.quizState.questionEndTime <= Date.now()) {
+    await endCurrentQuestion(row.code);
+    return true;
+  }
+  if (questionOpen) armQuestionTimer(row.code, session);
+  if (autopilotResumeAt) {
+    scheduleAutopilot(row.code, session.quizState.allAnsweredEmittedFor ?? undefined, { resumeAt: autopilotResumeAt });
+  }
+  return true;
+}
+
+// Codes of the rooms being rebuilt right now, so the boot resume and a
+// renewal tick never rebuild the same room side by side.
+const resumingRooms = new Set();
+
+// Resumes every open room no instance is running. At boot that is every
+// open room; later it picks up rooms whose instance went away. A room that
+// fails to resume is logged and left for the next try.
+async function resumeOpenSessions(minAgeSeconds = 0) {
+  const rows = await db.listUnclaimedOpenSessions(minAgeSeconds);
+  for (const row of rows) {
+    if (activeSessions.has(row.code) || resumingRooms.has(row.code)) continue;
+    resumingRooms.add(row.code);
+    try {
+      if (await resumeSession(row)) {
+        console.log(`[RESUME] room ${row.code} resumed`);
+      }
+    } catch (err) {
+      console.error(`[RESUME] room ${row.code} could not be resumed:`, err);
+    } finally {
+      resumingRooms.delete(row.code);
+    }
+  }
+}
+
+// Keeps this instance registered and its rooms leased. A room whose lease
+// was lost (this instance stalled longer than the lease) may already run
+// elsewhere, so it stops here, timers and all.
+async function renewLiveRooms() {
+  const lost = await liveRooms.renew([...activeSessions.keys()]);
+  for (const code of lost) {
+    const session = activeSessions.get(code);
+    clearAutopilotTimer(session);
+    clearQuestionTimer(session);
+    if (session) clearSelfPacedTimers(session);
+    activeSessions.delete(code);
+    console.warn(`[LIVE] lost the lease on room ${code}`);
+  }
+
+  const alive = new Map();
+  for (const [socketId, proxy] of remoteSockets) {
+    if (!alive.has(proxy.origin)) alive.set(proxy.origin, await liveRooms.isInstanceAlive(proxy.origin));
+    if (!alive.get(proxy.origin)) remoteSockets.delete(socketId);
+  }
+  if (sharedLiveState) {
+    await db.pruneLiveState();
+    // Rooms whose instance stopped without a restart are taken over here,
+    // once they are old enough not to be another instance's room opening.
+    await resumeOpenSessions(60);
+  }
+}
+
+// A renewal that outlasts the interval (a slow database, many rooms to
+// resume) is not joined by the next tick.
+let liveRenewal = null;
+function renewLiveRoomsOnce() {
+  if (!liveRenewal) {
+    liveRenewal = renewLiveRooms().finally(() => {
+      liveRenewal = null;
+    });
+  }
+  return liveRenewal;
 }
 
+const liveLeaseInterval = setInterval(() => {
+  if (liveRenewal) return;
+  renewLiveRoomsOnce().catch(err => {
+    console.error('[LIVE] lease renewal failed:', err.message);
+  });
+}, liveRooms.leaseMs / 3);
+liveLeaseInterval.unref();
+
 // ============================================
 // START SERVER
 // ============================================
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Markdown Mash server running on http://localhost:${PORT}`);
+Promise.all([liveStateStore.start(), renewLiveRoomsOnce()]).then(() => {
+  server.listen(PORT, () => {
+    console.log(`Markdown Mash server running on http://localhost:${PORT}`);
+    // Rooms left open by the last run come back in the background, as they
+    // do on the renewal tick, so a long list never holds up the listener.
+    db.ready()
+      .then(ready => ready && resumeOpenSessions())
+      .catch(err => console.error('[RESUME] open rooms could not be listed:', err));
+  });
+}).catch(err => {
+  console.error('Unable to start live rooms:', err);
+  process.exit(1);
 });
@@ -0,0 +1,172 @@
+// Pure cross-session comparison: several runs of the same Mash in, matched
+// questions, difficulty drift, and score spreads out.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const crypto = require('crypto');
+const { gradeAnswer, storedAnswer } = require('./answer-grading');
+const { isScored } = require('./quiz-structure');
+const { scorePercent, weightedCredit } = require('./scoring');
+
+const MAX_COMPARED_SESSIONS = 10;
+
+// Same buckets as the per-session score distribution chart.
+const SCORE_BUCKETS = ['0-20%', '20-40%', '40-60%', '60-80%', '80-100%'];
+
+function normalizeContent(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Questions are matched across runs by what they say, not where they sit, so
+// a reordered or extended Mash still lines up. Option order is ignored for the
+// same reason; case and spacing are editor noise.
+function questionFingerprint(question) {
+  const content = JSON.stringify([
+    normalizeContent(question.text),
+    (question.options || []).map(normalizeContent).sort()
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+function scoreBucket(percent) {
+  if (percent >= 80) return 4;
+  if (percent >= 60) return 3;
+  if (percent >= 40) return 2;
+  if (percent >= 20) return 1;
+  return 0;
+}
+
+function roundPercent(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// One session's graded questions keyed by fingerprint, plus how its
+// participants scored. `answers` are the session's answer rows; only
+// participants in `participants` are counted.
+function summarizeRun({ session, quiz, answers, participants }) {
+  const questionsByIndex = new Map();
+  for (const question of quiz.questions) {
+    if (!isScored(question)) continue;
+    questionsByIndex.set(question.index, {
+      fingerprint: questionFingerprint(question),
+      index: question.index,
+      gradedNumber: question.gradedNumber,
+      text: question.text,
+      correct: 0,
+      total: 0
+    });
+  }
+
+  const creditByParticipant = new Map(participants.map(p => [p.id, 0]));
+  for (const row of answers) {
+    const entry = questionsByIndex.get(row.question_index);
+    if (!entry || !creditByParticipant.has(row.participant_id)) continue;
+    entry.total++;
+    if (Number(row.is_correct) === 1) entry.correct++;
+    const question = quiz.questions[row.question_index];
+    const verdict = gradeAnswer(question, storedAnswer(row));
+    creditByParticipant.set(
+      row.participant_id,
+      creditByParticipant.get(row.participant_id) + weightedCredit(question, verdict)
+    );
+  }
+
+  const percents = [...creditByParticipant.values()].map(credit => scorePercent(quiz, credit));
+  const scoreBuckets = SCORE_BUCKETS.map(() => 0);
+  percents.forEach(percent => scoreBuckets[scoreBucket(percent)]++);
+
+  const questions = new Map();
+  for (const entry of questionsByIndex.values()) {
+    // A question repeated inside one Mash keeps its first appearance.
+    if (questions.has(entry.fingerprint)) continue;
+    questions.set(entry.fingerprint, {
+      fingerprint: entry.fingerprint,
+      index: entry.index,
+      gradedNumber: entry.gradedNumber,
+      text: entry.text,
+      totalAnswers: entry.total,
+      correctPercent: entry.total > 0 ? roundPercent((entry.correct * 100) / entry.total) : null
+    });
+  }
+
+  return {
+    code: session.code,
+    title: session.quiz_title,
+    courseName: session.course_name || null,
+    quizVersion: session.quiz_version || null,
+    createdAt: session.created_at,
+    endedAt: session.ended_at || null,
+    participantCount: percents.length,
+    averagePercent: percents.length
+      ? roundPercent(percents.reduce((sum, percent) => sum + percent, 0) / percents.length)
+      : null,
+    scoreBuckets,
+    questions
+  };
+}
+
+// Lines the runs up oldest first. Questions follow the newest run's order,
+// then any that only older runs asked. drift is the newest measured correct
+// percentage minus the oldest, in percentage points; it needs two runs.
+function compareRuns(runSummaries) {
+  const runs = [...runSummaries].sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+  );
+
+  const order = [];
+  const seen = new Set();
+  for (const run of [...runs].reverse()) {
+    const ordered = [...run.questions.values()].sort((a, b) => a.index - b.index);
+    for (const question of ordered) {
+      if (seen.has(question.fingerprint)) continue;
+      seen.add(question.fingerprint);
+      order.push(question);
+    }
+  }
+
+  const questions = order.map(({ fingerprint, text }) => {
+    const perRun = runs.map(run => {
+      const hit = run.questions.get(fingerprint);
+      return hit
+        ? {
+            code: run.code,
+            index: hit.index,
+            gradedNumber: hit.gradedNumber,
+            correctPercent: hit.correctPercent,
+            totalAnswers: hit.totalAnswers
+          }
+        : null;
+    });
+    const measured = perRun.filter(entry => entry && entry.correctPercent !== null);
+    return {
+      fingerprint,
+      text,
+      runs: perRun,
+      sessionsMatched: perRun.filter(Boolean).length,
+      averagePercent: measured.length
+        ? roundPercent(measured.reduce((sum, entry) => sum + entry.correctPercent, 0) / measured.length)
+        : null,
+      drift: measured.length >= 2
+        ? roundPercent(measured[measured.length - 1].correctPercent - measured[0].correctPercent)
+        : null
+    };
+  });
+
+  const overall = SCORE_BUCKETS.map((_, bucket) =>
+    runs.reduce((sum, run) => sum + run.scoreBuckets[bucket], 0)
+  );
+
+  return {
+    sessions: runs.map(({ questions: _questions, ...run }) => run),
+    questions,
+    scoreBuckets: SCORE_BUCKETS,
+    overallScoreBuckets: overall
+  };
+}
+
+module.exports = {
+  MAX_COMPARED_SESSIONS,
+  SCORE_BUCKETS,
+  compareRuns,
+  questionFingerprint,
+  summarizeRun
+};
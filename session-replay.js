@@ -0,0 +1,94 @@
+// A room's event log turned into the timeline the replay view steps through:
+// each logged event with who was in the room and how many answers were in at
+// that moment. Answers come from the answer rows, matched by time.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const SESSION_EVENT_TYPES = new Set([
+  'room_opened',
+  'room_resumed',
+  'participant_joined',
+  'participant_rejoined',
+  'participant_left',
+  'participant_kicked',
+  'quiz_started',
+  'section_started',
+  'question_started',
+  'question_paused',
+  'question_resumed',
+  'question_extended',
+  'question_ended',
+  'question_rerun',
+  'stepped_back',
+  'autopilot_changed',
+  'assignment_opened',
+  'assignment_closed',
+  'quiz_ended',
+  'session_ended'
+]);
+
+function timeOf(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+// events: rows of { type, details, occurred_at } in the order they happened.
+// answers: answer rows with question_index and answered_at.
+function buildReplay(events, answers) {
+  const answerTimes = answers
+    .map(answer => ({ at: timeOf(answer.answered_at), questionIndex: answer.question_index }))
+    .sort((a, b) => a.at - b.at);
+  const startedAt = events.length > 0 ? timeOf(events[0].occurred_at) : null;
+  const present = new Set();
+  const perQuestion = new Map();
+  let answered = 0;
+  let question = null;
+
+  const frames = events.map(event => {
+    const at = timeOf(event.occurred_at);
+    const details = event.details || {};
+    while (answered < answerTimes.length && answerTimes[answered].at <= at) {
+      const { questionIndex } = answerTimes[answered];
+      perQuestion.set(questionIndex, (perQuestion.get(questionIndex) || 0) + 1);
+      answered++;
+    }
+
+    if (event.type === 'participant_joined' || event.type === 'participant_rejoined') {
+      present.add(details.participantId);
+    } else if (event.type === 'participant_left' || event.type === 'participant_kicked') {
+      present.delete(details.participantId);
+    } else if (event.type === 'question_started') {
+      question = {
+        index: details.questionIndex,
+        number: details.questionNumber ?? null,
+        text: details.text || '',
+        open: true
+      };
+    } else if (event.type === 'question_ended' && question) {
+      question = { ...question, open: false };
+    } else if (['section_started', 'stepped_back', 'quiz_ended'].includes(event.type)) {
+      question = null;
+    }
+
+    return {
+      at: new Date(at).toISOString(),
+      offsetMs: at - startedAt,
+      type: event.type,
+      details,
+      participants: present.size,
+      answers: answered,
+      question: question
+        ? { ...question, answers: perQuestion.get(question.index) || 0 }
+        : null
+    };
+  });
+
+  return {
+    startedAt: startedAt === null ? null : new Date(startedAt).toISOString(),
+    totalAnswers: answers.length,
+    frames
+  };
+}
+
+module.exports = {
+  SESSION_EVENT_TYPES,
+  buildReplay
+};
@@ -3,40 +3,78 @@ const crypto = require('crypto');
 function createPersistentSessionRepository(db, sessionId, sessionCode) {
   return {
     kind: 'persistent',
-    createParticipant(name, socketId = null, avatarId = null) {
-      return db.createParticipant(sessionId, name, socketId, avatarId);
+    createParticipant(name, socketId = null, avatarId = null, details = {}) {
+      return db.createParticipant(sessionId, name, socketId, avatarId, details);
+    },
+    listRoster() {
+      return db.listRosterForSession(sessionId);
     },
     updateStatus(status) {
       return db.updateSessionStatus(sessionCode, status);
     },
+    fillCourseName(courseName) {
+      return db.fillSessionCourseName(sessionId, courseName);
+    },
     updateParticipantSocket(participantId, socketId) {
       return db.updateParticipantSocket(participantId, socketId);
     },
     updateParticipantAvatar(participantId, avatarId) {
       return db.updateParticipantAvatar(participantId, avatarId);
     },
+    updateParticipantAccessToken(participantId, accessTokenDigest) {
+      return db.updateParticipantAccessToken(participantId, accessTokenDigest);
+    },
     isParticipantKicked(participantId) {
       return db.isParticipantKicked(participantId);
     },
     kickParticipant(participantId) {
       return db.kickParticipant(participantId);
     },
-    recordAnswer(participantId, questionIndex, answerIndex, isCorrect, responseTimeMs) {
+    recordAnswer(participantId, questionIndex, answerIndex, isCorrect, responseTimeMs, answerValue = null, points = null) {
       return db.recordAnswer(
         sessionId,
         participantId,
         questionIndex,
         answerIndex,
         isCorrect,
-        responseTimeMs
+        responseTimeMs,
+        answerValue,
+        points
       );
     },
     recordAnonymousAnswers(rows) {
       return db.recordAnonymousAnswers(sessionId, rows);
     },
+    discardAnswers(questionIndex) {
+      return db.deleteQuestionAnswers(sessionId, questionIndex);
+    },
     updateParticipantScore(participantId, score, correctCount) {
       return db.updateParticipantScore(participantId, score, correctCount);
     },
+    saveLiveState(liveState) {
+      return db.saveSessionLiveState(sessionId, liveState);
+    },
+    saveParticipantProgress(participantId, progress) {
+      return db.saveParticipantProgress(participantId, progress);
+    },
+    recordEvent(type, details, occurredAt) {
+      return db.recordSessionEvent(sessionId, type, details, occurredAt);
+    },
+    listEvents() {
+      return db.listSessionEvents(sessionId);
+    },
+    listAnswers() {
+      return db.getAnswersBySession(sessionId);
+    },
+    saveAsset(name, contentType, data) {
+      return db.saveSessionAsset(sessionId, name, contentType, data);
+    },
+    listAssets() {
+      return db.listSessionAssets(sessionId);
+    },
+    getAsset(name) {
+      return db.getSessionAssetByCode(sessionCode, name);
+    },
     deleteSession() {
       return db.deleteSession(sessionCode);
     }
@@ -45,30 +83,82 @@ function createPersistentSessionRepository(db, sessionId, sessionCode) {
 
 function createTransientSessionRepository(options = {}) {
   const kickedParticipants = new Set();
+  // Practice rooms never touch the database, so their images live and die
+  // with the room.
+  const assets = new Map();
+  // The event log and answer times behind a practice room's replay, kept
+  // for as long as the room itself.
+  const events = [];
+  const answers = [];
   const idFactory = options.idFactory
     || (() => crypto.randomBytes(9).toString('base64url'));
 
   return {
     kind: 'transient',
-    async createParticipant(name, socketId = null, avatarId = null) {
+    async createParticipant(name, socketId = null, avatarId = null, { team = null } = {}) {
       return {
         id: idFactory(),
         name,
-        avatarId
+        avatarId,
+        team
       };
     },
+    // Practice rooms belong to no account, so they have no course roster.
+    async listRoster() {
+      return [];
+    },
     async updateStatus() {},
+    async fillCourseName() {},
     async updateParticipantSocket() {},
     async updateParticipantAvatar() {},
+    async updateParticipantAccessToken() {},
     async isParticipantKicked(participantId) {
       return kickedParticipants.has(participantId);
     },
     async kickParticipant(participantId) {
       kickedParticipants.add(participantId);
     },
-    async recordAnswer() {},
-    async recordAnonymousAnswers() {},
+    async recordAnswer(participantId, questionIndex) {
+      const earlier = answers.findIndex(answer =>
+        answer.participant_id === participantId && answer.question_index === questionIndex);
+      if (earlier !== -1) answers.splice(earlier, 1);
+      answers.push({ participant_id: participantId, question_index: questionIndex, answered_at: new Date() });
+    },
+    async recordAnonymousAnswers(rows) {
+      const answeredAt = new Date();
+      for (const row of rows || []) {
+        answers.push({ participant_id: null, question_index: row.questionIndex, answered_at: answeredAt });
+      }
+    },
+    async discardAnswers(questionIndex) {
+      for (let i = answers.length - 1; i >= 0; i--) {
+        if (answers[i].question_index === questionIndex) answers.splice(i, 1);
+      }
+    },
     async updateParticipantScore() {},
+    // A practice room is gone after a restart, so its position is not kept.
+    async saveLiveState() {},
+    async saveParticipantProgress() {},
+    async recordEvent(type, details, occurredAt = new Date()) {
+      events.push({ type, details: { ...details }, occurred_at: occurredAt });
+    },
+    async listEvents() {
+      return events.map(event => ({ ...event }));
+    },
+    async listAnswers() {
+      return answers.map(answer => ({ ...answer }));
+    },
+    async saveAsset(name, contentType, data) {
+      assets.set(name, { name, content_type: contentType, data });
+    },
+    async listAssets() {
+      return [...assets.values()]
+        .map(asset => ({ name: asset.name, content_type: asset.content_type, byte_size: asset.data.length }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+    async getAsset(name) {
+      return assets.get(name) || null;
+    },
     async deleteSession() {}
   };
 }
@@ -0,0 +1,118 @@
+// Pure shuffle rules: the order each participant sees a question's options
+// in and, in a self-paced session, the order they meet the questions in.
+// Orders are derived from the participant's id, so a reconnect or a second
+// device lands on the same arrangement without anything being stored.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const { isFreeResponse, isOrdering, scrambledOrder } = require('./answer-grading');
+
+// "# Shuffle: options", "# Shuffle: questions (within sections)", or both
+// in one line. Words in parentheses are commentary and ignored.
+function parseShuffle(value) {
+  const words = String(value ?? '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[\s,&]+/)
+    .filter(Boolean);
+  return {
+    options: words.some(word => word === 'options' || word === 'option'),
+    questions: words.some(word => word === 'questions' || word === 'question')
+  };
+}
+
+// A quiz shuffles nothing unless a directive asked for it. Returns null then.
+function normalizeShuffle(config) {
+  if (!config) return null;
+  const shuffle = { options: config.options === true, questions: config.questions === true };
+  return shuffle.options || shuffle.questions ? shuffle : null;
+}
+
+// FNV-1a over the seed text feeding mulberry32: small, fast, and the same
+// sequence for the same seed on every run.
+function seededRandom(seedText) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seedText)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Only single- and multi-select questions move. Ordering questions are
+// already scrambled for the whole room, and typed ones have no options.
+// Returns the option index shown in each display slot, or null.
+function optionOrderFor(quiz, question, participantId) {
+  if (!quiz?.shuffle?.options || participantId === undefined || participantId === null) return null;
+  if (isOrdering(question) || isFreeResponse(question)) return null;
+  const count = (question.options || []).length;
+  if (count < 2) return null;
+  return scrambledOrder(count, seededRandom(`${participantId}:options:${question.index}`));
+}
+
+// Questions trade places only with their neighbours between two section
+// steps, so every section keeps its questions and its place. Returns the
+// quiz step index for each of the participant's positions, or null.
+function questionOrderFor(quiz, participantId) {
+  if (!quiz?.shuffle?.questions || participantId === undefined || participantId === null) return null;
+  const random = seededRandom(`${participantId}:questions`);
+  const order = [];
+  let run = [];
+  const flush = () => {
+    if (run.length > 1) {
+      const arrangement = scrambledOrder(run.length, random);
+      order.push(...arrangement.map(position => run[position]));
+    } else {
+      order.push(...run);
+    }
+    run = [];
+  };
+  quiz.steps.forEach((step, stepIndex) => {
+    if (step.kind === 'question') {
+      run.push(stepIndex);
+      return;
+    }
+    flush();
+    order.push(stepIndex);
+  });
+  flush();
+  return order;
+}
+
+// A submission's display slots as option indices. Multi-select picks come
+// back sorted so the same choice is always stored the same way.
+function toCanonicalChoice(answer, order) {
+  if (!order) return answer;
+  if (Array.isArray(answer)) return answer.map(slot => order[slot]).sort((a, b) => a - b);
+  return order[answer];
+}
+
+// The reverse: option indices as the slots this participant saw them in.
+function toDisplaySlots(answer, order) {
+  if (!order || answer === undefined || answer === null) return answer;
+  if (Array.isArray(answer)) return answer.map(index => order.indexOf(index)).sort((a, b) => a - b);
+  return order.indexOf(answer);
+}
+
+// Any per-option list (texts, counts) rearranged into display order.
+function inDisplayOrder(values, order) {
+  if (!order || !Array.isArray(values)) return values;
+  return order.map(index => values[index]);
+}
+
+module.exports = {
+  inDisplayOrder,
+  normalizeShuffle,
+  optionOrderFor,
+  parseShuffle,
+  questionOrderFor,
+  seededRandom,
+  toCanonicalChoice,
+  toDisplaySlots
+};
@@ -0,0 +1,6 @@
+-- Multi-select questions: a submission can pick several options, so the
+-- picks are stored as a JSON array in answer_value and answer_index is null.
+-- Additive; existing single-select rows keep answer_value null.
+
+alter table public.answers
+  add column if not exists answer_value jsonb;
@@ -0,0 +1,7 @@
+-- Speed scoring: each answer's points depend on how fast it came in, so the
+-- points are stored with the answer instead of recomputed from correct counts.
+-- Additive; rows written before this column have null points and are scored
+-- with the flat share.
+
+alter table public.answers
+  add column if not exists points double precision;
@@ -0,0 +1,16 @@
+-- Question images: files uploaded alongside a session's Markdown and served
+-- from /api/session/:code/asset/:name, so the CSP's imgSrc 'self' covers them.
+-- Additive; deleting a session removes its images.
+
+create table if not exists public.session_assets (
+  id serial primary key,
+  session_id integer not null references public.sessions(id) on delete cascade,
+  name text not null,
+  content_type text not null,
+  data bytea not null,
+  byte_size integer not null,
+  created_at timestamp default now(),
+  unique (session_id, name)
+);
+
+alter table public.session_assets enable row level security;
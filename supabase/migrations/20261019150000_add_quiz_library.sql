@@ -0,0 +1,37 @@
+-- Saved quiz library ("My Mashes"): a host's quizzes with every saved
+-- version, and a link from each session to the Mash and version it ran.
+-- Additive; sessions opened from pasted Markdown keep quiz_id null.
+
+create table if not exists public.quizzes (
+  id serial primary key,
+  owner_id integer not null references public.admins(id) on delete cascade,
+  title text not null,
+  session_type text not null default 'quiz',
+  latest_version integer not null default 1,
+  created_at timestamp default now(),
+  updated_at timestamp default now()
+);
+
+create table if not exists public.quiz_versions (
+  id serial primary key,
+  quiz_id integer not null references public.quizzes(id) on delete cascade,
+  version integer not null,
+  title text not null,
+  markdown text not null,
+  created_at timestamp default now(),
+  unique (quiz_id, version)
+);
+
+alter table public.quizzes enable row level security;
+alter table public.quiz_versions enable row level security;
+
+create index if not exists idx_quizzes_owner
+  on public.quizzes (owner_id, updated_at desc);
+
+alter table public.sessions
+  add column if not exists quiz_id integer references public.quizzes(id) on delete set null,
+  add column if not exists quiz_version integer;
+
+create index if not exists idx_sessions_quiz
+  on public.sessions (quiz_id)
+  where quiz_id is not null;
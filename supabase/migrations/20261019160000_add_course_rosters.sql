@@ -0,0 +1,22 @@
+-- Course rosters: a host's class list per Mash group (sessions.course_name),
+-- and a link from each participant who picked their name from it.
+-- Additive; participants who typed a name keep roster_student_id null.
+
+create table if not exists public.roster_students (
+  id serial primary key,
+  owner_id integer not null references public.admins(id) on delete cascade,
+  course_name text not null,
+  student_key text not null,
+  display_name text not null,
+  created_at timestamp default now(),
+  unique (owner_id, course_name, student_key)
+);
+
+alter table public.roster_students enable row level security;
+
+alter table public.participants
+  add column if not exists roster_student_id integer references public.roster_students(id) on delete set null;
+
+create index if not exists idx_participants_roster
+  on public.participants (roster_student_id)
+  where roster_student_id is not null;
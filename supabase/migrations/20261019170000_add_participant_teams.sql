@@ -0,0 +1,5 @@
+-- Team mode: the team each participant picked or was assigned on join.
+-- Additive; participants outside team-mode Mashes keep team null.
+
+alter table public.participants
+  add column if not exists team text;
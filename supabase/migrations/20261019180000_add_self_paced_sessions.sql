@@ -0,0 +1,8 @@
+-- Self-paced sessions: participants work through the quiz on their own clock
+-- between opens_at and closes_at. Additive; live sessions keep 'live' and
+-- null times.
+
+alter table public.sessions
+  add column if not exists delivery text default 'live',
+  add column if not exists opens_at timestamp,
+  add column if not exists closes_at timestamp;
@@ -0,0 +1,9 @@
+-- Post-session answer review: sessions keep how many days the review stays
+-- open (0 is off), and participants keep the digest of their access token so
+-- the review can be authorised after the live room is gone. Additive.
+
+alter table public.sessions
+  add column if not exists review_days integer default 0;
+
+alter table public.participants
+  add column if not exists access_token_digest text;
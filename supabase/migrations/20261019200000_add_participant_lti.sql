@@ -0,0 +1,8 @@
+-- LTI 1.3 launches: participants who came from an LMS keep the platform, the
+-- LMS user id and the gradebook line item their score is posted to. Additive.
+
+alter table public.participants
+  add column if not exists lti_issuer text,
+  add column if not exists lti_client_id text,
+  add column if not exists lti_user_id text,
+  add column if not exists lti_lineitem text;
@@ -0,0 +1,39 @@
+-- Outbound webhooks: each host's subscriptions (URL, events, signing secret)
+-- and a delivery log that is also the retry queue. Additive.
+
+create table if not exists public.webhook_subscriptions (
+  id serial primary key,
+  owner_id integer not null references public.admins(id) on delete cascade,
+  url text not null,
+  events text[] not null,
+  secret text not null,
+  active boolean not null default true,
+  created_at timestamp default now()
+);
+
+create table if not exists public.webhook_deliveries (
+  id bigserial primary key,
+  subscription_id integer not null references public.webhook_subscriptions(id) on delete cascade,
+  event_id text not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz,
+  response_status integer,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.webhook_subscriptions enable row level security;
+alter table public.webhook_deliveries enable row level security;
+
+create index if not exists idx_webhook_subscriptions_owner
+  on public.webhook_subscriptions (owner_id);
+create index if not exists idx_webhook_deliveries_subscription
+  on public.webhook_deliveries (subscription_id, created_at desc);
+create index if not exists idx_webhook_deliveries_due
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
@@ -0,0 +1,21 @@
+-- Per-account API tokens for scripts: a name, the SHA-256 digest of the
+-- token (never the token itself), its last four characters for display,
+-- granted scopes, and last-use and revocation times. Additive.
+
+create table if not exists public.api_tokens (
+  id serial primary key,
+  owner_id integer not null references public.admins(id) on delete cascade,
+  name text not null,
+  token_hash bytea not null unique check (octet_length(token_hash) = 32),
+  token_hint text not null,
+  scopes text[] not null,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table public.api_tokens enable row level security;
+
+create index if not exists idx_api_tokens_owner
+  on public.api_tokens (owner_id)
+  where revoked_at is null;
@@ -0,0 +1,18 @@
+-- Live rooms shared between server instances (LIVE_STATE_STORE=postgres):
+-- the lease that says which instance runs each room, and NOTIFY payloads
+-- too large to send inline. Both hold only short-lived rows. Additive.
+
+create table if not exists public.live_leases (
+  key text primary key,
+  holder text not null,
+  expires_at timestamptz not null
+);
+
+create table if not exists public.live_messages (
+  id bigserial primary key,
+  payload text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.live_leases enable row level security;
+alter table public.live_messages enable row level security;
@@ -0,0 +1,9 @@
+-- Live rooms resume after a restart: each open session keeps the position of
+-- its room, and each self-paced participant their progress, as they change.
+-- Additive.
+
+alter table public.sessions
+  add column if not exists live_state jsonb;
+
+alter table public.participants
+  add column if not exists progress jsonb;
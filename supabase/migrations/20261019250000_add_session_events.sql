@@ -0,0 +1,16 @@
+-- A timestamped log of what happened in each room (joins, kicks, starts,
+-- each question opening and closing, autopilot changes, reconnects), which
+-- the replay view steps through. Additive.
+
+create table if not exists public.session_events (
+  id bigserial primary key,
+  session_id integer not null references public.sessions(id) on delete cascade,
+  type text not null,
+  details jsonb not null default '{}'::jsonb,
+  occurred_at timestamptz not null default now()
+);
+
+alter table public.session_events enable row level security;
+
+create index if not exists idx_session_events_session
+  on public.session_events (session_id, occurred_at, id);
@@ -0,0 +1,172 @@
+// Pure team rules: which team a joining participant lands on, how members'
+// points become a team score, and the team lines in highlights.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const MAX_TEAMS = 8;
+const MAX_TEAM_NAME_LENGTH = 30;
+
+// 'average' keeps a small team competitive with a large one; 'sum' rewards
+// turnout as well as accuracy.
+const TEAM_SCORING_MODES = ['average', 'sum'];
+
+// 'choose' lets a participant pick a team on join and balances anyone who
+// does not; 'auto' always balances.
+const TEAM_ASSIGNMENTS = ['choose', 'auto'];
+
+function normalizeTeamScoring(value) {
+  const candidate = String(value ?? '').trim().toLowerCase();
+  return TEAM_SCORING_MODES.includes(candidate) ? candidate : 'average';
+}
+
+function normalizeTeamAssignment(value) {
+  const candidate = String(value ?? '').trim().toLowerCase();
+  return TEAM_ASSIGNMENTS.includes(candidate) ? candidate : 'choose';
+}
+
+// "Red, Blue, Green" names the teams; a bare number makes that many
+// numbered teams. Duplicates (ignoring case) and blanks are dropped.
+function parseTeamNames(value) {
+  const raw = String(value ?? '').trim();
+  if (/^\d+$/.test(raw)) {
+    const count = Math.min(Number(raw), MAX_TEAMS);
+    return Array.from({ length: count }, (_, index) => `Team ${index + 1}`);
+  }
+
+  const names = [];
+  const seen = new Set();
+  for (const part of raw.split(',')) {
+    const name = part.replace(/\s+/g, ' ').trim().slice(0, MAX_TEAM_NAME_LENGTH);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    names.push(name);
+  }
+  return names.slice(0, MAX_TEAMS);
+}
+
+// A quiz is in team mode only with two or more teams. Returns null otherwise.
+function normalizeTeams(config) {
+  if (!config || !Array.isArray(config.names)) return null;
+  const names = parseTeamNames(config.names.join(','));
+  if (names.length < 2) return null;
+  return {
+    names,
+    scoring: normalizeTeamScoring(config.scoring),
+    assignment: normalizeTeamAssignment(config.assignment)
+  };
+}
+
+function teamSizes(teams, participants) {
+  const sizes = new Map(teams.names.map(name => [name, 0]));
+  for (const participant of Object.values(participants || {})) {
+    if (sizes.has(participant.team)) sizes.set(participant.team, sizes.get(participant.team) + 1);
+  }
+  return sizes;
+}
+
+// A valid pick is honoured when the quiz lets participants choose; anyone
+// else joins the smallest team, earliest listed first on a tie.
+function assignTeam(teams, participants, requested = null) {
+  if (!teams) return null;
+  if (teams.assignment === 'choose' && requested) {
+    const wanted = String(requested).trim().toLowerCase();
+    const match = teams.names.find(name => name.toLowerCase() === wanted);
+    if (match) return match;
+  }
+
+  const sizes = teamSizes(teams, participants);
+  return teams.names.reduce((smallest, name) => (sizes.get(name) < sizes.get(smallest) ? name : smallest));
+}
+
+// "Blue" reads as "Team Blue"; "Team 3" and "Team Rocket" are left alone.
+function teamLabel(name) {
+  return /^team\b/i.test(name) ? name : `Team ${name}`;
+}
+
+// Ranks every team from its members' points. `entries` are leaderboard rows
+// (anything with team and points); `snapshot` holds last question's ranks.
+// Empty teams stay listed, after every team with members.
+function rankTeams(teams, entries, snapshot = {}) {
+  if (!teams) return [];
+  const totals = new Map(teams.names.map(name => [name, { points: 0, members: 0 }]));
+  for (const entry of entries) {
+    const total = totals.get(entry.team);
+    if (!total) continue;
+    total.points += Number(entry.points) || 0;
+    total.members += 1;
+  }
+
+  const ranked = teams.names
+    .map((name, order) => {
+      const { points, members } = totals.get(name);
+      const value = teams.scoring === 'sum' || members === 0 ? points : points / members;
+      return { name, order, members, value };
+    })
+    .sort((a, b) => (
+      (b.members > 0) - (a.members > 0)
+      || b.value - a.value
+      || b.members - a.members
+      || a.order - b.order
+    ));
+
+  return ranked.map(({ name, members, value }, index) => {
+    const rank = index + 1;
+    const previousRank = snapshot[name] || null;
+    return {
+      name,
+      label: teamLabel(name),
+      members,
+      score: Math.round(value),
+      rank,
+      previousRank,
+      movement: previousRank ? previousRank - rank : 0
+    };
+  });
+}
+
+function createTeamRankSnapshot(teamLeaderboard) {
+  return Object.fromEntries(teamLeaderboard.map(team => [team.name, team.rank]));
+}
+
+// At most one team line per question: a change at the top beats a standing
+// report, and a level top two is called out rather than crowning either.
+function buildTeamHighlights(teamLeaderboard) {
+  const active = teamLeaderboard.filter(team => team.members > 0);
+  if (active.length < 2) return [];
+
+  const [leader, runnerUp] = active;
+  const previousLeader = active.find(team => team.previousRank === 1);
+  if (leader.score === runnerUp.score) {
+    return [{
+      type: 'team-tied',
+      icon: 'equal',
+      eyebrow: 'Team race',
+      message: `${leader.label} and ${runnerUp.label} are level on ${leader.score} points`
+    }];
+  }
+  if (previousLeader && previousLeader.name !== leader.name) {
+    return [{
+      type: 'team-lead-change',
+      icon: 'crown',
+      eyebrow: 'New team in front',
+      message: `${leader.label} takes the lead from ${previousLeader.label}`
+    }];
+  }
+  return [{
+    type: 'team-lead',
+    icon: 'crown',
+    eyebrow: 'Team standings',
+    message: `${leader.label} leads by ${leader.score - runnerUp.score} ${leader.score - runnerUp.score === 1 ? 'point' : 'points'}`
+  }];
+}
+
+module.exports = {
+  MAX_TEAMS,
+  MAX_TEAM_NAME_LENGTH,
+  assignTeam,
+  buildTeamHighlights,
+  createTeamRankSnapshot,
+  normalizeTeams,
+  parseTeamNames,
+  rankTeams,
+  teamLabel
+};
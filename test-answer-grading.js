@@ -0,0 +1,156 @@
+const assert = require('node:assert/strict');
+const {
+  describeAnswer,
+  describeCorrectAnswer,
+  fromDisplayOrder,
+  gradeAnswer,
+  groupResponses,
+  isFreeResponse,
+  isMultiSelect,
+  isOrdering,
+  normalizeSubmission,
+  positionHits,
+  scrambledOrder,
+  selectedOptions,
+  storedAnswer,
+  toStoredColumns
+} = require('./answer-grading');
+
+const single = { options: ['A', 'B', 'C'], correctIndices: [1], format: 'single', credit: 'all' };
+const lenient = { options: ['A', 'B', 'C'], correctIndices: [0, 1] };
+const allOrNothing = { options: ['A', 'B', 'C', 'D'], correctIndices: [0, 2], format: 'multiple', credit: 'all' };
+const partial = { ...allOrNothing, credit: 'partial' };
+const numeric = { options: [], correctIndices: [], format: 'numeric', numericAnswer: { value: 42, tolerance: 0.5 } };
+const exact = { options: [], correctIndices: [], format: 'numeric', numericAnswer: { value: 0.3, tolerance: 0 } };
+const text = { options: [], correctIndices: [], format: 'text', acceptedAnswers: ['def', 'Define it'] };
+const ordering = { options: ['O(1)', 'O(log n)', 'O(n)', 'O(n²)'], correctIndices: [], format: 'order', credit: 'all' };
+const orderingPartial = { ...ordering, credit: 'partial' };
+
+// --- normalizeSubmission ---
+
+assert.equal(normalizeSubmission(single, 2), 2, 'a valid option index passes through');
+assert.equal(normalizeSubmission(single, 3), null, 'an out-of-range index is rejected');
+assert.equal(normalizeSubmission(single, -1), null, 'a negative index is rejected');
+assert.equal(normalizeSubmission(single, '1'), null, 'a numeric string is rejected');
+assert.equal(normalizeSubmission(single, [1]), null, 'a single-select question rejects an array');
+assert.equal(normalizeSubmission(lenient, 0), 0, 'a question stored without a format is single-select');
+
+assert.deepEqual(normalizeSubmission(allOrNothing, [2, 0]), [0, 2], 'multi-select picks are sorted');
+assert.equal(normalizeSubmission(allOrNothing, 2), null, 'a multi-select question rejects a bare index');
+assert.equal(normalizeSubmission(allOrNothing, []), null, 'an empty selection is rejected');
+assert.equal(normalizeSubmission(allOrNothing, [0, 0]), null, 'duplicate picks are rejected');
+assert.equal(normalizeSubmission(allOrNothing, [0, 4]), null, 'an out-of-range pick is rejected');
+assert.equal(normalizeSubmission(allOrNothing, [0, 1.5]), null, 'a fractional pick is rejected');
+assert.equal(normalizeSubmission(allOrNothing, 'abc'), null, 'junk is rejected');
+
+// --- gradeAnswer: single-select ---
+
+assert.deepEqual(gradeAnswer(single, 1), { isCorrect: true, credit: 1 }, 'the marked option is correct');
+assert.deepEqual(gradeAnswer(single, 0), { isCorrect: false, credit: 0 }, 'any other option is wrong');
+assert.deepEqual(gradeAnswer(single, undefined), { isCorrect: false, credit: 0 }, 'no answer earns nothing');
+assert.equal(gradeAnswer(lenient, 0).isCorrect, true, 'a single-select accepts any marked option');
+assert.equal(gradeAnswer(lenient, 1).isCorrect, true, 'a single-select accepts any marked option');
+
+// --- gradeAnswer: all-or-nothing multi-select ---
+
+assert.deepEqual(gradeAnswer(allOrNothing, [0, 2]), { isCorrect: true, credit: 1 }, 'the exact set is correct');
+assert.deepEqual(gradeAnswer(allOrNothing, [0]), { isCorrect: false, credit: 0 }, 'a missing pick earns nothing');
+assert.deepEqual(gradeAnswer(allOrNothing, [0, 1, 2]), { isCorrect: false, credit: 0 }, 'an extra pick earns nothing');
+
+// --- gradeAnswer: partial credit ---
+
+assert.deepEqual(gradeAnswer(partial, [0, 2]), { isCorrect: true, credit: 1 }, 'the exact set earns full credit');
+assert.deepEqual(gradeAnswer(partial, [0]), { isCorrect: false, credit: 0.5 }, 'one of two correct picks earns half');
+assert.deepEqual(gradeAnswer(partial, [0, 1]), { isCorrect: false, credit: 0 }, 'a wrong pick cancels a right one');
+assert.deepEqual(gradeAnswer(partial, [0, 1, 2, 3]), { isCorrect: false, credit: 0 }, 'ticking every box earns nothing');
+assert.deepEqual(gradeAnswer(partial, [1, 3]), { isCorrect: false, credit: 0 }, 'credit never goes negative');
+
+// --- typed answers ---
+
+assert.equal(normalizeSubmission(numeric, '42.4'), 42.4, 'a numeric string is parsed');
+assert.equal(normalizeSubmission(numeric, ' -.5 '), -0.5, 'a bare decimal point is accepted');
+assert.equal(normalizeSubmission(numeric, 41), 41, 'a number passes through');
+assert.equal(normalizeSubmission(numeric, ''), null, 'an empty string is not zero');
+assert.equal(normalizeSubmission(numeric, '0x10'), null, 'hex is rejected');
+assert.equal(normalizeSubmission(numeric, 'forty'), null, 'words are rejected');
+assert.equal(normalizeSubmission(numeric, Infinity), null, 'infinity is rejected');
+assert.equal(normalizeSubmission(text, '  define   it '), 'define it', 'text is trimmed and spaces collapsed');
+assert.equal(normalizeSubmission(text, '   '), null, 'blank text is rejected');
+assert.equal(normalizeSubmission(text, 'x'.repeat(201)), null, 'over-long text is rejected');
+assert.equal(normalizeSubmission(text, 3), null, 'a number is not a text answer');
+
+assert.equal(gradeAnswer(numeric, 42.5).isCorrect, true, 'the tolerance edge is inclusive');
+assert.equal(gradeAnswer(numeric, 41.4).isCorrect, false, 'outside the tolerance is wrong');
+assert.equal(gradeAnswer(exact, 0.1 + 0.2).isCorrect, true, 'floating-point error does not fail an exact answer');
+assert.equal(gradeAnswer(text, 'DEF').isCorrect, true, 'text matching ignores case');
+assert.equal(gradeAnswer(text, 'define  IT').isCorrect, true, 'text matching ignores spacing');
+assert.equal(gradeAnswer(text, 'function').isCorrect, false, 'other text is wrong');
+
+assert.equal(describeCorrectAnswer(numeric), '42 ± 0.5', 'a tolerance is shown');
+assert.equal(describeCorrectAnswer(exact), '0.3', 'an exact answer is shown bare');
+assert.equal(describeCorrectAnswer(text), 'def; Define it', 'every alternative is shown');
+assert.equal(describeCorrectAnswer(partial), 'A; C', 'marked options are shown');
+
+const grouped = groupResponses(text, ['Def', 'func', 'def ', 'FUNC', 'func', 'lambda']);
+assert.deepEqual(
+  grouped,
+  [
+    { value: 'func', count: 3, isCorrect: false },
+    { value: 'Def', count: 2, isCorrect: true },
+    { value: 'lambda', count: 1, isCorrect: false }
+  ],
+  'text answers group case-insensitively under the first spelling'
+);
+assert.equal(groupResponses(numeric, [41, 41, 42]).length, 2, 'numbers group by value');
+
+// --- ordering ---
+
+assert.deepEqual(normalizeSubmission(ordering, [3, 1, 0, 2]), [3, 1, 0, 2], 'a full permutation keeps its order');
+assert.equal(normalizeSubmission(ordering, [0, 1, 2]), null, 'every item must be placed');
+assert.equal(normalizeSubmission(ordering, [0, 1, 1, 2]), null, 'an item cannot be placed twice');
+assert.equal(normalizeSubmission(ordering, [0, 1, 2, 4]), null, 'an unknown item is rejected');
+assert.equal(normalizeSubmission(ordering, 0), null, 'a bare index is not an ordering');
+
+assert.deepEqual(gradeAnswer(ordering, [0, 1, 2, 3]), { isCorrect: true, credit: 1 }, 'the listed order is correct');
+assert.deepEqual(gradeAnswer(ordering, [0, 1, 3, 2]), { isCorrect: false, credit: 0 }, 'exact order is all-or-nothing');
+assert.deepEqual(gradeAnswer(orderingPartial, [0, 1, 3, 2]), { isCorrect: false, credit: 0.5 }, 'partial credit counts positions');
+assert.deepEqual(gradeAnswer(orderingPartial, [3, 2, 1, 0]), { isCorrect: false, credit: 0 }, 'a reversed list earns nothing');
+
+assert.deepEqual(
+  positionHits(ordering, [[0, 1, 2, 3], [0, 2, 1, 3], [1, 0, 2, 3]]),
+  [2, 1, 2, 3],
+  'position hits count who placed each item right'
+);
+assert.equal(describeCorrectAnswer(ordering), 'O(1) → O(log n) → O(n) → O(n²)', 'the correct order reads left to right');
+assert.equal(describeAnswer(ordering, [1, 0, 2, 3]), 'O(log n) → O(1) → O(n) → O(n²)', 'an ordering is described in placed order');
+assert.deepEqual(toStoredColumns(ordering, [1, 0, 2, 3]), { answerIndex: null, answerValue: [1, 0, 2, 3] }, 'an ordering is stored as a value');
+
+const alwaysFirst = () => 0;
+const identityPicks = () => 0.999;
+assert.deepEqual(scrambledOrder(4, alwaysFirst).slice().sort(), [0, 1, 2, 3], 'a scramble is a permutation');
+assert.notDeepEqual(scrambledOrder(4, identityPicks), [0, 1, 2, 3], 'a scramble never shows the answer order');
+assert.deepEqual(scrambledOrder(1), [0], 'a single item cannot be scrambled');
+assert.deepEqual(fromDisplayOrder([2, 0, 1], [1, 2, 0]), [0, 1, 2], 'display slots map back to option indices');
+assert.equal(fromDisplayOrder([3], [1, 2, 0]), null, 'an unknown slot maps to nothing');
+
+// --- helpers ---
+
+assert.equal(isMultiSelect(partial), true, 'format multiple is multi-select');
+assert.equal(isMultiSelect(lenient), false, 'a missing format is single-select');
+assert.equal(isFreeResponse(numeric), true, 'numeric questions are typed');
+assert.equal(isFreeResponse(partial), false, 'multi-select questions are not typed');
+assert.equal(isOrdering(ordering), true, 'format order is an ordering question');
+assert.equal(isOrdering(single), false, 'a single-select is not');
+assert.deepEqual(toStoredColumns(single, 1), { answerIndex: 1, answerValue: null }, 'a single pick is stored as an index');
+assert.deepEqual(toStoredColumns(partial, [0, 2]), { answerIndex: null, answerValue: [0, 2] }, 'multi-select picks are stored as a value');
+assert.deepEqual(toStoredColumns(numeric, 42), { answerIndex: null, answerValue: 42 }, 'a typed number is never mistaken for an index');
+assert.equal(describeAnswer(text, 'def'), 'def', 'a typed answer describes itself');
+assert.deepEqual(selectedOptions(2), [2], 'a single pick becomes a one-item list');
+assert.deepEqual(selectedOptions([0, 2]), [0, 2], 'a multi pick is returned as-is');
+assert.deepEqual(selectedOptions(null), [], 'no answer picks nothing');
+assert.equal(describeAnswer(partial, [0, 2]), 'A; C', 'picks are described by option text');
+assert.equal(describeAnswer(single, 1), 'B', 'a single pick is its option text');
+assert.equal(storedAnswer({ answer_index: 1, answer_value: null }), 1, 'a legacy row reads its answer index');
+assert.deepEqual(storedAnswer({ answer_index: null, answer_value: [0, 2] }), [0, 2], 'a multi-select row reads its answer value');
+
+console.log('All answer grading tests passed.');
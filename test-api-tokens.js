@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const {
+  API_TOKEN_SCOPES,
+  createApiToken,
+  isApiToken,
+  normalizeApiTokenRequest,
+  requiredApiTokenScope
+} = require('./api-tokens');
+
+// --- token format ---
+const token = createApiToken();
+assert.match(token, /^mm_/);
+assert.equal(isApiToken(token), true);
+assert.notEqual(token, createApiToken());
+assert.equal(isApiToken('eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2ln'), false, 'a login JWT is not an API token');
+assert.equal(isApiToken(`${token}x`), false);
+assert.equal(isApiToken(undefined), false);
+
+// --- create requests ---
+assert.deepEqual(
+  normalizeApiTokenRequest({ name: '  Nightly   sync ', scopes: ['analytics:read', 'sessions:read', 'analytics:read'] }),
+  { name: 'Nightly sync', scopes: ['sessions:read', 'analytics:read'] }
+);
+assert.match(normalizeApiTokenRequest({ name: '', scopes: ['sessions:read'] }).error, /name/);
+assert.match(normalizeApiTokenRequest({ name: 'x'.repeat(81), scopes: ['sessions:read'] }).error, /80/);
+assert.match(normalizeApiTokenRequest({ name: 'Sync', scopes: [] }).error, /at least one/);
+assert.match(normalizeApiTokenRequest({ name: 'Sync', scopes: ['admin'] }).error, /Unknown scope: admin/);
+assert.match(normalizeApiTokenRequest({ name: 'Sync', scopes: ['toString'] }).error, /Unknown scope/);
+assert.match(normalizeApiTokenRequest().error, /name/);
+
+// --- route scopes ---
+const expected = [
+  ['GET', '/sessions', 'sessions:read'],
+  ['GET', '/session/ABC123', 'sessions:read'],
+  ['HEAD', '/session/ABC123', 'sessions:read'],
+  ['GET', '/session/ABC123/results', 'sessions:read'],
+  ['GET', '/session/ABC123/participants', 'sessions:read'],
+  ['GET', '/session/ABC123/assignment', 'sessions:read'],
+  ['GET', '/session/ABC123/qr', 'sessions:read'],
+  ['GET', '/session/ABC123/replay', 'sessions:read'],
+  ['POST', '/session', 'sessions:write'],
+  ['POST', '/session/ABC123/end', 'sessions:write'],
+  ['POST', '/session/ABC123/metadata', 'sessions:write'],
+  ['POST', '/session/ABC123/recover', 'sessions:write'],
+  ['POST', '/session/ABC123/asset/diagram.png', 'sessions:write'],
+  ['DELETE', '/session/ABC123', 'sessions:write'],
+  ['GET', '/analytics/overview', 'analytics:read'],
+  ['GET', '/analytics/sessions', 'analytics:read'],
+  ['GET', '/analytics/compare', 'analytics:read'],
+  ['GET', '/analytics/session/ABC123', 'analytics:read'],
+  ['GET', '/analytics/session/ABC123/export', 'analytics:read'],
+  ['GET', '/analytics/session/ABC123/export/gradebook', 'analytics:read'],
+  ['GET', '/courses/Physics%20101/report', 'analytics:read'],
+  ['GET', '/courses/Physics%20101/report/export', 'analytics:read']
+];
+for (const [method, path, scope] of expected) {
+  assert.equal(requiredApiTokenScope(method, path), scope, `${method} ${path}`);
+}
+for (const scope of new Set(expected.map(([, , scope]) => scope))) {
+  assert.ok(Object.hasOwn(API_TOKEN_SCOPES, scope), scope);
+}
+
+// Account, billing, and token management stay behind a real login, so a
+// leaked token cannot mint more tokens or change the password.
+const webOnly = [
+  ['GET', '/settings'],
+  ['POST', '/settings/password'],
+  ['GET', '/settings/api-tokens'],
+  ['POST', '/settings/api-tokens'],
+  ['DELETE', '/settings/api-tokens/4'],
+  ['POST', '/settings/webhooks'],
+  ['GET', '/instructors'],
+  ['POST', '/billing/checkout'],
+  ['GET', '/activity-log'],
+  ['GET', '/quizzes'],
+  ['POST', '/courses/Physics%20101/roster'],
+  ['POST', '/analytics/sessions'],
+  ['PUT', '/session/ABC123'],
+  ['GET', '/session/ABC123/unknown'],
+  ['GET', '/sessions/extra']
+];
+for (const [method, path] of webOnly) {
+  assert.equal(requiredApiTokenScope(method, path), null, `${method} ${path}`);
+}
+
+console.log('API token tests passed');
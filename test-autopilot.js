@@ -137,6 +137,16 @@ assert.deepEqual(
   'schedules an early close once everyone has answered'
 );
 
+const pausedAllIn = makeSession();
+pausedAllIn.participants.a.answers[1] = 0;
+pausedAllIn.participants.b.answers[1] = 1;
+pausedAllIn.quizState.pausedAt = 1000;
+assert.equal(
+  nextAutopilotStep(pausedAllIn, 1),
+  null,
+  'a paused question is never closed early'
+);
+
 const stillWaiting = makeSession();
 stillWaiting.participants.a.answers[1] = 0;
 assert.equal(
@@ -0,0 +1,197 @@
+const assert = require('node:assert/strict');
+const {
+  MAX_ROSTER_STUDENTS,
+  MAX_STUDENT_NAME_LENGTH,
+  WEAKEST_SECTION_COUNT,
+  buildCourseReport,
+  normalizeCourseName,
+  parseCsv,
+  parseRoster,
+  toJoinRoster,
+  toRosterStudent
+} = require('./course-roster');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+// --- CSV ---
+
+assert.deepEqual(
+  parseCsv('a,b\r\n"c, d","say ""hi"""\n\n"line\nbreak",e'),
+  [['a', 'b'], ['c, d', 'say "hi"'], ['line\nbreak', 'e']],
+  'quoted commas, quotes, and line breaks survive; blank lines are dropped'
+);
+assert.deepEqual(parseCsv('\uFEFFname\nAda'), [['name'], ['Ada']], 'a spreadsheet byte order mark is ignored');
+
+// --- parseRoster ---
+
+assert.deepEqual(
+  parseRoster('Student ID,Name\nS1,Ada Lovelace\nS2,  Alan   Turing \nS1,Ada Again'),
+  {
+    students: [
+      { studentKey: 'S1', displayName: 'Ada Lovelace' },
+      { studentKey: 'S2', displayName: 'Alan Turing' }
+    ],
+    duplicates: 1
+  },
+  'a header names the columns, spacing is tidied, and a repeated ID is skipped'
+);
+assert.deepEqual(
+  parseRoster('email,full_name\nada@example.edu,Ada').students,
+  [{ studentKey: 'ada@example.edu', displayName: 'Ada' }],
+  'an email column can be the student ID'
+);
+assert.deepEqual(
+  parseRoster('Name,Section\nAda,1\nada,2').students,
+  [{ studentKey: 'Ada', displayName: 'Ada' }],
+  'without an ID column the name is the key, compared without case'
+);
+assert.deepEqual(
+  parseRoster('Ada\nAlan').students.map(s => s.displayName),
+  ['Ada', 'Alan'],
+  'one headerless column is a list of names'
+);
+assert.deepEqual(
+  parseRoster('101,Ada\n102,').students,
+  [{ studentKey: '101', displayName: 'Ada' }, { studentKey: '102', displayName: '102' }],
+  'headerless rows are ID then name; a missing name falls back to the ID'
+);
+assert.equal(parseRoster('').error, 'The roster is empty', 'an empty file is rejected');
+assert.equal(parseRoster('Name\n  \n').error, 'The roster has no students', 'a header alone is rejected');
+assert.match(
+  parseRoster(`Name\n${'x'.repeat(MAX_STUDENT_NAME_LENGTH + 1)}`).error,
+  /names must be/,
+  'roster names fit the join form'
+);
+assert.match(
+  parseRoster(Array.from({ length: MAX_ROSTER_STUDENTS + 1 }, (_, i) => `Student ${i}`).join('\n')).error,
+  /at most/,
+  'a roster has a size limit'
+);
+
+// --- rows ---
+
+assert.equal(normalizeCourseName('  Bio 101 '), 'Bio 101', 'Mash groups are trimmed like the session list');
+assert.equal(normalizeCourseName('   '), null, 'a blank Mash group is none');
+assert.deepEqual(
+  toJoinRoster([
+    { id: 2, student_key: 'S2', display_name: 'Zed' },
+    { id: 1, student_key: 'S1', display_name: 'Ada' }
+  ]),
+  [{ id: 1, name: 'Ada' }, { id: 2, name: 'Zed' }],
+  'the join page gets sorted names and never the student IDs'
+);
+assert.deepEqual(
+  toRosterStudent({ id: 3, student_key: 'S3', display_name: 'Grace', created_at: 'then', owner_id: 9 }),
+  { id: 3, studentKey: 'S3', displayName: 'Grace', createdAt: 'then' },
+  'roster rows are shaped for the studio'
+);
+
+// --- buildCourseReport ---
+
+const week1 = parseQuizMarkdown([
+  '# Week 1',
+  '',
+  '# Section: Cells',
+  '',
+  '## Powerhouse of the cell?',
+  '- [x] Mitochondria',
+  '- [ ] Ribosome',
+  '',
+  '# Section: Genetics',
+  '',
+  '## Where is DNA kept?',
+  '- [x] Nucleus',
+  '- [ ] Vacuole'
+].join('\n'));
+
+const week2 = parseQuizMarkdown([
+  '# Week 2',
+  '',
+  '## What makes proteins?',
+  '- [x] Ribosome',
+  '- [ ] Golgi',
+  '',
+  '## Fun fact?',
+  '::type=ungraded',
+  '- [x] Yes'
+].join('\n'));
+
+function row(participantId, questionIndex, answerIndex, isCorrect) {
+  return { participant_id: participantId, question_index: questionIndex, answer_index: answerIndex, answer_value: null, is_correct: isCorrect ? 1 : 0 };
+}
+
+const students = [
+  { id: 1, student_key: 'S1', display_name: 'Ada' },
+  { id: 2, student_key: 'S2', display_name: 'Alan' },
+  { id: 3, student_key: 'S3', display_name: 'Grace' }
+];
+
+const report = buildCourseReport({
+  courseName: 'Bio 101',
+  students,
+  sessions: [
+    {
+      session: { code: 'WEEK02', quiz_title: 'Week 2', created_at: '2026-09-08T09:00:00Z' },
+      quiz: week2,
+      participants: [
+        { id: 'p-ada-2', roster_student_id: 1 },
+        { id: 'p-alan-2', roster_student_id: 2 },
+        { id: 'p-alan-2b', roster_student_id: 2 },
+        { id: 'p-guest', roster_student_id: null }
+      ],
+      answers: [
+        row('p-ada-2', 0, 0, true),
+        row('p-ada-2', 1, 0, true),
+        row('p-alan-2', 0, 1, false),
+        row('p-alan-2b', 0, 0, true),
+        row('p-guest', 0, 0, true)
+      ]
+    },
+    {
+      session: { code: 'WEEK01', quiz_title: 'Week 1', created_at: '2026-09-01T09:00:00Z' },
+      quiz: week1,
+      participants: [
+        { id: 'p-ada-1', roster_student_id: 1 },
+        { id: 'p-alan-1', roster_student_id: 2 }
+      ],
+      answers: [
+        row('p-ada-1', 0, 0, true),
+        row('p-ada-1', 1, 1, false),
+        row('p-alan-1', 0, 0, true),
+        row('p-alan-1', 1, 0, true)
+      ]
+    }
+  ]
+});
+
+assert.equal(report.courseName, 'Bio 101', 'the report names its Mash group');
+assert.deepEqual(report.sessions.map(s => s.code), ['WEEK01', 'WEEK02'], 'sessions run oldest first');
+assert.deepEqual(report.students.map(s => s.displayName), ['Ada', 'Alan', 'Grace'], 'students are listed by name');
+assert.equal(report.unlinkedParticipants, 1, 'joins that skipped the roster are counted');
+
+const [ada, alan, grace] = report.students;
+assert.deepEqual(ada.scores, [50, 100], 'each session has the student\'s score; ungraded questions do not count');
+assert.equal(ada.trend, 50, 'trend is newest minus oldest');
+assert.equal(ada.averagePercent, 75, 'the average is over attended sessions');
+assert.equal(ada.attendancePercent, 100, 'attendance is a share of the group\'s sessions');
+assert.deepEqual(
+  ada.weakestSections,
+  [{ title: 'Genetics', percent: 0 }, { title: 'Cells', percent: 100 }, { title: 'Week 2', percent: 100 }],
+  'sections are ranked weakest first; a Mash without sections is its own section'
+);
+assert.equal(ada.weakestSections.length <= WEAKEST_SECTION_COUNT, true, 'only the weakest few are listed');
+
+assert.deepEqual(alan.scores, [100, 100], 'a student who joined twice keeps the stronger attempt');
+assert.equal(alan.trend, 0, 'a flat trend is zero');
+
+assert.deepEqual(grace.scores, [null, null], 'an absent student has no scores');
+assert.equal(grace.attended, 0, 'an absent student attended nothing');
+assert.equal(grace.attendancePercent, 0, 'an absent student has zero attendance');
+assert.equal(grace.averagePercent, null, 'an absent student has no average');
+assert.equal(grace.trend, null, 'trend needs two attended sessions');
+assert.deepEqual(grace.weakestSections, [], 'an absent student has no sections');
+assert.equal(grace.studentKey, 'S3', 'the student ID is kept for export');
+
+const empty = buildCourseReport({ courseName: 'New group', students, sessions: [] });
+assert.equal(empty.students[0].attendancePercent, null, 'a group without sessions has no attendance yet');
+
+console.log('All course roster tests passed.');
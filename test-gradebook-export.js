@@ -0,0 +1,84 @@
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_GRADEBOOK_COLUMNS,
+  buildGradebookRows,
+  normalizeGradebookOptions,
+  toGradebookCsv
+} = require('./gradebook-export');
+const { normalizeStoredQuiz, parseQuizMarkdown } = require('./quiz-structure');
+
+// --- options ---
+
+assert.deepEqual(normalizeGradebookOptions({}), { format: 'generic', columns: DEFAULT_GRADEBOOK_COLUMNS, grade: 'points' });
+assert.deepEqual(
+  normalizeGradebookOptions({ format: 'Canvas', grade: 'percent', columns: 'name, percent,name' }),
+  { format: 'canvas', columns: ['name', 'percent'], grade: 'percent' },
+  'columns are trimmed and deduplicated'
+);
+assert.match(normalizeGradebookOptions({ format: 'd2l' }).error, /generic, canvas, blackboard/);
+assert.match(normalizeGradebookOptions({ grade: 'letters' }).error, /points or percent/);
+assert.match(normalizeGradebookOptions({ columns: 'name,email' }).error, /Unknown gradebook column: email/);
+assert.match(normalizeGradebookOptions({ columns: ' , ' }).error, /at least one/);
+
+// --- rows ---
+
+const quiz = normalizeStoredQuiz(parseQuizMarkdown([
+  '# Loops',
+  '# Score 100',
+  '',
+  '## One',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## Two',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## Opinion',
+  '::type=ungraded',
+  '- [ ] A',
+  '- [ ] B'
+].join('\n')));
+
+const participants = [
+  { id: 'p-ada-1', name: 'ada', roster_student_id: 7, team: null },
+  { id: 'p-ada-2', name: 'Ada again', roster_student_id: 7, team: null },
+  { id: 'p-guest', name: 'Guest, "the" visitor', roster_student_id: null, team: 'Red' },
+  { id: 'p-idle', name: 'Idle', roster_student_id: null, team: null }
+];
+const answers = [
+  { participant_id: 'p-ada-1', question_index: 0, answer_index: 0, is_correct: 1, points: 50 },
+  { participant_id: 'p-ada-2', question_index: 0, answer_index: 0, is_correct: 1, points: 50 },
+  { participant_id: 'p-ada-2', question_index: 1, answer_index: 0, is_correct: 1, points: 50 },
+  { participant_id: 'p-ada-2', question_index: 2, answer_index: 1, is_correct: 0, points: null },
+  { participant_id: 'p-guest', question_index: 0, answer_index: 1, is_correct: 0, points: 0 }
+];
+const students = [{ id: 7, student_key: 's-001', display_name: 'Ada Lovelace' }];
+
+const rows = buildGradebookRows({ quiz, participants, answers, students });
+assert.deepEqual(rows, [
+  { name: 'Ada Lovelace', studentId: 's-001', team: '', score: 100, possible: 100, percent: 100, correct: 2, answered: 2, passed: true },
+  { name: 'Guest, "the" visitor', studentId: '', team: 'Red', score: 0, possible: 100, percent: 0, correct: 0, answered: 1, passed: false },
+  { name: 'Idle', studentId: '', team: '', score: 0, possible: 100, percent: 0, correct: 0, answered: 0, passed: false }
+], 'a roster student keeps their stronger attempt under the roster name; ungraded answers do not count');
+
+// --- CSV layouts ---
+
+const generic = toGradebookCsv(rows, { format: 'generic', columns: ['name', 'studentId', 'team', 'score', 'passed'], grade: 'points' });
+assert.equal(generic.split('\n')[0], 'Student,Student ID,Team,Score,Passed');
+assert.equal(generic.split('\n')[2], '"Guest, ""the"" visitor",,Red,0,No');
+
+const canvas = toGradebookCsv(rows, { format: 'canvas', grade: 'points', assignmentTitle: 'Loops (ABC123)', totalScore: 100 }).split('\n');
+assert.equal(canvas[0], 'Student,ID,SIS User ID,SIS Login ID,Section,Loops (ABC123)');
+assert.equal(canvas[1], 'Points Possible,,,,,100');
+assert.equal(canvas[2], 'Ada Lovelace,,s-001,,,100');
+
+const blackboard = toGradebookCsv(rows, { format: 'blackboard', grade: 'percent', assignmentTitle: 'Loops', totalScore: 1000 }).split('\n');
+assert.equal(blackboard[0], 'Last Name,First Name,Username,Loops [Total Pts: 100 Score]', 'percent grades are out of 100');
+assert.equal(blackboard[1], 'Lovelace,Ada,s-001,100');
+assert.equal(blackboard[3], 'Idle,,,0', 'one-word names are a last name');
+
+const hostile = toGradebookCsv([{ ...rows[2], name: '=HYPERLINK("x")' }], { format: 'generic', columns: ['name'], grade: 'points' });
+assert.equal(hostile.split('\n')[1], '"\'=HYPERLINK(""x"")"', 'spreadsheet formulas are neutralised');
+
+console.log('All gradebook export tests passed.');
@@ -0,0 +1,260 @@
+const assert = require('node:assert/strict');
+const net = require('net');
+const { spawn } = require('child_process');
+const jwt = require('jsonwebtoken');
+const { io } = require('socket.io-client');
+
+// Drives the host's live controls end to end against a practice room on a
+// real server process, with custom markdown so questions can be short.
+
+const JWT_SECRET = 'c'.repeat(64);
+
+const QUIZ_MARKDOWN = [
+  '# Live Controls',
+  '',
+  '## Two plus two?',
+  '::time=2',
+  '- [ ] 3',
+  '- [x] 4',
+  '',
+  '## Capital of France?',
+  '::time=30',
+  '- [ ] Lyon',
+  '- [x] Paris'
+].join('\n');
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function waitForSocket(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const handler = data => {
+      clearTimeout(timeout);
+      resolve(data);
+    };
+    socket.once(event, handler);
+  });
+}
+
+function connectSocket(baseUrl, auth = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = io(baseUrl, {
+      auth,
+      transports: ['websocket'],
+      reconnection: false,
+      timeout: 5000
+    });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+async function jsonFetch(baseUrl, path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  const data = await response.json();
+  assert.ok(response.ok, `${path} failed with ${response.status}: ${data.error}`);
+  return data;
+}
+
+async function waitForServer(baseUrl, child, output) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`Live controls test server exited early:\n${output.join('')}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/api/trial/config`);
+      if (response.ok) return;
+    } catch (error) {
+      // The child process is still starting.
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Live controls test server did not start:\n${output.join('')}`);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const output = [];
+  const sockets = [];
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      GUEST_TRIAL_CUSTOM_MARKDOWN: 'true',
+      GUEST_TRIAL_ENABLED: 'true',
+      JWT_SECRET,
+      PORT: String(port),
+      SKIP_DATABASE_INIT: 'true'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => output.push(chunk.toString()));
+  child.stderr.on('data', chunk => output.push(chunk.toString()));
+
+  let trialToken;
+  let sessionCode;
+  try {
+    await waitForServer(baseUrl, child, output);
+
+    const trial = await jsonFetch(baseUrl, '/api/trial', { method: 'POST' });
+    trialToken = trial.token;
+    const launched = await jsonFetch(baseUrl, '/api/trial/session', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${trialToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ markdown: QUIZ_MARKDOWN })
+    });
+    sessionCode = launched.session.code;
+
+    const joined = await jsonFetch(baseUrl, `/api/session/${sessionCode}/join`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Ada' })
+    });
+    const admin = await connectSocket(baseUrl, { token: trialToken });
+    const player = await connectSocket(baseUrl, {
+      participantId: joined.participantId,
+      participantToken: joined.participantToken,
+      sessionCode
+    });
+    sockets.push(admin, player);
+
+    const adminReady = waitForSocket(admin, 'quiz_loaded');
+    admin.emit('admin_join', sessionCode);
+    await adminReady;
+    const playerReady = waitForSocket(player, 'participant_ready');
+    player.emit('participant_join', { participantId: joined.participantId, sessionCode });
+    await playerReady;
+
+    // --- a removed LMS student cannot relaunch ---
+
+    const ltiTicket = jwt.sign({
+      type: 'lti-join',
+      sessionCode,
+      sessionId: `trial:${jwt.decode(trialToken).sub}`,
+      name: 'Grace',
+      lti: { issuer: 'https://lms.example.edu', clientId: 'markdown-mash', userId: 'student-7', lineItem: null }
+    }, JWT_SECRET, { expiresIn: '5m' });
+    const ltiJoin = () => fetch(`${baseUrl}/api/session/${sessionCode}/join`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Grace', ltiTicket })
+    });
+
+    const firstLaunch = await (await ltiJoin()).json();
+    const relaunched = await (await ltiJoin()).json();
+    assert.equal(relaunched.participantId, firstLaunch.participantId, 'a relaunch gets the same seat back');
+    assert.notEqual(relaunched.participantToken, firstLaunch.participantToken);
+
+    await jsonFetch(baseUrl, `/api/trial/session/${sessionCode}/kick/${firstLaunch.participantId}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${trialToken}` }
+    });
+    const afterKick = await ltiJoin();
+    assert.equal(afterKick.status, 403, 'a kicked LMS student is refused on relaunch');
+    const refused = await afterKick.json();
+    assert.equal(refused.participantToken, undefined, 'no new credential is issued');
+
+    const answer = (questionId, answerIndex) => player.emit('submit_answer', {
+      participantId: joined.participantId,
+      sessionCode,
+      questionId,
+      answerIndex
+    });
+
+    const started = waitForSocket(admin, 'quiz_started');
+    admin.emit('start_quiz', sessionCode);
+    await started;
+
+    // --- a pause that outlasts the question's time ---
+
+    const firstOpen = waitForSocket(player, 'question_started');
+    admin.emit('next_question', sessionCode);
+    const first = (await firstOpen).question;
+
+    const paused = waitForSocket(admin, 'question_paused');
+    admin.emit('pause_question', sessionCode);
+    await paused;
+    await wait(2500);
+
+    const rejected = waitForSocket(player, 'answer_rejected');
+    answer(first.id, 1);
+    const refusal = await rejected;
+    assert.equal(refusal.paused, true, 'an answer during a long pause is refused as paused');
+    assert.equal(refusal.questionId, first.id);
+
+    const resumed = waitForSocket(admin, 'question_resumed');
+    admin.emit('resume_question', sessionCode);
+    assert.ok((await resumed).remainingMs > 1000, 'resuming gives back the time that was left');
+    const confirmed = waitForSocket(player, 'answer_confirmed');
+    answer(first.id, 1);
+    await confirmed;
+
+    // --- stepping back from a closed question keeps its answers ---
+
+    const firstClosed = waitForSocket(admin, 'question_ended');
+    admin.emit('end_question', sessionCode);
+    const firstScore = (await firstClosed).presentation.leaderboard[0].score;
+
+    const secondOpen = waitForSocket(player, 'question_started');
+    admin.emit('next_question', sessionCode);
+    const second = (await secondOpen).question;
+    const secondConfirmed = waitForSocket(player, 'answer_confirmed');
+    answer(second.id, 1);
+    await secondConfirmed;
+    const secondClosed = waitForSocket(admin, 'question_ended');
+    admin.emit('end_question', sessionCode);
+    const secondScore = (await secondClosed).presentation.leaderboard[0].score;
+    assert.ok(secondScore > firstScore);
+
+    const backToFirst = waitForSocket(admin, 'question_ended');
+    admin.emit('previous_step', sessionCode);
+    const revisited = await backToFirst;
+    assert.equal(revisited.questionId, first.id, 'back lands on the first question\'s results');
+    assert.equal(revisited.presentation.leaderboard[0].score, firstScore, 'totals stand as they were there');
+
+    let reopened = false;
+    player.once('question_started', () => { reopened = true; });
+    const adminForward = waitForSocket(admin, 'question_ended');
+    const playerForward = waitForSocket(player, 'question_ended');
+    admin.emit('next_question', sessionCode);
+    const [forward, own] = await Promise.all([adminForward, playerForward]);
+    assert.equal(forward.questionId, second.id, 'moving on shows the closed question\'s results again');
+    assert.equal(reopened, false, 'the closed question does not reopen');
+    assert.equal(forward.presentation.leaderboard[0].score, secondScore, 'its answers still count');
+    const result = own.participantResults[joined.participantId];
+    assert.equal(result.yourAnswer, 1, 'the answer is kept');
+    assert.equal(result.isCorrect, true);
+    assert.equal(result.currentScore, secondScore);
+
+    console.log('Live controls tests passed');
+  } finally {
+    if (trialToken && sessionCode) {
+      await fetch(`${baseUrl}/api/trial/session/${sessionCode}/end`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${trialToken}` }
+      }).catch(() => {});
+    }
+    sockets.forEach(socket => socket.close());
+    child.kill('SIGTERM');
+  }
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
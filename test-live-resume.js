@@ -0,0 +1,182 @@
+const assert = require('node:assert/strict');
+const {
+  LIVE_STATE_VERSION,
+  bankedQuestions,
+  restoreLiveState,
+  restoreParticipant,
+  toLiveState
+} = require('./live-resume');
+const { parseQuizMarkdown, questionForStep } = require('./quiz-structure');
+const { questionOrderFor } = require('./shuffle');
+
+function freshSession() {
+  return {
+    quizState: {
+      isRunning: false,
+      currentStepIndex: -1,
+      questionEndTime: null,
+      showingResults: false,
+      autopilot: false,
+      autopilotPauseSeconds: 5,
+      autopilotResumeAt: null,
+      allAnsweredEmittedFor: null
+    },
+    questionStartTime: null,
+    sidekicksEnabled: true,
+    rankSnapshot: {},
+    teamRankSnapshot: {},
+    lastQuestionPresentation: null,
+    optionOrders: Object.create(null),
+    surveyCounts: Object.create(null)
+  };
+}
+
+const quiz = parseQuizMarkdown([
+  '# Resume',
+  '',
+  '# Section: Warm-up',
+  '',
+  '## Two plus two?',
+  '- [ ] 3',
+  '- [x] 4',
+  '',
+  '## Favourite colour?',
+  '::type=ungraded',
+  '- [x] Blue',
+  '- [ ] Red',
+  '',
+  '## Capital of France?',
+  '- [ ] Lyon',
+  '- [x] Paris'
+].join('\n'));
+const [twoPlusTwo, colour, france] = quiz.questions;
+
+// --- saved room state ---
+
+const running = freshSession();
+Object.assign(running.quizState, {
+  isRunning: true,
+  currentStepIndex: 2,
+  questionEndTime: 61000,
+  autopilot: true,
+  autopilotResumeAt: 65000
+});
+running.questionStartTime = 31000;
+running.sidekicksEnabled = false;
+running.rankSnapshot = { p1: 1, p2: 2 };
+running.optionOrders.q9 = [2, 0, 1];
+
+const saved = JSON.parse(JSON.stringify(toLiveState(running)));
+assert.equal(saved.version, LIVE_STATE_VERSION);
+assert.notEqual(toLiveState(running).quizState, running.quizState, 'the saved state is a copy');
+
+const restored = restoreLiveState(freshSession(), saved);
+assert.deepEqual(restored.quizState, running.quizState, 'the position comes back as saved');
+assert.equal(restored.questionStartTime, 31000);
+assert.equal(restored.sidekicksEnabled, false);
+assert.deepEqual(restored.rankSnapshot, { p1: 1, p2: 2 });
+assert.deepEqual(restored.optionOrders.q9, [2, 0, 1]);
+assert.equal(Object.getPrototypeOf(restored.optionOrders), null, 'dictionaries stay prototype-free');
+assert.equal(Object.getPrototypeOf(restored.surveyCounts), null);
+
+assert.deepEqual(restoreLiveState(freshSession(), null), freshSession(), 'no save leaves a new room');
+assert.deepEqual(
+  restoreLiveState(freshSession(), { ...saved, version: LIVE_STATE_VERSION + 1 }),
+  freshSession(),
+  'a save from another version is ignored'
+);
+
+// --- participants ---
+
+const row = {
+  id: 'p1',
+  name: 'Ada',
+  team: 'Red',
+  avatar_id: 'owl',
+  access_token_digest: 'digest',
+  lti_issuer: 'https://lms.example',
+  lti_client_id: 'client',
+  lti_user_id: 'user-1',
+  lti_lineitem: 'https://lms.example/lineitem',
+  progress: null
+};
+const answerRows = [
+  { participant_id: 'p1', question_index: 0, answer_index: 1, points: 800, response_time_ms: 1200 },
+  { participant_id: 'p1', question_index: 0, answer_index: 0, points: 0, response_time_ms: 1500 },
+  { participant_id: 'p1', question_index: 2, answer_index: 0, points: null, response_time_ms: 4000 },
+  { participant_id: 'p1', question_index: 9, answer_index: 0, points: 100, response_time_ms: 10 }
+];
+const ada = restoreParticipant(row, answerRows, quiz);
+assert.equal(ada.name, 'Ada');
+assert.equal(ada.team, 'Red');
+assert.equal(ada.avatarId, 'owl');
+assert.equal(ada.accessTokenDigest, 'digest');
+assert.deepEqual(ada.lti, {
+  issuer: 'https://lms.example',
+  clientId: 'client',
+  userId: 'user-1',
+  lineItem: 'https://lms.example/lineitem'
+});
+assert.equal(ada.socketId, null, 'nobody is connected until they rejoin');
+assert.equal(ada.progress, null, 'a live participant has no own progress');
+assert.deepEqual(ada.answers, { [twoPlusTwo.id]: 1, [france.id]: 0 }, 'the first answer counts; unknown questions are dropped');
+assert.equal(ada.questionPoints[twoPlusTwo.id], 800, 'stored points are kept');
+assert.equal(ada.questionPoints[france.id], 0, 'points are recomputed when none were stored');
+assert.deepEqual(ada.responseTimes, { [twoPlusTwo.id]: 1200, [france.id]: 4000 });
+assert.equal(ada.earnedCredit, 0, 'totals start at zero');
+
+const plain = restoreParticipant({ id: 'p2', name: 'Bo' }, [], quiz);
+assert.equal(plain.lti, null);
+assert.equal(plain.team, null);
+
+const selfPaced = restoreParticipant({ id: 'p3', name: 'Cy', progress: null }, [], quiz, { selfPaced: true });
+assert.equal(selfPaced.progress.stepIndex, -1, 'a self-paced participant without saved progress starts over');
+const savedProgress = { stepIndex: 2, stepOrder: null, showingResult: true, questionsDone: 2 };
+assert.equal(
+  restoreParticipant({ id: 'p3', name: 'Cy', progress: savedProgress }, [], quiz, { selfPaced: true }).progress,
+  savedProgress,
+  'saved progress is kept'
+);
+
+// --- banked questions ---
+
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: -1 }), [], 'nothing is banked before the start');
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: 0 }), [], 'a section banks nothing');
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: 1 }), [], 'an open question is not banked');
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: 1, resultShown: true }), [twoPlusTwo]);
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: 3 }), [twoPlusTwo, colour]);
+assert.deepEqual(bankedQuestions(quiz, { stepIndex: 3, resultShown: true }), [twoPlusTwo, colour, france]);
+assert.deepEqual(
+  bankedQuestions(quiz, { stepIndex: 4, resultShown: true }),
+  [twoPlusTwo, colour, france],
+  'a finished position banks every question'
+);
+
+const shuffled = parseQuizMarkdown([
+  '# Mixed Up',
+  '# Shuffle: questions',
+  '',
+  '## One?',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '## Two?',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '## Three?',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '## Four?',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'));
+const stepOrder = questionOrderFor(shuffled, 'p7');
+assert.deepEqual(
+  bankedQuestions(shuffled, { stepIndex: 2, stepOrder }),
+  stepOrder.slice(0, 2).map(step => questionForStep(shuffled, step)),
+  'a shuffled participant banks in the order they played'
+);
+
+console.log('Live resume tests passed');
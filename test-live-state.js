@@ -0,0 +1,180 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createMemoryLiveStateStore } = require('./live-state-store');
+const { createLiveStateAdapter } = require('./live-state-adapter');
+const {
+  FORWARDED_HEADER,
+  createLiveRooms,
+  createRemoteSocket,
+  forwardRequest
+} = require('./live-rooms');
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function nextEvent(emitter, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    emitter.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    });
+  });
+}
+
+(async () => {
+  // --- memory store leases ---
+  let clock = 1000;
+  const store = createMemoryLiveStateStore({ now: () => clock });
+  assert.equal(await store.acquireLease('room:ABC', 'one', 100), true);
+  assert.equal(await store.acquireLease('room:ABC', 'two', 100), false, 'a held lease is exclusive');
+  assert.equal(await store.acquireLease('room:ABC', 'one', 100), true, 'the holder renews');
+  assert.equal(await store.leaseHolder('room:ABC'), 'one');
+  clock += 100;
+  assert.equal(await store.leaseHolder('room:ABC'), null, 'an expired lease has no holder');
+  assert.equal(await store.acquireLease('room:ABC', 'two', 100), true, 'an expired lease can be taken');
+  await store.releaseLease('room:ABC', 'one');
+  assert.equal(await store.leaseHolder('room:ABC'), 'two', 'only the holder releases');
+  await store.releaseLease('room:ABC', 'two');
+  assert.equal(await store.leaseHolder('room:ABC'), null);
+  assert.equal(await store.acquireLease('instance:x', '', 100), true);
+  assert.equal(await store.leaseHolder('instance:x'), '', 'an empty holder is still a holder');
+
+  // --- memory store messages ---
+  const received = [];
+  const unsubscribe = store.subscribe('channel', message => received.push(message));
+  const sent = { n: 1, nested: { at: 'first' } };
+  const publishing = [store.publish('channel', sent), store.publish('channel', { n: 2 }), store.publish('other', { n: 9 })];
+  assert.deepEqual(received, [], 'delivery is never synchronous');
+  await Promise.all(publishing);
+  assert.deepEqual(received, [{ n: 1, nested: { at: 'first' } }, { n: 2 }], 'messages arrive in order');
+  assert.notEqual(received[0], sent, 'messages are copied, as over the wire');
+  unsubscribe();
+  await store.publish('channel', { n: 3 });
+  assert.equal(received.length, 2, 'unsubscribed handlers hear nothing');
+
+  // --- room leases between instances ---
+  clock = 5000;
+  const first = createLiveRooms({ store, instanceId: 'first', address: 'http://first.internal', leaseMs: 300 });
+  const second = createLiveRooms({ store, instanceId: 'second', leaseMs: 300 });
+  assert.equal(await first.claim('ROOM1'), true);
+  assert.equal(await second.claim('ROOM1'), false, 'one instance runs a room');
+  assert.equal(await second.remoteOwnerOf('ROOM1'), null, 'an unregistered owner is not reachable');
+  assert.deepEqual(await first.renew(['ROOM1']), []);
+  await second.renew([]);
+  assert.deepEqual(await second.remoteOwnerOf('ROOM1'), { instanceId: 'first', address: 'http://first.internal' });
+  assert.equal(await first.remoteOwnerOf('ROOM1'), null, 'an instance is not remote to itself');
+  assert.equal(await second.remoteOwnerOf('NOPE'), null);
+  assert.equal(await first.isInstanceAlive('second'), true);
+
+  clock += 200;
+  assert.deepEqual(await first.renew(['ROOM1']), [], 'renewal keeps the room');
+  clock += 200;
+  assert.equal(await second.claim('ROOM1'), false, 'a renewed lease still holds');
+  clock += 300;
+  assert.equal(await first.isInstanceAlive('first'), false, 'a silent instance lapses');
+  assert.equal(await second.claim('ROOM1'), true, 'a lapsed room can be taken over');
+  assert.deepEqual(await first.renew(['ROOM1']), ['ROOM1'], 'the old holder learns it lost the room');
+  await second.release('ROOM1');
+  assert.equal(await first.claim('ROOM1'), true, 'a released room is free again');
+
+  const inbox = [];
+  const stopInbox = first.onMessage(message => inbox.push(message));
+  await second.send('first', { type: 'socket_closed', socketId: 'abc' });
+  await first.send('second', { type: 'ignored' });
+  assert.deepEqual(inbox, [{ type: 'socket_closed', socketId: 'abc', from: 'second' }]);
+  stopInbox();
+
+  // --- rooms shared between Socket.IO servers ---
+  const shared = createMemoryLiveStateStore();
+  const serverA = http.createServer();
+  const serverB = http.createServer();
+  const ioA = new Server(serverA, { adapter: createLiveStateAdapter(shared) });
+  const ioB = new Server(serverB, { adapter: createLiveStateAdapter(shared) });
+  ioB.on('connection', socket => socket.join('session:ROOM2'));
+  await listen(serverA);
+  const urlB = await listen(serverB);
+
+  const client = connect(urlB, { transports: ['websocket'], reconnection: false });
+  await nextEvent(client, 'connect');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const greeting = nextEvent(client, 'question_started');
+  ioA.to('session:ROOM2').emit('question_started', { from: 'A' });
+  assert.deepEqual(await greeting, [{ from: 'A' }], 'a broadcast reaches a socket on another server');
+
+  const remote = createRemoteSocket(ioA, {
+    id: client.id,
+    data: { principal: { type: 'admin', id: 7 } },
+    auth: { participantId: 'p1' },
+    origin: 'second'
+  });
+  assert.equal(remote.handshake.auth.participantId, 'p1');
+  const handled = [];
+  remote.on('participant_join', payload => handled.push(payload));
+  remote.dispatch('participant_join', [{ sessionCode: 'ROOM2' }]);
+  remote.dispatch('unknown_event', []);
+  assert.deepEqual(handled, [{ sessionCode: 'ROOM2' }]);
+
+  const direct = nextEvent(client, 'joined');
+  remote.emit('joined', { ok: true });
+  assert.deepEqual(await direct, [{ ok: true }], 'a stand-in emits to the real socket');
+
+  remote.join('admin:ROOM2');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal((await ioB.in('admin:ROOM2').fetchSockets()).length, 1, 'a stand-in joins rooms for the real socket');
+
+  const kicked = nextEvent(client, 'disconnect');
+  remote.disconnect(true);
+  await kicked;
+
+  client.close();
+  ioA.close();
+  ioB.close();
+
+  // --- HTTP forwarding ---
+  const owner = express();
+  owner.use(express.json());
+  owner.post('/api/session/:code/join', (req, res) => {
+    res.status(201).set('X-Owner', 'yes').json({
+      code: req.params.code,
+      body: req.body,
+      forwardedBy: req.get(FORWARDED_HEADER)
+    });
+  });
+  const ownerServer = http.createServer(owner);
+  const ownerUrl = await listen(ownerServer);
+
+  const front = express();
+  front.use('/api/session/:code', (req, res) => forwardRequest(req, res, { address: ownerUrl, instanceId: 'front' }));
+  front.use('/down', (req, res) => forwardRequest(req, res, { address: 'http://127.0.0.1:1', instanceId: 'front' }));
+  const frontServer = http.createServer(front);
+  const frontUrl = await listen(frontServer);
+
+  const response = await fetch(`${frontUrl}/api/session/ROOM3/join?x=1`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Ada' })
+  });
+  assert.equal(response.status, 201);
+  assert.equal(response.headers.get('x-owner'), 'yes');
+  assert.deepEqual(await response.json(), { code: 'ROOM3', body: { name: 'Ada' }, forwardedBy: 'front' });
+
+  const unavailable = await fetch(`${frontUrl}/down`);
+  assert.equal(unavailable.status, 502);
+  assert.match((await unavailable.json()).error, /unavailable/);
+
+  await new Promise(resolve => ownerServer.close(resolve));
+  await new Promise(resolve => frontServer.close(resolve));
+
+  console.log('Live state tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
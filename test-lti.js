@@ -0,0 +1,221 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  buildLoginRedirect,
+  findPlatform,
+  hasStateCookie,
+  isSameLtiUser,
+  launchIdentity,
+  parseLtiPlatforms,
+  publicKeySet,
+  scoreUrlFor,
+  stateCookieFor,
+  verifyLaunchToken
+} = require('./lti');
+const { createLtiGradeService } = require('./lti-grade-service');
+const { INSTRUCTOR_ROLE, createMockPlatform } = require('./lti-mock-platform');
+
+const platform = createMockPlatform();
+const toolKeys = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// --- platform configuration ---
+assert.deepEqual(parseLtiPlatforms(undefined), { platforms: [] });
+assert.deepEqual(parseLtiPlatforms('  '), { platforms: [] });
+const { platforms } = parseLtiPlatforms(JSON.stringify([platform.registration()]));
+assert.equal(platforms.length, 1);
+assert.equal(platforms[0].issuer, platform.issuer);
+assert.deepEqual(platforms[0].deploymentIds, ['deployment-1']);
+assert.match(parseLtiPlatforms('{').error, /JSON array/);
+assert.match(parseLtiPlatforms('{}').error, /JSON array/);
+assert.match(parseLtiPlatforms(JSON.stringify([{ ...platform.registration(), clientId: '' }])).error, /clientId/);
+assert.match(parseLtiPlatforms(JSON.stringify([{ ...platform.registration(), deploymentIds: [] }])).error, /deploymentId/);
+assert.match(parseLtiPlatforms(JSON.stringify([{ ...platform.registration(), publicKey: 'nope' }])).error, /PEM/);
+assert.match(parseLtiPlatforms(JSON.stringify([{ ...platform.registration(), authLoginUrl: 'ftp://x' }])).error, /http/);
+assert.match(parseLtiPlatforms(JSON.stringify([platform.registration(), platform.registration()])).error, /repeats/);
+
+const second = { ...platforms[0], clientId: 'other-client' };
+assert.equal(findPlatform(platforms, platform.issuer), platforms[0]);
+assert.equal(findPlatform([...platforms, second], platform.issuer), null);
+assert.equal(findPlatform([...platforms, second], platform.issuer, 'other-client'), second);
+assert.equal(findPlatform(platforms, 'https://elsewhere.example'), null);
+
+// --- OIDC login round trip through the mock platform ---
+const redirect = new URL(buildLoginRedirect(platforms[0], {
+  loginHint: 'user-7',
+  ltiMessageHint: 'hint-9',
+  redirectUri: 'https://mash.example/lti/launch',
+  state: 'state-1',
+  nonce: 'nonce-1'
+}));
+assert.equal(`${redirect.origin}${redirect.pathname}`, `${platform.issuer}/auth`);
+assert.equal(redirect.searchParams.get('lti_message_hint'), 'hint-9');
+assert.equal(redirect.searchParams.get('prompt'), 'none');
+const authorized = platform.authorize(Object.fromEntries(redirect.searchParams), { session: 'abc123' });
+assert.equal(authorized.redirectUri, 'https://mash.example/lti/launch');
+assert.equal(authorized.state, 'state-1');
+assert.match(platform.authorize({ ...Object.fromEntries(redirect.searchParams), client_id: 'x' }).error, /client_id/);
+
+const launch = verifyLaunchToken(authorized.idToken, platforms, { nonce: 'nonce-1' });
+assert.equal(launch.error, undefined);
+assert.equal(launch.platform, platforms[0]);
+const identity = launchIdentity(launch.platform, launch.claims);
+assert.deepEqual(identity, {
+  name: 'Ada Lovelace',
+  courseName: 'Physics 101',
+  isInstructor: false,
+  sessionCode: 'ABC123',
+  lti: {
+    issuer: platform.issuer,
+    clientId: platform.clientId,
+    userId: 'lms-user-1',
+    lineItem: `${platform.issuer}/lineitems/1`
+  }
+});
+
+// --- login state cookie ---
+const loginNonce = crypto.randomBytes(16).toString('hex');
+const stateCookie = stateCookieFor(loginNonce);
+assert.match(stateCookie.name, /^mm_lti_state_[0-9a-f]{16}$/);
+assert.notEqual(stateCookie.value, loginNonce, 'the cookie holds a hash, not the nonce');
+assert.equal(hasStateCookie(`theme=dark; ${stateCookie.name}=${stateCookie.value}`, loginNonce), true);
+assert.equal(hasStateCookie('', loginNonce), false, 'a browser that never logged in is refused');
+assert.equal(hasStateCookie(undefined, loginNonce), false);
+const otherNonce = crypto.randomBytes(16).toString('hex');
+assert.equal(
+  hasStateCookie(`${stateCookie.name}=${stateCookieFor(otherNonce).value}`, loginNonce),
+  false,
+  'another login\'s cookie does not match'
+);
+assert.notEqual(stateCookieFor(otherNonce).name, stateCookie.name, 'two logins keep separate cookies');
+
+// --- id_token checks ---
+function rejected(options, nonce = 'n') {
+  return verifyLaunchToken(platform.signIdToken({ nonce: 'n', ...options }), platforms, { nonce }).error;
+}
+assert.match(rejected({}, 'other'), /expired/);
+assert.match(rejected({ expiresIn: -10 }), /could not be verified/);
+assert.match(rejected({ claims: { 'https://purl.imsglobal.org/spec/lti/claim/deployment_id': 'rogue' } }), /deployment/);
+assert.match(rejected({ claims: { 'https://purl.imsglobal.org/spec/lti/claim/version': '1.1' } }), /LTI 1.3/);
+assert.match(rejected({ claims: { 'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiDeepLinkingRequest' } }), /resource link/);
+assert.match(verifyLaunchToken('', platforms, { nonce: 'n' }).error, /missing/);
+
+const impostor = createMockPlatform({ issuer: platform.issuer });
+assert.match(
+  verifyLaunchToken(impostor.signIdToken({ nonce: 'n' }), platforms, { nonce: 'n' }).error,
+  /could not be verified/
+);
+const unknown = createMockPlatform({ issuer: 'https://unknown.example' });
+assert.match(verifyLaunchToken(unknown.signIdToken({ nonce: 'n' }), platforms, { nonce: 'n' }).error, /not registered/);
+
+// --- launch identity ---
+function identityFor(options) {
+  const token = platform.signIdToken({ nonce: 'n', ...options });
+  return launchIdentity(platforms[0], jwt.decode(token));
+}
+assert.equal(identityFor({ roles: [INSTRUCTOR_ROLE] }).isInstructor, true);
+assert.equal(identityFor({ targetLinkUri: 'https://mash.example/play.html?session=xyz789' }).sessionCode, 'XYZ789');
+assert.equal(identityFor({ session: 'too-long-code' }).sessionCode, null);
+assert.equal(identityFor({ lineItem: null }).lti.lineItem, null);
+assert.equal(identityFor({ name: '', claims: { given_name: 'Grace', family_name: 'Hopper' } }).name, 'Grace Hopper');
+assert.equal(identityFor({ name: '' }).name, 'LMS student');
+assert.equal(identityFor({ name: 'x'.repeat(120) }).name.length, 80);
+assert.equal(identityFor({ courseTitle: '' }).courseName, 'PHYS101');
+assert.equal(identityFor({
+  claims: {
+    'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint': { scope: [], lineitem: 'https://lms.example/li/1' }
+  }
+}).lti.lineItem, null);
+const learner = identityFor({}).lti;
+assert.equal(isSameLtiUser(learner, identityFor({ lineItem: null }).lti), true, 'a relaunch is the same user');
+assert.equal(isSameLtiUser(learner, { ...learner, userId: 'someone-else' }), false);
+assert.equal(isSameLtiUser(learner, { ...learner, clientId: 'other-client' }), false);
+assert.equal(isSameLtiUser(learner, null), false);
+
+// --- score URLs and the tool key set ---
+assert.equal(scoreUrlFor('https://lms.example/api/lineitems/4'), 'https://lms.example/api/lineitems/4/scores');
+assert.equal(scoreUrlFor('https://lms.example/api/lineitems/4/?type=x'), 'https://lms.example/api/lineitems/4/scores?type=x');
+const keySet = publicKeySet(toolKeys.privateKey, 'tool-key');
+assert.equal(keySet.keys.length, 1);
+assert.equal(keySet.keys[0].kid, 'tool-key');
+assert.equal(keySet.keys[0].alg, 'RS256');
+assert.equal(keySet.keys[0].d, undefined);
+
+// --- grade passback against the mock platform ---
+const requests = [];
+const gradeService = createLtiGradeService({
+  platforms,
+  privateKey: toolKeys.privateKey,
+  keyId: 'tool-key',
+  now: () => Date.parse('2030-01-02T03:04:05.000Z'),
+  fetchImpl: async (url, options) => {
+    requests.push(url);
+    if (url === `${platform.issuer}/token`) {
+      const form = Object.fromEntries(new URLSearchParams(options.body));
+      const toolKey = crypto.createPublicKey({ key: keySet.keys[0], format: 'jwk' });
+      const result = platform.issueToken(form, toolKey);
+      return { ok: result.status === 200, status: result.status, json: async () => result.body };
+    }
+    const headers = Object.fromEntries(Object.entries(options.headers).map(([key, value]) => [key.toLowerCase(), value]));
+    const result = platform.recordScore(url.replace(/\/scores$/, ''), headers, JSON.parse(options.body));
+    return { ok: result.status === 200, status: result.status };
+  }
+});
+assert.equal(gradeService.configured, true);
+assert.equal(createLtiGradeService({ platforms, privateKey: '', keyId: 'k' }).configured, false);
+
+(async () => {
+  await gradeService.postScore({ lti: identity.lti, scoreGiven: 75, scoreMaximum: 100 });
+  await gradeService.postScore({ lti: { ...identity.lti, userId: 'lms-user-2' }, scoreGiven: 40, scoreMaximum: 100 });
+  // The access token is reused for the second score.
+  assert.deepEqual(requests, [
+    `${platform.issuer}/token`,
+    `${platform.issuer}/lineitems/1/scores`,
+    `${platform.issuer}/lineitems/1/scores`
+  ]);
+  assert.deepEqual(platform.scores[0], {
+    lineItem: `${platform.issuer}/lineitems/1`,
+    userId: 'lms-user-1',
+    scoreGiven: 75,
+    scoreMaximum: 100,
+    activityProgress: 'Completed',
+    gradingProgress: 'FullyGraded',
+    timestamp: '2030-01-02T03:04:05.000Z'
+  });
+  assert.equal(platform.scores[1].userId, 'lms-user-2');
+
+  await assert.rejects(
+    gradeService.postScore({ lti: { ...identity.lti, issuer: 'https://gone.example' }, scoreGiven: 1, scoreMaximum: 1 }),
+    /no longer registered/
+  );
+
+  // A tool key the platform does not know is refused at the token endpoint.
+  const strangerKeys = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const strangerService = createLtiGradeService({
+    platforms,
+    privateKey: strangerKeys.privateKey,
+    keyId: 'stranger',
+    fetchImpl: async (url, options) => {
+      const toolKey = crypto.createPublicKey({ key: keySet.keys[0], format: 'jwk' });
+      const result = platform.issueToken(Object.fromEntries(new URLSearchParams(options.body)), toolKey);
+      return { ok: result.status === 200, status: result.status, json: async () => result.body };
+    }
+  });
+  await assert.rejects(
+    strangerService.postScore({ lti: identity.lti, scoreGiven: 1, scoreMaximum: 1 }),
+    error => error.status === 401 && /access token/.test(error.message)
+  );
+
+  console.log('LTI tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
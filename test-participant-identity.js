@@ -1,7 +1,8 @@
 const assert = require('assert');
 const {
   canReuseParticipant,
-  normalizeParticipantName
+  normalizeParticipantName,
+  reissueParticipantToken
 } = require('./participant-identity');
 const {
   createParticipantStore
@@ -62,4 +63,34 @@ assert.deepStrictEqual(
   ['participant-b']
 );
 
-console.log('Participant identity isolation passed');
+async function checkTokenReissue() {
+  const stored = [];
+  const repository = {
+    async updateParticipantAccessToken(participantId, digest) {
+      stored.push({ participantId, digest });
+    }
+  };
+  const participant = { id: 'participant-a', accessTokenDigest: 'old-digest' };
+  const token = await reissueParticipantToken(repository, participant, { token: 'new-token', digest: 'new-digest' });
+  assert.strictEqual(token, 'new-token');
+  assert.strictEqual(participant.accessTokenDigest, 'new-digest');
+  assert.deepStrictEqual(stored, [{ participantId: 'participant-a', digest: 'new-digest' }]);
+
+  const failing = {
+    async updateParticipantAccessToken() {
+      throw new Error('connection terminated');
+    }
+  };
+  await assert.rejects(
+    reissueParticipantToken(failing, participant, { token: 'lost-token', digest: 'lost-digest' }),
+    /connection terminated/
+  );
+  assert.strictEqual(participant.accessTokenDigest, 'new-digest', 'a failed write keeps the token that works');
+}
+
+checkTokenReissue().then(() => {
+  console.log('Participant identity isolation passed');
+}).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
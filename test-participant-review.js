@@ -0,0 +1,115 @@
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_REVIEW_DAYS,
+  MAX_REVIEW_DAYS,
+  buildParticipantReview,
+  normalizeReviewDays,
+  reviewAvailability
+} = require('./participant-review');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+const DAY = 24 * 60 * 60 * 1000;
+const endedAt = '2026-10-19T09:00:00Z';
+const ended = Date.parse(endedAt);
+
+// --- review days ---
+
+assert.deepEqual(normalizeReviewDays(undefined), { days: DEFAULT_REVIEW_DAYS }, 'blank means the default');
+assert.deepEqual(normalizeReviewDays('14'), { days: 14 });
+assert.deepEqual(normalizeReviewDays(0), { days: 0 }, 'zero turns the review off');
+assert.match(normalizeReviewDays(MAX_REVIEW_DAYS + 1).error, /0 to 90 days/);
+assert.match(normalizeReviewDays(2.5).error, /days/, 'days are whole');
+assert.match(normalizeReviewDays('soon').error, /days/);
+
+// --- availability ---
+
+const finished = { sessionType: 'quiz', status: 'ended', endedAt, reviewDays: 7 };
+assert.deepEqual(reviewAvailability(finished, ended + DAY), { available: true, expiresAt: ended + 7 * DAY });
+assert.equal(reviewAvailability(finished, ended + 7 * DAY).reason, 'expired', 'the last moment is closed');
+assert.equal(reviewAvailability({ ...finished, status: 'active' }, ended).reason, 'not-ended', 'answers stay hidden mid-quiz');
+assert.equal(reviewAvailability({ ...finished, endedAt: null }, ended).reason, 'not-ended');
+assert.equal(reviewAvailability({ ...finished, reviewDays: 0 }, ended).reason, 'disabled');
+assert.equal(reviewAvailability({ ...finished, reviewDays: null }, ended).reason, 'disabled', 'older sessions have no review');
+assert.equal(
+  reviewAvailability({ ...finished, sessionType: 'survey' }, ended).reason,
+  'survey',
+  'surveys never offer a review, whatever the settings say'
+);
+
+// --- review ---
+
+const quiz = parseQuizMarkdown([
+  '# Review Me',
+  '# Score 300',
+  '',
+  '# Section: Basics',
+  '',
+  '## Two plus two?',
+  '- [ ] 3',
+  '- [x] 4',
+  '> Explanation: Count on from two.',
+  '',
+  '## Pick the primes',
+  '- [x] 2',
+  '- [x] 3',
+  '- [ ] 4',
+  '',
+  '## Favourite colour?',
+  '::type=ungraded',
+  '- [ ] Blue',
+  '- [ ] Red',
+  '',
+  '## How many legs has a spider?',
+  '::answer=8'
+].join('\n'));
+
+const review = buildParticipantReview({
+  quiz,
+  participant: { id: 'p-1', name: 'Ada', team: null },
+  answers: [
+    { question_index: 0, answer_index: 1, answer_value: null, is_correct: 1, points: 100 },
+    { question_index: 1, answer_index: null, answer_value: [0, 2], is_correct: 0, points: 0 },
+    { question_index: 2, answer_index: 1, answer_value: null, is_correct: 0, points: null }
+  ]
+});
+
+assert.equal(review.title, 'Review Me');
+assert.deepEqual(review.participant, { id: 'p-1', name: 'Ada', team: null });
+assert.equal(review.questions.length, 4, 'every question is listed');
+assert.deepEqual(
+  { score: review.score, totalScore: review.totalScore, percent: review.percent, correctCount: review.correctCount, gradedCount: review.gradedCount },
+  { score: 100, totalScore: 300, percent: 33, correctCount: 1, gradedCount: 3 }
+);
+assert.equal(review.passed, false);
+
+const [sum, primes, colour, legs] = review.questions;
+assert.equal(sum.sectionTitle, 'Basics');
+assert.equal(sum.yourAnswer, '4');
+assert.equal(sum.correctAnswer, '4');
+assert.equal(sum.isCorrect, true);
+assert.equal(sum.points, 100);
+assert.equal(sum.worth, 100);
+assert.equal(sum.explanation, 'Count on from two.', 'explanations come along');
+assert.deepEqual(sum.options, [
+  { text: '3', correct: false, picked: false },
+  { text: '4', correct: true, picked: true }
+]);
+
+assert.equal(primes.yourAnswer, '2; 4');
+assert.equal(primes.correctAnswer, '2; 3');
+assert.equal(primes.isCorrect, false);
+assert.deepEqual(primes.options.map(option => option.picked), [true, false, true], 'multi-select picks are marked');
+
+assert.equal(colour.scored, false);
+assert.equal(colour.gradedNumber, null);
+assert.equal(colour.correctAnswer, null, 'ungraded questions have no key');
+assert.deepEqual(colour.options.map(option => option.correct), [false, false]);
+assert.equal(colour.yourAnswer, 'Red');
+
+assert.equal(legs.answered, false, 'unanswered questions are still shown');
+assert.equal(legs.yourAnswer, null);
+assert.equal(legs.correctAnswer, '8');
+assert.deepEqual(legs.options, [], 'typed questions have no option list');
+assert.equal(legs.explanation, null);
+
+console.log('All participant review tests passed.');
@@ -171,6 +171,103 @@ function run() {
     'the ungraded question must not appear in the hardest recap'
   );
 
+  // Multi-select: partial credit ranks and scores; the recap names the combination.
+  const multi = {
+    quiz: {
+      title: 'Multi',
+      totalScore: 100,
+      questions: [
+        { id: 1, text: 'Primes', options: ['2', '3', '4'], correctIndices: [0, 1], format: 'multiple', credit: 'partial' },
+        { id: 2, text: 'Single', options: ['A', 'B'], correctIndices: [0] }
+      ]
+    },
+    rankSnapshot: {},
+    participants: {
+      p1: {
+        id: 'p1',
+        name: 'Pat',
+        correctCount: 0,
+        earnedCredit: 0.5,
+        answers: { 1: [0], 2: 1 },
+        responseTimes: { 1: 1000, 2: 1000 }
+      },
+      p2: {
+        id: 'p2',
+        name: 'Quinn',
+        correctCount: 1,
+        earnedCredit: 1.5,
+        answers: { 1: [0, 1], 2: 0 },
+        responseTimes: { 1: 2000, 2: 2000 }
+      },
+      p3: {
+        id: 'p3',
+        name: 'Rae',
+        correctCount: 1,
+        earnedCredit: 1,
+        answers: { 1: [0], 2: 0 },
+        responseTimes: { 1: 500, 2: 500 }
+      }
+    }
+  };
+
+  const multiRanked = rankParticipants(multi);
+  assert.deepEqual(multiRanked.map(entry => entry.name), ['Quinn', 'Rae', 'Pat'], 'earned credit decides the ranking');
+  assert.equal(multiRanked[0].score, 75, 'one and a half questions of two is 75 points');
+  assert.equal(multiRanked[2].score, 25, 'half a question of two is 25 points');
+
+  const multiPresentation = buildQuestionPresentation(multi, multi.quiz.questions[0]);
+  assert.deepEqual(
+    multiPresentation.correctParticipants.map(entry => entry.name),
+    ['Quinn'],
+    'only the exact selection counts as a correct multi-select answer'
+  );
+
+  const multiHardest = buildHardestQuestions(multi);
+  assert.equal(multiHardest[0].index, 0, 'the multi-select question is the hardest');
+  assert.equal(multiHardest[0].commonWrongAnswer, '2', 'the recap names the most common wrong selection');
+  assert.equal(multiHardest[0].commonWrongCount, 2, 'identical selections are counted together');
+
+  // Typed answers: the recap names the most common wrong entry.
+  const typed = {
+    quiz: {
+      title: 'Typed',
+      totalScore: 100,
+      questions: [
+        { id: 1, text: 'Keyword', options: [], correctIndices: [], format: 'text', acceptedAnswers: ['def'] }
+      ]
+    },
+    rankSnapshot: {},
+    participants: {
+      p1: { id: 'p1', name: 'Pat', correctCount: 0, answers: { 1: 'Func' } },
+      p2: { id: 'p2', name: 'Quinn', correctCount: 0, answers: { 1: 'func' } },
+      p3: { id: 'p3', name: 'Rae', correctCount: 0, answers: { 1: 'lambda' } },
+      p4: { id: 'p4', name: 'Sam', correctCount: 1, answers: { 1: 'DEF' } }
+    }
+  };
+  const typedHardest = buildHardestQuestions(typed);
+  assert.equal(typedHardest[0].correctCount, 1, 'typed answers are graded case-insensitively');
+  assert.equal(typedHardest[0].commonWrongAnswer, 'Func', 'wrong entries group regardless of case');
+  assert.equal(typedHardest[0].commonWrongCount, 2, 'both spellings are counted together');
+
+  // Speed scoring: stored points outrank an equal correct count.
+  const speedSession = {
+    quiz: {
+      title: 'Speed',
+      totalScore: 100,
+      scoringMode: 'speed',
+      questions: [{ id: 1, text: 'Q', options: ['A', 'B'], correctIndices: [0] }]
+    },
+    rankSnapshot: {},
+    participants: {
+      slow: { id: 'slow', name: 'Avery', correctCount: 1, points: 55.4, answers: { 1: 0 }, responseTimes: { 1: 500 } },
+      fast: { id: 'fast', name: 'Blake', correctCount: 1, points: 96.2, answers: { 1: 0 }, responseTimes: { 1: 800 } }
+    }
+  };
+  const speedRanked = rankParticipants(speedSession);
+  assert.equal(speedRanked[0].name, 'Blake', 'more points rank higher');
+  assert.equal(speedRanked[0].score, 96, 'the score is the rounded point total');
+  assert.equal(speedRanked[1].score, 55, 'each participant keeps their own points');
+
   // Survey session handling in presentation
   const surveySession = {
     sessionType: 'survey',
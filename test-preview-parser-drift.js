@@ -12,21 +12,22 @@
 // copies in sync by hand (with this test as the tripwire) is a deliberate,
 // accepted-for-now shortcut for this release, not an oversight.
 //
-// Fields intentionally NOT compared: quiz.totalScore and quiz.passingPercent
-// exist only on the server's quiz object — the preview never scores
-// anything, so parseQuizMarkdownLocal doesn't produce them. That is
+// Fields intentionally NOT compared: quiz.totalScore, quiz.passingPercent,
+// quiz.scoringMode, quiz.teams and quiz.shuffle exist only on the server's quiz object — the
+// preview never scores or shuffles anything, so parseQuizMarkdownLocal doesn't produce them. That is
 // intentional, not a gap to "fix" here.
 
 const assert = require('node:assert/strict');
 const { parseQuizMarkdown } = require('./quiz-structure');
 const { parseQuizMarkdownLocal } = require('./public/js/quiz-preview-parser');
 
-const QUESTION_FIELDS = ['text', 'options', 'correctIndices', 'timeLimit', 'type', 'gradedNumber', 'sectionTitle'];
+const QUESTION_FIELDS = ['text', 'options', 'correctIndices', 'timeLimit', 'type', 'format', 'credit', 'numericAnswer', 'acceptedAnswers', 'weight', 'penalty', 'gradedNumber', 'sectionTitle', 'explanation'];
 
 function assertParsersAgree(markdown, label) {
   const server = parseQuizMarkdown(markdown);
   const preview = parseQuizMarkdownLocal(markdown);
 
+  assert.equal(preview.title, server.title, `${label}: title disagrees`);
   assert.deepStrictEqual(preview.steps, server.steps, `${label}: steps disagree`);
   assert.equal(preview.questions.length, server.questions.length, `${label}: question count disagrees`);
 
@@ -172,4 +173,173 @@ assertParsersAgree([
   '::time=30'
 ].join('\n'), 'question with a four-space-indented code block');
 
+// --- multi-select questions, with and without partial credit ---
+
+assertParsersAgree([
+  '# Multi-select Quiz',
+  '# Score 100',
+  '',
+  '## Q1: Which are primes?',
+  '- [x] 2',
+  '- [x] 3',
+  '- [ ] 4',
+  '::select=multiple',
+  '::credit=partial',
+  '',
+  '## Q2: Which are even?',
+  '::select=MULTIPLE',
+  '- [x] 2',
+  '- [x] 4',
+  '- [ ] 5',
+  '',
+  '## Q3: Bogus directives fall back',
+  '::select=several',
+  '::credit=some',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'), 'multi-select and credit directives');
+
+// --- typed numeric and text answers ---
+
+assertParsersAgree([
+  '# Typed Answers Quiz',
+  '',
+  '## Q1: What is 6 × 7?',
+  '::answer=42',
+  '',
+  '## Q2: Estimate pi',
+  '::answer=3.14 ±0.01',
+  '::time=30',
+  '',
+  '## Q3: Negative with ASCII tolerance',
+  '::answer=-2.5 +/-.5',
+  '',
+  '## Q4: Which keyword defines a function?',
+  '::accept=def | define',
+  '',
+  '## Q5: A malformed answer stays in the text',
+  '::answer=forty-two'
+].join('\n'), 'numeric and text answer directives');
+
+// --- a scoring directive is never mistaken for the title ---
+
+assertParsersAgree([
+  '# Speed Round',
+  '# Scoring: speed',
+  '# Score 1000',
+  '',
+  '## Q1: Fastest finger?',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'), '# Scoring: directive');
+
+// --- point weights and negative marking ---
+
+assertParsersAgree([
+  '# Weighted Quiz',
+  '# Score 50',
+  '',
+  '## Q1: Warm-up',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '## Q2: The hard one',
+  '::points=3',
+  '::penalty=1',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '## Q3: Half weight',
+  '::points=.5',
+  '::penalty=0',
+  '- [x] Yes',
+  '',
+  '## Q4: Malformed weights stay in the text',
+  '::points=-2',
+  '::penalty=lots',
+  '- [x] Yes'
+].join('\n'), 'point weight and penalty directives');
+
+// --- ordering questions ---
+
+assertParsersAgree([
+  '# Ordering Quiz',
+  '',
+  '## Q1: Sort these complexities, fastest first',
+  '1. O(1)',
+  '2. O(log n)',
+  '3. O(n)',
+  '4) O(n²)',
+  '::credit=partial',
+  '',
+  '## Q2: A numbered list in the prose of a normal question',
+  'Consider these steps:',
+  '1. Read',
+  '2. Write',
+  '- [x] Fine',
+  '- [ ] Broken',
+  '',
+  '## Q3: A single numbered line is just text',
+  '1. Alone',
+  '',
+  '## Q4: Typed answers keep numbered prose',
+  '1. Add two',
+  '2. Double it',
+  '::answer=8'
+].join('\n'), 'numbered-list ordering questions');
+
+// --- team directives never become the title ---
+
+assertParsersAgree([
+  '# Team Quiz',
+  '# Teams: Red, Blue',
+  '# Team score: sum',
+  '# Team assignment: auto',
+  '',
+  '## Q1: 1 + 1?',
+  '- [ ] 1',
+  '- [x] 2'
+].join('\n'), 'team mode directives');
+
+assertParsersAgree([
+  '# Shuffle: options',
+  '# Mixed Up',
+  '# Shuffle: questions (within sections)',
+  '',
+  '# Section: Part one',
+  '',
+  '## Q1: 1 + 1?',
+  '- [ ] 1',
+  '- [x] 2'
+].join('\n'), 'shuffle directives');
+
+assertParsersAgree([
+  '# Pooled',
+  '',
+  '## Warm-up',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '# Pool: Loops (pick 2)',
+  '> Two of these each time.',
+  '',
+  '## Q1: for?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## Q2: while?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## Q3: do?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '# Pool: Everything',
+  '',
+  '## Q4: All asked?',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'), 'question pools');
+
 console.log('All preview-parser drift tests passed.');
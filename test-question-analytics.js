@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const { optionBreakdown, optionDistribution, orderingPositionHits } = require('./question-analytics');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+const quiz = parseQuizMarkdown([
+  '# Analytics',
+  '',
+  '## Two plus two?',
+  '- [ ] 3',
+  '- [x] 4',
+  '- [ ] 5',
+  '',
+  '## Sort these, fastest first',
+  '1. O(1)',
+  '2. O(log n)',
+  '3. O(n)',
+  '',
+  '## Primes?',
+  '- [x] 2',
+  '- [x] 3',
+  '- [ ] 4'
+].join('\n'));
+const [single, ordering, multiple] = quiz.questions;
+assert.equal(ordering.format, 'order');
+
+// Three people answered each question. The distribution query expands
+// array answers, so every ordering item comes back picked three times.
+const answerRows = [
+  { participant_id: 'a', question_index: 0, answer_index: 1, answer_value: null },
+  { participant_id: 'b', question_index: 0, answer_index: 0, answer_value: null },
+  { participant_id: 'c', question_index: 0, answer_index: 1, answer_value: null },
+  { participant_id: 'a', question_index: 1, answer_index: null, answer_value: [0, 1, 2] },
+  { participant_id: 'b', question_index: 1, answer_index: null, answer_value: [1, 0, 2] },
+  { participant_id: 'c', question_index: 1, answer_index: null, answer_value: [0, 2, 1] },
+  { participant_id: 'a', question_index: 2, answer_index: null, answer_value: [0, 1] }
+];
+const distributionRows = {
+  0: [{ question_index: 0, answer_index: 0, count: '1' }, { question_index: 0, answer_index: 1, count: '2' }],
+  1: [0, 1, 2].map(answer_index => ({ question_index: 1, answer_index, count: '3' })),
+  2: [{ question_index: 2, answer_index: 0, count: '1' }, { question_index: 2, answer_index: 1, count: '1' }]
+};
+
+// --- option distribution ---
+
+assert.deepEqual(optionDistribution(single, distributionRows[0]), [
+  { optionIndex: 0, count: '1' },
+  { optionIndex: 1, count: '2' }
+]);
+assert.deepEqual(optionDistribution(multiple, distributionRows[2]).map(entry => entry.optionIndex), [0, 1]);
+assert.deepEqual(optionDistribution(ordering, distributionRows[1]), [], 'ordering items are never counted as picks');
+
+// --- option breakdown ---
+
+assert.deepEqual(optionBreakdown(single, distributionRows[0], 3), [
+  { option: '3', count: '1', percent: 33, isCorrect: false },
+  { option: '4', count: '2', percent: 67, isCorrect: true },
+  { option: '5', count: 0, percent: 0, isCorrect: false }
+]);
+assert.deepEqual(optionBreakdown(ordering, distributionRows[1], 3), [], 'no ordering item shows as picked by everyone');
+assert.deepEqual(optionBreakdown(undefined, [], 0), [], 'a question missing from the quiz has no options');
+
+// --- ordering positions ---
+
+assert.deepEqual(orderingPositionHits(ordering, answerRows), [2, 1, 2], 'each position counts who placed its item right');
+assert.equal(orderingPositionHits(single, answerRows), null);
+assert.equal(orderingPositionHits(undefined, answerRows), null);
+
+console.log('Question analytics tests passed');
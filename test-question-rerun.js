@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const {
+  addSurveyCounts,
+  clearTotals,
+  discardAnswer,
+  hasAnsweredThisRun,
+  noteRerunAnswer,
+  startRerun
+} = require('./question-rerun');
+const { everyoneAnswered } = require('./autopilot');
+const { createTransientSessionRepository } = require('./session-repository');
+
+const question = { id: 'q2', index: 1 };
+
+function participant(id, answer) {
+  return {
+    id,
+    answers: answer === undefined ? {} : { q2: answer },
+    questionPoints: answer === undefined ? {} : { q2: 800 },
+    responseTimes: answer === undefined ? {} : { q2: 1200 },
+    surveyAnsweredQuestions: Object.assign(Object.create(null), { 1: true, 2: true })
+  };
+}
+
+// --- startRerun ---
+
+assert.deepEqual(startRerun(question, false, [3, 1]), {
+  questionId: 'q2',
+  keepAnswers: false,
+  answeredIds: [],
+  surveyCounts: null
+}, 'a cleared run carries nothing over');
+const counts = [3, 1];
+const kept = startRerun(question, true, counts);
+assert.deepEqual(kept.surveyCounts, [3, 1]);
+assert.notEqual(kept.surveyCounts, counts, 'kept counts are a copy');
+assert.equal(startRerun(question, 'yes').keepAnswers, false, 'only true keeps answers');
+
+// --- answering a kept run ---
+
+const ada = participant('ada', 1);
+const bo = participant('bo');
+const quizState = { rerun: startRerun(question, true) };
+const session = { participants: { ada, bo }, quizState };
+
+assert.equal(hasAnsweredThisRun(quizState, ada, 'q2'), false, 'a kept answer can be given again');
+assert.equal(hasAnsweredThisRun(quizState, bo, 'q2'), false);
+assert.equal(hasAnsweredThisRun(quizState, ada, 'q1'), false, 'other questions are unaffected');
+assert.equal(hasAnsweredThisRun({ rerun: null }, ada, 'q2'), true, 'outside a re-run an answer is final');
+assert.equal(hasAnsweredThisRun({ rerun: startRerun(question, false) }, ada, 'q2'), true);
+assert.equal(everyoneAnswered(session, 'q2'), false, 'kept answers do not close the question early');
+
+ada.answers.q2 = 0;
+noteRerunAnswer(quizState, ada, 'q2');
+noteRerunAnswer(quizState, ada, 'q2');
+assert.deepEqual(quizState.rerun.answeredIds, ['ada'], 'each participant is noted once');
+assert.equal(hasAnsweredThisRun(quizState, ada, 'q2'), true, 'a new answer is final');
+noteRerunAnswer(quizState, bo, 'q1');
+assert.deepEqual(quizState.rerun.answeredIds, ['ada'], 'answers to other questions are not noted');
+noteRerunAnswer({ rerun: null }, bo, 'q2');
+
+bo.answers.q2 = 1;
+noteRerunAnswer(quizState, bo, 'q2');
+assert.equal(everyoneAnswered(session, 'q2'), true);
+
+// --- discarding and totals ---
+
+const cy = participant('cy', 2);
+discardAnswer(cy, question);
+assert.deepEqual(cy.answers, {});
+assert.deepEqual(cy.questionPoints, {});
+assert.deepEqual(cy.responseTimes, {});
+assert.equal(cy.surveyAnsweredQuestions[1], undefined, 'the survey response is forgotten');
+assert.equal(cy.surveyAnsweredQuestions[2], true, 'other survey responses stay');
+discardAnswer({ answers: {} }, question);
+
+const scored = { score: 9, correctCount: 2, earnedCredit: 2, points: 1800, currentStreak: 2, bestStreak: 2, funCorrectCount: 1, funTotal: 1 };
+clearTotals(scored);
+assert.deepEqual(scored, { score: 0, correctCount: 0, earnedCredit: 0, points: 0, currentStreak: 0, bestStreak: 0, funCorrectCount: 0, funTotal: 0 });
+
+// --- kept survey counts ---
+
+const collected = { counts: [1, 0, 2], answered: 3, totalParticipants: 9 };
+assert.equal(addSurveyCounts(collected, null), collected);
+assert.deepEqual(addSurveyCounts(collected, [2, 1, 0]), { counts: [3, 1, 2], answered: 6, totalParticipants: 9 });
+
+// --- re-answers replace stored rows ---
+
+(async () => {
+  const repository = createTransientSessionRepository();
+  await repository.recordAnswer('ada', 1, 0, true, 900);
+  await repository.recordAnswer('bo', 1, 1, false, 1100);
+  await repository.recordAnswer('ada', 1, 2, false, 700);
+  await repository.recordAnonymousAnswers([{ questionIndex: 2, answerIndex: 0 }]);
+  const rows = await repository.listAnswers();
+  assert.deepEqual(
+    rows.map(row => [row.participant_id, row.question_index]),
+    [['bo', 1], ['ada', 1], [null, 2]],
+    'one row per participant and question'
+  );
+
+  await repository.discardAnswers(1);
+  assert.deepEqual((await repository.listAnswers()).map(row => row.question_index), [2]);
+
+  console.log('Question re-run tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
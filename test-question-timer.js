@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_EXTRA_SECONDS,
+  MAX_EXTRA_SECONDS,
+  canExtendQuestion,
+  canPauseQuestion,
+  extendQuestion,
+  isQuestionPaused,
+  normalizeExtraSeconds,
+  pauseQuestion,
+  questionMsLeft,
+  resumeQuestion
+} = require('./question-timer');
+
+function openQuestion(overrides = {}) {
+  return {
+    isRunning: true,
+    currentStepIndex: 1,
+    questionEndTime: 30000,
+    showingResults: false,
+    pausedAt: null,
+    pausedRemainingMs: null,
+    ...overrides
+  };
+}
+
+// --- canPauseQuestion ---
+
+assert.equal(canPauseQuestion(openQuestion(), 10000), true, 'an open question can be paused');
+assert.equal(canPauseQuestion(openQuestion({ isRunning: false }), 10000), false, 'not before the quiz runs');
+assert.equal(canPauseQuestion(openQuestion({ showingResults: true }), 10000), false, 'not once results show');
+assert.equal(canPauseQuestion(openQuestion({ questionEndTime: null }), 10000), false, 'not on a section');
+assert.equal(canPauseQuestion(openQuestion(), 30000), false, 'not once time is up');
+assert.equal(canPauseQuestion(openQuestion({ pausedAt: 5000, pausedRemainingMs: 25000 }), 10000), false, 'not twice');
+assert.equal(canPauseQuestion(undefined), false);
+
+// --- pause and resume ---
+
+const quizState = openQuestion();
+assert.equal(isQuestionPaused(quizState), false);
+Object.assign(quizState, pauseQuestion(quizState, 12000));
+assert.equal(isQuestionPaused(quizState), true);
+assert.equal(quizState.pausedAt, 12000);
+assert.equal(quizState.pausedRemainingMs, 18000);
+assert.equal(questionMsLeft(quizState, 50000), 18000, 'the clock is frozen while paused');
+
+const resumed = resumeQuestion(quizState, 2000, 42000);
+assert.deepEqual(resumed.quizState, { pausedAt: null, pausedRemainingMs: null, questionEndTime: 60000 });
+assert.equal(resumed.questionStartTime, 32000, 'response times do not count the pause');
+Object.assign(quizState, resumed.quizState);
+assert.equal(isQuestionPaused(quizState), false);
+assert.equal(questionMsLeft(quizState, 42000), 18000, 'the time left is where it was');
+assert.equal(questionMsLeft(quizState, 70000), 0, 'never negative');
+
+assert.equal(resumeQuestion(openQuestion({ pausedAt: 1000, pausedRemainingMs: 500 }), null, 4000).questionStartTime, null);
+
+// --- adding time ---
+
+assert.equal(normalizeExtraSeconds(30), 30);
+assert.equal(normalizeExtraSeconds('20'), 20, 'accepts a numeric string from the client');
+assert.equal(normalizeExtraSeconds(0), 1, 'adds at least a second');
+assert.equal(normalizeExtraSeconds(10000), MAX_EXTRA_SECONDS);
+assert.equal(normalizeExtraSeconds('soon'), DEFAULT_EXTRA_SECONDS);
+assert.equal(normalizeExtraSeconds(undefined), DEFAULT_EXTRA_SECONDS);
+
+assert.equal(canExtendQuestion(openQuestion(), 10000), true);
+assert.equal(canExtendQuestion(openQuestion(), 30000), false, 'not once time is up');
+assert.equal(canExtendQuestion(openQuestion({ showingResults: true }), 10000), false);
+assert.equal(canExtendQuestion(openQuestion({ questionEndTime: null }), 10000), false, 'not on a section');
+assert.equal(
+  canExtendQuestion(openQuestion({ questionEndTime: 5000, pausedAt: 4000, pausedRemainingMs: 1000 }), 10000),
+  true,
+  'a paused question can take more time'
+);
+
+assert.deepEqual(extendQuestion(openQuestion(), 15), { questionEndTime: 45000 });
+assert.deepEqual(
+  extendQuestion(openQuestion({ pausedAt: 12000, pausedRemainingMs: 18000 }), 15),
+  { pausedRemainingMs: 33000 },
+  'a paused question banks the time until it resumes'
+);
+
+console.log('Question timer tests passed');
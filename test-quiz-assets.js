@@ -0,0 +1,122 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  MAX_ASSET_BYTES,
+  MAX_ASSETS_PER_SESSION,
+  MAX_SESSION_ASSET_BYTES,
+  assetUrl,
+  detectImageType,
+  normalizeAssetName,
+  referencedAssetNames,
+  resolveAssetReferences,
+  resolveQuizAssets,
+  validateAsset
+} = require('./quiz-assets');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+function image(header, size = 64) {
+  const buffer = Buffer.alloc(size);
+  Buffer.from(header, 'latin1').copy(buffer);
+  return buffer;
+}
+
+const png = image('\x89PNG\r\n\x1a\n');
+const jpeg = image('\xff\xd8\xff\xe0');
+const gif = image('GIF89a');
+const webp = image('RIFF\0\0\0\0WEBP');
+
+// --- names ---
+
+assert.equal(normalizeAssetName('diagram.png'), 'diagram.png', 'a plain image name is accepted');
+assert.equal(normalizeAssetName('Step_2-final.JPG'), 'Step_2-final.JPG', 'case and punctuation are kept');
+assert.equal(normalizeAssetName('../secret.png'), null, 'a path is rejected');
+assert.equal(normalizeAssetName('.hidden.png'), null, 'a leading dot is rejected');
+assert.equal(normalizeAssetName('my diagram.png'), null, 'spaces are rejected');
+assert.equal(normalizeAssetName('drawing.svg'), null, 'SVG is not an accepted image');
+assert.equal(normalizeAssetName('notes.txt'), null, 'other files are rejected');
+assert.equal(normalizeAssetName(42), null, 'a non-string is rejected');
+
+// --- detectImageType ---
+
+assert.equal(detectImageType(png), 'image/png', 'PNG is read from its signature');
+assert.equal(detectImageType(jpeg), 'image/jpeg', 'JPEG is read from its signature');
+assert.equal(detectImageType(gif), 'image/gif', 'GIF is read from its signature');
+assert.equal(detectImageType(webp), 'image/webp', 'WebP is read from its RIFF header');
+assert.equal(detectImageType(image('<svg xmlns=')), null, 'markup is not an image');
+assert.equal(detectImageType(Buffer.from('GIF')), null, 'a truncated file is not an image');
+
+// --- validateAsset ---
+
+assert.deepEqual(validateAsset('diagram.png', png), { contentType: 'image/png' }, 'a valid PNG passes');
+assert.deepEqual(validateAsset('photo.jpeg', jpeg), { contentType: 'image/jpeg' }, '.jpeg and .jpg share a type');
+assert.match(validateAsset('diagram.png', jpeg).error, /do not match/, 'a renamed file is rejected');
+assert.match(validateAsset('diagram.svg', png).error, /Image names/, 'a bad name is rejected first');
+assert.match(validateAsset('diagram.png', Buffer.alloc(0)).error, /empty/, 'an empty body is rejected');
+assert.match(validateAsset('diagram.png', {}).error, /empty/, 'a missing body is rejected');
+assert.match(
+  validateAsset('big.png', image('\x89PNG\r\n\x1a\n', MAX_ASSET_BYTES + 1)).error,
+  /KB or smaller/,
+  'one image may not exceed the Markdown size limit'
+);
+assert.match(
+  validateAsset('one-more.png', png, { count: MAX_ASSETS_PER_SESSION, totalBytes: 0 }).error,
+  /at most/,
+  'a session holds a limited number of images'
+);
+assert.match(
+  validateAsset('one-more.png', png, { count: 1, totalBytes: MAX_SESSION_ASSET_BYTES - 10 }).error,
+  /total/,
+  'a session holds a limited number of bytes'
+);
+
+// --- references ---
+
+assert.equal(assetUrl('ABC123', 'a b.png'), '/api/session/ABC123/asset/a%20b.png', 'URLs are encoded');
+assert.equal(
+  resolveAssetReferences('See ![Cell](cell.png) and ![](./cell.png "Cell")', 'ABC123'),
+  'See ![Cell](/api/session/ABC123/asset/cell.png) and ![](/api/session/ABC123/asset/cell.png "Cell")',
+  'bare and ./ names point at the session'
+);
+assert.equal(
+  resolveAssetReferences('![](https://example.com/x.png) ![](/img/x.png) ![](../x.png)', 'ABC123'),
+  '![](https://example.com/x.png) ![](/img/x.png) ![](../x.png)',
+  'URLs and paths are left as written'
+);
+assert.equal(resolveAssetReferences('[link](cell.png)', 'ABC123'), '[link](cell.png)', 'plain links are not images');
+assert.deepEqual(
+  referencedAssetNames('![](a.png) ![](b.gif) ![](a.png) ![](https://x/c.png)'),
+  ['a.png', 'b.gif'],
+  'each bare name is listed once'
+);
+
+const quiz = parseQuizMarkdown([
+  '# Cells',
+  '',
+  '## Q1: Which organelle is this? ![Organelle](organelle.png)',
+  '- [x] ![Mitochondrion](mito.webp)',
+  '- [ ] Ribosome'
+].join('\n'));
+const live = resolveQuizAssets(quiz, 'ABC123');
+
+assert.match(live.questions[0].text, /\/api\/session\/ABC123\/asset\/organelle\.png/, 'question text is resolved');
+assert.equal(live.questions[0].options[0], '![Mitochondrion](/api/session/ABC123/asset/mito.webp)', 'options are resolved');
+assert.equal(live.questions[0].options[1], 'Ribosome', 'text options are unchanged');
+assert.match(quiz.questions[0].text, /\(organelle\.png\)/, 'the stored quiz keeps bare names');
+assert.equal(live.steps, quiz.steps, 'the rest of the quiz is shared');
+
+// --- studio limits ---
+
+const adminJs = fs.readFileSync(path.join(__dirname, 'public', 'js', 'admin.js'), 'utf8');
+assert.match(
+  adminJs,
+  new RegExp(`QUIZ_IMAGE_MAX_BYTES = ${MAX_ASSET_BYTES / 1024} \\* 1024`),
+  'the studio size limit matches the server'
+);
+assert.match(
+  adminJs,
+  new RegExp(`QUIZ_IMAGE_MAX_COUNT = ${MAX_ASSETS_PER_SESSION};`),
+  'the studio count limit matches the server'
+);
+
+console.log('All quiz asset tests passed.');
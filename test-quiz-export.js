@@ -0,0 +1,174 @@
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32, createZipArchive } = require('./zip-archive');
+const { markdownToXhtml, toMoodleXml, toQtiPackage } = require('./quiz-export');
+const { parseXml } = require('./quiz-import');
+const { normalizeStoredQuiz, parseQuizMarkdown } = require('./quiz-structure');
+
+// Reads back what createZipArchive wrote, through the central directory.
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50, 'the archive ends with its directory record');
+  const count = buffer.readUInt16LE(end + 10);
+  let pointer = buffer.readUInt32LE(end + 16);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(pointer), 0x02014b50);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const offset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(crc32(data), buffer.readUInt32LE(pointer + 16), `${name} matches its checksum`);
+    files.set(name, data.toString('utf8'));
+    pointer += 46 + nameLength;
+  }
+  return files;
+}
+
+function element(node, name) {
+  return node.children.find(child => typeof child !== 'string' && child.name === name);
+}
+
+function elements(node, name) {
+  return node.children.filter(child => typeof child !== 'string' && child.name === name);
+}
+
+// --- zip ---
+
+assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926, 'the standard CRC-32 check value');
+const zip = readZip(createZipArchive([
+  { name: 'a.txt', content: 'hello' },
+  { name: 'dir/ü.xml', content: Buffer.from('<x/>') }
+], new Date(2026, 9, 19, 9, 30)));
+assert.deepEqual([...zip], [['a.txt', 'hello'], ['dir/ü.xml', '<x/>']]);
+
+// --- Markdown to XHTML ---
+
+assert.equal(
+  markdownToXhtml('Run `a < b` **now**\nplease\n\n- one\n- two\n\n```\nif (x && y) {}\n```'),
+  '<p>Run <code>a &lt; b</code> <strong>now</strong><br/>please</p><ul><li>one</li><li>two</li></ul><pre><code>if (x &amp;&amp; y) {}</code></pre>'
+);
+assert.equal(
+  markdownToXhtml('![Plot](/api/session/ABC/asset/plot.png)', 'https://mash.example'),
+  '<p><img src="https://mash.example/api/session/ABC/asset/plot.png" alt="Plot"/></p>',
+  'session images point back at the server'
+);
+
+// --- fixture ---
+
+const quiz = normalizeStoredQuiz(parseQuizMarkdown([
+  '# Loops & Lists',
+  '# Score 100',
+  '',
+  '# Section: Loops',
+  '',
+  '## Which keyword starts a counted loop?',
+  '- [x] `for`',
+  '- [ ] `if`',
+  '::time=15',
+  '::points=2',
+  '> Explanation: `for` counts.',
+  '',
+  '## Pick the loop keywords',
+  '- [x] for',
+  '- [x] while',
+  '- [ ] if',
+  '::select=multiple',
+  '::credit=partial',
+  '',
+  '# Section: Values',
+  '',
+  '## How many times does range(10) loop?',
+  '::answer=10 ±0.5',
+  '',
+  '## Name a loop keyword',
+  '::accept=for|while',
+  '',
+  '## Put these in order',
+  '1. Parse',
+  '2. Run',
+  '',
+  '## Any fun?',
+  '::type=ungraded',
+  '- [ ] Yes',
+  '- [ ] No'
+].join('\n')));
+
+// --- QTI 2.1 ---
+
+const qti = readZip(toQtiPackage(quiz, { baseUrl: 'https://mash.example' }));
+assert.deepEqual([...qti.keys()], [
+  'imsmanifest.xml',
+  'assessment.xml',
+  ...[1, 2, 3, 4, 5, 6].map(n => `items/item-${n}.xml`)
+]);
+for (const [name, content] of qti) {
+  assert.doesNotThrow(() => parseXml(content), `${name} is well-formed XML`);
+}
+
+const manifest = element(parseXml(qti.get('imsmanifest.xml')), 'manifest');
+const resources = elements(element(manifest, 'resources'), 'resource');
+assert.equal(resources[0].attributes.type, 'imsqti_test_xmlv2p1');
+assert.equal(elements(resources[0], 'dependency').length, 6, 'the test depends on every item');
+
+const test = element(parseXml(qti.get('assessment.xml')), 'assessmentTest');
+assert.equal(test.attributes.title, 'Loops & Lists');
+const sections = elements(element(test, 'testPart'), 'assessmentSection');
+assert.deepEqual(sections.map(section => section.attributes.title), ['Loops', 'Values']);
+const firstRef = elements(sections[0], 'assessmentItemRef')[0];
+assert.equal(element(firstRef, 'timeLimits').attributes.maxTime, '15', 'time limits travel with the item');
+assert.equal(element(firstRef, 'weight').attributes.value, '2', 'weights travel with the item');
+
+const single = qti.get('items/item-1.xml');
+assert.match(single, /cardinality="single" baseType="identifier"/);
+assert.match(single, /<correctResponse>\s*<value>CHOICE-1<\/value>\s*<\/correctResponse>/);
+assert.match(single, /<simpleChoice identifier="CHOICE-1"><code>for<\/code><\/simpleChoice>/);
+assert.match(single, /<modalFeedback [^>]*><p><code>for<\/code> counts\.<\/p><\/modalFeedback>/, 'explanations become feedback');
+
+const multiple = qti.get('items/item-2.xml');
+assert.match(multiple, /cardinality="multiple"/);
+assert.match(multiple, /maxChoices="0"/);
+assert.match(multiple, /<mapping defaultValue="0" lowerBound="0" upperBound="1">/);
+assert.match(multiple, /mapKey="CHOICE-3" mappedValue="-0.5"/, 'partial credit takes a share off for a wrong pick');
+
+assert.match(qti.get('items/item-3.xml'), /<equal toleranceMode="absolute" tolerance="0.5 0.5">/);
+assert.match(qti.get('items/item-4.xml'), /mapKey="while" mappedValue="1" caseSensitive="false"/);
+assert.match(qti.get('items/item-5.xml'), /cardinality="ordered"[\s\S]*<value>CHOICE-1<\/value>\s*<value>CHOICE-2<\/value>/);
+assert.doesNotMatch(qti.get('items/item-6.xml'), /responseProcessing/, 'ungraded questions are never scored');
+
+// --- Moodle XML ---
+
+const moodle = element(parseXml(toMoodleXml(quiz)), 'quiz');
+const questions = elements(moodle, 'question');
+assert.deepEqual(
+  questions.map(question => question.attributes.type),
+  ['category', 'multichoice', 'multichoice', 'category', 'numerical', 'shortanswer', 'ordering', 'multichoice']
+);
+const textOf = (node, ...path) => {
+  let current = node;
+  for (const name of path) current = element(current, name);
+  return current.children.filter(child => typeof child === 'string').join('');
+};
+assert.equal(textOf(questions[0], 'category', 'text'), '$course$/top/Loops & Lists/Loops');
+
+const [, counted, keywords, , times, named, ordered, fun] = questions;
+assert.equal(textOf(counted, 'name', 'text'), 'Q1: Which keyword starts a counted loop?');
+assert.equal(textOf(counted, 'defaultgrade'), '2');
+assert.equal(textOf(counted, 'single'), 'true');
+assert.equal(textOf(counted, 'generalfeedback', 'text'), '<p><code>for</code> counts.</p>');
+assert.deepEqual(elements(counted, 'answer').map(answer => answer.attributes.fraction), ['100', '0']);
+assert.equal(textOf(keywords, 'single'), 'false');
+assert.deepEqual(elements(keywords, 'answer').map(answer => answer.attributes.fraction), ['50', '50', '-50']);
+assert.equal(textOf(times, 'answer', 'tolerance'), '0.5');
+assert.deepEqual(elements(named, 'answer').map(answer => textOf(answer, 'text')), ['for', 'while']);
+assert.equal(textOf(ordered, 'gradingtype'), 'ALL_OR_NOTHING');
+assert.equal(textOf(fun, 'defaultgrade'), '0', 'ungraded questions are worth nothing');
+assert.deepEqual(elements(fun, 'answer').map(answer => answer.attributes.fraction), ['100', '100']);
+
+const awkward = toMoodleXml(normalizeStoredQuiz(parseQuizMarkdown('# A/B\n\n## Ends with ]]> here\n- [x] Yes\n- [ ] No')));
+assert.match(awkward, /\$course\$\/top\/A\/\/B</, 'a slash inside a category name is doubled');
+assert.doesNotThrow(() => parseXml(awkward), 'a CDATA terminator in the text cannot break the file');
+
+console.log('All quiz export tests passed.');
@@ -0,0 +1,267 @@
+const assert = require('node:assert/strict');
+const {
+  detectImportFormat,
+  htmlToMarkdown,
+  importQuiz,
+  parseXml,
+  titleFromFileName
+} = require('./quiz-import');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+function reasons(result) {
+  return result.unsupported.map(entry => `${entry.item}: ${entry.reason}`);
+}
+
+// --- format detection ---
+
+assert.equal(detectImportFormat('week1.gift', ''), 'gift');
+assert.equal(detectImportFormat('bank.XML', ''), 'moodle-xml');
+assert.equal(detectImportFormat('kahoot.csv', ''), 'kahoot-csv');
+assert.equal(detectImportFormat('export.txt', '::Q1:: Two plus two? {=4 ~3}'), 'gift', 'GIFT is often saved as .txt');
+assert.equal(detectImportFormat('export.txt', '<?xml version="1.0"?><quiz></quiz>'), 'moodle-xml');
+assert.equal(detectImportFormat('notes.txt', 'Nothing to see'), null);
+assert.equal(titleFromFileName('C:\\exports\\week_3-loops.gift'), 'week 3 loops');
+assert.equal(titleFromFileName(''), 'Imported quiz');
+
+// --- GIFT ---
+
+const gift = importQuiz({
+  format: 'gift',
+  title: 'Unit 1',
+  text: [
+    '// Exported from Moodle',
+    '$CATEGORY: $course$/top/Default for CS101',
+    '',
+    '::Capital:: What is the capital of France? {',
+    '  =Paris',
+    '  ~Lyon#Not the capital',
+    '  ~Marseille',
+    '  ####Paris has been the capital since 987.',
+    '}',
+    '',
+    '$CATEGORY: $course$/top/Unit 1/Arithmetic',
+    '',
+    'Two plus two is four. {T}',
+    '',
+    'Pick the primes {~%50%2 ~%50%3 ~%-100%4}',
+    '',
+    'What is pi to two places? {#3.14:0.005}',
+    '',
+    'A number between 1 and 3 {#1..3}',
+    '',
+    'Name a loop keyword. {=for =while =%50%do}',
+    '',
+    'The \\{braces\\} and \\= signs are escaped. {=yes ~no}',
+    '',
+    'Match the pairs {=cat -> meow =dog -> woof}',
+    '',
+    'Write an essay {}',
+    '',
+    'This is only a description.'
+  ].join('\n')
+});
+
+assert.equal(gift.questionCount, 7);
+const giftQuiz = parseQuizMarkdown(gift.markdown);
+assert.equal(giftQuiz.title, 'Unit 1');
+assert.equal(giftQuiz.questions.length, 7, 'every imported question round-trips through the parser');
+
+const [capital, truth, primes, pi, between, keyword, escaped] = giftQuiz.questions;
+assert.equal(capital.text, 'What is the capital of France?');
+assert.deepEqual(capital.options, ['Paris', 'Lyon', 'Marseille']);
+assert.deepEqual(capital.correctIndices, [0]);
+assert.equal(capital.explanation, 'Paris has been the capital since 987.', 'general feedback becomes the explanation');
+assert.equal(capital.sectionTitle || null, null, 'Moodle default categories are not sections');
+
+assert.equal(truth.sectionTitle, 'Arithmetic', 'categories become sections');
+assert.deepEqual(truth.options, ['True', 'False']);
+assert.deepEqual(truth.correctIndices, [0]);
+
+assert.equal(primes.format, 'multiple');
+assert.deepEqual(primes.correctIndices, [0, 1]);
+assert.equal(primes.credit, 'partial');
+
+assert.equal(pi.format, 'numeric');
+assert.equal(pi.numericAnswer.value, 3.14);
+assert.equal(pi.numericAnswer.tolerance, 0.005);
+assert.equal(between.numericAnswer.value, 2, 'ranges become a midpoint and tolerance');
+assert.equal(between.numericAnswer.tolerance, 1);
+
+assert.equal(keyword.format, 'text');
+assert.deepEqual(keyword.acceptedAnswers, ['for', 'while']);
+
+assert.equal(escaped.text, 'The {braces} and = signs are escaped.');
+
+assert.deepEqual(reasons(gift), [
+  'Question 1 “Capital”: Per-answer feedback was dropped',
+  'Question 3 “Pick the primes”: Option weights became all-or-nothing picks with Markdown Mash partial credit',
+  'Question 6 “Name a loop keyword.”: The partly correct answer “do” was dropped',
+  'Question 8 “Match the pairs”: Matching questions have no Markdown Mash equivalent',
+  'Question 9 “Write an essay”: Essay questions have no Markdown Mash equivalent',
+  'Question 10 “This is only a description.”: Description items have no answer to import'
+]);
+
+// Missing-word questions keep the text after the answer block.
+const missing = parseQuizMarkdown(importQuiz({ format: 'gift', text: 'Mahatma Gandhi was born in {=India ~Peru} in 1869.' }).markdown);
+assert.equal(missing.questions[0].text, 'Mahatma Gandhi was born in _____ in 1869.');
+
+// --- quiz syntax inside question text is escaped ---
+
+const syntax = importQuiz({
+  format: 'gift',
+  text: '[markdown]Which line runs?\\n# not a heading\\n1. not an ordering item\\n::time=5 {=First ~Second}'
+});
+const syntaxQuiz = parseQuizMarkdown(syntax.markdown);
+assert.equal(syntaxQuiz.questions.length, 1);
+assert.notEqual(syntaxQuiz.questions[0].timeLimit, 5, 'directives in the text stay text');
+assert.match(syntax.markdown, /^\\# not a heading$/m);
+assert.match(syntax.markdown, /^1\\\. not an ordering item$/m);
+assert.match(syntax.markdown, /^\\::time=5$/m);
+
+// --- HTML ---
+
+const found = {};
+assert.equal(
+  htmlToMarkdown('<p>Run <code>ls &amp;&amp; pwd</code> and <strong>check</strong>.</p><p><img src="@@PLUGINFILE@@/a.png"></p>', found),
+  'Run `ls && pwd` and **check**.'
+);
+assert.equal(found.images, true, 'images stored inside Moodle are flagged');
+assert.equal(htmlToMarkdown('<pre>if (a &lt; b) {\n  go();\n}</pre>'), '```\nif (a < b) {\n  go();\n}\n```');
+assert.equal(htmlToMarkdown('<ul><li>one</li><li>two</li></ul>'), '- one\n- two');
+assert.equal(htmlToMarkdown('<img src="https://example.com/a.png" alt="A">'), '![A](https://example.com/a.png)');
+
+// --- Moodle XML ---
+
+assert.deepEqual(parseXml('<a x="1"><b/>t&lt;<![CDATA[<c>]]></a>').children[0], {
+  name: 'a',
+  attributes: { x: '1' },
+  children: [{ name: 'b', attributes: {}, children: [] }, 't<', '<c>']
+});
+assert.throws(() => parseXml('<a><b></a>'), /Unexpected <\/a>/);
+
+const xml = importQuiz({
+  format: 'moodle-xml',
+  text: `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <!-- question: 0 -->
+  <question type="category">
+    <category><text>$course$/top/Loops</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>For loop</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Which keyword starts a <em>counted</em> loop?</p>]]></text></questiontext>
+    <generalfeedback format="html"><text><![CDATA[<p><code>for</code> counts.</p>]]></text></generalfeedback>
+    <defaultgrade>2.0000000</defaultgrade>
+    <single>true</single>
+    <answer fraction="100" format="html"><text>&lt;code&gt;for&lt;/code&gt;</text><feedback><text></text></feedback></answer>
+    <answer fraction="0" format="html"><text>if</text></answer>
+  </question>
+  <question type="multichoice">
+    <name><text>Loop keywords</text></name>
+    <questiontext format="html"><text>Pick every loop keyword</text></questiontext>
+    <defaultgrade>1.0000000</defaultgrade>
+    <single>false</single>
+    <answer fraction="50"><text>for</text><feedback><text>Yes</text></feedback></answer>
+    <answer fraction="50"><text>while</text></answer>
+    <answer fraction="-100"><text>if</text></answer>
+  </question>
+  <question type="truefalse">
+    <name><text>Infinite</text></name>
+    <questiontext format="moodle_auto_format"><text>while (true) never ends on its own.</text></questiontext>
+    <answer fraction="0"><text>true</text></answer>
+    <answer fraction="100"><text>false</text></answer>
+  </question>
+  <question type="shortanswer">
+    <name><text>Keyword</text></name>
+    <questiontext format="html"><text>Name the loop that checks first</text></questiontext>
+    <usecase>1</usecase>
+    <answer fraction="100"><text>while</text></answer>
+    <answer fraction="100"><text>wh*</text></answer>
+  </question>
+  <question type="numerical">
+    <name><text>Iterations</text></name>
+    <questiontext format="html"><text><![CDATA[<p>How often does <code>range(10)</code> loop?</p><img src="@@PLUGINFILE@@/loop.png">]]></text>
+      <file name="loop.png" encoding="base64">AAAA</file></questiontext>
+    <answer fraction="100"><text>10</text><tolerance>0.5</tolerance></answer>
+  </question>
+  <question type="essay">
+    <name><text>Reflect</text></name>
+    <questiontext format="html"><text>Reflect on loops</text></questiontext>
+  </question>
+  <question type="ddwtos">
+    <name><text>Drag</text></name>
+    <questiontext format="html"><text>Drag words</text></questiontext>
+  </question>
+</quiz>`
+});
+
+assert.equal(xml.questionCount, 5);
+const xmlQuiz = parseQuizMarkdown(xml.markdown);
+assert.equal(xmlQuiz.questions.length, 5);
+const [forLoop, loopKeywords, infinite, keywordText, iterations] = xmlQuiz.questions;
+assert.equal(forLoop.sectionTitle, 'Loops');
+assert.equal(forLoop.text, 'Which keyword starts a *counted* loop?');
+assert.deepEqual(forLoop.options, ['`for`', 'if']);
+assert.equal(forLoop.weight, 2, 'default grades become points');
+assert.equal(forLoop.explanation, '`for` counts.');
+assert.equal(loopKeywords.format, 'multiple');
+assert.equal(loopKeywords.credit, 'partial');
+assert.deepEqual(loopKeywords.correctIndices, [0, 1]);
+assert.deepEqual(infinite.correctIndices, [1]);
+assert.deepEqual(keywordText.acceptedAnswers, ['while']);
+assert.equal(iterations.numericAnswer.value, 10);
+assert.equal(iterations.numericAnswer.tolerance, 0.5);
+
+assert.deepEqual(reasons(xml), [
+  'Question 2 “Loop keywords”: Per-answer feedback was dropped',
+  'Question 4 “Keyword”: Matching is no longer case-sensitive',
+  'Question 4 “Keyword”: The answer “wh*” uses a wildcard or | and was dropped',
+  'Question 5 “Iterations”: Embedded images were not imported',
+  'Question 6 “Reflect”: Essay questions have no Markdown Mash equivalent',
+  'Question 7 “Drag”: Moodle “ddwtos” questions have no Markdown Mash equivalent'
+]);
+
+assert.match(importQuiz({ format: 'moodle-xml', text: '<quiz><question>' }).error, /not valid Moodle XML/);
+assert.match(importQuiz({ format: 'moodle-xml', text: '<questions></questions>' }).error, /no <quiz> element/);
+
+// --- Kahoot CSV ---
+
+const kahoot = importQuiz({
+  format: 'kahoot-csv',
+  title: 'Kahoot',
+  text: [
+    'Quiz template,,,,,,,',
+    'Add questions below,,,,,,,',
+    ',Question - max 120 characters,Answer 1 - max 75 characters,Answer 2,Answer 3,Answer 4,"Time limit (sec) – 5, 10, 20, 30, 60, 90, 120, or 240 secs",Correct answer(s) - choose at least one',
+    '1,"Largest planet?",Mars,Jupiter,Venus,,20,2',
+    '2,"Which are even?",1,2,3,4,30,"2,4"',
+    '3,Broken row,Only one,,,,20,1',
+    '4,No key,Yes,No,,,20,',
+    ',,,,,,,'
+  ].join('\n')
+});
+
+assert.equal(kahoot.questionCount, 2);
+const kahootQuiz = parseQuizMarkdown(kahoot.markdown);
+const [planet, even] = kahootQuiz.questions;
+assert.deepEqual(planet.options, ['Mars', 'Jupiter', 'Venus'], 'blank answers are left out');
+assert.deepEqual(planet.correctIndices, [1]);
+assert.equal(planet.timeLimit, 20, 'Kahoot time limits become ::time=');
+assert.deepEqual(even.correctIndices, [1, 3]);
+assert.equal(even.format, 'single', 'Kahoot accepts any one of several correct answers');
+assert.deepEqual(reasons(kahoot), [
+  'Row 6 “Broken row”: Fewer than two answers are filled in',
+  'Row 7 “No key”: No filled-in answer is marked correct'
+]);
+
+assert.match(importQuiz({ format: 'kahoot-csv', text: 'a,b\n1,2' }).error, /No Kahoot header row/);
+
+// --- errors ---
+
+assert.match(importQuiz({ format: 'qti', text: 'x' }).error, /GIFT/);
+assert.match(importQuiz({ format: 'gift', text: '  ' }).error, /empty/);
+const nothing = importQuiz({ format: 'gift', text: 'Only a description.' });
+assert.match(nothing.error, /No question/);
+assert.equal(nothing.unsupported.length, 1, 'the report explains why nothing came across');
+
+console.log('All quiz import tests passed.');
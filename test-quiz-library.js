@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict');
+const {
+  canonicalMarkdown,
+  isSameMarkdown,
+  libraryTitle,
+  normalizeSessionType,
+  parseLibraryId,
+  parseMashMarkdown,
+  toLibrarySummary,
+  toLibraryVersion
+} = require('./quiz-library');
+
+const quizMarkdown = [
+  '# Cell Biology',
+  '',
+  '## Q1: Powerhouse of the cell?',
+  '- [x] Mitochondria',
+  '- [ ] Ribosome'
+].join('\n');
+
+// --- ids ---
+
+assert.equal(parseLibraryId('12'), 12, 'a numeric route param is an id');
+assert.equal(parseLibraryId(7), 7, 'a number passes through');
+assert.equal(parseLibraryId('0'), null, 'zero is not an id');
+assert.equal(parseLibraryId('-3'), null, 'a negative number is not an id');
+assert.equal(parseLibraryId('1.5'), null, 'a fraction is not an id');
+assert.equal(parseLibraryId('12abc'), null, 'trailing junk is rejected');
+assert.equal(parseLibraryId('99999999999'), null, 'an id past the integer column is rejected');
+assert.equal(parseLibraryId(undefined), null, 'a missing id is null');
+assert.equal(parseLibraryId(''), null, 'an empty id is null');
+
+// --- parsing ---
+
+const parsed = parseMashMarkdown(quizMarkdown, 'quiz');
+assert.equal(parsed.error, undefined, 'a quiz with a question parses');
+assert.equal(parsed.quiz.questions.length, 1, 'the parsed quiz is returned');
+assert.equal(parseMashMarkdown('# Empty', 'quiz').error, 'Quiz needs at least one question', 'an empty quiz is rejected');
+assert.equal(
+  parseMashMarkdown('# Empty', 'survey').error,
+  'Survey needs at least one question with options',
+  'an empty survey is rejected with survey wording'
+);
+assert.equal(
+  parseMashMarkdown('# Pulse\n\n## Pace?\n- Fast\n- Slow', 'survey').quiz.questions.length,
+  1,
+  'surveys parse with the survey parser'
+);
+
+assert.equal(normalizeSessionType('survey'), 'survey', 'survey is kept');
+assert.equal(normalizeSessionType('anything'), 'quiz', 'anything else is a quiz');
+
+assert.equal(libraryTitle(parsed.quiz, 'quiz'), 'Cell Biology', 'the Markdown title names the Mash');
+assert.equal(libraryTitle({ title: '' }, 'quiz'), 'Untitled Quiz', 'an untitled quiz gets a placeholder');
+assert.equal(libraryTitle({}, 'survey'), 'Untitled Survey', 'an untitled survey gets a placeholder');
+assert.equal(libraryTitle({ title: 'x'.repeat(300) }, 'quiz').length, 200, 'long titles are capped');
+
+// --- versions ---
+
+assert.equal(isSameMarkdown(quizMarkdown, quizMarkdown.replace(/\n/g, '\r\n')), true, 'line endings are not an edit');
+assert.equal(isSameMarkdown(quizMarkdown, `${quizMarkdown}   \n\n`), true, 'trailing whitespace is not an edit');
+assert.equal(isSameMarkdown(quizMarkdown, quizMarkdown.replace('[x] Mitochondria', '[x] Nucleus')), false, 'a changed answer is an edit');
+assert.equal(isSameMarkdown(quizMarkdown, quizMarkdown.replace('- [ ]', '  - [ ]')), false, 'leading indentation is kept');
+assert.equal(canonicalMarkdown(null), '', 'missing Markdown is empty');
+
+// --- rows ---
+
+assert.deepEqual(
+  toLibrarySummary({
+    id: 4,
+    title: 'Cell Biology',
+    session_type: 'quiz',
+    latest_version: 3,
+    run_count: '2',
+    last_run_at: '2026-10-01T09:00:00.000Z',
+    created_at: '2026-09-01T09:00:00.000Z',
+    updated_at: '2026-10-01T08:00:00.000Z'
+  }),
+  {
+    id: 4,
+    title: 'Cell Biology',
+    sessionType: 'quiz',
+    latestVersion: 3,
+    runCount: 2,
+    lastRunAt: '2026-10-01T09:00:00.000Z',
+    createdAt: '2026-09-01T09:00:00.000Z',
+    updatedAt: '2026-10-01T08:00:00.000Z'
+  },
+  'library rows are shaped for the studio'
+);
+assert.equal(toLibrarySummary({ id: 5, title: 'New', session_type: 'survey' }).runCount, 0, 'a fresh row has no runs');
+assert.equal(toLibrarySummary({ id: 5, title: 'New', session_type: 'survey' }).lastRunAt, null, 'a fresh row was never run');
+assert.deepEqual(
+  toLibraryVersion({ version: '2', title: 'Cell Biology', created_at: 'then', markdown: 'hidden' }),
+  { version: 2, title: 'Cell Biology', createdAt: 'then' },
+  'version history never carries the Markdown'
+);
+
+console.log('All quiz library tests passed.');
@@ -2,8 +2,13 @@ const assert = require('node:assert/strict');
 const {
   parseQuizMarkdown,
   normalizeStoredQuiz,
+  drawQuestionPools,
   gradedCount,
   pointsPerQuestion,
+  totalWeight,
+  questionPoints,
+  penaltyPoints,
+  isWeighted,
   isScored,
   stepAt,
   questionForStep
@@ -214,6 +219,8 @@ assert.equal(stored.questions[0].type, 'graded', 'stored questions default to gr
 assert.equal(stored.questions[0].index, 0, 'stored questions get dense indices');
 assert.equal(stored.questions[1].gradedNumber, 2, 'stored questions get graded numbers');
 assert.equal(gradedCount(stored), 2, 'a legacy stored quiz counts every question as graded');
+assert.equal(stored.questions[0].format, 'single', 'stored questions default to single-select');
+assert.equal(stored.questions[0].credit, 'all', 'stored questions default to all-or-nothing credit');
 
 // --- code blocks keep their internal indentation ---
 //
@@ -334,4 +341,240 @@ assert.equal(
 assert.equal(mixed.questions[1].gradedNumber, null, 'the ungraded question has no graded number');
 assert.equal(mixed.questions[2].gradedNumber, 2, 'graded numbering skips it');
 
+// --- multi-select questions ---
+
+const multi = parseQuizMarkdown([
+  '# Multi',
+  '',
+  '## Q1: Which are primes?',
+  '- [x] 2',
+  '- [x] 3',
+  '- [ ] 4',
+  '::select=multiple',
+  '::credit=partial',
+  '',
+  '## Q2: Which are even?',
+  '- [x] 2',
+  '- [x] 4',
+  '::select=multiple',
+  '',
+  '## Q3: Two marked answers, one tap',
+  '- [x] a',
+  '- [x] b'
+].join('\n'));
+
+assert.equal(multi.questions[0].format, 'multiple', '::select=multiple sets the format');
+assert.equal(multi.questions[0].credit, 'partial', '::credit=partial sets the credit mode');
+assert.equal(multi.questions[0].text, 'Which are primes?', 'directives are not appended to the text');
+assert.equal(multi.questions[1].credit, 'all', 'credit defaults to all-or-nothing');
+assert.equal(multi.questions[2].format, 'single', 'several [x] marks alone do not make a multi-select');
+assert.deepEqual(multi.questions[2].correctIndices, [0, 1], 'a single-select keeps every accepted option');
+
+// --- typed numeric and text answers ---
+
+const typedAnswers = parseQuizMarkdown([
+  '# Typed',
+  '',
+  '## Q1: What is 6 × 7?',
+  '::answer=42',
+  '',
+  '## Q2: Estimate pi',
+  '::answer=3.14 ±0.01',
+  '',
+  '## Q3: Keyword?',
+  '::accept=def | define |',
+  '',
+  '## Q4: Bad directive',
+  '::answer=forty-two'
+].join('\n'));
+
+assert.equal(typedAnswers.questions[0].format, 'numeric', '::answer= makes a numeric question');
+assert.deepEqual(typedAnswers.questions[0].numericAnswer, { value: 42, tolerance: 0 }, 'no tolerance means exact');
+assert.deepEqual(typedAnswers.questions[0].options, [], 'a numeric question has no options');
+assert.deepEqual(typedAnswers.questions[1].numericAnswer, { value: 3.14, tolerance: 0.01 }, 'tolerance parsed');
+assert.equal(typedAnswers.questions[2].format, 'text', '::accept= makes a text question');
+assert.deepEqual(typedAnswers.questions[2].acceptedAnswers, ['def', 'define'], 'alternatives are trimmed and blanks dropped');
+assert.equal(typedAnswers.questions[3].format, 'single', 'a non-numeric ::answer= is not a directive');
+assert.ok(typedAnswers.questions[3].text.includes('::answer=forty-two'), 'an unrecognised line stays in the text');
+assert.equal(
+  normalizeStoredQuiz({ questions: [typedAnswers.questions[1]] }).questions[0].numericAnswer.tolerance,
+  0.01,
+  'a stored numeric question keeps its answer'
+);
+
+// --- point weights and negative marking ---
+
+const weighted = parseQuizMarkdown([
+  '# Weighted',
+  '# Score 50',
+  '',
+  '## Q1: Warm-up',
+  '- [x] a',
+  '',
+  '## Q2: Finale',
+  '::points=3',
+  '::penalty=1',
+  '- [x] a',
+  '',
+  '## Q3: Fun',
+  '::type=ungraded',
+  '::points=10',
+  '- [x] a'
+].join('\n'));
+
+assert.equal(weighted.questions[0].weight, 1, 'weight defaults to 1');
+assert.equal(weighted.questions[0].penalty, 0, 'penalty defaults to 0');
+assert.equal(weighted.questions[1].weight, 3, '::points= sets the weight');
+assert.equal(weighted.questions[1].penalty, 1, '::penalty= sets the penalty');
+assert.equal(weighted.questions[1].text, 'Finale', 'weight directives are not appended to the text');
+assert.equal(totalWeight(weighted), 4, 'ungraded weights never count');
+assert.equal(pointsPerQuestion(weighted), 12.5, '# Score divides by total weight');
+assert.equal(questionPoints(weighted, weighted.questions[1]), 37.5, 'a weight-3 question is worth three shares');
+assert.equal(questionPoints(weighted, weighted.questions[2]), 0, 'an ungraded question is worth nothing');
+assert.equal(penaltyPoints(weighted, weighted.questions[1]), 12.5, 'a penalty is measured in the same shares');
+assert.equal(isWeighted(weighted), true, 'a weighted quiz is detected');
+assert.equal(isWeighted(legacy), false, 'an unweighted quiz is not');
+assert.equal(totalWeight(legacy), gradedCount(legacy), 'without weights total weight is the graded count');
+
+const unweighted = normalizeStoredQuiz({ questions: [{ text: 'Old', options: ['a'], correctIndices: [0] }] });
+assert.equal(unweighted.questions[0].weight, 1, 'a stored question without a weight gets 1');
+assert.equal(unweighted.questions[0].penalty, 0, 'a stored question without a penalty gets 0');
+
+// --- ordering questions ---
+
+const ordered = parseQuizMarkdown([
+  '# Ordering',
+  '',
+  '## Q1: Sort these, fastest first',
+  'Assume large n.',
+  '1. O(1)',
+  '2. O(log n)',
+  '3) O(n)',
+  '::credit=partial',
+  '',
+  '## Q2: Which step comes first?',
+  '1. Read',
+  '2. Write',
+  '- [x] Read',
+  '- [ ] Write'
+].join('\n'));
+
+assert.equal(ordered.questions[0].format, 'order', 'a numbered list makes an ordering question');
+assert.deepEqual(ordered.questions[0].options, ['O(1)', 'O(log n)', 'O(n)'], 'items keep the listed order');
+assert.equal(ordered.questions[0].text, 'Sort these, fastest first\nAssume large n.', 'items leave the question text');
+assert.equal(ordered.questions[0].credit, 'partial', 'ordering questions take ::credit=partial');
+assert.equal(ordered.questions[1].format, 'single', 'a question with checkboxes stays single-select');
+assert.ok(ordered.questions[1].text.includes('1. Read'), 'its numbered list stays in the text');
+assert.equal(
+  normalizeStoredQuiz({ questions: [ordered.questions[0]] }).questions[0].format,
+  'order',
+  'a stored ordering question keeps its format'
+);
+
+// --- question pools ---
+
+const pooled = parseQuizMarkdown([
+  '# Pooled',
+  '',
+  '## Warm-up',
+  '- [x] Yes',
+  '- [ ] No',
+  '',
+  '# Pool: Loops (pick 2)',
+  '> Two of these each time.',
+  '',
+  '## for?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## while?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## do?',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '## until?',
+  '::type=ungraded',
+  '- [x] A',
+  '- [ ] B',
+  '',
+  '# Section: Wrap-up',
+  '',
+  '## Done?',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'));
+
+assert.equal(pooled.title, 'Pooled', 'a pool never becomes the title');
+assert.deepEqual(pooled.steps[1], { kind: 'section', title: 'Loops', subtitle: 'Two of these each time.', pick: 2 }, 'a pool is a section with a pick');
+assert.equal(pooled.questions.length, 6, 'the parsed quiz holds the whole bank');
+assert.equal(pooled.questions[2].sectionTitle, 'Loops');
+assert.equal(parseQuizMarkdown('# Q\n\n# Pool: All of them\n\n## A\n- [x] Y').steps[0].pick, undefined, 'without a pick every question is asked');
+assert.equal(parseQuizMarkdown('# Q\n\n# Pool: None (pick 0)\n\n## A\n- [x] Y').steps[0].pick, undefined, 'a zero pick asks everything');
+
+const picks = [0.9, 0.1];
+const drawn = drawQuestionPools(pooled, () => picks.shift() ?? 0);
+assert.deepEqual(drawn.questions.map(question => question.text), ['Warm-up', 'while?', 'until?', 'Done?'], 'drawn questions keep their written order');
+assert.deepEqual(drawn.questions.map(question => question.id), [1, 2, 3, 4], 'the drawn set is renumbered');
+assert.deepEqual(drawn.questions.map(question => question.index), [0, 1, 2, 3]);
+assert.deepEqual(drawn.questions.map(question => question.gradedNumber), [1, 2, null, 3], 'graded numbers follow the draw');
+assert.deepEqual(
+  drawn.steps.map(step => (step.kind === 'section' ? step.title : step.questionIndex)),
+  [0, 'Loops', 1, 2, 'Wrap-up', 3],
+  'the pool keeps its curtain'
+);
+assert.equal(pooled.questions.length, 6, 'drawing leaves the parsed quiz alone');
+assert.equal(pooled.questions[1].id, 2);
+assert.equal(drawQuestionPools(drawn), drawn, 'a drawn quiz has nothing left to draw');
+assert.equal(drawQuestionPools(ordered), ordered, 'a quiz without pools is asked as written');
+assert.equal(
+  drawQuestionPools(parseQuizMarkdown('# Q\n\n# Pool: Small (pick 5)\n\n## A\n- [x] Y\n\n## B\n- [x] Y')).questions.length,
+  2,
+  'a pick larger than the bank asks the whole bank'
+);
+assert.deepEqual(normalizeStoredQuiz(JSON.parse(JSON.stringify(drawn))).steps, drawn.steps, 'the drawn set survives storage');
+
+// --- explanations ---
+
+const explained = parseQuizMarkdown([
+  '# Explained',
+  '',
+  '## Which is a list?',
+  '> A quoted hint stays in the question.',
+  '- [x] [1, 2]',
+  '- [ ] (1, 2)',
+  '> Explanation: Square brackets make a **list**.',
+  '> Parentheses make a tuple.',
+  '>',
+  '> ![Diagram](lists.png)',
+  '::time=15',
+  '> Not part of it.',
+  '',
+  '## No explanation here',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'));
+
+assert.equal(
+  explained.questions[0].explanation,
+  'Square brackets make a **list**.\nParentheses make a tuple.\n\n![Diagram](lists.png)',
+  'the explanation runs over the `>` lines that follow it'
+);
+assert.equal(explained.questions[0].timeLimit, 15, 'directives after the explanation still apply');
+assert.equal(
+  explained.questions[0].text,
+  'Which is a list?\n> A quoted hint stays in the question.\n> Not part of it.',
+  'other blockquotes stay in the question text'
+);
+assert.equal(explained.questions[1].explanation, null, 'questions have no explanation by default');
+assert.equal(parseQuizMarkdown('# E\n\n## Q\n- [x] A\n> Explanation:').questions[0].explanation, null, 'an empty explanation is none');
+assert.equal(
+  normalizeStoredQuiz(JSON.parse(JSON.stringify(explained))).questions[0].explanation,
+  explained.questions[0].explanation,
+  'explanations survive storage'
+);
+assert.equal(normalizeStoredQuiz({ questions: [{ text: 'Old' }] }).questions[0].explanation, null, 'older quizzes have none');
+
 console.log('All quiz structure tests passed.');
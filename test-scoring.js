@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const {
+  SPEED_FLOOR,
+  answerPoints,
+  scorePercent,
+  speedFactor,
+  storedPoints,
+  weightedCredit
+} = require('./scoring');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+const flat = parseQuizMarkdown([
+  '# Flat',
+  '# Score 100',
+  '',
+  '## Q1: One?',
+  '- [x] a',
+  '- [ ] b',
+  '::time=20',
+  '',
+  '## Q2: Two?',
+  '- [x] a',
+  '- [ ] b',
+  '',
+  '## Q3: Fun?',
+  '::type=ungraded',
+  '- [x] a'
+].join('\n'));
+
+const speed = parseQuizMarkdown([
+  '# Speed',
+  '# Scoring: speed',
+  '# Score 100',
+  '',
+  '## Q1: One?',
+  '- [x] a',
+  '- [ ] b',
+  '::time=20',
+  '',
+  '## Q2: Two?',
+  '- [x] a',
+  '- [ ] b'
+].join('\n'));
+
+const right = { isCorrect: true, credit: 1 };
+const wrong = { isCorrect: false, credit: 0 };
+const half = { isCorrect: false, credit: 0.5 };
+
+// --- parsing ---
+
+assert.equal(flat.scoringMode, 'flat', 'scoring defaults to flat');
+assert.equal(speed.scoringMode, 'speed', '# Scoring: speed is parsed');
+assert.equal(speed.title, 'Speed', 'the scoring directive does not replace the title');
+assert.equal(parseQuizMarkdown('# Scoring: bogus').scoringMode, 'flat', 'an unknown mode falls back to flat');
+
+// --- speedFactor ---
+
+assert.equal(speedFactor(0, 20), 1, 'an instant answer earns the full share');
+assert.equal(speedFactor(10000, 20), 0.75, 'half the time earns three quarters');
+assert.equal(speedFactor(20000, 20), SPEED_FLOOR, 'the last moment earns the floor');
+assert.equal(speedFactor(60000, 20), SPEED_FLOOR, 'a late answer never drops below the floor');
+assert.equal(speedFactor(null, 20), SPEED_FLOOR, 'an unknown response time earns the floor');
+
+// --- answerPoints ---
+
+assert.equal(answerPoints(flat, flat.questions[0], right, 15000), 50, 'flat scoring ignores speed');
+assert.equal(answerPoints(flat, flat.questions[0], half, 15000), 25, 'partial credit earns its fraction');
+assert.equal(answerPoints(flat, flat.questions[0], wrong, 100), 0, 'a wrong answer earns nothing');
+assert.equal(answerPoints(flat, flat.questions[2], right, 100), 0, 'an ungraded question earns nothing');
+assert.equal(answerPoints(speed, speed.questions[0], right, 0), 50, 'an instant correct answer earns the full share');
+assert.equal(answerPoints(speed, speed.questions[0], right, 10000), 37.5, 'speed decays the share');
+assert.equal(answerPoints(speed, speed.questions[0], wrong, 0), 0, 'a fast wrong answer still earns nothing');
+
+// --- storedPoints ---
+
+assert.equal(storedPoints(speed, speed.questions[0], { points: 41.25 }, 1), 41.25, 'stored points are used as-is');
+assert.equal(storedPoints(speed, speed.questions[0], { points: '12.5' }, 1), 12.5, 'numeric strings are read as numbers');
+assert.equal(storedPoints(flat, flat.questions[0], { points: null }, 1), 50, 'a legacy row earns the flat share');
+assert.equal(storedPoints(flat, flat.questions[2], { points: null }, 1), 0, 'a legacy ungraded row earns nothing');
+
+// --- weights and penalties ---
+
+const weighted = parseQuizMarkdown([
+  '# Weighted',
+  '# Score 40',
+  '',
+  '## Q1: Warm-up',
+  '- [x] a',
+  '- [ ] b',
+  '',
+  '## Q2: Finale',
+  '::points=3',
+  '::penalty=1',
+  '- [x] a',
+  '- [ ] b'
+].join('\n'));
+const [warmUp, finale] = weighted.questions;
+
+assert.equal(answerPoints(weighted, warmUp, right, 0), 10, 'a weight-1 question earns one share');
+assert.equal(answerPoints(weighted, finale, right, 0), 30, 'a weight-3 question earns three shares');
+assert.equal(answerPoints(weighted, finale, half, 0), 15, 'partial credit scales the weighted share');
+assert.equal(answerPoints(weighted, finale, wrong, 0), -10, 'a wrong answer loses its penalty');
+assert.equal(answerPoints(weighted, warmUp, wrong, 0), 0, 'no penalty means a wrong answer costs nothing');
+assert.equal(
+  answerPoints({ ...weighted, scoringMode: 'speed' }, finale, wrong, 20000),
+  -10,
+  'speed never softens a penalty'
+);
+
+assert.equal(weightedCredit(finale, right), 3, 'weighted credit is weight times credit');
+assert.equal(weightedCredit(finale, wrong), -1, 'a wrong answer subtracts the penalty');
+assert.equal(weightedCredit(finale, wrong, false), 0, 'no answer is never penalised');
+assert.equal(storedPoints(weighted, finale, { points: null }, 0), -10, 'a row without points is rescored with its penalty');
+
+assert.equal(scorePercent(weighted, 3), 75, 'a weight-3 answer is three quarters of the quiz');
+assert.equal(scorePercent(weighted, -1), 0, 'penalties never push the percentage below zero');
+assert.equal(scorePercent(parseQuizMarkdown('# Empty'), 0), 0, 'a quiz with nothing graded scores 0%');
+
+console.log('All scoring tests passed.');
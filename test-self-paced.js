@@ -0,0 +1,152 @@
+const assert = require('node:assert/strict');
+const {
+  MAX_WINDOW_DAYS,
+  advanceProgress,
+  buildAssignmentDashboard,
+  closeQuestion,
+  createProgress,
+  isQuestionOpen,
+  normalizeAssignmentWindow,
+  normalizeDelivery,
+  progressState,
+  windowStatus
+} = require('./self-paced');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse('2026-10-19T09:00:00Z');
+
+// --- delivery and window ---
+
+assert.equal(normalizeDelivery('Self-Paced'), 'self-paced', 'delivery ignores case');
+assert.equal(normalizeDelivery('homework'), 'live', 'unknown deliveries are live');
+assert.equal(normalizeDelivery(undefined), 'live', 'sessions are live by default');
+
+assert.deepEqual(
+  normalizeAssignmentWindow({ closesAt: '2026-10-20T09:00:00Z' }, now),
+  { window: { opensAt: now, closesAt: now + 24 * HOUR } },
+  'a blank opening time opens now'
+);
+assert.deepEqual(
+  normalizeAssignmentWindow({ opensAt: '2026-10-19T12:00:00Z', closesAt: '2026-10-19T15:00:00Z' }, now).window,
+  { opensAt: now + 3 * HOUR, closesAt: now + 6 * HOUR },
+  'a later opening time is kept'
+);
+assert.match(normalizeAssignmentWindow({}, now).error, /closing time/, 'a closing time is required');
+assert.match(normalizeAssignmentWindow({ closesAt: 'soon' }, now).error, /not a valid date/);
+assert.match(normalizeAssignmentWindow({ opensAt: 'later', closesAt: now + HOUR }, now).error, /opening time is not/);
+assert.match(normalizeAssignmentWindow({ closesAt: now - HOUR }, now).error, /already passed/);
+assert.match(
+  normalizeAssignmentWindow({ opensAt: now + 2 * HOUR, closesAt: now + HOUR }, now).error,
+  /after the opening time/
+);
+assert.match(
+  normalizeAssignmentWindow({ closesAt: now + (MAX_WINDOW_DAYS + 1) * 24 * HOUR }, now).error,
+  /at most/,
+  'a window has a length limit'
+);
+
+const window = { opensAt: now, closesAt: now + HOUR };
+assert.equal(windowStatus(window, now - 1), 'scheduled');
+assert.equal(windowStatus(window, now), 'open');
+assert.equal(windowStatus(window, now + HOUR), 'closed', 'the closing time itself is closed');
+assert.equal(windowStatus(null, now), 'closed');
+
+// --- progress ---
+
+const quiz = parseQuizMarkdown([
+  '# Homework',
+  '',
+  '# Section: Warm-up',
+  '',
+  '## Two plus two?',
+  '- [ ] 3',
+  '- [x] 4',
+  '::time=30',
+  '',
+  '## Favourite colour?',
+  '::type=ungraded',
+  '- [x] Blue',
+  '- [ ] Red'
+].join('\n'));
+
+let progress = createProgress();
+assert.equal(progressState(quiz, progress), 'not-started');
+
+progress = advanceProgress(quiz, progress, window, now);
+assert.equal(progressState(quiz, progress), 'section', 'the first step is the section');
+assert.equal(progress.startedAt, now, 'starting is stamped once');
+assert.equal(progress.questionStartedAt, null, 'a section has no clock');
+
+progress = advanceProgress(quiz, progress, window, now + 1000);
+assert.equal(progressState(quiz, progress), 'question');
+assert.equal(progress.questionStartedAt, now + 1000, 'the clock starts when the question opens');
+assert.equal(progress.questionEndsAt, now + 31000, 'the question gets its full time limit');
+assert.equal(progress.startedAt, now);
+assert.equal(advanceProgress(quiz, progress, window, now + 2000), null, 'an open question cannot be skipped');
+
+const questionId = quiz.questions[0].id;
+assert.equal(isQuestionOpen(quiz, progress, questionId, now + 31000), true, 'open until its end');
+assert.equal(isQuestionOpen(quiz, progress, questionId, now + 31001), false, 'late answers are refused');
+assert.equal(isQuestionOpen(quiz, progress, quiz.questions[1].id, now + 2000), false, 'only the current question is open');
+
+progress = closeQuestion(progress);
+assert.equal(progressState(quiz, progress), 'result');
+assert.equal(progress.questionsDone, 1);
+assert.equal(isQuestionOpen(quiz, progress, questionId, now + 2000), false, 'a closed question takes no answers');
+
+const lateWindow = { opensAt: now, closesAt: now + 10000 };
+const cutShort = advanceProgress(quiz, progress, lateWindow, now + 5000);
+assert.equal(cutShort.questionEndsAt, now + 10000, 'the window closing cuts a question short');
+
+progress = closeQuestion(advanceProgress(quiz, progress, window, now + 5000));
+progress = advanceProgress(quiz, progress, window, now + 9000);
+assert.equal(progressState(quiz, progress), 'finished', 'moving on from the last step finishes');
+assert.equal(progress.finishedAt, now + 9000);
+assert.equal(progress.questionsDone, 2, 'ungraded questions count as done');
+assert.equal(advanceProgress(quiz, progress, window, now + 9500), null, 'nothing follows the finish');
+
+// --- dashboard ---
+
+const dashboard = buildAssignmentDashboard({
+  quiz,
+  window,
+  now: now + 1000,
+  participants: {
+    z: { id: 'z', name: 'Zed', progress, points: 1000, earnedCredit: 1, answers: { [questionId]: 1 } },
+    a: { id: 'a', name: 'Ada', progress: createProgress(), answers: {} },
+    m: {
+      id: 'm',
+      name: 'Mo',
+      team: 'Red',
+      progress: closeQuestion(advanceProgress(quiz, advanceProgress(quiz, createProgress(), window, now), window, now)),
+      points: 0,
+      earnedCredit: 0,
+      answers: { [questionId]: 0 }
+    }
+  }
+});
+
+assert.equal(dashboard.status, 'open');
+assert.equal(dashboard.closesAt, '2026-10-19T10:00:00.000Z', 'window times go out as ISO strings');
+assert.deepEqual(dashboard.counts, { joined: 3, notStarted: 1, inProgress: 1, submitted: 1 });
+assert.deepEqual(dashboard.participants.map(row => row.name), ['Ada', 'Mo', 'Zed'], 'rows are listed by name');
+assert.deepEqual(
+  dashboard.participants.map(row => row.status),
+  ['not-started', 'in-progress', 'submitted']
+);
+assert.equal(dashboard.participants[1].team, 'Red', 'rows carry the team');
+assert.equal(dashboard.participants[2].percent, 100);
+assert.equal(dashboard.averagePercent, 100, 'the average counts submitted work only');
+assert.equal(dashboard.questions.length, 1, 'only graded questions are broken down');
+assert.deepEqual(
+  { answered: dashboard.questions[0].answered, correctPercent: dashboard.questions[0].correctPercent },
+  { answered: 2, correctPercent: 50 }
+);
+
+const empty = buildAssignmentDashboard({ quiz, window, now: now - 1, participants: {} });
+assert.equal(empty.status, 'scheduled');
+assert.equal(empty.averagePercent, null, 'no submissions, no average');
+assert.equal(empty.questions[0].correctPercent, null, 'an unanswered question has no percentage');
+
+console.log('All self-paced tests passed.');
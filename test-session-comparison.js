@@ -0,0 +1,149 @@
+const assert = require('node:assert/strict');
+const {
+  MAX_COMPARED_SESSIONS,
+  SCORE_BUCKETS,
+  compareRuns,
+  questionFingerprint,
+  summarizeRun
+} = require('./session-comparison');
+const { parseQuizMarkdown } = require('./quiz-structure');
+
+const fall = parseQuizMarkdown([
+  '# Cells',
+  '',
+  '## Q1: Powerhouse of the cell?',
+  '- [x] Mitochondria',
+  '- [ ] Ribosome',
+  '',
+  '## Q2: Where is DNA kept?',
+  '- [x] Nucleus',
+  '- [ ] Vacuole',
+  '',
+  '## Q3: Fun fact?',
+  '::type=ungraded',
+  '- [x] Yes'
+].join('\n'));
+
+// The spring run reorders the questions, shuffles options, and adds one.
+const spring = parseQuizMarkdown([
+  '# Cells',
+  '',
+  '## Q1: Where is   DNA kept?',
+  '- [ ] Vacuole',
+  '- [x] Nucleus',
+  '',
+  '## Q2: Powerhouse of the cell?',
+  '- [x] Mitochondria',
+  '- [ ] Ribosome',
+  '',
+  '## Q3: What makes proteins?',
+  '- [x] Ribosome',
+  '- [ ] Golgi'
+].join('\n'));
+
+function row(participantId, questionIndex, answerIndex, isCorrect) {
+  return { participant_id: participantId, question_index: questionIndex, answer_index: answerIndex, answer_value: null, is_correct: isCorrect ? 1 : 0 };
+}
+
+// --- fingerprints ---
+
+assert.equal(
+  questionFingerprint(fall.questions[1]),
+  questionFingerprint(spring.questions[0]),
+  'spacing and option order do not change a fingerprint'
+);
+assert.notEqual(
+  questionFingerprint(fall.questions[0]),
+  questionFingerprint(fall.questions[1]),
+  'different questions have different fingerprints'
+);
+assert.notEqual(
+  questionFingerprint({ text: 'Same?', options: ['A', 'B'] }),
+  questionFingerprint({ text: 'Same?', options: ['A', 'C'] }),
+  'changed options are a different question'
+);
+assert.equal(
+  questionFingerprint({ text: 'Case?', options: ['Yes'] }),
+  questionFingerprint({ text: 'CASE?', options: ['yes'] }),
+  'case is ignored'
+);
+
+// --- summarizeRun ---
+
+const fallRun = summarizeRun({
+  session: { code: 'FALL01', quiz_title: 'Cells', course_name: 'Bio 101 — A', created_at: '2026-09-01T09:00:00Z' },
+  quiz: fall,
+  participants: [{ id: 'a' }, { id: 'b' }],
+  answers: [
+    row('a', 0, 0, true),
+    row('a', 1, 0, true),
+    row('a', 2, 0, true),
+    row('b', 0, 1, false),
+    row('b', 1, 0, true),
+    row('gone', 0, 0, true)
+  ]
+});
+
+assert.equal(fallRun.participantCount, 2, 'only listed participants are counted');
+assert.equal(fallRun.averagePercent, 75, 'the average is the mean participant percentage');
+assert.deepEqual(fallRun.scoreBuckets, [0, 0, 1, 0, 1], 'scores fall into the chart buckets');
+assert.equal(fallRun.questions.size, 2, 'ungraded questions are not compared');
+assert.equal(
+  fallRun.questions.get(questionFingerprint(fall.questions[0])).correctPercent,
+  50,
+  'an answer from a missing participant is ignored'
+);
+assert.equal(fallRun.courseName, 'Bio 101 — A', 'the run keeps its Mash group');
+
+const springRun = summarizeRun({
+  session: { code: 'SPRG02', quiz_title: 'Cells', course_name: null, created_at: '2027-02-01T09:00:00Z' },
+  quiz: spring,
+  participants: [{ id: 'c' }, { id: 'd' }, { id: 'e' }],
+  answers: [
+    row('c', 0, 1, true),
+    row('c', 1, 0, true),
+    row('c', 2, 0, true),
+    row('d', 0, 0, false),
+    row('d', 1, 0, true),
+    row('d', 2, 1, false)
+  ]
+});
+
+assert.equal(springRun.participantCount, 3, 'a participant with no answers still counts');
+assert.deepEqual(springRun.scoreBuckets, [1, 1, 0, 0, 1], 'no answers scores 0%');
+
+// --- compareRuns ---
+
+const comparison = compareRuns([springRun, fallRun]);
+
+assert.deepEqual(comparison.sessions.map(s => s.code), ['FALL01', 'SPRG02'], 'runs are ordered oldest first');
+assert.equal(comparison.sessions[0].questions, undefined, 'per-run question maps are not sent');
+assert.deepEqual(comparison.scoreBuckets, SCORE_BUCKETS, 'bucket labels are included');
+assert.deepEqual(comparison.overallScoreBuckets, [1, 1, 1, 0, 2], 'buckets are summed across runs');
+assert.deepEqual(
+  comparison.questions.map(q => q.text),
+  ['Where is   DNA kept?', 'Powerhouse of the cell?', 'What makes proteins?'],
+  'questions follow the newest run'
+);
+
+const [dna, powerhouse, proteins] = comparison.questions;
+assert.deepEqual(dna.runs.map(entry => entry.index), [1, 0], 'each run reports where it asked the question');
+assert.deepEqual(dna.runs.map(entry => entry.correctPercent), [100, 50], 'correct percentages are per run');
+assert.equal(dna.drift, -50, 'drift is newest minus oldest');
+assert.equal(dna.averagePercent, 75, 'the average is over the runs that asked it');
+assert.equal(powerhouse.drift, 50, 'a question can get easier');
+assert.equal(proteins.runs[0], null, 'a question the older run never asked is null there');
+assert.equal(proteins.sessionsMatched, 1, 'matched runs are counted');
+assert.equal(proteins.drift, null, 'one run has no drift');
+
+const unanswered = compareRuns([
+  summarizeRun({ session: { code: 'X', created_at: '2026-01-01' }, quiz: fall, participants: [], answers: [] }),
+  fallRun
+]);
+assert.equal(unanswered.sessions[0].averagePercent, null, 'an empty room has no average');
+assert.equal(unanswered.questions[0].runs[0].correctPercent, null, 'an unanswered question has no percentage');
+assert.equal(unanswered.questions[0].drift, null, 'drift needs two measured runs');
+
+assert.ok(MAX_COMPARED_SESSIONS >= 5, 'five sections of a course fit in one comparison');
+
+console.log('All session comparison tests passed.');
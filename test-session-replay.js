@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const { SESSION_EVENT_TYPES, buildReplay } = require('./session-replay');
+const { createTransientSessionRepository } = require('./session-repository');
+
+const start = Date.parse('2026-10-19T09:00:00Z');
+const at = seconds => new Date(start + seconds * 1000);
+const event = (seconds, type, details = {}) => ({ type, details, occurred_at: at(seconds) });
+
+// --- empty log ---
+
+assert.deepEqual(buildReplay([], []), { startedAt: null, totalAnswers: 0, frames: [] });
+
+// --- a live room ---
+
+const events = [
+  event(0, 'room_opened', { delivery: 'live' }),
+  event(5, 'participant_joined', { participantId: 'a', name: 'Ada' }),
+  event(8, 'participant_joined', { participantId: 'b', name: 'Bo' }),
+  event(20, 'quiz_started', { totalQuestions: 2 }),
+  event(20, 'question_started', { questionIndex: 0, questionNumber: 1, text: 'Two plus two?' }),
+  event(26, 'participant_left', { participantId: 'b', name: 'Bo' }),
+  event(28, 'participant_rejoined', { participantId: 'b', name: 'Bo' }),
+  event(50, 'question_ended', { questionIndex: 0, questionNumber: 1, answered: 2, correct: 1 }),
+  event(60, 'question_started', { questionIndex: 1, questionNumber: 2, text: 'Capital of France?' }),
+  event(70, 'participant_kicked', { participantId: 'a', name: 'Ada' }),
+  event(90, 'question_ended', { questionIndex: 1, questionNumber: 2, answered: 1, correct: 1 }),
+  event(95, 'quiz_ended', { endedEarly: false })
+];
+const answers = [
+  { question_index: 1, answered_at: at(64) },
+  { question_index: 0, answered_at: at(24) },
+  { question_index: 0, answered_at: at(40).toISOString() }
+];
+
+for (const { type } of events) {
+  assert.ok(SESSION_EVENT_TYPES.has(type), `${type} is a known event`);
+}
+
+const replay = buildReplay(events, answers);
+assert.equal(replay.startedAt, at(0).toISOString());
+assert.equal(replay.totalAnswers, 3);
+assert.equal(replay.frames.length, events.length, 'one frame per event');
+
+const [opened, , joined, , firstQuestion, left, rejoined, firstClosed, secondQuestion, kicked, secondClosed, ended] = replay.frames;
+assert.equal(opened.offsetMs, 0);
+assert.equal(opened.participants, 0);
+assert.equal(joined.participants, 2);
+assert.equal(joined.at, at(8).toISOString());
+assert.deepEqual(firstQuestion.question, { index: 0, number: 1, text: 'Two plus two?', open: true, answers: 0 });
+assert.equal(left.participants, 1, 'a lost connection leaves the room');
+assert.equal(left.question.answers, 1, 'answers count as they come in');
+assert.equal(rejoined.participants, 2, 'a reconnect comes back');
+assert.equal(firstClosed.question.open, false);
+assert.equal(firstClosed.question.answers, 2);
+assert.equal(firstClosed.answers, 2);
+assert.equal(secondQuestion.offsetMs, 60000);
+assert.equal(secondQuestion.question.answers, 0, 'a new question starts from nothing');
+assert.equal(kicked.participants, 1);
+assert.equal(kicked.question.answers, 1);
+assert.equal(secondClosed.answers, 3);
+assert.equal(ended.question, null, 'the finale has no question');
+assert.deepEqual(ended.details, { endedEarly: false });
+
+// --- stored rows ---
+
+const stored = buildReplay(
+  [{ type: 'room_opened', details: null, occurred_at: at(0).toISOString() }],
+  []
+);
+assert.deepEqual(stored.frames[0].details, {}, 'missing details read as empty');
+
+// --- practice rooms keep the log in memory ---
+
+(async () => {
+  const repository = createTransientSessionRepository({ idFactory: () => 'p1' });
+  assert.deepEqual(await repository.listEvents(), []);
+  await repository.recordEvent('room_opened', { delivery: 'live' }, at(0));
+  await repository.recordEvent('participant_joined', { participantId: 'p1', name: 'Ada' });
+  await repository.recordAnswer('p1', 0, 1, true, 900);
+  await repository.recordAnonymousAnswers([{ questionIndex: 1, answerIndex: 0 }, { questionIndex: 1, answerIndex: 2 }]);
+
+  const logged = await repository.listEvents();
+  assert.deepEqual(logged.map(entry => entry.type), ['room_opened', 'participant_joined']);
+  assert.equal(logged[0].occurred_at.getTime(), at(0).getTime());
+  assert.ok(logged[1].occurred_at instanceof Date, 'entries are stamped when recorded');
+  logged[0].type = 'changed';
+  assert.equal((await repository.listEvents())[0].type, 'room_opened', 'callers get copies');
+
+  const answered = await repository.listAnswers();
+  assert.deepEqual(answered.map(answer => answer.question_index), [0, 1, 1]);
+  assert.equal(buildReplay(await repository.listEvents(), answered).totalAnswers, 3);
+
+  console.log('Session replay tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -64,6 +64,16 @@ assert.deepEqual(instructorList.children, [], 'account switch purges master-load
 assert.equal(hostTab.classList.contains('hidden'), true, 'hosted accounts cannot see Hosts');
 assert.equal(hostTab.classList.contains('active'), false, 'hidden Hosts tab cannot remain active');
 assert.equal(billingTab.classList.contains('hidden'), false, 'hosted accounts retain Billing');
+assert.equal(
+  settingsTabs.find(item => item.dataset.tab === 'webhooks').classList.contains('hidden'),
+  false,
+  'hosted accounts retain Webhooks'
+);
+assert.equal(
+  settingsTabs.find(item => item.dataset.tab === 'api-tokens').classList.contains('hidden'),
+  false,
+  'hosted accounts retain API tokens'
+);
 assert.equal(passwordTab.classList.contains('active'), true, 'account switch resets to Password');
 assert.equal(settingsPanels.password.classList.contains('hidden'), false, 'Password is the only visible panel');
 for (const name of TAB_NAMES.filter(name => name !== 'password')) {
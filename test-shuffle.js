@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict');
+const {
+  inDisplayOrder,
+  normalizeShuffle,
+  optionOrderFor,
+  parseShuffle,
+  questionOrderFor,
+  seededRandom,
+  toCanonicalChoice,
+  toDisplaySlots
+} = require('./shuffle');
+const { normalizeStoredQuiz, parseQuizMarkdown, questionForStep } = require('./quiz-structure');
+const { gradeAnswer } = require('./answer-grading');
+const {
+  advanceProgress,
+  closeQuestion,
+  createProgress,
+  currentStepIndex,
+  gradedPosition,
+  isQuestionOpen,
+  progressState
+} = require('./self-paced');
+
+// --- directives ---
+
+assert.deepEqual(parseShuffle('options'), { options: true, questions: false });
+assert.deepEqual(parseShuffle('Questions (within sections)'), { options: false, questions: true }, 'commentary is ignored');
+assert.deepEqual(parseShuffle('options, questions'), { options: true, questions: true });
+assert.deepEqual(parseShuffle('(options)'), { options: false, questions: false }, 'a word in parentheses is commentary');
+assert.equal(normalizeShuffle({ options: false, questions: false }), null, 'nothing to shuffle is no shuffle');
+assert.equal(normalizeShuffle(undefined), null);
+
+const quiz = parseQuizMarkdown([
+  '# Shuffle: options',
+  '# Mixed Up',
+  '# Shuffle: questions (within sections)',
+  '',
+  '# Section: Part one',
+  '',
+  '## Two plus two?',
+  '- [ ] 3',
+  '- [x] 4',
+  '- [ ] 5',
+  '- [ ] 22',
+  '',
+  '## Pick the primes',
+  '- [x] 2',
+  '- [x] 3',
+  '- [ ] 4',
+  '- [ ] 6',
+  '',
+  '## Favourite colour?',
+  '::type=ungraded',
+  '- [x] Blue',
+  '- [ ] Red',
+  '',
+  '# Section: Part two',
+  '',
+  '## Capital of France?',
+  '- [ ] Lyon',
+  '- [x] Paris',
+  '',
+  '## Smallest to largest',
+  '1. Ant',
+  '2. Cat',
+  '3. Horse',
+  '',
+  '## How many legs has a spider?',
+  '::answer=8'
+].join('\n'));
+
+assert.equal(quiz.title, 'Mixed Up', 'shuffle directives never become the title');
+assert.deepEqual(quiz.shuffle, { options: true, questions: true }, 'repeated directives add up');
+assert.equal(parseQuizMarkdown('# Plain\n\n## Q\n- [x] A\n- [ ] B').shuffle, null, 'quizzes keep their order by default');
+assert.deepEqual(normalizeStoredQuiz(JSON.parse(JSON.stringify(quiz))).shuffle, quiz.shuffle, 'shuffle survives storage');
+
+// --- option order ---
+
+const [sum, primes, colour, capital, sizes, legs] = quiz.questions;
+
+assert.deepEqual(seededRandom('a')(), seededRandom('a')(), 'a seed always gives the same sequence');
+const order = optionOrderFor(quiz, sum, 'p-1');
+assert.deepEqual(order, optionOrderFor(quiz, sum, 'p-1'), 'a participant always gets the same order');
+assert.deepEqual([...order].sort(), [0, 1, 2, 3], 'every option appears once');
+assert.notDeepEqual(order, [0, 1, 2, 3], 'the order is never the authored one');
+const orders = ['p-1', 'p-2', 'p-3', 'p-4', 'p-5'].map(id => optionOrderFor(quiz, sum, id).join());
+assert.ok(new Set(orders).size > 1, 'participants get different orders');
+
+assert.equal(optionOrderFor(quiz, sizes, 'p-1'), null, 'ordering questions keep the room-wide scramble');
+assert.equal(optionOrderFor(quiz, legs, 'p-1'), null, 'typed questions have no options');
+assert.equal(optionOrderFor({ ...quiz, shuffle: null }, sum, 'p-1'), null, 'no directive, no shuffle');
+assert.equal(optionOrderFor(quiz, sum, null), null, 'the host sees the authored order');
+
+// --- mapping answers ---
+
+const slotOfFour = order.indexOf(1);
+assert.equal(toCanonicalChoice(slotOfFour, order), 1, 'a display slot maps back to its option');
+assert.equal(gradeAnswer(sum, toCanonicalChoice(slotOfFour, order)).isCorrect, true, 'grading sees the option index');
+assert.equal(toDisplaySlots(1, order), slotOfFour, 'and forward again');
+
+const primeOrder = optionOrderFor(quiz, primes, 'p-1');
+const pickedSlots = [primeOrder.indexOf(1), primeOrder.indexOf(0)];
+assert.deepEqual(toCanonicalChoice(pickedSlots, primeOrder), [0, 1], 'multi-select picks come back sorted');
+assert.deepEqual(toDisplaySlots([0, 1], primeOrder), [...pickedSlots].sort((a, b) => a - b));
+assert.equal(toDisplaySlots(undefined, primeOrder), undefined, 'no answer stays no answer');
+assert.equal(toCanonicalChoice(2, null), 2, 'unshuffled answers pass through');
+
+assert.deepEqual(inDisplayOrder(['3', '4', '5', '22'], order), order.map(index => sum.options[index]));
+assert.deepEqual(inDisplayOrder([5, 6], null), [5, 6]);
+
+// --- question order ---
+
+const steps = questionOrderFor(quiz, 'p-1');
+assert.deepEqual(steps, questionOrderFor(quiz, 'p-1'), 'a participant always meets questions in the same order');
+assert.deepEqual([...steps].sort((a, b) => a - b), quiz.steps.map((_, index) => index), 'every step appears once');
+assert.equal(steps[0], 0, 'the first section stays first');
+assert.equal(steps[4], 4, 'sections keep their place');
+assert.deepEqual(steps.slice(1, 4).sort(), [1, 2, 3], 'questions stay inside their section');
+assert.equal(questionOrderFor({ ...quiz, shuffle: { options: true, questions: false } }, 'p-1'), null);
+
+const window = { opensAt: 0, closesAt: 10 * 60 * 1000 };
+let progress = createProgress(steps);
+progress = advanceProgress(quiz, progress, window, 0);
+assert.equal(progressState(quiz, progress), 'section');
+progress = advanceProgress(quiz, progress, window, 1000);
+const first = questionForStep(quiz, steps[1]);
+assert.equal(currentStepIndex(progress), steps[1], 'progress follows the shuffled order');
+assert.equal(isQuestionOpen(quiz, progress, first.id, 2000), true, 'the shuffled question is the open one');
+assert.equal(gradedPosition(quiz, progress), first === colour ? null : 1, 'numbering follows what the participant has met');
+
+progress = advanceProgress(quiz, closeQuestion(progress), window, 3000);
+const second = questionForStep(quiz, steps[2]);
+const expected = [first, second].filter(question => question !== colour).length;
+assert.equal(gradedPosition(quiz, progress), second === colour ? null : expected);
+
+assert.equal(currentStepIndex(createProgress()), -1, 'without an order positions are steps');
+assert.equal(capital.gradedNumber, 3, 'authored numbering is unchanged');
+
+console.log('All shuffle tests passed.');
@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const {
+  MAX_TEAMS,
+  assignTeam,
+  buildTeamHighlights,
+  createTeamRankSnapshot,
+  normalizeTeams,
+  parseTeamNames,
+  rankTeams,
+  teamLabel
+} = require('./teams');
+const { normalizeStoredQuiz, parseQuizMarkdown } = require('./quiz-structure');
+const { buildFinaleSummary, buildQuestionPresentation } = require('./presentation');
+
+// --- team names ---
+
+assert.deepEqual(parseTeamNames('Red, Blue ,, red, Green'), ['Red', 'Blue', 'Green'], 'blanks and repeats are dropped');
+assert.deepEqual(parseTeamNames('3'), ['Team 1', 'Team 2', 'Team 3'], 'a number makes numbered teams');
+assert.equal(parseTeamNames('50').length, MAX_TEAMS, 'the team count is capped');
+assert.equal(normalizeTeams({ names: ['Solo'] }), null, 'one team is not team mode');
+assert.deepEqual(
+  normalizeTeams({ names: ['Red', 'Blue'], scoring: 'SUM', assignment: 'nonsense' }),
+  { names: ['Red', 'Blue'], scoring: 'sum', assignment: 'choose' },
+  'settings are normalized and unknown ones fall back'
+);
+assert.equal(teamLabel('Blue'), 'Team Blue', 'bare names read as teams');
+assert.equal(teamLabel('Team 2'), 'Team 2', 'numbered teams are not doubled up');
+
+// --- assignTeam ---
+
+const choose = normalizeTeams({ names: ['Red', 'Blue', 'Green'] });
+const auto = normalizeTeams({ names: ['Red', 'Blue', 'Green'], assignment: 'auto' });
+const room = { a: { team: 'Red' }, b: { team: 'Red' }, c: { team: 'Blue' } };
+
+assert.equal(assignTeam(choose, room, 'red'), 'Red', 'a pick is honoured, ignoring case');
+assert.equal(assignTeam(choose, room, 'Purple'), 'Green', 'an unknown pick is balanced');
+assert.equal(assignTeam(choose, room), 'Green', 'no pick joins the smallest team');
+assert.equal(assignTeam(auto, room, 'Red'), 'Green', 'auto assignment ignores picks');
+assert.equal(assignTeam(auto, {}), 'Red', 'ties go to the earliest listed team');
+assert.equal(assignTeam(null, room, 'Red'), null, 'no teams outside team mode');
+
+// --- rankTeams ---
+
+const entries = [
+  { team: 'Red', points: 100 },
+  { team: 'Red', points: 20 },
+  { team: 'Blue', points: 80 },
+  { team: null, points: 500 }
+];
+const byAverage = rankTeams(choose, entries);
+assert.deepEqual(byAverage.map(team => team.name), ['Blue', 'Red', 'Green'], 'average scoring; empty teams go last');
+assert.deepEqual(byAverage.map(team => team.score), [80, 60, 0], 'members without a team do not count');
+assert.equal(byAverage[1].members, 2, 'members are counted');
+
+const bySum = rankTeams({ ...choose, scoring: 'sum' }, entries, { Blue: 1, Red: 2 });
+assert.deepEqual(bySum.map(team => team.name), ['Red', 'Blue', 'Green'], 'sum scoring rewards turnout');
+assert.equal(bySum[0].movement, 1, 'movement compares with the snapshot');
+assert.equal(bySum[2].previousRank, null, 'a team missing from the snapshot is new');
+assert.deepEqual(createTeamRankSnapshot(bySum), { Red: 1, Blue: 2, Green: 3 }, 'snapshots are keyed by team name');
+
+// --- buildTeamHighlights ---
+
+assert.equal(buildTeamHighlights(byAverage)[0].type, 'team-lead', 'a clear leader is called out');
+assert.equal(buildTeamHighlights(byAverage)[0].message, 'Team Blue leads by 20 points');
+assert.equal(buildTeamHighlights(bySum)[0].type, 'team-lead-change', 'a new team in front beats a standing report');
+assert.equal(
+  buildTeamHighlights(rankTeams(choose, [{ team: 'Red', points: 10 }, { team: 'Blue', points: 10 }]))[0].type,
+  'team-tied',
+  'a level top two is a tie'
+);
+assert.deepEqual(buildTeamHighlights(rankTeams(choose, [{ team: 'Red', points: 10 }])), [], 'one active team has no race');
+
+// --- quiz directives ---
+
+const quiz = parseQuizMarkdown([
+  '# Relay',
+  '# Teams: Red, Blue',
+  '# Team score: sum',
+  '# Team assignment: auto',
+  '',
+  '## Pick one',
+  '- [x] Yes',
+  '- [ ] No'
+].join('\n'));
+assert.equal(quiz.title, 'Relay', 'team directives never become the title');
+assert.deepEqual(quiz.teams, { names: ['Red', 'Blue'], scoring: 'sum', assignment: 'auto' });
+assert.equal(parseQuizMarkdown('# Solo\n\n## Q\n- [x] A').teams, null, 'quizzes are not in team mode by default');
+assert.deepEqual(normalizeStoredQuiz(JSON.parse(JSON.stringify(quiz))).teams, quiz.teams, 'teams survive storage');
+
+// --- presentation ---
+
+const session = {
+  quiz,
+  participants: {
+    a: { id: 'a', name: 'Ada', team: 'Red', points: 30, earnedCredit: 1, correctCount: 1, answers: {} },
+    b: { id: 'b', name: 'Bo', team: 'Blue', points: 50, earnedCredit: 1, correctCount: 1, answers: {} },
+    c: { id: 'c', name: 'Cy', team: 'Blue', points: 0, earnedCredit: 0, correctCount: 0, answers: {} }
+  },
+  rankSnapshot: {},
+  teamRankSnapshot: { Red: 1, Blue: 2 }
+};
+const presentation = buildQuestionPresentation(session, quiz.questions[0]);
+assert.deepEqual(presentation.teamLeaderboard.map(team => team.name), ['Blue', 'Red'], 'the question view ranks teams');
+assert.equal(presentation.highlights[0].type, 'team-lead-change', 'the team line leads the highlights');
+assert.ok(presentation.highlights.length <= 3, 'highlights stay at three');
+assert.deepEqual(presentation.teamRankSnapshot, { Blue: 1, Red: 2 });
+assert.equal(presentation.leaderboard.find(entry => entry.id === 'a').team, 'Red', 'leaderboard rows carry the team');
+
+const finale = buildFinaleSummary(session);
+assert.equal(finale.teamScoring, 'sum');
+assert.equal(finale.teamLeaderboard[0].name, 'Blue', 'the finale has a team podium');
+assert.equal(buildFinaleSummary({ ...session, quiz: { ...quiz, teams: null } }).teamLeaderboard, null, 'no team podium outside team mode');
+
+console.log('All team tests passed.');
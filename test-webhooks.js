@@ -0,0 +1,240 @@
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_RETRY_DELAYS_MS,
+  WEBHOOK_SIGNATURE_HEADER,
+  buildWebhookEvent,
+  createWebhookSecret,
+  isPrivateAddress,
+  nextRetryDelay,
+  normalizeWebhookSubscription,
+  signWebhookPayload,
+  verifyWebhookSignature
+} = require('./webhooks');
+const { DELIVERY_LEASE_MS, createWebhookDispatcher, createWebhookTransport } = require('./webhook-delivery');
+
+// --- subscription validation ---
+assert.deepEqual(
+  normalizeWebhookSubscription({ url: ' https://hooks.example.com/mash ', events: ['quiz_ended', 'session_created', 'quiz_ended'] }),
+  { url: 'https://hooks.example.com/mash', events: ['session_created', 'quiz_ended'] }
+);
+assert.match(normalizeWebhookSubscription({ url: '', events: ['quiz_ended'] }).error, /required/);
+assert.match(normalizeWebhookSubscription({ url: 'not a url', events: ['quiz_ended'] }).error, /valid URL/);
+assert.match(normalizeWebhookSubscription({ url: `https://a.example/${'x'.repeat(2100)}`, events: ['quiz_ended'] }).error, /too long/);
+assert.match(normalizeWebhookSubscription({ url: 'http://hooks.example.com', events: ['quiz_ended'] }).error, /https/);
+assert.match(normalizeWebhookSubscription({ url: 'https://user:pw@hooks.example.com', events: ['quiz_ended'] }).error, /credentials/);
+assert.match(normalizeWebhookSubscription({ url: 'https://hooks.example.com', events: [] }).error, /at least one/);
+assert.match(normalizeWebhookSubscription({ url: 'https://hooks.example.com', events: ['everything'] }).error, /Unknown webhook event: everything/);
+assert.match(normalizeWebhookSubscription({ url: 'https://hooks.example.com', events: ['test_event'] }).error, /Unknown/);
+for (const url of ['https://localhost/hook', 'https://127.0.0.1/hook', 'https://10.1.2.3/', 'https://192.168.0.4/', 'https://[::1]/', 'https://169.254.169.254/']) {
+  assert.match(normalizeWebhookSubscription({ url, events: ['quiz_ended'] }).error, /public address/, url);
+}
+assert.deepEqual(
+  normalizeWebhookSubscription({ url: 'http://localhost:4000/hook', events: WEBHOOK_EVENTS }, { allowLocal: true }),
+  { url: 'http://localhost:4000/hook', events: WEBHOOK_EVENTS }
+);
+assert.equal(isPrivateAddress('172.20.0.1'), true);
+assert.equal(isPrivateAddress('172.32.0.1'), false);
+assert.equal(isPrivateAddress('hooks.example.com'), false);
+for (const address of ['169.254.169.254', '100.64.0.1', '198.18.0.1', '224.0.0.1', '::ffff:127.0.0.1', 'fd00:ec2::254', 'fe80::1']) {
+  assert.equal(isPrivateAddress(address), true, address);
+}
+assert.equal(isPrivateAddress('93.184.216.34'), false);
+assert.equal(isPrivateAddress('2606:2800:220:1::'), false);
+// IPv6 forms that carry an IPv4 address are judged by that address.
+for (const address of [
+  '::', '::1', '192.0.0.170', '::ffff:7f00:1', '[::ffff:a9fe:a9fe]',
+  '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '64:ff9b:0:0:0:0:a9fe:a9fe',
+  '::7f00:1', '::127.0.0.1', '::a00:1', '0:0:0:0:0:0:c0a8:1'
+]) {
+  assert.equal(isPrivateAddress(address), true, address);
+}
+for (const address of ['::ffff:93.184.216.34', '64:ff9b::5db8:d822', '::5db8:d822', '192.0.2.1']) {
+  assert.equal(isPrivateAddress(address), false, address);
+}
+assert.match(normalizeWebhookSubscription({ url: 'https://[64:ff9b::a9fe:a9fe]/', events: ['quiz_ended'] }).error, /public address/);
+
+// --- event envelope and signatures ---
+const secret = createWebhookSecret();
+assert.match(secret, /^whsec_/);
+assert.notEqual(secret, createWebhookSecret());
+const event = buildWebhookEvent('quiz_started', { sessionCode: 'ABC123' }, { id: 'evt_1', createdAt: Date.parse('2030-01-02T03:04:05Z') });
+assert.deepEqual(event, { id: 'evt_1', type: 'quiz_started', created: '2030-01-02T03:04:05.000Z', data: { sessionCode: 'ABC123' } });
+assert.match(buildWebhookEvent('quiz_ended', {}).id, /^evt_/);
+
+const body = JSON.stringify(event);
+const header = signWebhookPayload(body, secret, 1000);
+assert.match(header, /^t=1000,v1=[0-9a-f]{64}$/);
+assert.equal(verifyWebhookSignature(body, header, secret, { nowSeconds: 1100 }), true);
+assert.equal(verifyWebhookSignature(body, header, secret, { nowSeconds: 1000 + 301 }), false, 'stale timestamp');
+assert.equal(verifyWebhookSignature(`${body} `, header, secret, { nowSeconds: 1000 }), false, 'tampered body');
+assert.equal(verifyWebhookSignature(body, header, 'whsec_other', { nowSeconds: 1000 }), false, 'wrong secret');
+assert.equal(verifyWebhookSignature(body, header.replace('t=1000', 't=1001'), secret, { nowSeconds: 1000 }), false);
+assert.equal(verifyWebhookSignature(body, `${header},v1=${'0'.repeat(64)}`, secret, { nowSeconds: 1000 }), true, 'any v1 may match');
+assert.equal(verifyWebhookSignature(body, '', secret, { nowSeconds: 1000 }), false);
+assert.equal(verifyWebhookSignature(body, 't=1000,v1=short', secret, { nowSeconds: 1000 }), false);
+
+// --- retry schedule ---
+assert.equal(nextRetryDelay(1), 60 * 1000);
+assert.equal(nextRetryDelay(WEBHOOK_RETRY_DELAYS_MS.length), WEBHOOK_RETRY_DELAYS_MS.at(-1));
+assert.equal(nextRetryDelay(WEBHOOK_RETRY_DELAYS_MS.length + 1), null);
+
+// --- dispatcher ---
+function fakeDb(subscriptions) {
+  const deliveries = [];
+  const attempts = [];
+  return {
+    deliveries,
+    attempts,
+    async listActiveWebhookSubscriptions(ownerId, type) {
+      return subscriptions.filter(sub => sub.ownerId === ownerId && sub.events.includes(type));
+    },
+    async createWebhookDelivery(subscriptionId, payload, leaseUntil) {
+      const delivery = { id: deliveries.length + 1, subscriptionId, payload, leaseUntil, attempts: 0 };
+      deliveries.push(delivery);
+      return { id: delivery.id, attempts: 0 };
+    },
+    async recordWebhookAttempt(id, outcome) {
+      attempts.push({ id, ...outcome });
+    },
+    async claimDueWebhookDeliveries(limit, leaseUntil) {
+      this.claimed = { limit, leaseUntil };
+      return [{ id: 7, attempts: 5, payload: event, url: 'https://hooks.example.com/late', secret }];
+    }
+  };
+}
+
+const NOW = Date.parse('2030-01-02T03:04:05Z');
+const subscriptions = [
+  { id: 1, ownerId: 'owner-1', url: 'https://hooks.example.com/a', events: ['quiz_started'], secret },
+  { id: 2, ownerId: 'owner-1', url: 'https://hooks.example.com/b', events: ['quiz_started', 'quiz_ended'], secret: 'whsec_b' },
+  { id: 3, ownerId: 'owner-2', url: 'https://hooks.example.com/c', events: ['quiz_started'], secret }
+];
+
+(async () => {
+  const db = fakeDb(subscriptions);
+  const sent = [];
+  const dispatcher = createWebhookDispatcher({
+    db,
+    now: () => NOW,
+    fetchImpl: async (url, options) => {
+      sent.push({ url, options });
+      if (url.endsWith('/b')) return { status: 500 };
+      if (url.endsWith('/late')) throw Object.assign(new Error('timeout'), { name: 'TimeoutError' });
+      return { status: 204 };
+    }
+  });
+
+  assert.deepEqual(await dispatcher.dispatch('owner-1', 'participant_joined', {}), []);
+  const results = await dispatcher.dispatch('owner-1', 'quiz_started', { sessionCode: 'ABC123' });
+  assert.equal(sent.length, 2, 'only this account\'s matching subscriptions are sent');
+  assert.deepEqual(db.deliveries.map(delivery => delivery.subscriptionId), [1, 2]);
+  assert.equal(db.deliveries[0].leaseUntil.getTime(), NOW + DELIVERY_LEASE_MS);
+  assert.equal(db.deliveries[0].payload, db.deliveries[1].payload, 'both endpoints get the same event id');
+
+  const first = sent[0].options;
+  assert.equal(first.method, 'POST');
+  assert.equal(first.redirect, 'manual');
+  assert.equal(first.headers['Markdown-Mash-Event'], 'quiz_started');
+  assert.equal(first.headers['Markdown-Mash-Delivery'], '1');
+  assert.equal(JSON.parse(first.body).data.sessionCode, 'ABC123');
+  assert.equal(
+    verifyWebhookSignature(first.body, first.headers[WEBHOOK_SIGNATURE_HEADER], secret, { nowSeconds: NOW / 1000 }),
+    true
+  );
+  assert.equal(
+    verifyWebhookSignature(sent[1].options.body, sent[1].options.headers[WEBHOOK_SIGNATURE_HEADER], secret, { nowSeconds: NOW / 1000 }),
+    false,
+    'each subscription signs with its own secret'
+  );
+
+  assert.deepEqual(results, [
+    { id: 1, status: 'succeeded', attempts: 1, responseStatus: 204, error: null, nextAttemptAt: null },
+    { id: 2, status: 'pending', attempts: 1, responseStatus: 500, error: 'Responded 500', nextAttemptAt: new Date(NOW + 60 * 1000) }
+  ]);
+  assert.deepEqual(db.attempts, results);
+
+  // The last retry gives up instead of scheduling another.
+  const retried = await dispatcher.retryDue(5);
+  assert.equal(db.claimed.limit, 5);
+  assert.deepEqual(retried, [
+    { id: 7, status: 'failed', attempts: 6, responseStatus: null, error: 'Timed out', nextAttemptAt: null }
+  ]);
+
+  // Test events are attempted once and never retried.
+  const test = await dispatcher.sendTest(subscriptions[1]);
+  assert.equal(test.status, 'failed');
+  assert.equal(test.nextAttemptAt, null);
+  const testEvent = JSON.parse(sent.at(-1).options.body);
+  assert.equal(testEvent.type, 'test_event');
+  assert.equal(testEvent.data.subscriptionId, 2);
+
+  const offline = createWebhookDispatcher({
+    db: fakeDb(subscriptions),
+    now: () => NOW,
+    fetchImpl: async () => { throw new Error('ECONNREFUSED'); }
+  });
+  const [unreachable] = await offline.dispatch('owner-2', 'quiz_started', {});
+  assert.equal(unreachable.error, 'Could not connect');
+  assert.equal(unreachable.status, 'pending');
+
+  // --- delivery address checks ---
+  // A public-looking name that resolves to this machine must not be reached.
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    received.push(req.url);
+    req.resume();
+    res.writeHead(204).end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const port = receiver.address().port;
+  const resolvesTo = (...addresses) => (hostname, options, callback) => {
+    const all = addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    if (options.all) callback(null, all);
+    else callback(null, all[0].address, all[0].family);
+  };
+  const rebound = { id: 4, ownerId: 'owner-3', url: `http://hooks.example.com:${port}/hook`, events: ['quiz_started'], secret };
+
+  try {
+    const guarded = createWebhookDispatcher({
+      db: fakeDb([rebound]),
+      now: () => NOW,
+      fetchImpl: createWebhookTransport({ lookup: resolvesTo('127.0.0.1') })
+    });
+    const probe = await guarded.sendTest(rebound);
+    assert.equal(probe.error, 'Address is not public');
+    assert.equal(probe.responseStatus, null, 'nothing about the internal host is reported');
+    const [given] = await guarded.dispatch('owner-3', 'quiz_started', {});
+    assert.equal(given.status, 'failed', 'a private address is not retried');
+    assert.equal(given.nextAttemptAt, null);
+
+    const mixed = createWebhookDispatcher({
+      db: fakeDb([rebound]),
+      now: () => NOW,
+      fetchImpl: createWebhookTransport({ lookup: resolvesTo('93.184.216.34', '10.0.0.5') })
+    });
+    assert.equal((await mixed.sendTest(rebound)).error, 'Address is not public', 'one private answer is enough to refuse');
+
+    const literal = createWebhookDispatcher({ db: fakeDb([]), now: () => NOW, fetchImpl: createWebhookTransport() });
+    const direct = await literal.sendTest({ ...rebound, url: `http://127.0.0.1:${port}/hook` });
+    assert.equal(direct.error, 'Address is not public');
+    assert.deepEqual(received, [], 'the internal receiver was never contacted');
+
+    const local = createWebhookDispatcher({
+      db: fakeDb([rebound]),
+      now: () => NOW,
+      fetchImpl: createWebhookTransport({ allowLocal: true, lookup: resolvesTo('127.0.0.1') })
+    });
+    const delivered = await local.sendTest(rebound);
+    assert.equal(delivered.responseStatus, 204, 'development servers may deliver locally');
+    assert.deepEqual(received, ['/hook'], 'the connection goes to the resolved address');
+  } finally {
+    receiver.close();
+  }
+
+  console.log('Webhook tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
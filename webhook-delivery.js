@@ -0,0 +1,157 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const {
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TEST_EVENT,
+  buildWebhookEvent,
+  isPrivateAddress,
+  nextRetryDelay,
+  signWebhookPayload
+} = require('./webhooks');
+
+// A delivery being attempted is leased for this long, so the retry sweep
+// cannot pick it up a second time while the request is still in flight.
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+function privateAddressError(hostname) {
+  return Object.assign(new Error(`${hostname} is not a public address`), { code: 'EPRIVATEADDRESS' });
+}
+
+// A socket lookup that refuses a host when any address it resolves to is
+// private. The socket connects to the address checked here, so a DNS answer
+// that changes between the check and the connection cannot slip through.
+function publicOnlyLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        return callback(privateAddressError(hostname));
+      }
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// The default transport: a fetch-shaped POST over http(s).request, which
+// unlike fetch lets the connection use publicOnlyLookup. allowLocal, for
+// development servers, skips the address checks.
+function createWebhookTransport({ allowLocal = false, lookup = dns.lookup } = {}) {
+  return (url, { method, headers, body, signal }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!allowLocal && isPrivateAddress(target.hostname)) {
+      reject(privateAddressError(target.hostname));
+      return;
+    }
+    const request = (target.protocol === 'http:' ? http : https).request(target, {
+      method,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal,
+      lookup: allowLocal ? lookup : publicOnlyLookup(lookup)
+    }, response => {
+      response.resume();
+      resolve({ status: response.statusCode });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function describeFailure(err) {
+  if (err.code === 'EPRIVATEADDRESS') return 'Address is not public';
+  if (err.name === 'TimeoutError' || err.cause?.name === 'TimeoutError') return 'Timed out';
+  return 'Could not connect';
+}
+
+// Sends account webhooks and records every attempt in the delivery log.
+// Failed deliveries stay pending with a next_attempt_at; server.js calls
+// retryDue on an interval to send the ones whose time has come.
+function createWebhookDispatcher({
+  db,
+  allowLocal = false,
+  fetchImpl = createWebhookTransport({ allowLocal }),
+  now = () => Date.now(),
+  timeoutMs = 10 * 1000
+}) {
+  async function attempt(delivery, { retry = true } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    let responseStatus = null;
+    let error = null;
+    let blocked = false;
+    try {
+      // Redirects are not followed: the URL that was checked is the only
+      // one that receives the payload.
+      const response = await fetchImpl(delivery.url, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MarkdownMash-Webhooks/1.0',
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(body, delivery.secret, Math.floor(now() / 1000)),
+          'Markdown-Mash-Event': delivery.payload.type,
+          'Markdown-Mash-Delivery': String(delivery.id)
+        },
+        body
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) error = `Responded ${response.status}`;
+    } catch (err) {
+      error = describeFailure(err);
+      blocked = err.code === 'EPRIVATEADDRESS';
+    }
+
+    const attempts = (delivery.attempts || 0) + 1;
+    // A host that resolves to a private address is given up straight away.
+    const delay = error && retry && !blocked ? nextRetryDelay(attempts) : null;
+    const outcome = {
+      status: !error ? 'succeeded' : delay === null ? 'failed' : 'pending',
+      attempts,
+      responseStatus,
+      error,
+      nextAttemptAt: delay === null ? null : new Date(now() + delay)
+    };
+    await db.recordWebhookAttempt(delivery.id, outcome);
+    return { id: delivery.id, ...outcome };
+  }
+
+  async function enqueue(subscription, event) {
+    const delivery = await db.createWebhookDelivery(subscription.id, event, new Date(now() + DELIVERY_LEASE_MS));
+    return { ...delivery, payload: event, url: subscription.url, secret: subscription.secret };
+  }
+
+  // Every active subscription of the account that asked for this event gets
+  // its own delivery, attempted straight away.
+  async function dispatch(ownerId, type, data) {
+    const subscriptions = await db.listActiveWebhookSubscriptions(ownerId, type);
+    if (subscriptions.length === 0) return [];
+    const event = buildWebhookEvent(type, data, { createdAt: now() });
+    return Promise.all(subscriptions.map(async subscription => (
+      attempt(await enqueue(subscription, event))
+    )));
+  }
+
+  // The settings button: one delivery, no retries, so the result shown is
+  // what the endpoint answered just now.
+  async function sendTest(subscription) {
+    const event = buildWebhookEvent(WEBHOOK_TEST_EVENT, {
+      message: 'This is a test event from Markdown Mash.',
+      subscriptionId: subscription.id
+    }, { createdAt: now() });
+    return attempt(await enqueue(subscription, event), { retry: false });
+  }
+
+  async function retryDue(limit = 20) {
+    const due = await db.claimDueWebhookDeliveries(limit, new Date(now() + DELIVERY_LEASE_MS));
+    const results = [];
+    for (const delivery of due) {
+      results.push(await attempt(delivery));
+    }
+    return results;
+  }
+
+  return { dispatch, retryDue, sendTest };
+}
+
+module.exports = { DELIVERY_LEASE_MS, createWebhookDispatcher, createWebhookTransport };
@@ -0,0 +1,162 @@
+// Pure outbound webhook rules: which events an account can subscribe to, what
+// a subscription URL may be, the event envelope, its HMAC signature and the
+// retry schedule. Signatures follow Stripe's scheme, so a receiver checks
+// "t=<seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>" against its secret.
+// No sockets, no timers, no database — server.js owns all of that.
+
+const crypto = require('crypto');
+const net = require('net');
+const { createOpaqueToken } = require('./security-utils');
+
+const WEBHOOK_EVENTS = ['session_created', 'quiz_started', 'question_ended', 'quiz_ended', 'participant_joined'];
+// Sent only by the settings "Send test event" button.
+const WEBHOOK_TEST_EVENT = 'test_event';
+const WEBHOOK_SIGNATURE_HEADER = 'Markdown-Mash-Signature';
+const MAX_WEBHOOKS_PER_ACCOUNT = 10;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+// Wait before each retry; a delivery that still fails after the last one is
+// given up. Six attempts over roughly fifteen hours.
+const WEBHOOK_RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 12 * 60 * 60 * 1000];
+
+// IPv6 prefixes (the first six 16-bit groups) whose last 32 bits are an
+// IPv4 address: IPv4-compatible ::/96 (which holds :: and ::1 too),
+// IPv4-mapped ::ffff:0:0/96 and NAT64 64:ff9b::/96.
+const IPV4_CARRYING_PREFIXES = ['0:0:0:0:0:0', '0:0:0:0:0:ffff', '64:ff9b:0:0:0:0'];
+
+// The IPv4 address an IPv6 address carries, written either way
+// (::ffff:127.0.0.1 or ::ffff:7f00:1), as a dotted string; null when it
+// carries none.
+function embeddedIPv4(host) {
+  const address = host.replace(/%.*$/, '').replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+    `${(Number(a) * 256 + Number(b)).toString(16)}:${(Number(c) * 256 + Number(d)).toString(16)}`);
+  const [head, tail] = address.split('::').map(part => (part ? part.split(':') : []));
+  const groups = tail
+    ? [...head, ...Array(8 - head.length - tail.length).fill('0'), ...tail]
+    : head;
+  const words = groups.map(group => parseInt(group, 16));
+  if (!IPV4_CARRYING_PREFIXES.includes(words.slice(0, 6).map(word => word.toString(16)).join(':'))) return null;
+  return [words[6] >> 8, words[6] & 255, words[7] >> 8, words[7] & 255].join('.');
+}
+
+// True for loopback, private, link-local (which holds the cloud metadata
+// endpoint), shared, multicast and reserved addresses, and for host names
+// that only ever mean this machine or its network. An IPv6 address that
+// carries an IPv4 one is judged by that IPv4 address. Checked against the
+// URL when a subscription is saved and against every resolved address when
+// a delivery connects.
+function isPrivateAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  if (net.isIPv4(host)) {
+    const [a, b, c] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 0 && c === 0)
+      || (a === 192 && b === 168)
+      || (a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(host)) {
+    const ipv4 = embeddedIPv4(host);
+    if (ipv4) return isPrivateAddress(ipv4);
+    return /^f[cd]/.test(host)
+      || /^fe[89ab]/.test(host)
+      || /^ff/.test(host);
+  }
+  return false;
+}
+
+// Production deliveries go to public HTTPS endpoints only; allowLocal lets a
+// development server post to http:// and localhost receivers.
+// Returns { url, events } or { error }.
+function normalizeWebhookSubscription({ url, events } = {}, { allowLocal = false } = {}) {
+  const rawUrl = String(url || '').trim();
+  if (!rawUrl) return { error: 'Webhook URL is required' };
+  if (rawUrl.length > MAX_WEBHOOK_URL_LENGTH) return { error: 'Webhook URL is too long' };
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (error) {
+    return { error: 'Webhook URL is not a valid URL' };
+  }
+  if (parsed.username || parsed.password) return { error: 'Webhook URL cannot contain credentials' };
+  if (parsed.protocol !== 'https:' && !(allowLocal && parsed.protocol === 'http:')) {
+    return { error: 'Webhook URL must use https://' };
+  }
+  if (!allowLocal && isPrivateAddress(parsed.hostname)) {
+    return { error: 'Webhook URL must be a public address' };
+  }
+
+  const chosen = [...new Set((Array.isArray(events) ? events : []).map(String))];
+  if (chosen.length === 0) return { error: 'Choose at least one event' };
+  const unknown = chosen.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) return { error: `Unknown webhook event: ${unknown}` };
+
+  return {
+    url: parsed.toString(),
+    events: WEBHOOK_EVENTS.filter(event => chosen.includes(event))
+  };
+}
+
+function createWebhookSecret() {
+  return `whsec_${createOpaqueToken(24)}`;
+}
+
+// The body every delivery carries: a stable id receivers can deduplicate on,
+// the event type, when it happened, and its data.
+function buildWebhookEvent(type, data, { id = `evt_${createOpaqueToken(12)}`, createdAt = new Date() } = {}) {
+  return {
+    id,
+    type,
+    created: new Date(createdAt).toISOString(),
+    data
+  };
+}
+
+function computeSignature(body, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// timestamp is in seconds, as in the header.
+function signWebhookPayload(body, secret, timestamp) {
+  return `t=${timestamp},v1=${computeSignature(body, secret, timestamp)}`;
+}
+
+// For receivers (and the tests): true when some v1 signature in the header
+// matches the body and the timestamp is within the tolerance of nowSeconds.
+function verifyWebhookSignature(body, header, secret, {
+  nowSeconds = Math.floor(Date.now() / 1000),
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+} = {}) {
+  const parts = String(header || '').split(',').map(part => part.trim().split('='));
+  const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+  if (!Number.isInteger(timestamp) || Math.abs(nowSeconds - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(body, secret, timestamp), 'hex');
+  return parts
+    .filter(([key, value]) => key === 'v1' && /^[0-9a-f]{64}$/.test(value || ''))
+    .some(([, value]) => crypto.timingSafeEqual(Buffer.from(value, 'hex'), expected));
+}
+
+// Milliseconds to wait after the given number of failed attempts, or null
+// when the delivery should be given up.
+function nextRetryDelay(failedAttempts) {
+  return WEBHOOK_RETRY_DELAYS_MS[failedAttempts - 1] ?? null;
+}
+
+module.exports = {
+  MAX_WEBHOOKS_PER_ACCOUNT,
+  WEBHOOK_EVENTS,
+  WEBHOOK_RETRY_DELAYS_MS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TEST_EVENT,
+  buildWebhookEvent,
+  createWebhookSecret,
+  isPrivateAddress,
+  nextRetryDelay,
+  normalizeWebhookSubscription,
+  signWebhookPayload,
+  verifyWebhookSignature
+};